@@ -14,7 +14,7 @@ const MONGODB_URI = process.env.MONGODB_URI;
 // ==============================
 // MODELS (Imported from unified models directory)
 // ==============================
-const { WaterReading, TankConfig, PumpLog } = require("./models/water");
+const { WaterReading, TankConfig, PumpLog, TankAlert } = require("./models/water");
 const { SoilMoistureReading, ZoneConfig, CropProfile, IrrigationLog } = require("./models/soilMoisture");
 const { EnvironmentalReading, EnvironmentalSensorConfig, EnvironmentalAlert } = require("./models/environmental");
 
@@ -344,27 +344,17 @@ async function getTankConfig(tankId = "main_tank") {
   }
 }
 
-async function updateTankConfig(tankId, updateData) {
+// Returns null when the tank has no config and `upsert` is false
+async function updateTankConfig(tankId, updateData, { upsert = true } = {}) {
   try {
-    // Recalculate capacity if height or radius is provided
-    if (updateData.tankHeightCm || updateData.tankRadiusCm) {
-      const h = updateData.tankHeightCm || 100; // Fallback or fetch existing
-      const r = updateData.tankRadiusCm || 50;
-      
-      // If one is missing from updateData, we ideally fetch existing first
-      // But for simplicity in this helper, let's just ensure we have both
-      if (updateData.tankHeightCm && updateData.tankRadiusCm) {
-        updateData.maxCapacityLiters = Math.round(
-          (Math.PI * Math.pow(updateData.tankRadiusCm, 2) * updateData.tankHeightCm) / 1000
-        );
-      }
+    // Saved as a document so shape validation and the capacity hook run
+    let config = await TankConfig.findOne({ tankId });
+    if (!config) {
+      if (!upsert) return null;
+      config = new TankConfig({ tankId });
     }
-
-    const updatedConfig = await TankConfig.findOneAndUpdate(
-      { tankId },
-      { ...updateData, updatedAt: new Date() },
-      { new: true, upsert: true }
-    );
+    config.set(updateData);
+    const updatedConfig = await config.save();
     return updatedConfig;
   } catch (error) {
     console.error("Error updating tank config:", error);
@@ -410,6 +400,18 @@ async function getAllTanks() {
   }
 }
 
+// Environmental reading functions
+async function insertEnvironmentalReading(data) {
+  try {
+    const reading = new EnvironmentalReading(data);
+    const savedReading = await reading.save();
+    return { success: true, data: savedReading };
+  } catch (error) {
+    console.error("Error inserting environmental reading:", error);
+    throw error;
+  }
+}
+
 // Graceful shutdown
 async function close() {
   try {
@@ -460,10 +462,14 @@ module.exports = {
   getTankStats,
   getAllTanks,
 
+  // Environmental functions
+  insertEnvironmentalReading,
+
   // Export water models
   WaterReading,
   TankConfig,
   PumpLog,
+  TankAlert,
 
   // Export soil moisture models
   SoilMoistureReading,
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const { DEFAULT_TIMEZONE, HHMM, isValidTimeZone } = require("../services/localTime");
+
+// Local-time window, e.g. { days: [1,2,3,4,5], start: "07:00", end: "17:00" }.
+// No days means every day; end <= start runs past midnight.
+const windowSchema = new mongoose.Schema(
+  {
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+      default: [],
+    },
+    start: { type: String, required: true, match: HHMM },
+    end: { type: String, required: true, match: HHMM },
+  },
+  { _id: false }
+);
+
+// Per-camera override of the default threat rule for one object class.
+// Unset fields fall back to the default rule; a class without a default
+// rule (e.g. "cow") becomes a threat on this camera only.
+const ruleSchema = new mongoose.Schema(
+  {
+    objectClass: { type: String, required: true, lowercase: true, trim: true },
+    enabled: { type: Boolean, default: true },
+    type: String,
+    description: String,
+    minConfidence: { type: Number, min: 0, max: 100 },
+    // Fixed severity instead of the confidence-based default
+    severity: { type: String, enum: ["low", "medium", "high"] },
+    // Times the object is expected here and is not a threat
+    expectedWindows: { type: [windowSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Region of interest as a polygon in frame percentages (0-100). Detections
+// only count inside restricted zones (when any exist) and never when centred
+// in an ignore zone (e.g. a public road).
+const zoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    kind: { type: String, enum: ["restricted", "ignore"], required: true },
+    points: {
+      type: [
+        {
+          _id: false,
+          x: { type: Number, required: true, min: 0, max: 100 },
+          y: { type: Number, required: true, min: 0, max: 100 },
+        },
+      ],
+      validate: {
+        validator: (points) => points.length >= 3,
+        message: "A zone polygon needs at least 3 points",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const cameraSchema = new mongoose.Schema(
+  {
+    cameraId: { type: String, required: true, unique: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    location: { type: String, default: "" },
+    // Master switch; when on, armedSchedule (if any) limits when it is armed
+    armed: { type: Boolean, default: true },
+    armedSchedule: { type: [windowSchema], default: [] },
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: { validator: isValidTimeZone, message: "Unknown timezone" },
+    },
+    rules: { type: [ruleSchema], default: [] },
+    zones: { type: [zoneSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+cameraSchema.path("rules").validate(function (rules) {
+  const classes = rules.map((r) => r.objectClass);
+  return new Set(classes).size === classes.length;
+}, "Only one rule per objectClass");
+
+cameraSchema.path("zones").validate(function (zones) {
+  const names = zones.map((z) => z.name);
+  return new Set(names).size === names.length;
+}, "Zone names must be unique per camera");
+
+module.exports = mongoose.model("Camera", cameraSchema);
@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// API key for device-facing endpoints (sensor readings, machine ingest,
+// command polling/acks). Only a SHA-256 of the key is stored; the key itself
+// is shown once when created.
+const deviceApiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // First characters of the key, to recognise it in lists and logs
+    prefix: { type: String, required: true, index: true },
+    keyHash: { type: String, required: true, unique: true, select: false },
+    // sensor_id / device_id values this key may report as; empty means any
+    deviceIds: { type: [String], default: [] },
+    active: { type: Boolean, default: true },
+    lastUsedAt: { type: Date, default: null },
+    createdBy: { type: String, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const hashKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+// Creates a key document and returns it with the plaintext key
+deviceApiKeySchema.statics.issue = async function (fields) {
+  const key = `dk_${crypto.randomBytes(24).toString("base64url")}`;
+  const doc = await this.create({
+    ...fields,
+    prefix: key.slice(0, 10),
+    keyHash: hashKey(key),
+  });
+  return { doc, key };
+};
+
+deviceApiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({ keyHash: hashKey(key), active: true });
+};
+
+module.exports = mongoose.model("DeviceApiKey", deviceApiKeySchema);
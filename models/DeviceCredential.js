@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const MAX_FAILURES_KEPT = 20;
+
+// Per-device HMAC secret for signed device requests (see
+// services/deviceSignature.js). The server needs the secret itself to verify
+// signatures, so it is stored as-is and never selected by default.
+const deviceCredentialSchema = new mongoose.Schema(
+  {
+    // sensor_id (ESP32 / nRF9160 gateways) or device_id (machine monitors)
+    deviceId: { type: String, required: true, unique: true, trim: true },
+    name: { type: String, default: null, trim: true },
+    secret: { type: String, required: true, select: false },
+    // Previous secret stays valid until previousSecretExpiresAt so devices in
+    // the field can be updated after a rotation
+    previousSecret: { type: String, default: null, select: false },
+    previousSecretExpiresAt: { type: Date, default: null },
+    rotatedAt: { type: Date, default: null },
+
+    quarantined: { type: Boolean, default: false, index: true },
+    quarantinedAt: { type: Date, default: null },
+    quarantineReason: { type: String, default: null },
+    releasedAt: { type: Date, default: null },
+    releasedBy: { type: String, default: null },
+
+    // Consecutive failed verifications; reset by a good signature or release
+    failureCount: { type: Number, default: 0 },
+    recentFailures: [
+      {
+        _id: false,
+        at: Date,
+        reason: String,
+        ip: String,
+      },
+    ],
+    lastVerifiedAt: { type: Date, default: null },
+    // Address of the last good signature; failures from it can quarantine
+    lastVerifiedIp: { type: String, default: null },
+    createdBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+// Creates a credential and returns it with the plaintext secret
+deviceCredentialSchema.statics.enroll = async function (fields) {
+  const secret = newSecret();
+  const doc = await this.create({ ...fields, secret });
+  return { doc, secret };
+};
+
+// Replaces the secret; the old one keeps working for graceSeconds (0 revokes
+// it immediately). Returns null if the device is not enrolled.
+deviceCredentialSchema.statics.rotate = async function (deviceId, graceSeconds) {
+  const current = await this.findOne({ deviceId }).select("+secret");
+  if (!current) return null;
+  const secret = newSecret();
+  const now = new Date();
+  const doc = await this.findOneAndUpdate(
+    { _id: current._id },
+    {
+      $set: {
+        secret,
+        previousSecret: graceSeconds > 0 ? current.secret : null,
+        previousSecretExpiresAt:
+          graceSeconds > 0 ? new Date(now.getTime() + graceSeconds * 1000) : null,
+        rotatedAt: now,
+      },
+    },
+    { new: true }
+  );
+  return { doc, secret };
+};
+
+// Secrets a signature may be checked against right now
+deviceCredentialSchema.methods.validSecrets = function (at = new Date()) {
+  const secrets = [this.secret];
+  if (this.previousSecret && this.previousSecretExpiresAt > at) {
+    secrets.push(this.previousSecret);
+  }
+  return secrets;
+};
+
+deviceCredentialSchema.statics.recordFailure = function (id, failure) {
+  return this.findOneAndUpdate(
+    { _id: id },
+    {
+      $inc: { failureCount: 1 },
+      $push: { recentFailures: { $each: [failure], $slice: -MAX_FAILURES_KEPT } },
+    },
+    { new: true }
+  );
+};
+
+deviceCredentialSchema.statics.quarantine = function (id, reason) {
+  return this.findOneAndUpdate(
+    { _id: id, quarantined: false },
+    { $set: { quarantined: true, quarantinedAt: new Date(), quarantineReason: reason } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model("DeviceCredential", deviceCredentialSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Nonces seen on signed device requests. A nonce can only be inserted once per
+// device; documents expire once their timestamp is outside the accepted skew.
+const deviceNonceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  nonce: { type: String, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 },
+});
+
+deviceNonceSchema.index({ deviceId: 1, nonce: 1 }, { unique: true });
+
+module.exports = mongoose.model("DeviceNonce", deviceNonceSchema);
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+// Bounding box as percentages of the frame, as returned by the vision prompt
+const bboxSchema = new mongoose.Schema(
+  { x: Number, y: Number, width: Number, height: Number },
+  { _id: false }
+);
+
+const detectionSchema = new mongoose.Schema(
+  {
+    class: String,
+    confidence: Number,
+    bbox: bboxSchema,
+    description: String,
+  },
+  { _id: false }
+);
+
+const threatSchema = new mongoose.Schema(
+  {
+    type: String,
+    description: String,
+    confidence: Number,
+    severity: { type: String, enum: ["low", "medium", "high"] },
+    detectedObject: String,
+    bbox: bboxSchema,
+    // Restricted camera zone the detection fell in, if the camera has zones
+    zone: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// One analysed video frame from POST /api/video/analyze-frame
+const frameAnalysisSchema = new mongoose.Schema(
+  {
+    cameraId: { type: String, default: "default", index: true },
+    // Capture time sent by the client (falls back to receive time)
+    timestamp: { type: Date, required: true, index: true },
+    // Whether the camera was armed at capture time (no threats otherwise)
+    armed: { type: Boolean, default: true },
+    detections: { type: [detectionSchema], default: [] },
+    threats: { type: [threatSchema], default: [] },
+    detectionCount: { type: Number, default: 0 },
+    threatCount: { type: Number, default: 0 },
+    threatLevel: {
+      type: String,
+      enum: ["none", "low", "medium", "high"],
+      default: "none",
+      index: true,
+    },
+    sceneDescription: { type: String, default: "" },
+    environment: { type: String, default: "unknown" },
+    lighting: { type: String, default: "unknown" },
+    movementDetected: { type: Boolean, default: false },
+    model: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+frameAnalysisSchema.index({ cameraId: 1, timestamp: -1 });
+frameAnalysisSchema.index({ "threats.type": 1, timestamp: -1 });
+
+// Analysis (document or lean object) in the snake_case shape analyze-frame
+// has always returned
+frameAnalysisSchema.statics.toApi = function (doc) {
+  const o = doc.toObject ? doc.toObject() : doc;
+  return {
+    id: String(o._id),
+    cameraId: o.cameraId,
+    timestamp: o.timestamp,
+    detections: o.detections,
+    threats: o.threats,
+    threat_count: o.threatCount,
+    threat_level: o.threatLevel,
+    scene_description: o.sceneDescription,
+    environment: o.environment,
+    lighting: o.lighting,
+    movement_detected: o.movementDetected,
+    armed: o.armed,
+  };
+};
+
+// Per-frame summary, as the daily JSON log files used to hold it
+frameAnalysisSchema.statics.toSummary = function (doc) {
+  return {
+    id: String(doc._id),
+    cameraId: doc.cameraId,
+    timestamp: doc.timestamp,
+    detections: doc.detectionCount,
+    threats: doc.threatCount,
+    threat_level: doc.threatLevel,
+    threat_types: [...new Set((doc.threats || []).map((t) => t.type))],
+  };
+};
+
+module.exports = mongoose.model("FrameAnalysis", frameAnalysisSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { publishOnChange } = require("../services/realtimeHooks");
 
 const MachineStatus = ["operational", "warning", "critical", "offline"];
 
@@ -28,4 +29,21 @@ const machineSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Stream status changes (GET /api/stream)
+publishOnChange(machineSchema, {
+  field: "status",
+  event: "machine_status",
+  select: "name deviceId buildingId plcOn",
+  topicsOf: (m) => [`machine:${m.deviceId}`, `building:${m.buildingId}`],
+  payloadOf: (m, previous) => ({
+    machineId: String(m._id),
+    name: m.name,
+    deviceId: m.deviceId,
+    buildingId: String(m.buildingId),
+    status: m.status,
+    plcOn: m.plcOn,
+    previous,
+  }),
+});
+
 module.exports = mongoose.model("Machine", machineSchema);
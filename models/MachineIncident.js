@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// A downtime incident: opens when a machine goes critical/offline and closes
+// when it is back to operational
+const incidentSchema = new mongoose.Schema(
+  {
+    machineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Machine",
+      required: true,
+      index: true,
+    },
+    buildingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Building",
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+      index: true,
+    },
+    openingStatus: {
+      type: String,
+      enum: ["critical", "offline"],
+      required: true,
+    },
+    // Worst status seen while open (offline is worse than critical)
+    peakStatus: {
+      type: String,
+      enum: ["critical", "offline"],
+      required: true,
+    },
+    startedAt: { type: Date, required: true, index: true },
+    endedAt: { type: Date, default: null },
+    durationMinutes: { type: Number, default: null },
+  },
+  { timestamps: true }
+);
+
+incidentSchema.index({ machineId: 1, status: 1 });
+incidentSchema.index({ buildingId: 1, startedAt: -1 });
+
+module.exports = mongoose.model("MachineIncident", incidentSchema);
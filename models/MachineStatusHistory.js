@@ -22,4 +22,6 @@ const historySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+historySchema.index({ machineId: 1, at: -1 });
+
 module.exports = mongoose.model("MachineStatusHistory", historySchema);
@@ -1,10 +1,42 @@
 // models/PendingCommand.js
 const mongoose = require("mongoose");
+const { publishOnChange } = require("../services/realtimeHooks");
+
+// queued -> dequeued -> executed, with dequeued -> queued again when the
+// device does not ack in time. failed/expired/cancelled are terminal.
+// Legacy /api/water and /api/soil firmware never acks, so those routes take
+// commands straight from queued to executed (deliverNext).
+const CommandStatus = [
+  "queued",
+  "dequeued",
+  "executed",
+  "failed",
+  "expired",
+  "cancelled",
+];
+const TERMINAL_STATUSES = ["executed", "failed", "expired", "cancelled"];
+
+const DEFAULT_EXPIRY_MINUTES = Number(process.env.COMMAND_EXPIRY_MINUTES || 60);
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.COMMAND_MAX_ATTEMPTS || 3);
+const RETENTION_DAYS = Number(process.env.COMMAND_RETENTION_DAYS || 7);
+
+const commandEventSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: CommandStatus, required: true },
+    at: { type: Date, default: Date.now },
+    note: { type: String, default: null },
+  },
+  { _id: false }
+);
 
 const pendingCommandSchema = new mongoose.Schema(
   {
     sensorId: { type: String, required: true, index: true },
-    action: { type: String, enum: ["start", "stop", "set_automation", "set_interval"], required: true },
+    action: {
+      type: String,
+      enum: ["start", "stop", "set_automation", "set_interval", "status", "config"],
+      required: true,
+    },
     target: {
       type: String,
       enum: ["water_pump", "irrigation", "environmental_sensor"],
@@ -12,22 +44,145 @@ const pendingCommandSchema = new mongoose.Schema(
     },
     trigger: { type: String, default: "manual" }, // "manual" or "auto", or numeric value for interval
     value: { type: String, default: null }, // "on" or "off" for automation, or the interval value
+    // Context for commands queued through the legacy /api/water and /api/soil routes
+    tankId: { type: String, default: null },
+    zoneId: { type: String, default: null },
+    channel: { type: String, default: null }, // soil probe / irrigation channel on multi-zone gateways
+    priority: { type: Boolean, default: false },
     status: {
       type: String,
-      enum: ["queued", "dequeued", "executed"],
+      enum: CommandStatus,
       default: "queued",
       index: true,
     },
+    attempts: { type: Number, default: 0 }, // times handed to the device
+    maxAttempts: { type: Number, default: DEFAULT_MAX_ATTEMPTS, min: 1 },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + DEFAULT_EXPIRY_MINUTES * 60 * 1000),
+      index: true,
+    },
     dequeuedAt: { type: Date, default: null },
     executedAt: { type: Date, default: null },
+    failedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: String, default: null },
+    lastError: { type: String, default: null },
+    closedAt: { type: Date, default: null }, // set on entering a terminal state
+    events: { type: [commandEventSchema], default: () => [{ status: "queued" }] },
   },
   { timestamps: true }
 );
 
-// Optional TTL cleanup after 24h if never executed:
+pendingCommandSchema.index({ sensorId: 1, createdAt: -1 });
+
+// Keep finished commands around for the history view, then let Mongo purge them.
+// Databases that still have the old 24h createdAt TTL need
+// scripts/migratePendingCommandIndexes.js run once.
 pendingCommandSchema.index(
-  { createdAt: 1 },
-  { expireAfterSeconds: 60 * 60 * 24 }
+  { closedAt: 1 },
+  { expireAfterSeconds: 60 * 60 * 24 * RETENTION_DAYS }
 );
 
+// Update document for a status transition, recording it in `events`
+const transition = (status, note = null, extra = {}) => {
+  const now = new Date();
+  const $set = { status, ...extra };
+  if (TERMINAL_STATUSES.includes(status)) $set.closedAt = now;
+  return { $set, $push: { events: { status, at: now, note } } };
+};
+
+// Atomically pop the oldest live queued command for a sensor, applying `update`
+const popQueued = (model, sensorId, filter, update) =>
+  model.findOneAndUpdate(
+    {
+      ...filter,
+      sensorId,
+      status: "queued",
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    },
+    { ...update, $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+// Pop the next command for a device that acks. `filter` narrows the pop to
+// e.g. one target so legacy routes only see their own commands.
+pendingCommandSchema.statics.dequeueNext = function (sensorId, filter = {}) {
+  const update = transition("dequeued", null, { dequeuedAt: new Date() });
+  return popQueued(this, sensorId, filter, update);
+};
+
+// Like dequeueNext for endpoints without an ack path: handing the command over
+// is the delivery, so it is closed as executed instead of waiting for an ack
+// that would never come (and being re-queued and re-sent by the sweeper)
+pendingCommandSchema.statics.deliverNext = function (sensorId, filter = {}) {
+  const now = new Date();
+  return popQueued(
+    this,
+    sensorId,
+    filter,
+    transition("executed", "Delivered (legacy endpoint, no acknowledgement)", {
+      dequeuedAt: now,
+      executedAt: now,
+    })
+  );
+};
+
+// Move a command to a new status only if it is currently in one of `from`
+pendingCommandSchema.statics.transition = function (
+  query,
+  from,
+  status,
+  note,
+  extra
+) {
+  return this.findOneAndUpdate(
+    { ...query, status: { $in: from } },
+    transition(status, note, extra),
+    { sort: { dequeuedAt: -1 }, new: true }
+  );
+};
+
+pendingCommandSchema.statics.cancelMany = async function (query, by, note) {
+  const now = new Date();
+  const update = transition("cancelled", note || null, {
+    cancelledAt: now,
+    cancelledBy: by || null,
+  });
+  const result = await this.updateMany(
+    { status: { $in: ["queued", "dequeued"] }, ...query },
+    update
+  );
+  return result.modifiedCount;
+};
+
+pendingCommandSchema.statics.transitionUpdate = transition;
+
+// Stream status transitions, including creation as "queued" (GET /api/stream)
+publishOnChange(pendingCommandSchema, {
+  field: "status",
+  event: "command",
+  onCreate: true,
+  select: "sensorId target action trigger tankId zoneId channel attempts lastError",
+  topicsOf: (c) => [
+    `sensor:${c.sensorId}`,
+    c.tankId && `tank:${c.tankId}`,
+    c.zoneId && `zone:${c.zoneId}`,
+  ],
+  payloadOf: (c, previous) => ({
+    id: String(c._id),
+    sensorId: c.sensorId,
+    target: c.target,
+    action: c.action,
+    trigger: c.trigger,
+    tankId: c.tankId || null,
+    zoneId: c.zoneId || null,
+    channel: c.channel || null,
+    attempts: c.attempts,
+    lastError: c.lastError || null,
+    status: c.status,
+    previous,
+  }),
+});
+
 module.exports = mongoose.model("PendingCommand", pendingCommandSchema);
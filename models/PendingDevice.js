@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Unknown device_ids that called /api/machines/ingest, held until an operator
+// approves them as a Machine or rejects them
+const pendingDeviceSchema = new mongoose.Schema(
+  {
+    deviceId: { type: String, required: true, unique: true, index: true },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+      index: true,
+    },
+    firstSeenAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+    seenCount: { type: Number, default: 1 },
+    lastPayload: {
+      s1: Boolean,
+      s2: Boolean,
+      s3: Boolean,
+    },
+    lastIp: { type: String, default: null },
+    machineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Machine",
+      default: null,
+    },
+    decidedAt: { type: Date, default: null },
+    decidedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PendingDevice", pendingDeviceSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// Consecutive frame threats from one camera and object class, grouped into a
+// single incident. `endedAt` is set once the object has not been seen for the
+// grouping gap; `status` is the operator workflow (open -> acknowledged -> closed).
+const threatIncidentSchema = new mongoose.Schema(
+  {
+    cameraId: { type: String, required: true, index: true },
+    objectClass: { type: String, required: true },
+    threatType: { type: String, required: true, index: true },
+    status: {
+      type: String,
+      enum: ["open", "acknowledged", "closed"],
+      default: "open",
+      index: true,
+    },
+    startedAt: { type: Date, required: true, index: true },
+    lastSeenAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    frameCount: { type: Number, default: 1 },
+    peakSeverity: { type: String, enum: ["low", "medium", "high"], required: true },
+    peakConfidence: { type: Number, default: null },
+    // Restricted zones the object was seen in
+    zones: { type: [String], default: [] },
+    // Frame with the highest severity (then confidence) so far
+    representative: {
+      analysisId: { type: mongoose.Schema.Types.ObjectId, ref: "FrameAnalysis" },
+      timestamp: Date,
+      severity: String,
+      confidence: Number,
+      bbox: { x: Number, y: Number, width: Number, height: Number },
+      imageUrl: String,
+    },
+    acknowledgedAt: { type: Date, default: null },
+    acknowledgedBy: { type: String, default: null },
+    closedAt: { type: Date, default: null },
+    closedBy: { type: String, default: null },
+    note: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+threatIncidentSchema.index({ cameraId: 1, objectClass: 1, endedAt: 1, lastSeenAt: -1 });
+threatIncidentSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.model("ThreatIncident", threatIncidentSchema);
@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const mongoose = require("mongoose");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ["viewer", "operator", "agronomist", "admin"];
+const KEY_LENGTH = 64;
+
+const userSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    },
+    name: { type: String, default: "" },
+    role: { type: String, enum: ROLES, default: "viewer", index: true },
+    // "scrypt$<salt hex>$<hash hex>"
+    passwordHash: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    // Bumped on logout / password change; tokens carrying an older value are rejected
+    tokenVersion: { type: Number, default: 0 },
+    lastLoginAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+userSchema.methods.setPassword = async function (password) {
+  if (typeof password !== "string" || password.length < 8) {
+    const err = new Error("Password must be at least 8 characters");
+    err.name = "ValidationError";
+    throw err;
+  }
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  this.passwordHash = `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+};
+
+// Needs the document loaded with .select("+passwordHash")
+userSchema.methods.verifyPassword = async function (password) {
+  const [scheme, saltHex, hashHex] = String(this.passwordHash || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(String(password || ""), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+userSchema.methods.toApi = function () {
+  return {
+    id: String(this._id),
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    active: this.active,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt,
+  };
+};
+
+const User = mongoose.model("User", userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
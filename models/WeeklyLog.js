@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+// Weekly plant log entry (photo + farmer notes + AI analysis/comment).
+// `logId` keeps the "log_<timestamp>" ids used before logs moved out of
+// data/weekly-logs.json; new ones are "log_<timestamp>_<random hex>".
+const weeklyLogSchema = new mongoose.Schema(
+  {
+    logId: { type: String, required: true, unique: true, index: true },
+    // Legacy numeric field id; logs linked to a zone may omit it
+    fieldId: { type: Number, default: null, index: true },
+    zoneId: { type: String, default: null, index: true },
+    cropType: { type: String, default: null },
+    // Derived from the zone's plantingDate and crop profile at `date`
+    daysSincePlanting: { type: Number, default: null },
+    growthStage: {
+      name: String,
+      dayInStage: Number,
+      startDay: Number,
+      endDay: Number,
+      minMoisture: Number,
+      maxMoisture: Number,
+    },
+    // Soil / irrigation / environment summary the AI comment was based on
+    conditions: { type: mongoose.Schema.Types.Mixed, default: null },
+    week: { type: Number, required: true, min: 0 },
+    date: { type: Date, default: Date.now, index: true },
+    imagePath: { type: String, default: null },
+    imageUrl: { type: String, default: null },
+    notes: { type: String, default: "" },
+    analysis: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Copied out of `analysis` so logs can be filtered by health
+    health: {
+      type: String,
+      enum: ["Excellent", "Good", "Fair", "Poor", null],
+      default: null,
+      index: true,
+    },
+    overallScore: { type: Number, default: null },
+    plantIdentification: {
+      name: String,
+      category: String,
+      confidence: Number,
+    },
+    aiComment: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: true }
+);
+
+weeklyLogSchema.index({ fieldId: 1, week: 1 });
+weeklyLogSchema.index({ zoneId: 1, date: -1 });
+weeklyLogSchema.index({ fieldId: 1, date: -1 });
+
+const HEALTH_VALUES = ["Excellent", "Good", "Fair", "Poor"];
+
+weeklyLogSchema.pre("validate", function (next) {
+  if (this.fieldId === null && !this.zoneId) {
+    this.invalidate("fieldId", "A weekly log needs a fieldId or a zoneId");
+  }
+  if (this.isModified("analysis")) {
+    const health = this.analysis?.health;
+    this.health = HEALTH_VALUES.includes(health) ? health : null;
+    const score = Number(this.analysis?.overallScore);
+    this.overallScore = Number.isFinite(score) ? score : null;
+  }
+  next();
+});
+
+// API shape kept from the JSON-file era
+weeklyLogSchema.methods.toApi = function () {
+  const o = this.toObject();
+  return {
+    id: o.logId,
+    fieldId: o.fieldId,
+    zoneId: o.zoneId,
+    cropType: o.cropType,
+    week: o.week,
+    daysSincePlanting: o.daysSincePlanting,
+    growthStage: o.growthStage?.name ? o.growthStage : null,
+    conditions: o.conditions,
+    date: o.date,
+    imagePath: o.imagePath,
+    imageUrl: o.imageUrl,
+    notes: o.notes,
+    analysis: o.analysis,
+    health: o.health,
+    plantIdentification: o.plantIdentification,
+    aiComment: o.aiComment,
+    createdAt: o.createdAt,
+    updatedAt: o.updatedAt,
+  };
+};
+
+module.exports = mongoose.model("WeeklyLog", weeklyLogSchema);
+module.exports.HEALTH_VALUES = HEALTH_VALUES;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { publishOnCreate } = require("../services/realtimeHooks");
 
 // Environmental Reading Schema
 const environmentalReadingSchema = new mongoose.Schema(
@@ -32,6 +33,20 @@ const environmentalReadingSchema = new mongoose.Schema(
       enum: ["Low", "Moderate", "High", "Very High", "Extreme"],
       default: "Low",
     },
+    // Values as reported by the device; the top-level fields hold the
+    // calibrated values
+    raw: {
+      temperatureCelsius: { type: Number, default: null },
+      humidityPercent: { type: Number, default: null },
+      uvIndex: { type: Number, default: null },
+    },
+    // Offsets that were applied to produce the calibrated values
+    calibrationApplied: {
+      temperatureOffset: { type: Number, default: 0 },
+      humidityOffset: { type: Number, default: 0 },
+      uvOffset: { type: Number, default: 0 },
+      appliedAt: { type: Date, default: null },
+    },
     timestamp: {
       type: Date,
       default: Date.now,
@@ -67,6 +82,14 @@ const environmentalSensorConfigSchema = new mongoose.Schema(
       temperatureOffset: { type: Number, default: 0 },
       humidityOffset: { type: Number, default: 0 },
       uvOffset: { type: Number, default: 0 },
+      calibratedAt: { type: Date, default: null },
+      reference: {
+        instrument: { type: String, default: null },
+        temperatureCelsius: { type: Number, default: null },
+        humidityPercent: { type: Number, default: null },
+        uvIndex: { type: Number, default: null },
+        readingId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      },
     },
     alertThresholds: {
       minTemperature: { type: Number, default: 5 },
@@ -125,14 +148,40 @@ const environmentalAlertSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Worst value observed while the alert stayed open
+    peakValue: {
+      type: Number,
+      default: null,
+    },
+    lastTriggeredAt: {
+      type: Date,
+      default: null,
+    },
+    isAcknowledged: {
+      type: Boolean,
+      default: false,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    acknowledgedBy: {
+      type: String,
+      default: null,
+    },
     isResolved: {
       type: Boolean,
       default: false,
+      index: true,
     },
     resolvedAt: {
       type: Date,
       default: null,
     },
+    resolvedBy: {
+      type: String,
+      default: null, // "auto" when the reading returned to normal, otherwise the operator
+    },
     timestamp: {
       type: Date,
       default: Date.now,
@@ -144,6 +193,8 @@ const environmentalAlertSchema = new mongoose.Schema(
   }
 );
 
+environmentalAlertSchema.index({ sensorId: 1, alertType: 1, isResolved: 1 });
+
 // Static methods
 environmentalReadingSchema.statics.getLatestBySensor = function (sensorId) {
   return this.findOne({ sensorId }).sort({ timestamp: -1 });
@@ -163,6 +214,13 @@ environmentalSensorConfigSchema.statics.updateLastSeen = function (sensorId, rea
   );
 };
 
+// Stream new readings (GET /api/stream)
+publishOnCreate(environmentalReadingSchema, {
+  event: "reading",
+  topicsOf: (r) => [`sensor:${r.sensorId}`],
+  payloadOf: (r) => ({ kind: "environmental", ...r.toObject() }),
+});
+
 const EnvironmentalReading = mongoose.model("EnvironmentalReading", environmentalReadingSchema);
 const EnvironmentalSensorConfig = mongoose.model("EnvironmentalSensorConfig", environmentalSensorConfigSchema);
 const EnvironmentalAlert = mongoose.model("EnvironmentalAlert", environmentalAlertSchema);
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const { HHMM, isValidTimeZone, DEFAULT_TIMEZONE } = require("../services/localTime");
+
+const EVENT_TYPES = [
+  "threat",
+  "machine_offline",
+  "tank_low",
+  "environmental_alert",
+  "device_quarantined",
+  "tank_leak",
+  "pump_protection",
+];
+const SEVERITIES = ["low", "medium", "high", "critical"];
+
+// ==============================
+// SCHEMAS
+// ==============================
+
+// One user's rule for receiving events on one channel
+const notificationSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, index: true },
+    name: { type: String, default: "" },
+    channel: { type: String, required: true }, // webhook | email | sms
+    // URL, email address or phone number, depending on the channel
+    target: { type: String, required: true, trim: true },
+    // Event types to receive; empty means all
+    events: {
+      type: [{ type: String, enum: EVENT_TYPES }],
+      default: [],
+    },
+    // Camera / tank / machine device / sensor ids to receive; empty means all
+    sources: { type: [String], default: [] },
+    minSeverity: { type: String, enum: SEVERITIES, default: "low" },
+    // Local-time window during which only bypassSeverity and above is sent
+    quietHours: {
+      start: { type: String, match: HHMM },
+      end: { type: String, match: HHMM },
+      days: [{ type: Number, min: 0, max: 6 }],
+      timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: { validator: isValidTimeZone, message: "Unknown timezone" },
+      },
+      bypassSeverity: { type: String, enum: SEVERITIES, default: "critical" },
+    },
+    // Sent notifications allowed per rolling hour; 0 disables the limit
+    maxPerHour: { type: Number, default: 10, min: 0 },
+    enabled: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+notificationSubscriptionSchema.index({ enabled: 1, events: 1 });
+
+// Delivery log: one entry per subscription per event, including the ones
+// held back by quiet hours or rate limiting
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NotificationSubscription",
+      index: true,
+    },
+    userId: { type: String, index: true },
+    channel: String,
+    target: String,
+    eventType: { type: String, enum: EVENT_TYPES.concat("test"), index: true },
+    severity: { type: String, enum: SEVERITIES },
+    source: { type: String, default: null },
+    title: String,
+    message: String,
+    data: { type: mongoose.Schema.Types.Mixed, default: null },
+    status: {
+      type: String,
+      enum: ["sent", "failed", "suppressed_quiet_hours", "suppressed_rate_limit"],
+      required: true,
+      index: true,
+    },
+    error: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    durationMs: { type: Number, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationDeliverySchema.index({ subscriptionId: 1, status: 1, createdAt: -1 });
+notificationDeliverySchema.index({ createdAt: -1 });
+
+// ==============================
+// MODELS
+// ==============================
+
+const NotificationSubscription = mongoose.model(
+  "NotificationSubscription",
+  notificationSubscriptionSchema
+);
+const NotificationDelivery = mongoose.model(
+  "NotificationDelivery",
+  notificationDeliverySchema
+);
+
+module.exports = {
+  NotificationSubscription,
+  NotificationDelivery,
+  EVENT_TYPES,
+  SEVERITIES,
+};
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { publishOnCreate, publishOnChange } = require("../services/realtimeHooks");
 
 // Crop Profile Schema - Updated with detailed stage information
 const cropProfileSchema = new mongoose.Schema(
@@ -168,6 +169,12 @@ const zoneConfigSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Probe channel on a multi-probe gateway (e.g. "1", "2"); null for a
+    // gateway that reports a single soil probe
+    sensorChannel: {
+      type: String,
+      default: null,
+    },
     relayId: {
       type: String,
       default: null,
@@ -285,7 +292,14 @@ const irrigationLogSchema = new mongoose.Schema(
     },
     trigger: {
       type: String,
-      enum: ["automatic", "manual", "scheduled", "stage_change"],
+      enum: [
+        "automatic",
+        "manual",
+        "manual_override",
+        "bulk_operation",
+        "scheduled",
+        "stage_change",
+      ],
       required: true,
     },
     moistureLevel: {
@@ -554,8 +568,30 @@ soilMoistureReadingSchema.methods.shouldTriggerIrrigation = async function () {
 // Add compound indexes
 soilMoistureReadingSchema.index({ zoneId: 1, timestamp: -1 });
 zoneConfigSchema.index({ cropType: 1, isActive: 1 });
+zoneConfigSchema.index({ sensorId: 1, sensorChannel: 1 });
 cropProfileSchema.index({ cropType: 1, isActive: 1 });
 
+// Stream new readings and relay changes (GET /api/stream)
+publishOnCreate(soilMoistureReadingSchema, {
+  event: "reading",
+  topicsOf: (r) => [`zone:${r.zoneId}`, r.sensorId && `sensor:${r.sensorId}`],
+  payloadOf: (r) => ({ kind: "soil", ...r.toObject() }),
+});
+
+publishOnChange(zoneConfigSchema, {
+  field: "relayStatus",
+  event: "relay",
+  select: "zoneId sensorId",
+  topicsOf: (z) => [`zone:${z.zoneId}`, z.sensorId && `sensor:${z.sensorId}`],
+  payloadOf: (z, previous) => ({
+    target: "irrigation",
+    zoneId: z.zoneId,
+    sensorId: z.sensorId,
+    relayStatus: z.relayStatus,
+    previous,
+  }),
+});
+
 // Create models
 const SoilMoistureReading = mongoose.model(
   "SoilMoistureReading",
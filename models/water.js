@@ -1,4 +1,14 @@
 const mongoose = require("mongoose");
+const { publishOnCreate, publishOnChange } = require("../services/realtimeHooks");
+const tankGeometry = require("../services/tankGeometry");
+
+// Limits enforced by services/pumpProtection
+const PUMP_PROTECTION_RULES = [
+  "max_runtime",
+  "min_off_time",
+  "min_fill_rate",
+  "max_starts_per_hour",
+];
 
 // ==============================
 // SCHEMAS
@@ -27,6 +37,17 @@ const waterReadingSchema = new mongoose.Schema(
       default: null,
       min: 0,
     },
+    // Derived from waterLevelCm and the tank's shape (services/tankGeometry)
+    volumeLiters: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    percentFull: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
     relayStatus: {
       type: String,
       enum: ["on", "off", "unknown"],
@@ -50,6 +71,14 @@ const tankConfigSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Geometry used for level -> volume; see services/tankGeometry for the
+    // fields each shape needs
+    shape: {
+      type: String,
+      enum: tankGeometry.SHAPES,
+      default: "vertical_cylinder",
+    },
+    // Distance from the sensor to the tank bottom
     tankHeightCm: {
       type: Number,
       required: true,
@@ -57,9 +86,37 @@ const tankConfigSchema = new mongoose.Schema(
     },
     tankRadiusCm: {
       type: Number,
-      required: true,
+      default: null,
       min: 5,
     },
+    lengthCm: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    widthCm: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    coneHeightCm: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    outletRadiusCm: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Level -> volume calibration points for shape "custom"
+    strappingTable: [
+      {
+        _id: false,
+        levelCm: { type: Number, required: true, min: 0 },
+        liters: { type: Number, required: true, min: 0 },
+      },
+    ],
     maxCapacityLiters: {
       type: Number,
       default: null,
@@ -70,6 +127,11 @@ const tankConfigSchema = new mongoose.Schema(
       default: 20,
       min: 0,
     },
+    // Set while the water level is below minThresholdCm (see services/tankAlerts)
+    lowLevelSince: {
+      type: Date,
+      default: null,
+    },
     location: {
       type: String,
       default: "",
@@ -79,6 +141,12 @@ const tankConfigSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    // Ultrasonic channel on a multi-tank gateway (e.g. "1", "2"); null for a
+    // gateway that reports a single water sensor
+    sensorChannel: {
+      type: String,
+      default: null,
+    },
     sensorAssignedAt: {
       type: Date,
       default: null,
@@ -108,6 +176,178 @@ const tankConfigSchema = new mongoose.Schema(
       enum: ["on", "off", "unknown"],
       default: "unknown",
     },
+    // Irrigation zones fed from this tank; empty means any zone may draw
+    // from it (used to tell irrigation draw from leaks)
+    irrigationZoneIds: {
+      type: [String],
+      default: [],
+    },
+    // Normal pump-off, no-irrigation drawdown learned from history
+    // (services/tankLeaks). Rates are liters per hour.
+    drawdownProfile: {
+      learnedAt: { type: Date, default: null },
+      days: { type: Number, default: null },
+      samples: { type: Number, default: 0 },
+      medianLph: { type: Number, default: null },
+      p95Lph: { type: Number, default: null },
+      // By local hour of day, 0-23
+      hourly: [
+        {
+          _id: false,
+          hour: Number,
+          samples: Number,
+          medianLph: Number,
+          p95Lph: Number,
+        },
+      ],
+    },
+    // Pump protection limits (services/pumpProtection); null turns a rule off.
+    // Off until an operator enables it for the tank; the limits below are the
+    // suggested starting values once it is.
+    pumpProtection: {
+      enabled: { type: Boolean, default: false },
+      maxRuntimeMinutes: { type: Number, default: 240, min: 1 },
+      minOffMinutes: { type: Number, default: 5, min: 0 },
+      // Level rise expected while pumping, judged over the last
+      // fillCheckMinutes of a run (a dry borehole or burst pipe falls short)
+      minFillRateCmPerHour: { type: Number, default: 2, min: 0 },
+      fillCheckMinutes: { type: Number, default: 20, min: 5 },
+      maxStartsPerHour: { type: Number, default: 6, min: 1 },
+    },
+    // Pump runs as reported by the device's relay state (relayStatus above
+    // also changes when a command is queued)
+    pumpRun: {
+      relayStatus: {
+        type: String,
+        enum: ["on", "off", "unknown"],
+        default: "unknown",
+      },
+      startedAt: { type: Date, default: null },
+      startLevelCm: { type: Number, default: null },
+      stoppedAt: { type: Date, default: null },
+      // Protection stop already queued for the current run
+      stopQueuedAt: { type: Date, default: null },
+      recentStarts: { type: [Date], default: [] },
+    },
+    // Set when a protection rule trips; automation stays off until an
+    // operator resets it
+    pumpLockout: {
+      active: { type: Boolean, default: false },
+      rule: { type: String, enum: [...PUMP_PROTECTION_RULES, null], default: null },
+      message: { type: String, default: null },
+      lockedAt: { type: Date, default: null },
+      resetAt: { type: Date, default: null },
+      resetBy: { type: String, default: null },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Abnormal condition detected on a tank (services/tankLeaks)
+const tankAlertSchema = new mongoose.Schema(
+  {
+    tankId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    alertType: {
+      type: String,
+      enum: ["abnormal_drawdown"],
+      required: true,
+    },
+    // irrigation_valve: the drop began soon after irrigation on a zone fed by
+    // the tank stopped; leak: no irrigation to blame
+    suspectedCause: {
+      type: String,
+      enum: ["leak", "irrigation_valve"],
+      default: "leak",
+    },
+    severity: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    startLiters: {
+      type: Number,
+      default: null,
+    },
+    currentLiters: {
+      type: Number,
+      default: null,
+    },
+    droppedLiters: {
+      type: Number,
+      default: 0,
+    },
+    rateLph: {
+      type: Number,
+      default: null,
+    },
+    peakRateLph: {
+      type: Number,
+      default: null,
+    },
+    expectedRateLph: {
+      type: Number,
+      default: null,
+    },
+    // Hours until empty at the current rate
+    hoursToEmpty: {
+      type: Number,
+      default: null,
+    },
+    recentIrrigation: [
+      {
+        _id: false,
+        zoneId: String,
+        stoppedAt: Date,
+      },
+    ],
+    lastTriggeredAt: {
+      type: Date,
+      default: null,
+    },
+    isAcknowledged: {
+      type: Boolean,
+      default: false,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    acknowledgedBy: {
+      type: String,
+      default: null,
+    },
+    isResolved: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedBy: {
+      type: String,
+      default: null, // "auto" when the drawdown returned to normal, otherwise the operator
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -142,9 +382,20 @@ const pumpLogSchema = new mongoose.Schema(
         "bulk_operation",
         "relay_control",
         "fallback_auto",
+        "pump_protection",
       ],
       required: true,
     },
+    // Rule that tripped, for trigger "pump_protection"
+    protectionRule: {
+      type: String,
+      enum: [...PUMP_PROTECTION_RULES, null],
+      default: null,
+    },
+    notes: {
+      type: String,
+      default: null,
+    },
     waterLevelCm: {
       type: Number,
       default: null,
@@ -179,6 +430,7 @@ waterReadingSchema.index({ tankId: 1, timestamp: -1 });
 waterReadingSchema.index({ sensorId: 1, timestamp: -1 });
 pumpLogSchema.index({ tankId: 1, timestamp: -1 });
 pumpLogSchema.index({ tankId: 1, action: 1, timestamp: -1 });
+tankAlertSchema.index({ tankId: 1, alertType: 1, isResolved: 1 });
 
 // ==============================
 // STATIC METHODS
@@ -193,15 +445,37 @@ waterReadingSchema.statics.getLatestBySensor = function (sensorId) {
   return this.findOne({ sensorId }).sort({ timestamp: -1 });
 };
 
+// Reading as a plain object with volumeLiters/percentFull filled in from the
+// tank's current geometry when it was stored without them
+waterReadingSchema.statics.withVolume = function (reading, tankConfig) {
+  if (!reading) return null;
+  const r = typeof reading.toObject === "function" ? reading.toObject() : { ...reading };
+  if (tankConfig && (r.volumeLiters == null || r.percentFull == null)) {
+    Object.assign(r, tankGeometry.fillAt(tankConfig, r.waterLevelCm));
+  }
+  return r;
+};
+
+const average = (values) =>
+  Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100;
+
 waterReadingSchema.statics.getTankStats = async function (tankId, hours = 24) {
   const startDate = new Date();
   startDate.setHours(startDate.getHours() - hours);
 
-  const readings = await this.find({
-    tankId,
-    timestamp: { $gte: startDate },
-    waterLevelCm: { $ne: null },
-  });
+  const tankConfig = await mongoose.model("TankConfig").findOne({ tankId });
+  const readings = (
+    await this.find({
+      tankId,
+      timestamp: { $gte: startDate },
+      waterLevelCm: { $ne: null },
+    }).lean()
+  ).map((r) => this.withVolume(r, tankConfig));
+
+  const tank = {
+    shape: tankConfig?.shape || null,
+    capacityLiters: tankConfig?.maxCapacityLiters ?? null,
+  };
 
   if (readings.length === 0) {
     return {
@@ -210,23 +484,31 @@ waterReadingSchema.statics.getTankStats = async function (tankId, hours = 24) {
       averageWaterLevel: null,
       minWaterLevel: null,
       maxWaterLevel: null,
+      averageVolumeLiters: null,
+      minVolumeLiters: null,
+      maxVolumeLiters: null,
       latestReading: null,
+      ...tank,
     };
   }
 
   const waterLevels = readings.map((r) => r.waterLevelCm);
-  const latest = await this.getLatestByTank(tankId);
+  const volumes = readings.map((r) => r.volumeLiters).filter((v) => v !== null);
+  const latest = this.withVolume(await this.getLatestByTank(tankId), tankConfig);
 
   return {
     tankId,
     readingCount: readings.length,
-    averageWaterLevel:
-      Math.round(
-        (waterLevels.reduce((a, b) => a + b, 0) / waterLevels.length) * 100
-      ) / 100,
+    averageWaterLevel: average(waterLevels),
     minWaterLevel: Math.min(...waterLevels),
     maxWaterLevel: Math.max(...waterLevels),
+    averageVolumeLiters: volumes.length > 0 ? average(volumes) : null,
+    minVolumeLiters: volumes.length > 0 ? Math.min(...volumes) : null,
+    maxVolumeLiters: volumes.length > 0 ? Math.max(...volumes) : null,
     latestReading: latest,
+    latestVolumeLiters: latest?.volumeLiters ?? null,
+    latestPercentFull: latest?.percentFull ?? null,
+    ...tank,
     periodHours: hours,
   };
 };
@@ -322,33 +604,46 @@ pumpLogSchema.statics.getPumpStats = async function (tankId, hours = 24) {
 // MIDDLEWARE (Hooks)
 // ==============================
 
-// Calculate water level if not provided
+// Calculate water level if not provided, then volume and percent full from
+// the tank's shape
 waterReadingSchema.pre("save", async function (next) {
-  if (!this.waterLevelCm && this.distanceCm) {
-    try {
-      // Use this.constructor instead of mongoose.model if possible, but for TankConfig we need the model
-      const tankConfig = await mongoose.model("TankConfig").findOne({ tankId: this.tankId });
-      if (tankConfig) {
+  if (!this.isNew || (this.volumeLiters != null && this.waterLevelCm != null)) {
+    return next();
+  }
+  try {
+    // Use this.constructor instead of mongoose.model if possible, but for TankConfig we need the model
+    const tankConfig = await mongoose.model("TankConfig").findOne({ tankId: this.tankId });
+    if (tankConfig) {
+      if (!this.waterLevelCm && this.distanceCm) {
         this.waterLevelCm = Math.max(
           0,
           tankConfig.tankHeightCm - this.distanceCm
         );
       }
-    } catch (error) {
-      console.warn("Could not calculate water level:", error.message);
+      if (this.volumeLiters == null) {
+        Object.assign(this, tankGeometry.fillAt(tankConfig, this.waterLevelCm));
+      }
     }
+  } catch (error) {
+    console.warn("Could not calculate water level:", error.message);
   }
   next();
 });
 
-// Calculate tank capacity from height and radius
+// Geometry must be complete for the shape. Only checked when it is set or
+// changed, so configs saved before shapes existed still take other updates.
+tankConfigSchema.pre("validate", function (next) {
+  const geometryChanged = tankGeometry.GEOMETRY_FIELDS.some((f) => this.isModified(f));
+  if (!this.isNew && !geometryChanged) return next();
+  const error = tankGeometry.validate(this);
+  if (error) this.invalidate("shape", error);
+  next();
+});
+
+// Calculate tank capacity from the shape
 tankConfigSchema.pre("save", function (next) {
-  if (this.tankHeightCm && this.tankRadiusCm) {
-    // V = π * r² * h / 1000 (cm³ to Liters)
-    this.maxCapacityLiters = Math.round(
-      (Math.PI * Math.pow(this.tankRadiusCm, 2) * this.tankHeightCm) / 1000
-    );
-  }
+  const capacity = tankGeometry.capacityLiters(this);
+  if (capacity !== null) this.maxCapacityLiters = Math.round(capacity);
   next();
 });
 
@@ -375,6 +670,27 @@ pumpLogSchema.pre("save", async function (next) {
   next();
 });
 
+// Stream new readings and relay changes (GET /api/stream)
+publishOnCreate(waterReadingSchema, {
+  event: "reading",
+  topicsOf: (r) => [`tank:${r.tankId}`, r.sensorId && `sensor:${r.sensorId}`],
+  payloadOf: (r) => ({ kind: "water", ...r.toObject() }),
+});
+
+publishOnChange(tankConfigSchema, {
+  field: "relayStatus",
+  event: "relay",
+  select: "tankId sensorId",
+  topicsOf: (t) => [`tank:${t.tankId}`, t.sensorId && `sensor:${t.sensorId}`],
+  payloadOf: (t, previous) => ({
+    target: "water_pump",
+    tankId: t.tankId,
+    sensorId: t.sensorId,
+    relayStatus: t.relayStatus,
+    previous,
+  }),
+});
+
 // ==============================
 // EXPORTS
 // ==============================
@@ -382,9 +698,12 @@ pumpLogSchema.pre("save", async function (next) {
 const WaterReading = mongoose.models.WaterReading || mongoose.model("WaterReading", waterReadingSchema);
 const TankConfig = mongoose.models.TankConfig || mongoose.model("TankConfig", tankConfigSchema);
 const PumpLog = mongoose.models.PumpLog || mongoose.model("PumpLog", pumpLogSchema);
+const TankAlert = mongoose.models.TankAlert || mongoose.model("TankAlert", tankAlertSchema);
 
 module.exports = {
   WaterReading,
   TankConfig,
   PumpLog,
+  TankAlert,
+  PUMP_PROTECTION_RULES,
 };
@@ -1,15 +1,14 @@
 // routes/ai.js
 const express = require("express");
 const multer = require("multer");
-const OpenAI = require("openai");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const router = express.Router();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const ai = require("../services/aiProvider");
+const WeeklyLog = require("../models/WeeklyLog");
+const weeklyLogContext = require("../services/weeklyLogContext");
 
 // Configure multer for file uploads
 const upload = multer({
@@ -40,8 +39,7 @@ const cleanupFile = (filePath) => {
 // Helper function to check if image contains a plant
 const checkIfPlantImage = async (base64Image) => {
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const response = await ai.chat("plant_check", {
       messages: [
         {
           role: "user",
@@ -118,7 +116,8 @@ const generateWeeklyLogComment = async (
   notes,
   plantType,
   week,
-  previousLogs = []
+  previousLogs = [],
+  fieldConditions = ""
 ) => {
   try {
     // Prepare context about previous logs
@@ -137,8 +136,7 @@ const generateWeeklyLogComment = async (
         .join("\n")}`;
     }
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const response = await ai.chat("weekly_comment", {
       messages: [
         {
           role: "system",
@@ -160,7 +158,7 @@ AI Analysis Results:
 - Issues: ${analysis?.issues?.join(", ") || "None identified"}
 - Recommendations: ${analysis?.recommendations?.join(", ") || "None provided"}
 ${historyContext}
-
+${fieldConditions ? `\nField conditions this week (from the zone's sensors):\n${fieldConditions}\n` : ""}
 Provide a comment in this JSON format:
 {
   "comment": "Your encouraging and insightful comment here",
@@ -174,7 +172,8 @@ Focus on:
 - Specific actionable advice
 - Acknowledging farmer's observations
 - Encouraging positive practices
-- Highlighting concerns if any`,
+- Highlighting concerns if any
+- Referring to the field conditions (e.g. moisture dips below the stage target) when provided`,
         },
       ],
       max_tokens: 400,
@@ -243,8 +242,7 @@ router.post("/plant-health", upload.single("image"), async (req, res) => {
     }
 
     // Proceed with plant health analysis
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const response = await ai.chat("plant_health", {
       messages: [
         {
           role: "user",
@@ -354,8 +352,10 @@ router.post("/plant-health", upload.single("image"), async (req, res) => {
 
 // Weekly Log Entry Route
 router.post("/weekly-log", upload.single("image"), async (req, res) => {
+  // Where the image ended up once moved out of the multer temp dir
+  let storedPath = null;
   try {
-    const { notes, fieldId, week, date, analysis } = req.body;
+    const { notes, fieldId, zoneId, week, date, analysis } = req.body;
 
     if (!req.file) {
       return res.status(400).json({
@@ -364,14 +364,33 @@ router.post("/weekly-log", upload.single("image"), async (req, res) => {
       });
     }
 
-    if (!notes || !fieldId) {
+    if (!notes || (!fieldId && !zoneId)) {
       cleanupFile(req.file.path);
       return res.status(400).json({
         success: false,
-        error: "Missing required fields: notes and fieldId are required",
+        error: "Missing required fields: notes and fieldId (or zoneId) are required",
       });
     }
 
+    const logDate = date ? new Date(date) : new Date();
+    if (isNaN(logDate.getTime())) {
+      cleanupFile(req.file.path);
+      return res.status(400).json({ success: false, error: "Invalid date" });
+    }
+
+    // A zone-linked log takes its week and growth stage from the zone
+    let zoneContext = null;
+    if (zoneId) {
+      zoneContext = await weeklyLogContext.resolveZone(zoneId, logDate);
+      if (!zoneContext) {
+        cleanupFile(req.file.path);
+        return res.status(404).json({
+          success: false,
+          error: `Zone ${zoneId} not found`,
+        });
+      }
+    }
+
     const imagePath = req.file.path;
     const base64Image = encodeImage(imagePath);
 
@@ -402,38 +421,34 @@ router.post("/weekly-log", upload.single("image"), async (req, res) => {
       }
     }
 
-    // Read existing logs to get previous entries for AI context
-    const logsFilePath = path.join("data", "weekly-logs.json");
-    let existingLogs = [];
-    if (fs.existsSync(logsFilePath)) {
-      try {
-        const logsData = fs.readFileSync(logsFilePath, "utf8");
-        existingLogs = JSON.parse(logsData);
-      } catch (e) {
-        console.error("Error reading existing logs:", e);
-        existingLogs = [];
-      }
-    }
+    const logWeek = zoneContext?.week ?? (parseInt(week) || 1);
+    const conditions = zoneContext
+      ? await weeklyLogContext.collectConditions(zoneContext, logDate)
+      : null;
 
-    // Get previous logs for this field for AI context
-    const fieldLogs = existingLogs
-      .filter((log) => log.fieldId === parseInt(fieldId))
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 3); // Last 3 logs
+    // Get previous logs for this field/zone for AI context
+    const fieldLogs = await WeeklyLog.find(
+      zoneId ? { zoneId } : { fieldId: parseInt(fieldId) }
+    )
+      .sort({ date: -1 })
+      .limit(3) // Last 3 logs
+      .lean();
 
     // Generate AI comment
     const aiComment = await generateWeeklyLogComment(
       parsedAnalysis,
       notes,
-      plantCheck.plantType,
-      parseInt(week) || 1,
-      fieldLogs
+      zoneContext?.cropProfile?.name || plantCheck.plantType,
+      logWeek,
+      fieldLogs,
+      weeklyLogContext.describeConditions(zoneContext, conditions)
     );
 
-    // Generate filename for permanent storage
-    const timestamp = Date.now();
+    // Generate filename for permanent storage; the suffix keeps uploads in
+    // the same millisecond apart (logId is unique)
+    const stamp = `${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
     const fileExtension = path.extname(req.file.originalname);
-    const permanentFileName = `weekly-log-${fieldId}-${timestamp}${fileExtension}`;
+    const permanentFileName = `weekly-log-${zoneId || fieldId}-${stamp}${fileExtension}`;
     const permanentPath = path.join(
       "uploads",
       "weekly-logs",
@@ -448,13 +463,18 @@ router.post("/weekly-log", upload.single("image"), async (req, res) => {
 
     // Move file to permanent location
     fs.renameSync(imagePath, permanentPath);
-
-    // Create log entry object
-    const logEntry = {
-      id: `log_${timestamp}`,
-      fieldId: parseInt(fieldId),
-      week: parseInt(week) || 1,
-      date: date || new Date().toISOString(),
+    storedPath = permanentPath;
+
+    const logEntry = await WeeklyLog.create({
+      logId: `log_${stamp}`,
+      fieldId: fieldId ? parseInt(fieldId) : null,
+      zoneId: zoneId || null,
+      cropType: zoneContext?.zone.cropType || null,
+      daysSincePlanting: zoneContext?.daysSincePlanting ?? null,
+      growthStage: zoneContext?.stage || undefined,
+      conditions,
+      week: logWeek,
+      date: logDate,
       imagePath: permanentPath,
       imageUrl: `/uploads/weekly-logs/${permanentFileName}`,
       notes: notes,
@@ -465,30 +485,16 @@ router.post("/weekly-log", upload.single("image"), async (req, res) => {
         confidence: plantCheck.confidence,
       },
       aiComment: aiComment,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-
-    // In a real application, you would save this to a database
-    // For now, we'll save to a JSON file as a simple storage solution
-    const dataDir = path.dirname(logsFilePath);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-
-    // Add new log entry
-    existingLogs.push(logEntry);
-
-    // Save updated logs
-    fs.writeFileSync(logsFilePath, JSON.stringify(existingLogs, null, 2));
+    });
 
     res.json({
       success: true,
-      data: logEntry,
+      data: logEntry.toApi(),
       message: "Weekly log saved successfully",
     });
   } catch (error) {
-    if (req.file) cleanupFile(req.file.path);
+    if (storedPath) cleanupFile(storedPath);
+    else if (req.file) cleanupFile(req.file.path);
     console.error("Weekly log error:", error);
 
     res.status(500).json({
@@ -499,34 +505,79 @@ router.post("/weekly-log", upload.single("image"), async (req, res) => {
   }
 });
 
-// Get Weekly Logs for a Field
-router.get("/weekly-logs/:fieldId", async (req, res) => {
-  try {
-    const { fieldId } = req.params;
-    const logsFilePath = path.join("data", "weekly-logs.json");
+// Filters shared by the weekly log listings:
+// zoneId, stage, weekFrom, weekTo, health (comma separated), page, limit
+const buildWeeklyLogQuery = (query, fieldId) => {
+  const filter = {};
+  if (fieldId !== undefined) {
+    const id = parseInt(fieldId);
+    if (!Number.isFinite(id)) return { error: "fieldId must be a number" };
+    filter.fieldId = id;
+  }
 
-    if (!fs.existsSync(logsFilePath)) {
-      return res.json({
-        success: true,
-        data: [],
-      });
+  if (query.zoneId) filter.zoneId = String(query.zoneId);
+  if (query.stage) filter["growthStage.name"] = String(query.stage);
+
+  const weekFrom = query.weekFrom !== undefined ? parseInt(query.weekFrom) : null;
+  const weekTo = query.weekTo !== undefined ? parseInt(query.weekTo) : null;
+  if (Number.isNaN(weekFrom) || Number.isNaN(weekTo)) {
+    return { error: "weekFrom/weekTo must be numbers" };
+  }
+  if (weekFrom !== null || weekTo !== null) {
+    filter.week = {};
+    if (weekFrom !== null) filter.week.$gte = weekFrom;
+    if (weekTo !== null) filter.week.$lte = weekTo;
+  }
+
+  if (query.health) {
+    const wanted = String(query.health)
+      .split(",")
+      .map((h) => h.trim())
+      .map((h) => h.charAt(0).toUpperCase() + h.slice(1).toLowerCase());
+    const invalid = wanted.filter((h) => !WeeklyLog.HEALTH_VALUES.includes(h));
+    if (invalid.length > 0) {
+      return {
+        error: `Invalid health: ${invalid.join(", ")}. Use ${WeeklyLog.HEALTH_VALUES.join(", ")}`,
+      };
     }
+    filter.health = { $in: wanted };
+  }
 
-    const logsData = fs.readFileSync(logsFilePath, "utf8");
-    const allLogs = JSON.parse(logsData);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+  return { filter, page, limit };
+};
 
-    // Filter logs for the specific field
-    const fieldLogs = allLogs.filter(
-      (log) => log.fieldId === parseInt(fieldId)
-    );
+const listWeeklyLogs = async (req, res, fieldId) => {
+  const { filter, page, limit, error } = buildWeeklyLogQuery(req.query, fieldId);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-    // Sort by date (newest first)
-    fieldLogs.sort((a, b) => new Date(b.date) - new Date(a.date));
+  const [logs, total] = await Promise.all([
+    WeeklyLog.find(filter)
+      .sort({ date: -1 }) // newest first
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WeeklyLog.countDocuments(filter),
+  ]);
 
-    res.json({
-      success: true,
-      data: fieldLogs,
-    });
+  res.json({
+    success: true,
+    data: logs.map((log) => log.toApi()),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+};
+
+// Get Weekly Logs for a Field
+router.get("/weekly-logs/:fieldId", async (req, res) => {
+  try {
+    await listWeeklyLogs(req, res, req.params.fieldId);
   } catch (error) {
     console.error("Error fetching weekly logs:", error);
     res.status(500).json({
@@ -537,86 +588,185 @@ router.get("/weekly-logs/:fieldId", async (req, res) => {
   }
 });
 
-// Get All Weekly Logs
+// Get All Weekly Logs (optionally ?fieldId=)
 router.get("/weekly-logs", async (req, res) => {
   try {
-    const logsFilePath = path.join("data", "weekly-logs.json");
+    await listWeeklyLogs(req, res, req.query.fieldId);
+  } catch (error) {
+    console.error("Error fetching all weekly logs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch weekly logs",
+      message: error.message,
+    });
+  }
+});
 
-    if (!fs.existsSync(logsFilePath)) {
-      return res.json({
-        success: true,
-        data: [],
+// Edit a Weekly Log Entry (notes, week, date, fieldId, analysis)
+router.put("/weekly-log/:logId", async (req, res) => {
+  try {
+    const log = await WeeklyLog.findOne({ logId: req.params.logId });
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: "Log entry not found",
       });
     }
 
-    const logsData = fs.readFileSync(logsFilePath, "utf8");
-    const allLogs = JSON.parse(logsData);
+    const { notes, week, date, fieldId, zoneId, analysis } = req.body;
+    if (notes !== undefined) log.notes = notes;
+    if (week !== undefined) {
+      const parsedWeek = parseInt(week);
+      if (!Number.isFinite(parsedWeek) || parsedWeek < 0) {
+        return res.status(400).json({ success: false, error: "Invalid week" });
+      }
+      log.week = parsedWeek;
+    }
+    if (fieldId !== undefined) {
+      const parsedField = parseInt(fieldId);
+      if (!Number.isFinite(parsedField)) {
+        return res.status(400).json({ success: false, error: "Invalid fieldId" });
+      }
+      log.fieldId = parsedField;
+    }
+    if (date !== undefined) {
+      const parsedDate = new Date(date);
+      if (isNaN(parsedDate.getTime())) {
+        return res.status(400).json({ success: false, error: "Invalid date" });
+      }
+      log.date = parsedDate;
+    }
+    if (zoneId !== undefined) log.zoneId = zoneId || null;
+
+    // Re-derive crop week/stage when the zone or date changes
+    if (log.zoneId && (zoneId !== undefined || date !== undefined)) {
+      const zoneContext = await weeklyLogContext.resolveZone(log.zoneId, log.date);
+      if (!zoneContext) {
+        return res
+          .status(404)
+          .json({ success: false, error: `Zone ${log.zoneId} not found` });
+      }
+      log.cropType = zoneContext.zone.cropType || null;
+      log.daysSincePlanting = zoneContext.daysSincePlanting;
+      log.growthStage = zoneContext.stage || undefined;
+      if (zoneContext.week !== null && week === undefined) log.week = zoneContext.week;
+      log.conditions = await weeklyLogContext.collectConditions(zoneContext, log.date);
+    } else if (zoneId !== undefined && !log.zoneId) {
+      log.cropType = null;
+      log.daysSincePlanting = null;
+      log.growthStage = undefined;
+      log.conditions = null;
+    }
+    if (analysis !== undefined) {
+      try {
+        log.analysis =
+          typeof analysis === "string" ? JSON.parse(analysis) : analysis;
+      } catch (e) {
+        return res
+          .status(400)
+          .json({ success: false, error: "analysis must be valid JSON" });
+      }
+    }
 
-    // Sort by date (newest first)
-    allLogs.sort((a, b) => new Date(b.date) - new Date(a.date));
+    await log.save();
 
     res.json({
       success: true,
-      data: allLogs,
+      data: log.toApi(),
+      message: "Weekly log updated successfully",
     });
   } catch (error) {
-    console.error("Error fetching all weekly logs:", error);
+    console.error("Error updating weekly log:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch weekly logs",
+      error: "Failed to update weekly log",
       message: error.message,
     });
   }
 });
 
-// Regenerate AI Comment for Existing Log
-router.post("/weekly-log/:logId/comment", async (req, res) => {
+// Delete a Weekly Log Entry and its stored image
+router.delete("/weekly-log/:logId", async (req, res) => {
   try {
-    const { logId } = req.params;
-    const logsFilePath = path.join("data", "weekly-logs.json");
-
-    if (!fs.existsSync(logsFilePath)) {
+    const log = await WeeklyLog.findOneAndDelete({ logId: req.params.logId });
+    if (!log) {
       return res.status(404).json({
         success: false,
-        error: "No logs found",
+        error: "Log entry not found",
       });
     }
 
-    const logsData = fs.readFileSync(logsFilePath, "utf8");
-    const allLogs = JSON.parse(logsData);
+    const weeklyLogsDir = path.resolve("uploads", "weekly-logs");
+    if (log.imagePath && path.resolve(log.imagePath).startsWith(weeklyLogsDir)) {
+      cleanupFile(log.imagePath);
+    }
+
+    res.json({
+      success: true,
+      data: { logId: log.logId },
+      message: "Weekly log deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting weekly log:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete weekly log",
+      message: error.message,
+    });
+  }
+});
+
+// Regenerate AI Comment for Existing Log
+router.post("/weekly-log/:logId/comment", async (req, res) => {
+  try {
+    const { logId } = req.params;
 
-    // Find the specific log
-    const logIndex = allLogs.findIndex((log) => log.id === logId);
-    if (logIndex === -1) {
+    const targetLog = await WeeklyLog.findOne({ logId });
+    if (!targetLog) {
       return res.status(404).json({
         success: false,
         error: "Log entry not found",
       });
     }
 
-    const targetLog = allLogs[logIndex];
-
     // Get previous logs for context
-    const fieldLogs = allLogs
-      .filter((log) => log.fieldId === targetLog.fieldId && log.id !== logId)
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 3);
+    const fieldLogs = await WeeklyLog.find({
+      ...(targetLog.zoneId
+        ? { zoneId: targetLog.zoneId }
+        : { fieldId: targetLog.fieldId }),
+      logId: { $ne: logId },
+      date: { $lte: targetLog.date },
+    })
+      .sort({ date: -1 })
+      .limit(3)
+      .lean();
+
+    // Refresh the zone's conditions for the log's week
+    const zoneContext = targetLog.zoneId
+      ? await weeklyLogContext.resolveZone(targetLog.zoneId, targetLog.date)
+      : null;
+    if (zoneContext) {
+      targetLog.conditions = await weeklyLogContext.collectConditions(
+        zoneContext,
+        targetLog.date
+      );
+    }
 
     // Generate new AI comment
     const aiComment = await generateWeeklyLogComment(
       targetLog.analysis,
       targetLog.notes,
-      targetLog.plantIdentification?.name || "plant",
+      zoneContext?.cropProfile?.name ||
+        targetLog.plantIdentification?.name ||
+        "plant",
       targetLog.week,
-      fieldLogs
+      fieldLogs,
+      weeklyLogContext.describeConditions(zoneContext, targetLog.conditions)
     );
 
     // Update the log with new comment
-    allLogs[logIndex].aiComment = aiComment;
-    allLogs[logIndex].updatedAt = new Date().toISOString();
-
-    // Save updated logs
-    fs.writeFileSync(logsFilePath, JSON.stringify(allLogs, null, 2));
+    targetLog.aiComment = aiComment;
+    await targetLog.save();
 
     res.json({
       success: true,
@@ -668,8 +818,7 @@ router.post(
         });
       }
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o",
+      const response = await ai.chat("pest_identification", {
         messages: [
           {
             role: "user",
@@ -772,8 +921,7 @@ router.post("/crop-advice", async (req, res) => {
   try {
     const { cropType, stage, issues, location, soilType, weather } = req.body;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const response = await ai.chat("crop_advice", {
       messages: [
         {
           role: "system",
@@ -873,9 +1021,11 @@ router.get("/health", (req, res) => {
   res.json({
     success: true,
     service: "AI Analysis Service",
+    provider: ai.providerName(),
     models: {
-      vision: "gpt-4o",
-      text: "gpt-4o",
+      vision: ai.modelFor("plant_health"),
+      text: ai.modelFor("crop_advice"),
+      byTask: ai.describe().models,
     },
     features: [
       "Plant Health Analysis",
@@ -889,4 +1039,9 @@ router.get("/health", (req, res) => {
   });
 });
 
+// Token / cost accounting for all AI calls since start-up
+router.get("/usage", (req, res) => {
+  res.json({ success: true, usage: ai.getUsage() });
+});
+
 module.exports = router;
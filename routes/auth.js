@@ -0,0 +1,227 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const User = require("../models/User");
+const DeviceApiKey = require("../models/DeviceApiKey");
+const auth = require("../services/auth");
+
+function sendWriteError(res, error, fallback) {
+  if (error?.name === "ValidationError" || error?.name === "CastError") {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error?.code === 11000) {
+    return res.status(409).json({ success: false, error: "Email already registered" });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+const invalidId = (res) => res.status(400).json({ success: false, error: "Invalid id" });
+
+// ---------- sessions ----------
+
+// POST /api/auth/login - Body: { email, password } -> { token, user }
+router.post("/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res
+        .status(400)
+        .json({ success: false, error: "email and password are required" });
+    }
+    const user = await User.findOne({ email: String(email).toLowerCase() }).select(
+      "+passwordHash"
+    );
+    if (!user || !user.active || !(await user.verifyPassword(password))) {
+      return res.status(401).json({ success: false, error: "Invalid email or password" });
+    }
+    user.lastLoginAt = new Date();
+    await user.save();
+    res.json({ success: true, token: auth.signToken(user), user: user.toApi() });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ success: false, error: "Login failed", message: error.message });
+  }
+});
+
+// GET /api/auth/me - Current user and their permissions
+router.get("/me", (req, res) => {
+  if (!req.user) {
+    return res.json({ success: true, user: null, authDisabled: auth.AUTH_DISABLED });
+  }
+  res.json({
+    success: true,
+    user: req.user.toApi(),
+    permissions: auth.PERMISSIONS[req.user.role],
+  });
+});
+
+// POST /api/auth/logout - Revokes all of the user's sessions
+router.post("/logout", async (req, res) => {
+  try {
+    if (req.user) {
+      await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+    }
+    res.json({ success: true, message: "Logged out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ success: false, error: "Logout failed", message: error.message });
+  }
+});
+
+// POST /api/auth/password - Body: { currentPassword, newPassword }
+// Returns a fresh token; other sessions are revoked
+router.post("/password", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ success: false, error: "Authentication required" });
+    const { currentPassword, newPassword } = req.body || {};
+    const user = await User.findById(req.user._id).select("+passwordHash");
+    if (!(await user.verifyPassword(currentPassword))) {
+      return res.status(400).json({ success: false, error: "Current password is incorrect" });
+    }
+    await user.setPassword(newPassword);
+    user.tokenVersion += 1;
+    await user.save();
+    res.json({ success: true, token: auth.signToken(user) });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to change password");
+  }
+});
+
+// GET /api/auth/roles - Role -> permission matrix
+router.get("/roles", (req, res) => {
+  res.json({ success: true, data: auth.PERMISSIONS });
+});
+
+// ---------- users (admin) ----------
+
+router.get("/users", async (req, res) => {
+  try {
+    const users = await User.find().sort({ email: 1 });
+    res.json({ success: true, data: users.map((u) => u.toApi()) });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res.status(500).json({ success: false, error: "Failed to list users", message: error.message });
+  }
+});
+
+// Body: { email, password, name?, role? }
+router.post("/users", async (req, res) => {
+  try {
+    const { email, password, name, role } = req.body || {};
+    if (!email || !password) {
+      return res
+        .status(400)
+        .json({ success: false, error: "email and password are required" });
+    }
+    const user = new User({ email, name, role });
+    await user.setPassword(password);
+    await user.save();
+    res.status(201).json({ success: true, data: user.toApi() });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to create user");
+  }
+});
+
+// Body: { name?, role?, active?, password? }. Role, active and password
+// changes revoke the user's sessions.
+router.put("/users/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return invalidId(res);
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, error: "User not found" });
+
+    const { name, role, active, password } = req.body || {};
+    if (String(user._id) === String(req.user?._id) && (role !== undefined || active === false)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Admins cannot change their own role or deactivate themselves" });
+    }
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = !!active;
+    if (password !== undefined) await user.setPassword(password);
+    if (role !== undefined || active !== undefined || password !== undefined) {
+      user.tokenVersion += 1;
+    }
+    await user.save();
+    res.json({ success: true, data: user.toApi() });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to update user");
+  }
+});
+
+router.delete("/users/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return invalidId(res);
+    if (String(req.params.id) === String(req.user?._id)) {
+      return res.status(400).json({ success: false, error: "Admins cannot delete themselves" });
+    }
+    const result = await User.deleteOne({ _id: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    res.json({ success: true, message: "User deleted" });
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    res.status(500).json({ success: false, error: "Failed to delete user", message: error.message });
+  }
+});
+
+// ---------- device API keys (admin) ----------
+
+router.get("/device-keys", async (req, res) => {
+  try {
+    const keys = await DeviceApiKey.find().sort({ createdAt: -1 }).lean();
+    res.json({ success: true, data: keys });
+  } catch (error) {
+    console.error("Error listing device keys:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to list device keys", message: error.message });
+  }
+});
+
+// Body: { name, deviceIds? } -> the key is only returned here
+router.post("/device-keys", async (req, res) => {
+  try {
+    const { name, deviceIds } = req.body || {};
+    if (!name) return res.status(400).json({ success: false, error: "name is required" });
+    const { doc, key } = await DeviceApiKey.issue({
+      name,
+      deviceIds: Array.isArray(deviceIds) ? deviceIds.map(String) : [],
+      createdBy: auth.actorOf(req),
+    });
+    res.status(201).json({
+      success: true,
+      data: { id: String(doc._id), name: doc.name, prefix: doc.prefix, deviceIds: doc.deviceIds },
+      key,
+      message: "Store this key now; it cannot be shown again",
+    });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to create device key");
+  }
+});
+
+// Revokes a key; devices using it get 401 from then on
+router.delete("/device-keys/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return invalidId(res);
+    const key = await DeviceApiKey.findOneAndUpdate(
+      { _id: req.params.id, active: true },
+      { $set: { active: false, revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!key) {
+      return res.status(404).json({ success: false, error: "Active device key not found" });
+    }
+    res.json({ success: true, message: `Device key ${key.prefix}… revoked` });
+  } catch (error) {
+    console.error("Error revoking device key:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to revoke device key", message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require("express");
+const router = express.Router();
+const DeviceCredential = require("../models/DeviceCredential");
+const deviceSignature = require("../services/deviceSignature");
+const auth = require("../services/auth");
+
+const ROTATION_GRACE_SECONDS = Number(process.env.DEVICE_ROTATION_GRACE_SECONDS || 86400);
+
+function sendWriteError(res, error, fallback) {
+  if (error?.name === "ValidationError" || error?.name === "CastError") {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error?.code === 11000) {
+    return res.status(409).json({ success: false, error: "Device is already enrolled" });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+const notEnrolled = (res, deviceId) =>
+  res.status(404).json({ success: false, error: `Device ${deviceId} is not enrolled` });
+
+// GET /api/devices/credentials?quarantined=true - Enrolled devices (no secrets)
+router.get("/credentials", async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.quarantined !== undefined) {
+      query.quarantined = req.query.quarantined === "true";
+    }
+    const rows = await DeviceCredential.find(query).sort({ deviceId: 1 }).lean();
+    res.json({
+      success: true,
+      data: rows,
+      signaturesRequired: deviceSignature.REQUIRED,
+      maxSkewSeconds: deviceSignature.MAX_SKEW_SECONDS,
+      quarantineAfterFailures: deviceSignature.QUARANTINE_AFTER_FAILURES,
+    });
+  } catch (error) {
+    console.error("Error listing device credentials:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list device credentials",
+      message: error.message,
+    });
+  }
+});
+
+router.get("/credentials/:deviceId", async (req, res) => {
+  try {
+    const cred = await DeviceCredential.findOne({ deviceId: req.params.deviceId }).lean();
+    if (!cred) return notEnrolled(res, req.params.deviceId);
+    res.json({ success: true, data: cred });
+  } catch (error) {
+    console.error("Error fetching device credential:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch device credential",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/devices/credentials - Body: { deviceId, name? }
+// Enrolls a device for signed requests. The secret is only returned here;
+// from then on the device can no longer use an API key.
+router.post("/credentials", async (req, res) => {
+  try {
+    const { deviceId, name } = req.body || {};
+    if (!deviceId) {
+      return res.status(400).json({ success: false, error: "deviceId is required" });
+    }
+    const { doc, secret } = await DeviceCredential.enroll({
+      deviceId: String(deviceId),
+      name: name || null,
+      createdBy: auth.actorOf(req),
+    });
+    res.status(201).json({
+      success: true,
+      data: { deviceId: doc.deviceId, name: doc.name },
+      secret,
+      message: "Store this secret on the device now; it cannot be shown again",
+    });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to enroll device");
+  }
+});
+
+// POST /api/devices/credentials/:deviceId/rotate - Body: { graceSeconds? }
+// Issues a new secret. The old one keeps working for graceSeconds (default
+// DEVICE_ROTATION_GRACE_SECONDS) or until the device signs with the new one;
+// graceSeconds: 0 revokes it immediately.
+router.post("/credentials/:deviceId/rotate", async (req, res) => {
+  try {
+    const grace =
+      req.body?.graceSeconds !== undefined
+        ? Number(req.body.graceSeconds)
+        : ROTATION_GRACE_SECONDS;
+    if (!Number.isFinite(grace) || grace < 0) {
+      return res
+        .status(400)
+        .json({ success: false, error: "graceSeconds must be a non-negative number" });
+    }
+    const rotated = await DeviceCredential.rotate(req.params.deviceId, grace);
+    if (!rotated) return notEnrolled(res, req.params.deviceId);
+    res.json({
+      success: true,
+      data: {
+        deviceId: rotated.doc.deviceId,
+        rotatedAt: rotated.doc.rotatedAt,
+        previousSecretExpiresAt: rotated.doc.previousSecretExpiresAt,
+      },
+      secret: rotated.secret,
+      message: "Store this secret on the device now; it cannot be shown again",
+    });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to rotate device secret");
+  }
+});
+
+// POST /api/devices/credentials/:deviceId/quarantine - Body: { reason? }
+router.post("/credentials/:deviceId/quarantine", async (req, res) => {
+  try {
+    const cred = await DeviceCredential.findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      {
+        $set: {
+          quarantined: true,
+          quarantinedAt: new Date(),
+          quarantineReason:
+            req.body?.reason || `Quarantined by ${auth.actorOf(req, "an operator")}`,
+        },
+      },
+      { new: true }
+    );
+    if (!cred) return notEnrolled(res, req.params.deviceId);
+    res.json({ success: true, data: cred });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to quarantine device");
+  }
+});
+
+// POST /api/devices/credentials/:deviceId/release - Lifts the quarantine and
+// clears the failure history (which also unblocks addresses). Rotate the
+// secret too if it may have leaked.
+router.post("/credentials/:deviceId/release", async (req, res) => {
+  try {
+    const cred = await DeviceCredential.findOneAndUpdate(
+      { deviceId: req.params.deviceId, quarantined: true },
+      {
+        $set: {
+          quarantined: false,
+          failureCount: 0,
+          recentFailures: [],
+          releasedAt: new Date(),
+          releasedBy: auth.actorOf(req, req.body?.by || null),
+        },
+      },
+      { new: true }
+    );
+    if (!cred) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Device ${req.params.deviceId} is not quarantined` });
+    }
+    res.json({ success: true, data: cred });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to release device");
+  }
+});
+
+// DELETE /api/devices/credentials/:deviceId - Un-enrolls the device; it falls
+// back to API keys unless DEVICE_SIGNATURES_REQUIRED is set
+router.delete("/credentials/:deviceId", async (req, res) => {
+  try {
+    const result = await DeviceCredential.deleteOne({ deviceId: req.params.deviceId });
+    if (result.deletedCount === 0) return notEnrolled(res, req.params.deviceId);
+    res.json({ success: true, message: `Device ${req.params.deviceId} un-enrolled` });
+  } catch (error) {
+    console.error("Error deleting device credential:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete device credential",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
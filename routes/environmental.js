@@ -1,6 +1,10 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const database = require("../database");
+const environmentalAlerts = require("../services/environmentalAlerts");
+const environmentalCalibration = require("../services/environmentalCalibration");
+const auth = require("../services/auth");
 
 // POST /api/environmental/reading - Submit new environmental reading
 router.post("/reading", async (req, res) => {
@@ -45,21 +49,32 @@ router.post("/reading", async (req, res) => {
       });
     }
 
-    const readingData = {
+    const readingData = await environmentalCalibration.calibrateReading({
       sensorId: sensor_id || "unknown",
       location: location || "Unknown Location",
       temperatureCelsius: parseFloat(temperature_celsius),
       humidityPercent: parseFloat(humidity_percent),
       uvIndex: parseFloat(uv_index),
-      uvRiskLevel: uv_risk_level || getUVRiskLevel(parseFloat(uv_index)),
       timestamp: new Date(),
-    };
+    });
+    readingData.uvRiskLevel =
+      uv_risk_level || environmentalCalibration.getUVRiskLevel(readingData.uvIndex);
 
     const result = await database.insertEnvironmentalReading(readingData);
 
+    // Alert evaluation must never cause the reading itself to be rejected
+    let alerts = null;
+    try {
+      const evaluation = await environmentalAlerts.evaluateReading(result.data);
+      alerts = environmentalAlerts.summarize(evaluation);
+    } catch (alertError) {
+      console.error("Error evaluating environmental alerts:", alertError);
+    }
+
     res.status(201).json({
       success: true,
       data: result.data,
+      alerts,
       message: "Environmental reading saved successfully",
     });
   } catch (error) {
@@ -319,13 +334,364 @@ router.get("/sensors", async (req, res) => {
   }
 });
 
-// Helper function to determine UV risk level
-function getUVRiskLevel(uvIndex) {
-  if (uvIndex < 3) return "Low";
-  else if (uvIndex < 6) return "Moderate";
-  else if (uvIndex < 8) return "High";
-  else if (uvIndex < 11) return "Very High";
-  else return "Extreme";
-}
+// GET /api/environmental/sensors/:sensorId/calibration - Current offsets
+router.get("/sensors/:sensorId/calibration", async (req, res) => {
+  try {
+    const { sensorId } = req.params;
+
+    const config = await database.EnvironmentalSensorConfig.findOne({
+      sensorId,
+    });
+
+    if (!config) {
+      return res.status(404).json({
+        error: "Environmental sensor configuration not found",
+        sensorId,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sensorId,
+        calibration: config.calibration,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting sensor calibration:", error);
+    res.status(500).json({
+      error: "Failed to retrieve sensor calibration",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/environmental/sensors/:sensorId/calibration - Calibrate against a
+// reference instrument. Body: { reference: { temperature_celsius,
+// humidity_percent, uv_index }, instrument?, reading_id?, reference_time?,
+// max_skew_minutes?, apply_from?, apply_to? }
+router.post("/sensors/:sensorId/calibration", async (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    const {
+      reference,
+      instrument,
+      reading_id,
+      reference_time,
+      max_skew_minutes = 10,
+      apply_from,
+      apply_to,
+    } = req.body;
+
+    const referenceValues = {
+      temperatureCelsius: parseFloat(reference?.temperature_celsius),
+      humidityPercent: parseFloat(reference?.humidity_percent),
+      uvIndex: parseFloat(reference?.uv_index),
+    };
+    if (Object.values(referenceValues).every((v) => isNaN(v))) {
+      return res.status(400).json({
+        error:
+          "Missing reference values: provide at least one of reference.temperature_celsius, reference.humidity_percent, reference.uv_index",
+      });
+    }
+
+    // Checked up front so a bad range does not leave new offsets saved
+    let applyRange = null;
+    if (apply_from) {
+      const startDate = new Date(apply_from);
+      const endDate = apply_to ? new Date(apply_to) : new Date();
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        return res.status(400).json({ error: "Invalid apply_from or apply_to date" });
+      }
+      applyRange = { startDate, endDate };
+    }
+
+    // Pick the sensor reading to compare against the reference instrument
+    let observed = null;
+    if (reading_id) {
+      if (!mongoose.Types.ObjectId.isValid(reading_id)) {
+        return res.status(400).json({ error: "Invalid reading_id" });
+      }
+      observed = await database.EnvironmentalReading.findOne({
+        _id: reading_id,
+        sensorId,
+      });
+    } else {
+      const referenceTime = reference_time
+        ? new Date(reference_time)
+        : new Date();
+      if (isNaN(referenceTime.getTime())) {
+        return res.status(400).json({ error: "Invalid reference_time" });
+      }
+      const skewMs = parseFloat(max_skew_minutes) * 60 * 1000;
+      const candidates = await database.EnvironmentalReading.find({
+        sensorId,
+        timestamp: {
+          $gte: new Date(referenceTime.getTime() - skewMs),
+          $lte: new Date(referenceTime.getTime() + skewMs),
+        },
+      });
+      observed = candidates.sort(
+        (a, b) =>
+          Math.abs(a.timestamp - referenceTime) -
+          Math.abs(b.timestamp - referenceTime)
+      )[0];
+    }
+
+    if (!observed) {
+      return res.status(404).json({
+        error: "No sensor reading found to compare against the reference",
+        sensorId,
+      });
+    }
+
+    const computed = environmentalCalibration.computeOffsets(
+      referenceValues,
+      observed
+    );
+
+    const existing = await database.EnvironmentalSensorConfig.findOne({
+      sensorId,
+    });
+    const calibration = {
+      temperatureOffset: existing?.calibration?.temperatureOffset || 0,
+      humidityOffset: existing?.calibration?.humidityOffset || 0,
+      uvOffset: existing?.calibration?.uvOffset || 0,
+      ...computed,
+      calibratedAt: new Date(),
+      reference: {
+        instrument: instrument || null,
+        temperatureCelsius: isNaN(referenceValues.temperatureCelsius)
+          ? null
+          : referenceValues.temperatureCelsius,
+        humidityPercent: isNaN(referenceValues.humidityPercent)
+          ? null
+          : referenceValues.humidityPercent,
+        uvIndex: isNaN(referenceValues.uvIndex)
+          ? null
+          : referenceValues.uvIndex,
+        readingId: observed._id,
+      },
+    };
+
+    const config = await database.EnvironmentalSensorConfig.findOneAndUpdate(
+      { sensorId },
+      {
+        $set: { calibration },
+        $setOnInsert: { location: observed.location || "Unknown" },
+      },
+      { upsert: true, new: true }
+    );
+
+    let retroactive = null;
+    if (applyRange) {
+      retroactive = await environmentalCalibration.recalibrateRange(
+        sensorId,
+        applyRange.startDate,
+        applyRange.endDate,
+        calibration
+      );
+      Object.assign(retroactive, applyRange);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sensorId,
+        calibration: config.calibration,
+        comparedReading: {
+          id: observed._id,
+          timestamp: observed.timestamp,
+        },
+        retroactive,
+      },
+      message: "Sensor calibration updated",
+    });
+  } catch (error) {
+    console.error("Error calibrating sensor:", error);
+    res.status(500).json({
+      error: "Failed to calibrate sensor",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/environmental/sensors/:sensorId/recalibrate - Re-correct stored
+// readings in a date range with the sensor's current offsets
+router.post("/sensors/:sensorId/recalibrate", async (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    const { start_date, end_date } = req.body;
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        error: "Missing required fields: start_date and end_date",
+      });
+    }
+
+    const startDate = new Date(start_date);
+    const endDate = new Date(end_date);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ error: "Invalid start_date or end_date" });
+    }
+
+    const config = await database.EnvironmentalSensorConfig.findOne({
+      sensorId,
+    });
+    if (!config) {
+      return res.status(404).json({
+        error: "Environmental sensor configuration not found",
+        sensorId,
+      });
+    }
+
+    const result = await environmentalCalibration.recalibrateRange(
+      sensorId,
+      startDate,
+      endDate,
+      config.calibration
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sensorId,
+        calibration: config.calibration,
+        ...result,
+        startDate,
+        endDate,
+      },
+      message: `Recalibrated ${result.updated} readings`,
+    });
+  } catch (error) {
+    console.error("Error recalibrating readings:", error);
+    res.status(500).json({
+      error: "Failed to recalibrate readings",
+      message: error.message,
+    });
+  }
+});
+
+// GET /api/environmental/alerts - List alerts (active by default)
+router.get("/alerts", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const { sensor_id, severity, alert_type } = req.query;
+    const status = req.query.status || "active";
+
+    if (!["active", "resolved", "all"].includes(status)) {
+      return res.status(400).json({
+        error: "Invalid status. Use active, resolved, or all",
+      });
+    }
+
+    let query = {};
+    if (status === "active") query.isResolved = false;
+    if (status === "resolved") query.isResolved = true;
+    if (sensor_id) query.sensorId = sensor_id;
+    if (severity) query.severity = severity;
+    if (alert_type) query.alertType = alert_type;
+    if (req.query.acknowledged !== undefined) {
+      query.isAcknowledged = req.query.acknowledged === "true";
+    }
+
+    const alerts = await database.EnvironmentalAlert.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: alerts,
+    });
+  } catch (error) {
+    console.error("Error getting environmental alerts:", error);
+    res.status(500).json({
+      error: "Failed to retrieve environmental alerts",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/environmental/alerts/:alertId/acknowledge - Acknowledge an alert
+router.post("/alerts/:alertId/acknowledge", async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const { acknowledged_by } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    const alert = await database.EnvironmentalAlert.findByIdAndUpdate(
+      alertId,
+      {
+        $set: {
+          isAcknowledged: true,
+          acknowledgedAt: new Date(),
+          acknowledgedBy: auth.actorOf(req, acknowledged_by || null),
+        },
+      },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    res.json({
+      success: true,
+      data: alert,
+      message: "Alert acknowledged",
+    });
+  } catch (error) {
+    console.error("Error acknowledging environmental alert:", error);
+    res.status(500).json({
+      error: "Failed to acknowledge alert",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/environmental/alerts/:alertId/resolve - Manually resolve an alert
+router.post("/alerts/:alertId/resolve", async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const { resolved_by } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    const alert = await database.EnvironmentalAlert.findById(alertId);
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    if (alert.isResolved) {
+      return res.status(409).json({
+        error: "Alert is already resolved",
+        data: alert,
+      });
+    }
+
+    alert.isResolved = true;
+    alert.resolvedAt = new Date();
+    alert.resolvedBy = auth.actorOf(req, resolved_by || "manual");
+    await alert.save();
+
+    res.json({
+      success: true,
+      data: alert,
+      message: "Alert resolved",
+    });
+  } catch (error) {
+    console.error("Error resolving environmental alert:", error);
+    res.status(500).json({
+      error: "Failed to resolve alert",
+      message: error.message,
+    });
+  }
+});
 
 module.exports = router;
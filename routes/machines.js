@@ -1,10 +1,26 @@
 const express = require("express");
 const mongoose = require("mongoose");
+const multer = require("multer");
 const router = express.Router();
 
 const Building = require("../models/Building");
 const Machine = require("../models/Machine");
 const History = require("../models/MachineStatusHistory");
+const Incident = require("../models/MachineIncident");
+const PendingDevice = require("../models/PendingDevice");
+const uptime = require("../services/machineUptime");
+const incidents = require("../services/machineIncidents");
+const { importMachinesCsv } = require("../services/machineImport");
+
+// Unknown devices calling ingest are parked in the pending-devices inbox
+// unless MACHINE_DEVICE_INBOX=false
+const DEVICE_INBOX_ENABLED = process.env.MACHINE_DEVICE_INBOX !== "false";
+
+// CSV bulk import is small; keep it in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+});
 
 // ---------- helpers ----------
 function computeStatus({ s1, s2, s3 }) {
@@ -30,6 +46,72 @@ function toUiMachine(m) {
 
 const isObjectId = (v) => mongoose.Types.ObjectId.isValid(v);
 
+// Mongoose validation / duplicate key errors -> 400 / 409, anything else is
+// passed on to the error handler
+function sendWriteError(res, next, err) {
+  if (err?.name === "ValidationError" || err?.name === "CastError") {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  if (err?.code === 11000) {
+    return res
+      .status(409)
+      .json({ ok: false, error: "deviceId already registered" });
+  }
+  return next(err);
+}
+
+function toUiBuilding(b) {
+  return {
+    id: b._id,
+    name: b.name,
+    latitude: b.latitude,
+    longitude: b.longitude,
+  };
+}
+
+function toMachineDetail(m) {
+  return {
+    id: String(m._id),
+    name: m.name,
+    deviceId: m.deviceId,
+    buildingId: String(m.buildingId),
+    sensors: { s1: !!m.sensor1, s2: !!m.sensor2, s3: !!m.sensor3 },
+    status: m.status || computeStatus(toSensorObj(m)),
+    lastHeartbeatAt: m.lastHeartbeatAt,
+    createdAt: m.createdAt,
+    updatedAt: m.updatedAt,
+  };
+}
+
+async function notePendingDevice(deviceId, sensors, ip) {
+  const existing = await PendingDevice.findOne({ deviceId });
+  if (existing && existing.status !== "pending") return existing;
+  return PendingDevice.findOneAndUpdate(
+    { deviceId },
+    {
+      $set: { lastSeenAt: new Date(), lastPayload: sensors, lastIp: ip || null },
+      $inc: { seenCount: 1 },
+      $setOnInsert: { firstSeenAt: new Date(), status: "pending" },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// from/to query params, defaulting to the last 30 days
+function parseDateRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 30 * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: "invalid from/to" };
+  }
+  if (from >= to) return { error: "from must be before to" };
+  return { from, to };
+}
+
 // ---------- routes ----------
 
 // ---- POST /api/machines/ingest ----
@@ -49,6 +131,17 @@ router.post("/ingest", async (req, res) => {
 
     const machine = await Machine.findOne({ deviceId: device_id });
     if (!machine) {
+      if (DEVICE_INBOX_ENABLED) {
+        const pending = await notePendingDevice(device_id, sensors, req.ip);
+        return res.status(404).json({
+          ok: false,
+          error:
+            pending.status === "rejected"
+              ? "Unknown device_id. Device was rejected."
+              : "Unknown device_id. Awaiting operator approval.",
+          pending: pending.status === "pending",
+        });
+      }
       return res
         .status(404)
         .json({ ok: false, error: "Unknown device_id. Seed machine first." });
@@ -71,6 +164,7 @@ router.post("/ingest", async (req, res) => {
       plcOn: true,
       at: now,
     });
+    await incidents.recordStatus(machine, status, now);
 
     return res.json({
       ok: true,
@@ -106,6 +200,201 @@ router.get("/buildings", async (_req, res, next) => {
   }
 });
 
+// ---- POST /api/machines/buildings ----
+// Body: { name, latitude, longitude }
+router.post("/buildings", async (req, res, next) => {
+  try {
+    const { name, latitude, longitude } = req.body || {};
+    const building = await Building.create({ name, latitude, longitude });
+    res.status(201).json(toUiBuilding(building));
+  } catch (err) {
+    sendWriteError(res, next, err);
+  }
+});
+
+// ---- PUT /api/machines/buildings/:id ----
+router.put("/buildings/:id", async (req, res, next) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid building id" });
+    }
+    const { name, latitude, longitude } = req.body || {};
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (latitude !== undefined) update.latitude = latitude;
+    if (longitude !== undefined) update.longitude = longitude;
+
+    const building = await Building.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true,
+    });
+    if (!building) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json(toUiBuilding(building));
+  } catch (err) {
+    sendWriteError(res, next, err);
+  }
+});
+
+// ---- DELETE /api/machines/buildings/:id ----
+// Refuses while machines are still assigned; move or delete them first
+router.delete("/buildings/:id", async (req, res, next) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid building id" });
+    }
+    const machineCount = await Machine.countDocuments({
+      buildingId: req.params.id,
+    });
+    if (machineCount > 0) {
+      return res.status(409).json({
+        ok: false,
+        error: `Building still has ${machineCount} machine(s)`,
+        machineCount,
+      });
+    }
+    const deleted = await Building.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true, id: deleted._id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- POST /api/machines ----
+// Body: { name, deviceId, buildingId }
+router.post("/", async (req, res, next) => {
+  try {
+    const { name, deviceId, buildingId } = req.body || {};
+    if (!buildingId || !isObjectId(buildingId)) {
+      return res.status(400).json({ ok: false, error: "Invalid buildingId" });
+    }
+    if (!(await Building.exists({ _id: buildingId }))) {
+      return res.status(404).json({ ok: false, error: "Building not found" });
+    }
+
+    const machine = await Machine.create({ name, deviceId, buildingId });
+    // A device waiting in the inbox is now provisioned
+    await PendingDevice.updateOne(
+      { deviceId, status: "pending" },
+      { $set: { status: "approved", machineId: machine._id, decidedAt: new Date() } }
+    );
+    res.status(201).json(toMachineDetail(machine));
+  } catch (err) {
+    sendWriteError(res, next, err);
+  }
+});
+
+// ---- POST /api/machines/import ----
+// CSV as multipart field "file", or JSON { csv }. Columns: building,
+// latitude, longitude, name, device_id. ?dryRun=true validates only.
+router.post("/import", csvUpload.single("file"), async (req, res, next) => {
+  try {
+    const text = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+    if (!text) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Provide a CSV file or a csv field" });
+    }
+    const dryRun =
+      req.query.dryRun === "true" || req.body?.dryRun === true || req.body?.dryRun === "true";
+
+    const result = await importMachinesCsv(text, { dryRun });
+    if (result.error) {
+      return res.status(400).json({ ok: false, error: result.error });
+    }
+    res.json({ ok: result.errors.length === 0, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- GET /api/machines/pending-devices ----
+// Query: status=pending|approved|rejected|all (default pending)
+router.get("/pending-devices", async (req, res, next) => {
+  try {
+    const status = String(req.query.status || "pending");
+    if (!["pending", "approved", "rejected", "all"].includes(status)) {
+      return res.status(400).json({ ok: false, error: "Invalid status" });
+    }
+    const rows = await PendingDevice.find(status === "all" ? {} : { status })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+    res.json(rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- POST /api/machines/pending-devices/:deviceId/approve ----
+// Body: { name, buildingId, approvedBy? } -> creates the Machine
+router.post("/pending-devices/:deviceId/approve", async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const { name, buildingId, approvedBy } = req.body || {};
+
+    const pending = await PendingDevice.findOne({ deviceId });
+    if (!pending) return res.status(404).json({ ok: false, error: "not_found" });
+    if (pending.status === "approved") {
+      return res.status(409).json({ ok: false, error: "Device already approved" });
+    }
+    if (!buildingId || !isObjectId(buildingId)) {
+      return res.status(400).json({ ok: false, error: "Invalid buildingId" });
+    }
+    if (!(await Building.exists({ _id: buildingId }))) {
+      return res.status(404).json({ ok: false, error: "Building not found" });
+    }
+
+    const machine = await Machine.create({
+      name: name || deviceId,
+      deviceId,
+      buildingId,
+    });
+    pending.status = "approved";
+    pending.machineId = machine._id;
+    pending.decidedAt = new Date();
+    pending.decidedBy = approvedBy || null;
+    await pending.save();
+
+    res.status(201).json({ ok: true, machine: toMachineDetail(machine) });
+  } catch (err) {
+    sendWriteError(res, next, err);
+  }
+});
+
+// ---- POST /api/machines/pending-devices/:deviceId/reject ----
+router.post("/pending-devices/:deviceId/reject", async (req, res, next) => {
+  try {
+    const pending = await PendingDevice.findOne({
+      deviceId: req.params.deviceId,
+    });
+    if (!pending) return res.status(404).json({ ok: false, error: "not_found" });
+    if (pending.status === "approved") {
+      return res.status(409).json({ ok: false, error: "Device already approved" });
+    }
+    pending.status = "rejected";
+    pending.decidedAt = new Date();
+    pending.decidedBy = req.body?.rejectedBy || null;
+    await pending.save();
+    res.json({ ok: true, deviceId: pending.deviceId, status: pending.status });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- DELETE /api/machines/pending-devices/:deviceId ----
+// Forgets a device so a rejected one lands in the inbox again
+router.delete("/pending-devices/:deviceId", async (req, res, next) => {
+  try {
+    const deleted = await PendingDevice.findOneAndDelete({
+      deviceId: req.params.deviceId,
+    });
+    if (!deleted) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true, deviceId: deleted.deviceId });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---- GET /api/machines/by-device/:deviceId ----
 router.get("/by-device/:deviceId", async (req, res, next) => {
   try {
@@ -118,43 +407,244 @@ router.get("/by-device/:deviceId", async (req, res, next) => {
 });
 
 // ---- GET /api/machines/uptime-series ----
+// Query: range=24h|7d|30d (anything else: 30d), buildingId?, machineId?
+// Array of { ts, operational, warning, critical, offline } per bucket
 router.get("/uptime-series", async (req, res, next) => {
   try {
-    const range = String(req.query.range || "24h"); // "24h" | "7d" | "30d"
-    const machines = await Machine.find({}).lean();
-
-    // Current snapshot counts
-    const counts = { operational: 0, warning: 0, critical: 0, offline: 0 };
-    for (const m of machines) {
-      const st = m.status || computeStatus(toSensorObj(m));
-      if (counts[st] !== undefined) counts[st] += 1;
-    }
-
-    // Light synthetic series
-    const now = Date.now();
-    const pts = [];
-    const pushPoint = (t) =>
-      pts.push({
-        ts: new Date(t).toISOString(),
-        operational: counts.operational,
-        warning: counts.warning,
-        critical: counts.critical,
-        offline: counts.offline,
-      });
+    const requested = String(req.query.range || "24h");
+    const range = uptime.RANGES[requested] ? requested : "30d";
+    const { buildingId, machineId } = req.query;
+
+    if (buildingId && !isObjectId(buildingId)) {
+      return res.status(400).json({ ok: false, error: "Invalid buildingId" });
+    }
+    if (machineId && !isObjectId(machineId)) {
+      return res.status(400).json({ ok: false, error: "Invalid machineId" });
+    }
+
+    const { series } = await uptime.buildUptimeSeries({ range, buildingId, machineId });
+    return res.json(series);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- GET /api/machines/availability ----
+// Query: range=24h|7d|30d, buildingId?, machineId?
+// The uptime series plus each machine's availability over the range
+router.get("/availability", async (req, res, next) => {
+  try {
+    const range = String(req.query.range || "24h");
+    const { buildingId, machineId } = req.query;
+
+    if (!uptime.RANGES[range]) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "range must be one of 24h, 7d, 30d" });
+    }
+    if (buildingId && !isObjectId(buildingId)) {
+      return res.status(400).json({ ok: false, error: "Invalid buildingId" });
+    }
+    if (machineId && !isObjectId(machineId)) {
+      return res.status(400).json({ ok: false, error: "Invalid machineId" });
+    }
+
+    const result = await uptime.buildUptimeSeries({
+      range,
+      buildingId,
+      machineId,
+    });
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- GET /api/machines/incidents ----
+// Query: machineId?, buildingId?, status=open|closed?, from?, to?, limit?
+router.get("/incidents", async (req, res, next) => {
+  try {
+    const { machineId, buildingId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
 
-    if (range === "24h") {
-      for (let i = 48; i >= 0; i--) pushPoint(now - i * 30 * 60 * 1000); // 30m
-    } else if (range === "7d") {
-      for (let i = 28; i >= 0; i--) pushPoint(now - i * 6 * 60 * 60 * 1000); // 6h
-    } else {
-      for (let i = 30; i >= 0; i--) pushPoint(now - i * 24 * 60 * 60 * 1000); // 1d
+    if (machineId && !isObjectId(machineId)) {
+      return res.status(400).json({ ok: false, error: "Invalid machineId" });
+    }
+    if (buildingId && !isObjectId(buildingId)) {
+      return res.status(400).json({ ok: false, error: "Invalid buildingId" });
+    }
+    if (status && !["open", "closed"].includes(status)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "status must be open or closed" });
+    }
+
+    const query = {};
+    if (machineId) query.machineId = machineId;
+    if (buildingId) query.buildingId = buildingId;
+    if (status) query.status = status;
+    if (req.query.from || req.query.to) {
+      const range = parseDateRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ ok: false, error: range.error });
+      }
+      query.startedAt = { $lte: range.to };
+      query.$or = [{ endedAt: null }, { endedAt: { $gte: range.from } }];
     }
 
-    return res.json(pts);
+    const rows = await Incident.find(query)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .populate("machineId", "name deviceId")
+      .lean();
+
+    res.json(
+      rows.map((i) => ({
+        id: i._id,
+        machineId: String(i.machineId?._id || i.machineId),
+        machineName: i.machineId?.name,
+        buildingId: i.buildingId ? String(i.buildingId) : null,
+        status: i.status,
+        openingStatus: i.openingStatus,
+        peakStatus: i.peakStatus,
+        startedAt: i.startedAt,
+        endedAt: i.endedAt,
+        durationMinutes: i.durationMinutes,
+      }))
+    );
   } catch (err) {
     next(err);
   }
 });
+
+// ---- GET /api/machines/reliability ----
+// MTBF / MTTR / longest outage / incident counts per machine and building
+// Query: from?, to? (default last 30 days), buildingId?, machineId?
+router.get("/reliability", async (req, res, next) => {
+  try {
+    const { buildingId, machineId } = req.query;
+    if (buildingId && !isObjectId(buildingId)) {
+      return res.status(400).json({ ok: false, error: "Invalid buildingId" });
+    }
+    if (machineId && !isObjectId(machineId)) {
+      return res.status(400).json({ ok: false, error: "Invalid machineId" });
+    }
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ ok: false, error: range.error });
+    }
+
+    res.json(
+      await incidents.reliabilityReport({ ...range, buildingId, machineId })
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- POST /api/machines/incidents/rebuild ----
+// Re-derives incidents from MachineStatusHistory. Body: { machineId? }
+router.post("/incidents/rebuild", async (req, res, next) => {
+  try {
+    const { machineId } = req.body || {};
+    if (machineId && !isObjectId(machineId)) {
+      return res.status(400).json({ ok: false, error: "Invalid machineId" });
+    }
+    const result = await incidents.rebuildAll(
+      machineId ? { _id: machineId } : {}
+    );
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- PUT /api/machines/:id ----
+// Body: { name?, deviceId?, buildingId? }
+router.put("/:id", async (req, res, next) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid machine id" });
+    }
+    const { name, deviceId, buildingId } = req.body || {};
+    if (buildingId !== undefined) {
+      if (!isObjectId(buildingId)) {
+        return res.status(400).json({ ok: false, error: "Invalid buildingId" });
+      }
+      if (!(await Building.exists({ _id: buildingId }))) {
+        return res.status(404).json({ ok: false, error: "Building not found" });
+      }
+    }
+
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) return res.status(404).json({ ok: false, error: "not_found" });
+    if (name !== undefined) machine.name = name;
+    if (deviceId !== undefined) machine.deviceId = deviceId;
+    // A building change moves open incidents too, as POST /:id/move does
+    if (buildingId !== undefined) await incidents.moveMachine(machine, buildingId);
+    else await machine.save();
+    res.json(toMachineDetail(machine));
+  } catch (err) {
+    sendWriteError(res, next, err);
+  }
+});
+
+// ---- POST /api/machines/:id/move ----
+// Body: { buildingId }. Open incidents follow the machine to its new building.
+router.post("/:id/move", async (req, res, next) => {
+  try {
+    const { buildingId } = req.body || {};
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid machine id" });
+    }
+    if (!buildingId || !isObjectId(buildingId)) {
+      return res.status(400).json({ ok: false, error: "Invalid buildingId" });
+    }
+    if (!(await Building.exists({ _id: buildingId }))) {
+      return res.status(404).json({ ok: false, error: "Building not found" });
+    }
+
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const fromBuildingId = await incidents.moveMachine(machine, buildingId);
+
+    res.json({
+      ok: true,
+      fromBuildingId,
+      machine: toMachineDetail(machine),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- DELETE /api/machines/:id ----
+// Removes the machine with its status history and incidents
+router.delete("/:id", async (req, res, next) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid machine id" });
+    }
+    const machine = await Machine.findByIdAndDelete(req.params.id);
+    if (!machine) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const [history, removedIncidents] = await Promise.all([
+      History.deleteMany({ machineId: machine._id }),
+      Incident.deleteMany({ machineId: machine._id }),
+    ]);
+
+    res.json({
+      ok: true,
+      id: machine._id,
+      deletedHistory: history.deletedCount,
+      deletedIncidents: removedIncidents.deletedCount,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---- GET /api/machines/:id (last, no regex in the path) ----
 router.get("/:id", async (req, res, next) => {
   try {
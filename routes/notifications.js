@@ -0,0 +1,258 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const {
+  NotificationSubscription,
+  NotificationDelivery,
+  EVENT_TYPES,
+} = require("../models/notification");
+const notifications = require("../services/notifications");
+const { getChannel, describeChannels } = require("../services/notificationChannels");
+const auth = require("../services/auth");
+
+const SUBSCRIPTION_FIELDS = [
+  "userId",
+  "name",
+  "channel",
+  "target",
+  "events",
+  "sources",
+  "minSeverity",
+  "quietHours",
+  "maxPerHour",
+  "enabled",
+];
+
+// Channel must exist and accept the target; returns an error string or null
+function validateChannelTarget(channel, target) {
+  const plugin = getChannel(channel);
+  if (!plugin) return `Unknown channel ${channel}`;
+  return plugin.validateTarget(String(target || ""));
+}
+
+// Non-admin users only see and manage their own subscriptions and deliveries.
+// Returns the user id to scope to, or null (admin / auth disabled).
+function ownUserId(req) {
+  if (!req.user || auth.can(req.user.role, "users")) return null;
+  return String(req.user._id);
+}
+
+// Non-admins may only notify themselves: email to their own account address.
+// Other channels reach arbitrary numbers and URLs (and cost money), so only
+// admins manage them. Returns an error string or null.
+function targetForbidden(req, channel, target) {
+  if (!ownUserId(req)) return null;
+  if (channel === "email") {
+    return String(target || "").trim().toLowerCase() === req.user.email
+      ? null
+      : "You can only subscribe your own email address";
+  }
+  return `Only administrators can manage ${channel} subscriptions`;
+}
+
+const forbid = (res, error) => res.status(403).json({ success: false, error });
+
+const notFound = (res) =>
+  res.status(404).json({ success: false, error: "Subscription not found" });
+
+function sendWriteError(res, error, fallback) {
+  if (error?.name === "ValidationError" || error?.name === "CastError") {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+// GET /api/notifications/channels - Available channels and whether configured
+router.get("/channels", (req, res) => {
+  res.json({ success: true, data: describeChannels(), events: EVENT_TYPES });
+});
+
+// GET /api/notifications/subscriptions?userId=
+router.get("/subscriptions", async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.userId) query.userId = String(req.query.userId);
+    if (ownUserId(req)) query.userId = ownUserId(req);
+    const rows = await NotificationSubscription.find(query)
+      .sort({ userId: 1, createdAt: 1 })
+      .lean();
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error("Error listing subscriptions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list subscriptions",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/notifications/subscriptions
+// Body: { userId, channel, target, name?, events?, sources?, minSeverity?,
+//         (userId is the signed-in user's own id unless they are an admin)
+//         quietHours?: { start, end, days?, timezone?, bypassSeverity? },
+//         maxPerHour?, enabled? }
+router.post("/subscriptions", async (req, res) => {
+  try {
+    const body = { ...req.body };
+    if (ownUserId(req)) body.userId = ownUserId(req);
+    if (!body.userId && req.user) body.userId = String(req.user._id);
+    if (!body.userId || !body.channel || !body.target) {
+      return res.status(400).json({
+        success: false,
+        error: "userId, channel and target are required",
+      });
+    }
+    const forbidden = targetForbidden(req, body.channel, body.target);
+    if (forbidden) return forbid(res, forbidden);
+    const targetError = validateChannelTarget(body.channel, body.target);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    const fields = {};
+    for (const k of SUBSCRIPTION_FIELDS) {
+      if (body[k] !== undefined) fields[k] = body[k];
+    }
+    const sub = await NotificationSubscription.create(fields);
+    res.status(201).json({ success: true, data: sub });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to create subscription");
+  }
+});
+
+// PUT /api/notifications/subscriptions/:id - Partial update
+router.put("/subscriptions/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+    const sub = await NotificationSubscription.findById(req.params.id);
+    if (!sub || (ownUserId(req) && sub.userId !== ownUserId(req))) return notFound(res);
+    for (const k of SUBSCRIPTION_FIELDS) {
+      if (k === "userId" && ownUserId(req)) continue;
+      if (req.body?.[k] !== undefined) sub[k] = req.body[k];
+    }
+    const forbidden = targetForbidden(req, sub.channel, sub.target);
+    if (forbidden) return forbid(res, forbidden);
+    const targetError = validateChannelTarget(sub.channel, sub.target);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+    await sub.save();
+    res.json({ success: true, data: sub });
+  } catch (error) {
+    sendWriteError(res, error, "Failed to update subscription");
+  }
+});
+
+// DELETE /api/notifications/subscriptions/:id - Delivery log entries are kept
+router.delete("/subscriptions/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+    const result = await NotificationSubscription.deleteOne({
+      _id: req.params.id,
+      ...(ownUserId(req) && { userId: ownUserId(req) }),
+    });
+    if (result.deletedCount === 0) return notFound(res);
+    res.json({ success: true, message: "Subscription deleted" });
+  } catch (error) {
+    console.error("Error deleting subscription:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete subscription",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/notifications/subscriptions/:id/test - Sends a test notification
+// right away, ignoring quiet hours; the rate limit and a per-hour cap on test
+// sends still apply
+router.post("/subscriptions/:id/test", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+    const sub = await NotificationSubscription.findById(req.params.id).lean();
+    if (!sub || (ownUserId(req) && sub.userId !== ownUserId(req))) return notFound(res);
+    const forbidden = targetForbidden(req, sub.channel, sub.target);
+    if (forbidden) return forbid(res, forbidden);
+    const delivery = await notifications.deliver(
+      sub,
+      {
+        type: "test",
+        severity: "low",
+        title: "Test notification",
+        message: `Test notification for subscription ${sub.name || sub._id}`,
+        source: null,
+        data: null,
+        at: new Date(),
+      },
+      { test: true }
+    );
+    if (delivery.status === "suppressed_rate_limit") {
+      return res.status(429).json({
+        success: false,
+        error: "Too many notifications for this subscription in the last hour",
+        data: delivery,
+      });
+    }
+    res.status(delivery.status === "sent" ? 200 : 502).json({
+      success: delivery.status === "sent",
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("Error sending test notification:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send test notification",
+      message: error.message,
+    });
+  }
+});
+
+// GET /api/notifications/deliveries - Delivery log
+// Query: userId, subscriptionId, status, eventType, from, to, limit
+router.get("/deliveries", async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.userId) query.userId = String(req.query.userId);
+    if (ownUserId(req)) query.userId = ownUserId(req);
+    if (req.query.subscriptionId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.subscriptionId)) {
+        return res.status(400).json({ success: false, error: "Invalid subscriptionId" });
+      }
+      query.subscriptionId = req.query.subscriptionId;
+    }
+    if (req.query.status) query.status = { $in: String(req.query.status).split(",") };
+    if (req.query.eventType) query.eventType = String(req.query.eventType);
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : new Date(0);
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({ success: false, error: "Invalid from or to" });
+      }
+      query.createdAt = { $gte: from, $lte: to };
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    const rows = await NotificationDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error("Error listing deliveries:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list deliveries",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,8 @@ const express = require("express");
 const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
-const OpenAI = require("openai");
 const pdfParseModule = require("pdf-parse");
+const ai = require("../services/aiProvider");
 
 const router = express.Router();
 const BOOK_NAME = "Science Engineering and Technology edition 3";
@@ -12,8 +12,6 @@ const BOOK_DATA_PATH = path.join(
   DATA_DIR,
   "science-engineering-technology-ed3.json"
 );
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
 
 const ensureAudioDirectory = () => {
   const audioDir = path.join("uploads", "audio");
@@ -215,7 +213,7 @@ const ensureSectionEmbeddings = async () => {
   const pdfChunks = await loadPdfChunks();
   const sections = [...loadBookSections(), ...pdfChunks];
 
-  if (!openai) {
+  if (!ai.isAvailable()) {
     cachedSections = sections.map((section) => ({
       ...section,
       sectionText: buildSectionText(section),
@@ -224,10 +222,9 @@ const ensureSectionEmbeddings = async () => {
   }
 
   try {
-    const embeddingsResponse = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: sections.map((section) => buildSectionText(section)),
-    });
+    const embeddingsResponse = await ai.embed(
+      sections.map((section) => buildSectionText(section))
+    );
 
     cachedSections = sections.map((section, idx) => ({
       ...section,
@@ -246,12 +243,9 @@ const ensureSectionEmbeddings = async () => {
 };
 
 const embedQuery = async (query) => {
-  if (!openai) return null;
+  if (!ai.isAvailable()) return null;
   try {
-    const response = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: query,
-    });
+    const response = await ai.embed(query);
     return normalize(response.data[0].embedding);
   } catch (err) {
     console.error("Query embedding failed:", err);
@@ -287,28 +281,18 @@ const retrieveContext = async (query, maxSections = 3) => {
 };
 
 const transcribeAudio = async (filePath) => {
-  if (!openai) {
-    throw new Error("OpenAI API key is required for transcription");
+  if (!ai.isAvailable()) {
+    throw new Error("An AI provider is required for transcription");
   }
 
-  const transcription = await openai.audio.transcriptions.create({
-    file: fs.createReadStream(filePath),
-    model: "whisper-1",
-    language: "en",
-  });
+  const transcription = await ai.transcribe(filePath, { language: "en" });
 
   return transcription.text;
 };
 
 const generateSpeech = async (text) => {
-  if (!openai) return null;
-  const speechResponse = await openai.audio.speech.create({
-    model: "gpt-4o-mini-tts",
-    voice: "alloy",
-    input: text,
-  });
-
-  const buffer = Buffer.from(await speechResponse.arrayBuffer());
+  if (!ai.isAvailable()) return null;
+  const buffer = await ai.speech(text, { voice: "alloy" });
   return buffer.toString("base64");
 };
 
@@ -370,12 +354,12 @@ router.post("/careers", uploadAudio.single("audio"), async (req, res) => {
       });
     }
 
-    if (!openai) {
+    if (!ai.isAvailable()) {
       return res.status(503).json({
         success: false,
-        error: "OpenAI API key missing",
+        error: "AI provider not configured",
         message:
-          "Set OPENAI_API_KEY to enable Science Engineering and Technology RAG answers.",
+          "Set OPENAI_API_KEY (or AI_PROVIDER=stub) to enable Science Engineering and Technology RAG answers.",
       });
     }
 
@@ -391,8 +375,7 @@ router.post("/careers", uploadAudio.single("audio"), async (req, res) => {
       )
       .join("\n---\n");
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await ai.chat("rag_answer", {
       temperature: 0.35,
       max_tokens: 700,
       messages: [
@@ -1,10 +1,13 @@
 // routes/sensors.js
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const database = require("../database");
-
-// ---- Single-zone setup ----
-const HARD_ZONE_ID = "zone_001";
+const environmentalAlerts = require("../services/environmentalAlerts");
+const environmentalCalibration = require("../services/environmentalCalibration");
+const tankAlerts = require("../services/tankAlerts");
+const pumpProtection = require("../services/pumpProtection");
+const auth = require("../services/auth");
 
 // Simple structured logger
 const log = {
@@ -25,6 +28,458 @@ const safeTankHeight = (cfg) => {
   return Number.isFinite(h) && h > 0 ? h : 0;
 };
 
+// "ch2", "channel_2" and 2 all mean channel "2"
+const normalizeChannel = (c) =>
+  c === undefined || c === null || c === ""
+    ? null
+    : String(c)
+        .trim()
+        .toLowerCase()
+        .replace(/^(channel|ch)[_-]?/, "");
+
+const byChannel = (a, b) =>
+  String(a.sensorChannel ?? "").localeCompare(
+    String(b.sensorChannel ?? ""),
+    undefined,
+    { numeric: true }
+  );
+
+// Tanks fed by a gateway, ordered by channel. PROACTIVE FIX: a gateway that
+// has never been mapped is linked to main_tank while main_tank is unassigned.
+const resolveTanks = async (sensorId) => {
+  let tanks = await database.TankConfig.find({
+    sensorId,
+    isActive: { $ne: false },
+  });
+
+  if (tanks.length === 0) {
+    const mainTank = await database.TankConfig.findOne({ tankId: "main_tank" });
+    if (mainTank && (!mainTank.sensorId || mainTank.sensorId === "unassigned")) {
+      mainTank.sensorId = sensorId;
+      mainTank.sensorAssignedAt = new Date();
+      await mainTank.save();
+      log.info("Auto-assigned sensor to main_tank", { sensorId });
+      tanks = [mainTank];
+    }
+  }
+
+  return tanks.sort(byChannel);
+};
+
+// Read-only variant for status endpoints: main_tank is only implied when this
+// sensor has no tank of its own and main_tank is not mapped to another sensor
+const findTanksForStatus = async (sensorId) => {
+  const tanks = await database.TankConfig.find({ sensorId }).sort({
+    sensorChannel: 1,
+  });
+  if (tanks.length > 0) return tanks;
+
+  const mainTank = await database.TankConfig.findOne({ tankId: "main_tank" });
+  return mainTank && (!mainTank.sensorId || mainTank.sensorId === "unassigned")
+    ? [mainTank]
+    : [];
+};
+
+// Zones fed by a gateway, ordered by channel. A gateway that has never been
+// mapped is auto-assigned to the only active, unassigned zone (if exactly one).
+const resolveSoilZones = async (sensorId) => {
+  let zones = await database.ZoneConfig.find({ sensorId, isActive: true });
+
+  if (zones.length === 0) {
+    const unassigned = await database.ZoneConfig.find({
+      isActive: true,
+      $or: [{ sensorId: null }, { sensorId: "" }],
+    });
+    const activeCount = await database.ZoneConfig.countDocuments({
+      isActive: true,
+    });
+    if (unassigned.length === 1 && activeCount === 1) {
+      unassigned[0].sensorId = sensorId;
+      await unassigned[0].save();
+      log.info("Auto-assigned sensor to zone", {
+        sensorId,
+        zoneId: unassigned[0].zoneId,
+      });
+      zones = unassigned;
+    }
+  }
+
+  return zones.sort(byChannel);
+};
+
+// Picks the zone/tank config mapped to a probe channel
+const findForChannel = (configs, channel) => {
+  const wanted = normalizeChannel(channel);
+  if (wanted === null) {
+    return (
+      configs.find((c) => normalizeChannel(c.sensorChannel) === null) ||
+      configs[0]
+    );
+  }
+  const match = configs.find((c) => normalizeChannel(c.sensorChannel) === wanted);
+  if (match) return match;
+  // A single unchannelled config accepts whatever channel the probe reports
+  return configs.length === 1 && normalizeChannel(configs[0].sensorChannel) === null
+    ? configs[0]
+    : null;
+};
+
+// sensors.soil_moisture / sensors.water_distance may be a single probe
+// { valid, value }, an array of { channel, valid, value } or an object keyed
+// by channel
+const normalizeProbes = (input) => {
+  if (!input || typeof input !== "object") return [];
+  if (Array.isArray(input)) {
+    return input.map((p, idx) => ({
+      ...p,
+      channel: normalizeChannel(p?.channel ?? idx + 1),
+    }));
+  }
+  if ("valid" in input || "value" in input) return [{ ...input, channel: null }];
+  return Object.entries(input).map(([channel, p]) => ({
+    ...p,
+    channel: normalizeChannel(channel),
+  }));
+};
+
+// relays.* / automation.* may be one value for the whole gateway or an object
+// keyed by channel
+const valueForChannel = (field, config) => {
+  if (field === undefined || field === null) return undefined;
+  if (typeof field !== "object") return field;
+  const channel = normalizeChannel(config.sensorChannel);
+  for (const [key, val] of Object.entries(field)) {
+    if (normalizeChannel(key) === channel) return val;
+  }
+  return undefined;
+};
+
+const COMMAND_SCOPES = {
+  irrigation: {
+    idField: "zoneId",
+    model: () => database.ZoneConfig,
+    resolve: resolveSoilZones,
+    label: "Zone",
+  },
+  water_pump: {
+    idField: "tankId",
+    model: () => database.TankConfig,
+    resolve: resolveTanks,
+    label: "Tank",
+  },
+};
+
+// Commands may address one zone/tank of a multi-channel gateway (by id or by
+// channel); without either they apply to everything the gateway feeds.
+// Returns the targeted configs and the fields to stamp on the PendingCommand.
+const resolveCommandScope = async (sensorId, target, targetId, channel) => {
+  const scope = COMMAND_SCOPES[target];
+  if (!scope) return { configs: [], commandScope: {} };
+
+  const hasChannel = channel !== undefined && channel !== null && channel !== "";
+  let configs;
+  if (targetId) {
+    const config = await scope.model().findOne({ [scope.idField]: targetId });
+    configs = config ? [config] : [];
+  } else {
+    configs = await scope.resolve(sensorId);
+    if (hasChannel) {
+      const config = findForChannel(configs, channel);
+      configs = config ? [config] : [];
+    }
+  }
+
+  if (!targetId && !hasChannel) return { configs, commandScope: {} };
+  if (configs.length === 0) {
+    return {
+      configs,
+      commandScope: {},
+      error: targetId
+        ? `${scope.label} ${targetId} not found`
+        : `No ${scope.label.toLowerCase()} mapped to sensor ${sensorId} channel ${channel}`,
+    };
+  }
+  return {
+    configs,
+    commandScope: {
+      [scope.idField]: configs[0][scope.idField],
+      channel: normalizeChannel(configs[0].sensorChannel),
+    },
+  };
+};
+
+// Applies a config change to the zones/tanks a command was scoped to
+const updateScopedConfigs = (target, configs, update) => {
+  const scope = COMMAND_SCOPES[target];
+  if (!scope || configs.length === 0) return null;
+  return scope.model().updateMany(
+    { [scope.idField]: { $in: configs.map((c) => c[scope.idField]) } },
+    { $set: update }
+  );
+};
+
+// Stores one ultrasonic reading (distance from sensor to water surface)
+// against its tank and runs server-side pump automation for that tank.
+// Returns the per-tank entry of the ingest response.
+const processWaterProbe = async ({ sensor_id, tankConfig, probe, relays, usedField }) => {
+  const channel = normalizeChannel(tankConfig.sensorChannel);
+  const relayState = valueForChannel(relays?.water_pump, tankConfig);
+  const tankHeight = safeTankHeight(tankConfig);
+
+  const distanceCm = clamp(
+    coerceNumber(probe.value),
+    0,
+    tankHeight || Number.MAX_SAFE_INTEGER
+  );
+  const waterLevelCm =
+    tankHeight > 0 ? clamp(tankHeight - distanceCm, 0, tankHeight) : 0;
+
+  const result = await database.insertWaterReading({
+    tankId: tankConfig.tankId,
+    sensorId: sensor_id,
+    distanceCm,
+    waterLevelCm,
+    relayStatus: relayState || "unknown",
+  });
+  await tankAlerts.checkLowLevel(tankConfig, waterLevelCm, result.data.timestamp);
+
+  // Also update the config for easy status retrieval
+  if (relayState) {
+    await database.TankConfig.findOneAndUpdate(
+      { tankId: tankConfig.tankId },
+      { $set: { relayStatus: relayState } }
+    );
+  }
+
+  // Runtime, fill rate and short-cycling limits; a trip queues a stop and
+  // locks automation out until an operator resets it
+  const protection = await pumpProtection.checkReading(tankConfig, {
+    relayState,
+    waterLevelCm,
+    distanceCm,
+    at: result.data.timestamp,
+  });
+  if (protection) {
+    log.warn("Pump protection tripped", {
+      sensor_id,
+      tankId: tankConfig.tankId,
+      rule: protection.rule,
+      message: protection.message,
+    });
+  }
+
+  // ===== SERVER-SIDE AUTOMATION (Defense in depth) =====
+  if (tankConfig.automationEnabled && !tankConfig.pumpLockout?.active) {
+    const pumpOnDist = tankConfig.pumpOnDistanceCm ?? 250;
+    const pumpOffDist = tankConfig.pumpOffDistanceCm ?? 50;
+    const currentRelay = relayState || "unknown";
+    const fiveMinsAgo = new Date(Date.now() - 5 * 60 * 1000);
+
+    let action = null;
+    if (distanceCm > pumpOnDist && currentRelay === "off") action = "start";
+    else if (distanceCm < pumpOffDist && currentRelay === "on") action = "stop";
+
+    const heldBack = action === "start" && pumpProtection.startBlockedReason(tankConfig);
+    if (heldBack) {
+      log.info("Server-side auto: start held back by pump protection", {
+        sensor_id,
+        tankId: tankConfig.tankId,
+        reason: heldBack,
+      });
+      action = null;
+    }
+
+    if (action) {
+      const pending = await PendingCommand.findOne({
+        sensorId: sensor_id,
+        target: "water_pump",
+        action,
+        tankId: tankConfig.tankId,
+        $or: [
+          { status: "queued" },
+          { status: "dequeued", updatedAt: { $gt: fiveMinsAgo } },
+        ],
+      });
+      if (!pending) {
+        await new PendingCommand({
+          sensorId: sensor_id,
+          action,
+          target: "water_pump",
+          trigger: "auto",
+          tankId: tankConfig.tankId,
+          channel,
+        }).save();
+        await database.TankConfig.findOneAndUpdate(
+          { tankId: tankConfig.tankId },
+          { $set: { relayStatus: action === "start" ? "on" : "off" } }
+        );
+        log.info(`Server-side auto: queued water_pump ${action} and updated DB`, {
+          sensor_id,
+          tankId: tankConfig.tankId,
+          channel,
+          distanceCm,
+          pumpOnDist,
+          pumpOffDist,
+        });
+      }
+    }
+  }
+
+  log.info("Water reading processed", {
+    sensor_id,
+    tankId: tankConfig.tankId,
+    channel,
+    tankHeightCm: tankHeight,
+    usedField,
+    distanceCm,
+    waterLevelCm,
+  });
+
+  return {
+    success: true,
+    data: result.data,
+    tankId: tankConfig.tankId,
+    channel,
+    ...(protection && { pumpProtection: protection }),
+  };
+};
+
+// Stores one probe's reading against its zone and runs server-side automation
+// for that zone. Returns the per-zone entry of the ingest response.
+const processSoilProbe = async ({ sensor_id, zoneConfig, probe, sensors, relays }) => {
+  const channel = normalizeChannel(zoneConfig.sensorChannel);
+  const relayState = valueForChannel(relays?.irrigation, zoneConfig);
+
+  let targets;
+  try {
+    targets = await zoneConfig.getCurrentMoistureTargets();
+  } catch (error) {
+    targets = {
+      minMoisture: zoneConfig.moistureThresholds?.minMoisture,
+      maxMoisture: zoneConfig.moistureThresholds?.maxMoisture,
+      source: "fallback_error",
+    };
+    log.warn("Falling back to static moisture thresholds", {
+      sensor_id,
+      zoneId: zoneConfig.zoneId,
+      message: error.message,
+    });
+  }
+
+  const readingData = {
+    zoneId: zoneConfig.zoneId,
+    sensorId: sensor_id,
+    moisturePercentage: probe.value,
+    rawValue: Number.isFinite(coerceNumber(probe.raw)) ? coerceNumber(probe.raw) : 0,
+    temperature: sensors.environmental?.temperature?.valid
+      ? sensors.environmental.temperature.value
+      : null,
+    relayStatus: relayState || "auto",
+    stageInfo: {
+      stageName: targets?.stageName,
+      dayInStage: targets?.dayInStage,
+      targetMinMoisture: targets?.minMoisture,
+      targetMaxMoisture: targets?.maxMoisture,
+    },
+  };
+
+  const reading = new database.SoilMoistureReading(readingData);
+
+  let shouldIrrigate = false;
+  try {
+    shouldIrrigate = await reading.shouldTriggerIrrigation();
+    reading.irrigationTriggered = shouldIrrigate;
+  } catch (error) {
+    reading.irrigationTriggered = false;
+    log.warn("Error determining irrigation trigger; defaulting to false", {
+      sensor_id,
+      zoneId: zoneConfig.zoneId,
+      message: error.message,
+    });
+  }
+
+  const saved = await reading.save();
+
+  // Also update the config for easy status retrieval
+  if (relayState) {
+    await database.ZoneConfig.findOneAndUpdate(
+      { zoneId: zoneConfig.zoneId },
+      { $set: { relayStatus: relayState } }
+    );
+  }
+
+  if (shouldIrrigate) {
+    await database.ZoneConfig.findOneAndUpdate(
+      { zoneId: zoneConfig.zoneId },
+      { lastIrrigation: new Date() }
+    );
+  }
+
+  // ===== SERVER-SIDE AUTOMATION (Defense in depth) =====
+  if (zoneConfig.automationEnabled) {
+    const dryThreshold = targets.minMoisture;
+    const wetThreshold = targets.maxMoisture;
+    const currentRelay = relayState || "unknown";
+    const moisture = probe.value;
+    const fiveMinsAgo = new Date(Date.now() - 5 * 60 * 1000);
+
+    let action = null;
+    if (moisture < dryThreshold && currentRelay === "off") action = "start";
+    else if (moisture > wetThreshold && currentRelay === "on") action = "stop";
+
+    if (action) {
+      const pending = await PendingCommand.findOne({
+        sensorId: sensor_id,
+        target: "irrigation",
+        action,
+        zoneId: zoneConfig.zoneId,
+        $or: [
+          { status: "queued" },
+          { status: "dequeued", updatedAt: { $gt: fiveMinsAgo } },
+        ],
+      });
+      if (!pending) {
+        await new PendingCommand({
+          sensorId: sensor_id,
+          action,
+          target: "irrigation",
+          trigger: "auto",
+          zoneId: zoneConfig.zoneId,
+          channel,
+        }).save();
+        await database.ZoneConfig.findOneAndUpdate(
+          { zoneId: zoneConfig.zoneId },
+          { $set: { relayStatus: action === "start" ? "on" : "off" } }
+        );
+        log.info(`Server-side auto: queued irrigation ${action} and updated DB`, {
+          sensor_id,
+          zoneId: zoneConfig.zoneId,
+          channel,
+          moisture,
+          dryThreshold,
+          wetThreshold,
+        });
+      }
+    }
+  }
+
+  log.info("Soil moisture processed", {
+    sensor_id,
+    zoneId: zoneConfig.zoneId,
+    channel,
+    irrigationTriggered: shouldIrrigate,
+    moisture: probe.value,
+  });
+
+  return {
+    success: true,
+    data: saved,
+    irrigationTriggered: shouldIrrigate,
+    zoneId: zoneConfig.zoneId,
+    channel,
+  };
+};
+
 // =========================================
 // POST /api/sensors/reading
 // =========================================
@@ -53,128 +508,75 @@ router.post("/reading", async (req, res) => {
     let manualCommand = null;
 
     // ===== Water: treat incoming as DISTANCE =====
-    // Accepts sensors.water_distance (preferred) or sensors.water_level (legacy-as-distance).
-    if (
-      (sensors.water_distance && sensors.water_distance.valid) ||
-      (sensors.water_level && sensors.water_level.valid)
-    ) {
+    // Accepts sensors.water_distance (preferred) or sensors.water_level
+    // (legacy-as-distance), as a single probe or keyed by channel. Each probe
+    // is matched to the TankConfig mapped to this gateway/channel.
+    const waterProcessedTanks = new Set();
+    let usedWaterField = "water_distance";
+    let waterProbes = normalizeProbes(sensors.water_distance).filter(
+      (p) => p && p.valid
+    );
+    if (waterProbes.length === 0) {
+      usedWaterField = "water_level(as distance)";
+      waterProbes = normalizeProbes(sensors.water_level).filter(
+        (p) => p && p.valid
+      );
+    }
+    if (waterProbes.length > 0) {
       try {
-        const tankConfig = await database.TankConfig.findOne({
-          sensorId: sensor_id,
-        });
-
-        if (!tankConfig) {
-          // PROACTIVE FIX: If this is the only sensor and we have a main_tank unassigned, link them.
-          const mainTank = await database.TankConfig.findOne({ tankId: "main_tank" });
-          if (mainTank && (!mainTank.sensorId || mainTank.sensorId === "unassigned")) {
-            mainTank.sensorId = sensor_id;
-            await mainTank.save();
-            log.info("Auto-assigned sensor to main_tank", { sensor_id });
-            tankConfig = mainTank; // Continue processing with this tank
+        const tanks = await resolveTanks(sensor_id);
+        const results = [];
+
+        for (const probe of waterProbes) {
+          const tankConfig = findForChannel(tanks, probe.channel);
+          if (!tankConfig) {
+            results.push({
+              success: false,
+              channel: probe.channel,
+              error:
+                probe.channel === null
+                  ? "No tank configuration found for sensor"
+                  : `No tank configuration found for sensor channel ${probe.channel}`,
+            });
+            log.warn("No tank configuration found for sensor", {
+              sensor_id,
+              channel: probe.channel,
+            });
+            continue;
           }
-        }
 
-        if (!tankConfig) {
-          responses.water = {
-            success: false,
-            error: "No tank configuration found for sensor",
-          };
-          log.warn("No tank configuration found for sensor", { sensor_id });
-        } else {
-          const tankHeight = safeTankHeight(tankConfig);
-          const hasDistance = !!(
-            sensors.water_distance && sensors.water_distance.valid
-          );
-
-          const raw = coerceNumber(
-            hasDistance
-              ? sensors.water_distance.value
-              : sensors.water_level.value
-          );
-
-          const distanceCm = clamp(
-            raw,
-            0,
-            tankHeight || Number.MAX_SAFE_INTEGER
-          );
-          const waterLevelCm =
-            tankHeight > 0 ? clamp(tankHeight - distanceCm, 0, tankHeight) : 0;
-
-          const result = await database.insertWaterReading({
-            tankId: tankConfig.tankId,
-            sensorId: sensor_id,
-            distanceCm,
-            waterLevelCm,
-            relayStatus: relays?.water_pump || "unknown",
-          });
-
-          // Also update the config for easy status retrieval
-          if (relays?.water_pump) {
-            await database.TankConfig.findOneAndUpdate(
-              { tankId: tankConfig.tankId },
-              { $set: { relayStatus: relays.water_pump } }
+          try {
+            results.push(
+              await processWaterProbe({
+                sensor_id,
+                tankConfig,
+                probe,
+                relays,
+                usedField: usedWaterField,
+              })
             );
+          } catch (error) {
+            errors.push({
+              type: "water",
+              tankId: tankConfig.tankId,
+              error: error.message,
+            });
+            log.error("Error processing water", {
+              sensor_id,
+              tankId: tankConfig.tankId,
+              message: error.message,
+              stack: error.stack,
+            });
           }
+        }
 
-          // ===== SERVER-SIDE AUTOMATION (Defense in depth) =====
-          if (tankConfig.automationEnabled) {
-            const pumpOnDist = tankConfig.pumpOnDistanceCm ?? 250;
-            const pumpOffDist = tankConfig.pumpOffDistanceCm ?? 50;
-            const currentRelay = relays?.water_pump || "unknown";
-            const fiveMinsAgo = new Date(Date.now() - 5 * 60 * 1000);
-
-            if (distanceCm > pumpOnDist && currentRelay === "off") {
-              const pending = await PendingCommand.findOne({ 
-                sensorId: sensor_id, 
-                target: "water_pump", 
-                action: "start",
-                $or: [
-                  { status: "queued" },
-                  { status: "dequeued", updatedAt: { $gt: fiveMinsAgo } }
-                ]
-              });
-              if (!pending) {
-                await new PendingCommand({ sensorId: sensor_id, action: "start", target: "water_pump", trigger: "auto" }).save();
-                await database.TankConfig.findOneAndUpdate({ sensorId: sensor_id }, { $set: { relayStatus: 'on' } });
-                log.info("Server-side auto: queued water_pump start and updated DB", { sensor_id, distanceCm, pumpOnDist });
-              }
-            } else if (distanceCm < pumpOffDist && currentRelay === "on") {
-              const pending = await PendingCommand.findOne({ 
-                sensorId: sensor_id, 
-                target: "water_pump", 
-                action: "stop",
-                $or: [
-                  { status: "queued" },
-                  { status: "dequeued", updatedAt: { $gt: fiveMinsAgo } }
-                ]
-              });
-              if (!pending) {
-                await new PendingCommand({ sensorId: sensor_id, action: "stop", target: "water_pump", trigger: "auto" }).save();
-                await database.TankConfig.findOneAndUpdate({ sensorId: sensor_id }, { $set: { relayStatus: 'off' } });
-                log.info("Server-side auto: queued water_pump stop and updated DB", { sensor_id, distanceCm, pumpOffDist });
-              }
-            }
-          }
-
-          responses.water = {
-            success: true,
-            data: result.data,
-            tankId: tankConfig.tankId,
-          };
-
-          responses.water_processed = true; // Mark as processed for this request
-
-          log.info("Water reading processed", {
-            sensor_id,
-            tankId: tankConfig.tankId,
-            tankHeightCm: tankHeight,
-            usedField: hasDistance
-              ? "water_distance"
-              : "water_level(as distance)",
-            distanceCm,
-            waterLevelCm,
-          });
+        // First tank keeps the single-tank response shape for existing clients
+        if (results.length > 0) responses.water = results[0];
+        if (waterProbes.length > 1) responses.water_tanks = results;
+        for (const r of results) {
+          if (r.success) waterProcessedTanks.add(r.tankId);
         }
+        responses.water_processed = waterProcessedTanks.size > 0;
       } catch (error) {
         errors.push({ type: "water", error: error.message });
         log.error("Error processing water", {
@@ -185,148 +587,67 @@ router.post("/reading", async (req, res) => {
       }
     }
 
-    // ===== Soil (single-zone) =====
-    if (sensors.soil_moisture && sensors.soil_moisture.valid) {
+    // ===== Soil (multi-zone) =====
+    // Each probe is matched to the ZoneConfig mapped to this gateway/channel.
+    const soilProcessedZones = new Set();
+    const soilProbes = normalizeProbes(sensors.soil_moisture).filter(
+      (p) => p && p.valid
+    );
+    if (soilProbes.length > 0) {
       try {
-        const zoneConfig = await database.ZoneConfig.findOne({
-          zoneId: HARD_ZONE_ID,
-        });
-
-        if (zoneConfig) {
-          let targets;
-          try {
-            targets = await zoneConfig.getCurrentMoistureTargets();
-          } catch (error) {
-            targets = {
-              minMoisture: zoneConfig.moistureThresholds?.minMoisture,
-              maxMoisture: zoneConfig.moistureThresholds?.maxMoisture,
-              source: "fallback_error",
-            };
-            log.warn("Falling back to static moisture thresholds", {
+        const zones = await resolveSoilZones(sensor_id);
+        const results = [];
+
+        for (const probe of soilProbes) {
+          const zoneConfig = findForChannel(zones, probe.channel);
+          if (!zoneConfig) {
+            results.push({
+              success: false,
+              channel: probe.channel,
+              error:
+                probe.channel === null
+                  ? `No zone configuration mapped to sensor ${sensor_id}`
+                  : `No zone configuration mapped to sensor ${sensor_id} channel ${probe.channel}`,
+            });
+            log.warn("No zone configuration found for soil probe", {
               sensor_id,
-              zoneId: zoneConfig.zoneId,
-              message: error.message,
+              channel: probe.channel,
             });
+            continue;
           }
 
-          const readingData = {
-            zoneId: zoneConfig.zoneId,
-            sensorId: sensor_id,
-            moisturePercentage: sensors.soil_moisture.value,
-            rawValue: 0,
-            temperature: sensors.environmental?.temperature?.valid
-              ? sensors.environmental.temperature.value
-              : null,
-            relayStatus: relays?.irrigation || "auto",
-            stageInfo: {
-              stageName: targets?.stageName,
-              dayInStage: targets?.dayInStage,
-              targetMinMoisture: targets?.minMoisture,
-              targetMaxMoisture: targets?.maxMoisture,
-            },
-          };
-
-          const reading = new database.SoilMoistureReading(readingData);
-
-          let shouldIrrigate = false;
           try {
-            shouldIrrigate = await reading.shouldTriggerIrrigation();
-            reading.irrigationTriggered = shouldIrrigate;
-          } catch (error) {
-            reading.irrigationTriggered = false;
-            log.warn(
-              "Error determining irrigation trigger; defaulting to false",
-              {
+            results.push(
+              await processSoilProbe({
                 sensor_id,
-                zoneId: zoneConfig.zoneId,
-                message: error.message,
-              }
-            );
-          }
-
-          const saved = await reading.save();
-
-          // Also update the config for easy status retrieval
-          if (relays?.irrigation) {
-            await database.ZoneConfig.findOneAndUpdate(
-              { zoneId: zoneConfig.zoneId },
-              { $set: { relayStatus: relays.irrigation } }
-            );
-          }
-
-          if (shouldIrrigate) {
-            await database.ZoneConfig.findOneAndUpdate(
-              { zoneId: zoneConfig.zoneId },
-              { lastIrrigation: new Date() }
+                zoneConfig,
+                probe,
+                sensors,
+                relays,
+              })
             );
+          } catch (error) {
+            errors.push({
+              type: "soil",
+              zoneId: zoneConfig.zoneId,
+              error: error.message,
+            });
+            log.error("Error processing soil moisture", {
+              sensor_id,
+              zoneId: zoneConfig.zoneId,
+              message: error.message,
+              stack: error.stack,
+            });
           }
-          
-          // ===== SERVER-SIDE AUTOMATION (Defense in depth) =====
-          if (zoneConfig.automationEnabled) {
-            const dryThreshold = targets.minMoisture;
-            const wetThreshold = targets.maxMoisture;
-            const currentRelay = relays?.irrigation || "unknown";
-            const moisture = sensors.soil_moisture.value;
-            const fiveMinsAgo = new Date(Date.now() - 5 * 60 * 1000);
-
-            if (moisture < dryThreshold && currentRelay === "off") {
-              const pending = await PendingCommand.findOne({ 
-                sensorId: sensor_id, 
-                target: "irrigation", 
-                action: "start",
-                $or: [
-                  { status: "queued" },
-                  { status: "dequeued", updatedAt: { $gt: fiveMinsAgo } }
-                ]
-              });
-              if (!pending) {
-                await new PendingCommand({ sensorId: sensor_id, action: "start", target: "irrigation", trigger: "auto" }).save();
-                await database.ZoneConfig.findOneAndUpdate({ zoneId: HARD_ZONE_ID }, { $set: { relayStatus: 'on' } });
-                log.info("Server-side auto: queued irrigation start and updated DB", { sensor_id, moisture, dryThreshold });
-              }
-            } else if (moisture > wetThreshold && currentRelay === "on") {
-              const pending = await PendingCommand.findOne({ 
-                sensorId: sensor_id, 
-                target: "irrigation", 
-                action: "stop",
-                $or: [
-                  { status: "queued" },
-                  { status: "dequeued", updatedAt: { $gt: fiveMinsAgo } }
-                ]
-              });
-              if (!pending) {
-                await new PendingCommand({ sensorId: sensor_id, action: "stop", target: "irrigation", trigger: "auto" }).save();
-                await database.ZoneConfig.findOneAndUpdate({ zoneId: HARD_ZONE_ID }, { $set: { relayStatus: 'off' } });
-                log.info("Server-side auto: queued irrigation stop and updated DB", { sensor_id, moisture, wetThreshold });
-              }
-            }
-          }
-
-          responses.soil = {
-            success: true,
-            data: saved,
-            irrigationTriggered: shouldIrrigate,
-            zoneId: zoneConfig.zoneId,
-          };
-
-          responses.soil_processed = true; // Mark as processed for this request
+        }
 
-          log.info("Soil moisture processed (single-zone)", {
-            sensor_id,
-            zoneId: zoneConfig.zoneId,
-            irrigationTriggered: shouldIrrigate,
-            moisture: sensors.soil_moisture.value,
-          });
-        } else {
-          responses.soil = {
-            success: false,
-            error: `No zone configuration found for zoneId=${HARD_ZONE_ID}`,
-          };
-          log.warn("No zone configuration found for hardcoded zone", {
-            sensor_id,
-            zoneId: HARD_ZONE_ID,
-          });
+        // First zone keeps the single-zone response shape for existing clients
+        if (results.length > 0) responses.soil = results[0];
+        if (soilProbes.length > 1) responses.soil_zones = results;
+        for (const r of results) {
+          if (r.success) soilProcessedZones.add(r.zoneId);
         }
+        responses.soil_processed = soilProcessedZones.size > 0;
       } catch (error) {
         errors.push({ type: "soil", error: error.message });
         log.error("Error processing soil moisture", {
@@ -340,7 +661,7 @@ router.post("/reading", async (req, res) => {
     // ===== Environmental =====
     if (sensors.environmental && sensors.environmental.valid) {
       try {
-        const envData = {
+        const envData = await environmentalCalibration.calibrateReading({
           sensorId: sensor_id,
           location: location || "field_station_1",
           temperatureCelsius: sensors.environmental.temperature?.valid
@@ -350,13 +671,26 @@ router.post("/reading", async (req, res) => {
             ? sensors.environmental.humidity.value
             : null,
           timestamp: new Date(),
-        };
+        });
 
         const envReading = new database.EnvironmentalReading(envData);
         await envReading.save();
 
         responses.environmental = { success: true, data: envReading };
 
+        try {
+          const evaluation = await environmentalAlerts.evaluateReading(
+            envReading
+          );
+          responses.environmental.alerts =
+            environmentalAlerts.summarize(evaluation);
+        } catch (alertError) {
+          log.warn("Environmental alert evaluation failed", {
+            sensor_id,
+            message: alertError.message,
+          });
+        }
+
         log.info("Environmental data processed", {
           sensor_id,
           temperatureCelsius: envData.temperatureCelsius,
@@ -377,47 +711,56 @@ router.post("/reading", async (req, res) => {
     try {
       // 1. Sync Automation / Config Settings
       if (automation || config || relays) {
-        const updates = {};
-        if (automation?.water_pump)
-          updates.automationEnabled = automation.water_pump === "on";
-        if (config?.report_interval)
-          updates.reportInterval = config.report_interval;
-        if (relays?.water_pump)
-          updates.relayStatus = relays.water_pump;
-
-        if (Object.keys(updates).length > 0) {
-          await database.TankConfig.findOneAndUpdate(
+        if (config?.report_interval) {
+          await database.TankConfig.updateMany(
             { sensorId: sensor_id },
-            { $set: updates }
+            { $set: { reportInterval: config.report_interval } }
           );
         }
 
+        if (automation?.water_pump || relays?.water_pump) {
+          for (const tank of await resolveTanks(sensor_id)) {
+            const tankUpdates = {};
+            const tankAutomation = valueForChannel(automation?.water_pump, tank);
+            const tankRelay = valueForChannel(relays?.water_pump, tank);
+            if (tankAutomation)
+              tankUpdates.automationEnabled = tankAutomation === "on";
+            if (tankRelay) tankUpdates.relayStatus = tankRelay;
+
+            if (Object.keys(tankUpdates).length > 0) {
+              await database.TankConfig.findOneAndUpdate(
+                { tankId: tank.tankId },
+                { $set: tankUpdates }
+              );
+            }
+          }
+        }
+
         if (automation?.irrigation || relays?.irrigation) {
-          const zoneUpdates = {};
-          if (automation?.irrigation)
-            zoneUpdates.automationEnabled = automation.irrigation === "on";
-          if (relays?.irrigation)
-            zoneUpdates.relayStatus = relays.irrigation;
-
-          if (Object.keys(zoneUpdates).length > 0) {
-            await database.ZoneConfig.findOneAndUpdate(
-              { zoneId: HARD_ZONE_ID },
-              { $set: zoneUpdates }
-            );
+          for (const zone of await resolveSoilZones(sensor_id)) {
+            const zoneUpdates = {};
+            const zoneAutomation = valueForChannel(automation?.irrigation, zone);
+            const zoneRelay = valueForChannel(relays?.irrigation, zone);
+            if (zoneAutomation)
+              zoneUpdates.automationEnabled = zoneAutomation === "on";
+            if (zoneRelay) zoneUpdates.relayStatus = zoneRelay;
+
+            if (Object.keys(zoneUpdates).length > 0) {
+              await database.ZoneConfig.findOneAndUpdate(
+                { zoneId: zone.zoneId },
+                { $set: zoneUpdates }
+              );
+            }
           }
         }
       }
 
-      // 2. Record Water Pump Status if not already done
-      if (relays?.water_pump && !responses.water_processed) {
-        let tankConfig = await database.TankConfig.findOne({
-          sensorId: sensor_id,
-        });
-        if (!tankConfig) {
-          tankConfig = await database.TankConfig.findOne({ tankId: "main_tank" });
-        }
+      // 2. Record Water Pump Status for tanks without a reading this request
+      if (relays?.water_pump) {
+        for (const tankConfig of await resolveTanks(sensor_id)) {
+          const tankRelay = valueForChannel(relays.water_pump, tankConfig);
+          if (!tankRelay || waterProcessedTanks.has(tankConfig.tankId)) continue;
 
-        if (tankConfig) {
           const latestWaterReading = await database.getLatestWaterReading(
             tankConfig.tankId
           );
@@ -433,40 +776,47 @@ router.post("/reading", async (req, res) => {
             sensorId: sensor_id,
             distanceCm: fallbackDistanceCm,
             waterLevelCm: fallbackWaterLevelCm,
-            relayStatus: relays.water_pump,
+            relayStatus: tankRelay,
           });
           log.info("Recorded relay-only water status sync", {
             sensor_id,
-            status: relays.water_pump,
+            tankId: tankConfig.tankId,
+            status: tankRelay,
           });
         }
       }
 
-      // 3. Record Irrigation Status if not already done
-      if (relays?.irrigation && !responses.soil_processed) {
-        const latestSoilReading =
-          await database.SoilMoistureReading.getLatestByZone(HARD_ZONE_ID);
-        const fallbackMoisture = Number.isFinite(latestSoilReading?.moisturePercentage)
-          ? latestSoilReading.moisturePercentage
-          : 0;
-        const fallbackRawValue = Number.isFinite(latestSoilReading?.rawValue)
-          ? latestSoilReading.rawValue
-          : 0;
-
-        await new database.SoilMoistureReading({
-          zoneId: HARD_ZONE_ID,
-          sensorId: sensor_id,
-          moisturePercentage: fallbackMoisture,
-          rawValue: fallbackRawValue,
-          temperature: latestSoilReading?.temperature ?? null,
-          relayStatus: relays.irrigation,
-          irrigationTriggered: latestSoilReading?.irrigationTriggered ?? false,
-          stageInfo: latestSoilReading?.stageInfo ?? undefined,
-        }).save();
-        log.info("Recorded relay-only soil status sync", {
-          sensor_id,
-          status: relays.irrigation,
-        });
+      // 3. Record Irrigation Status for zones without a probe reading this request
+      if (relays?.irrigation) {
+        for (const zone of await resolveSoilZones(sensor_id)) {
+          const zoneRelay = valueForChannel(relays.irrigation, zone);
+          if (!zoneRelay || soilProcessedZones.has(zone.zoneId)) continue;
+
+          const latestSoilReading =
+            await database.SoilMoistureReading.getLatestByZone(zone.zoneId);
+          const fallbackMoisture = Number.isFinite(latestSoilReading?.moisturePercentage)
+            ? latestSoilReading.moisturePercentage
+            : 0;
+          const fallbackRawValue = Number.isFinite(latestSoilReading?.rawValue)
+            ? latestSoilReading.rawValue
+            : 0;
+
+          await new database.SoilMoistureReading({
+            zoneId: zone.zoneId,
+            sensorId: sensor_id,
+            moisturePercentage: fallbackMoisture,
+            rawValue: fallbackRawValue,
+            temperature: latestSoilReading?.temperature ?? null,
+            relayStatus: zoneRelay,
+            irrigationTriggered: latestSoilReading?.irrigationTriggered ?? false,
+            stageInfo: latestSoilReading?.stageInfo ?? undefined,
+          }).save();
+          log.info("Recorded relay-only soil status sync", {
+            sensor_id,
+            zoneId: zone.zoneId,
+            status: zoneRelay,
+          });
+        }
       }
     } catch (err) {
       log.error("Error in relay/automation fallback sync", {
@@ -475,15 +825,15 @@ router.post("/reading", async (req, res) => {
     }
 
     // ===== Atomically pop a queued command for this sensor =====
-    const popped = await PendingCommand.findOneAndUpdate(
-      { sensorId: sensor_id, status: "queued" },
-      { $set: { status: "dequeued", dequeuedAt: new Date() } },
-      { sort: { createdAt: 1 }, new: true }
-    );
+    const popped = await PendingCommand.dequeueNext(sensor_id);
     if (popped) {
       manualCommand = {
+        id: popped._id,
         action: popped.action,
         target: popped.target,
+        ...(popped.tankId && { tankId: popped.tankId }),
+        ...(popped.zoneId && { zoneId: popped.zoneId }),
+        ...(popped.channel && { channel: popped.channel }),
         trigger: popped.action === "set_automation" || popped.action === "set_interval" ? popped.value : popped.trigger,
         timestamp: popped.createdAt,
       };
@@ -527,17 +877,14 @@ router.get("/pending-commands/:sensorId", async (req, res) => {
   try {
     const { sensorId } = req.params;
 
-    const cmd = await PendingCommand.findOneAndUpdate(
-      { sensorId, status: "queued" },
-      { $set: { status: "dequeued", dequeuedAt: new Date() } },
-      { sort: { createdAt: 1 }, new: true }
-    );
+    const cmd = await PendingCommand.dequeueNext(sensorId);
 
     if (cmd) {
       return res.json({
         success: true,
         hasCommand: true,
         manualCommand: {
+          id: cmd._id,
           action: cmd.action,
           target: cmd.target,
           trigger: cmd.action === "set_automation" || cmd.action === "set_interval" ? cmd.value : cmd.trigger,
@@ -560,13 +907,26 @@ router.get("/pending-commands/:sensorId", async (req, res) => {
 // =========================================
 router.post("/command", async (req, res) => {
   try {
-    const { sensor_id, action, target, trigger = "manual" } = req.body;
+    const {
+      sensor_id,
+      action,
+      target,
+      trigger = "manual",
+      expires_in_minutes,
+      max_attempts,
+      tank_id,
+      zone_id,
+      channel,
+    } = req.body;
 
     log.info("POST /api/sensors/command received", {
       sensor_id,
       action,
       target,
       trigger,
+      tank_id,
+      zone_id,
+      channel,
     });
 
     if (!sensor_id || !action || !target) {
@@ -585,15 +945,52 @@ router.post("/command", async (req, res) => {
       });
     }
 
+    const lifecycle = {};
+    if (expires_in_minutes !== undefined) {
+      const minutes = parseFloat(expires_in_minutes);
+      if (!(minutes > 0)) {
+        return res.status(400).json({
+          error: "Invalid expires_in_minutes. Must be a positive number",
+        });
+      }
+      lifecycle.expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    }
+    if (max_attempts !== undefined) {
+      const attempts = parseInt(max_attempts, 10);
+      if (!(attempts >= 1)) {
+        return res.status(400).json({
+          error: "Invalid max_attempts. Must be at least 1",
+        });
+      }
+      lifecycle.maxAttempts = attempts;
+    }
+
+    const { configs, commandScope, error: scopeError } =
+      await resolveCommandScope(
+        sensor_id,
+        target,
+        target === "water_pump" ? tank_id : zone_id,
+        channel
+      );
+    if (scopeError) return res.status(404).json({ error: scopeError });
+
     const cmd = await PendingCommand.create({
       sensorId: sensor_id,
       action,
       target,
       trigger,
       status: "queued",
+      ...commandScope,
+      ...lifecycle,
     });
 
-    log.info("Queued command (DB)", { sensor_id, action, target, trigger });
+    log.info("Queued command (DB)", {
+      sensor_id,
+      action,
+      target,
+      trigger,
+      ...commandScope,
+    });
 
     // ENFORCE AUTOMATION OVERRIDE: 
     // If a manual start/stop command is sent, ensure we also disable automation
@@ -606,20 +1003,13 @@ router.post("/command", async (req, res) => {
           trigger: "manual_override",
           value: "off",
           status: "queued",
+          ...commandScope,
         });
 
-        if (target === "water_pump") {
-          await database.TankConfig.findOneAndUpdate(
-            { sensorId: sensor_id },
-            { $set: { automationEnabled: false, relayStatus: action === 'start' ? 'on' : 'off' } }
-          );
-        } else if (target === "irrigation") {
-          // Applies to the default/hardcoded zone
-          await database.ZoneConfig.findOneAndUpdate(
-            { zoneId: HARD_ZONE_ID },
-            { $set: { automationEnabled: false, relayStatus: action === 'start' ? 'on' : 'off' } }
-          );
-        }
+        await updateScopedConfigs(target, configs, {
+          automationEnabled: false,
+          relayStatus: action === 'start' ? 'on' : 'off',
+        });
         log.info("Queued automation override and updated DB", { target });
       } catch (err) {
         log.error("Failed to apply automation override", { error: err.message });
@@ -634,7 +1024,12 @@ router.post("/command", async (req, res) => {
         action,
         target,
         trigger,
+        tankId: cmd.tankId,
+        zoneId: cmd.zoneId,
+        channel: cmd.channel,
         queued: true,
+        expiresAt: cmd.expiresAt,
+        maxAttempts: cmd.maxAttempts,
         timestamp: cmd.createdAt,
       },
       message: `Command queued for nRF9160 sensor ${sensor_id}`,
@@ -655,12 +1050,15 @@ router.post("/command", async (req, res) => {
 // =========================================
 router.post("/automation", async (req, res) => {
   try {
-    const { sensor_id, target, enabled } = req.body;
+    const { sensor_id, target, enabled, tank_id, zone_id, channel } = req.body;
 
     log.info("POST /api/sensors/automation received", {
       sensor_id,
       target,
       enabled,
+      tank_id,
+      zone_id,
+      channel,
     });
 
     if (!sensor_id || !target || typeof enabled !== "boolean") {
@@ -675,6 +1073,15 @@ router.post("/automation", async (req, res) => {
       });
     }
 
+    const { configs, commandScope, error: scopeError } =
+      await resolveCommandScope(
+        sensor_id,
+        target,
+        target === "water_pump" ? tank_id : zone_id,
+        channel
+      );
+    if (scopeError) return res.status(404).json({ error: scopeError });
+
     const cmd = await PendingCommand.create({
       sensorId: sensor_id,
       action: "set_automation",
@@ -682,6 +1089,7 @@ router.post("/automation", async (req, res) => {
       trigger: "manual",
       value: enabled ? "on" : "off",
       status: "queued",
+      ...commandScope,
     });
 
     log.info("Queued automation command (DB)", {
@@ -691,17 +1099,7 @@ router.post("/automation", async (req, res) => {
     });
 
     // IMMEDIATE SYNC: Update the configuration doc so the dashboard reflects the change instantly
-    if (target === "water_pump") {
-      await database.TankConfig.findOneAndUpdate(
-        { sensorId: sensor_id },
-        { $set: { automationEnabled: enabled } }
-      );
-    } else if (target === "irrigation") {
-      await database.ZoneConfig.findOneAndUpdate(
-        { zoneId: HARD_ZONE_ID },
-        { $set: { automationEnabled: enabled } }
-      );
-    }
+    await updateScopedConfigs(target, configs, { automationEnabled: enabled });
 
     res.json({
       success: true,
@@ -711,6 +1109,9 @@ router.post("/automation", async (req, res) => {
         action: "set_automation",
         target,
         enabled,
+        tankId: cmd.tankId,
+        zoneId: cmd.zoneId,
+        channel: cmd.channel,
         queued: true,
         timestamp: cmd.createdAt,
       },
@@ -780,69 +1181,221 @@ router.post("/interval", async (req, res) => {
     res.status(500).json({ error: "Failed to queue interval command", message: error.message });
   }
 });
-// body: { sensor_id, action, target, success: boolean }
+// =========================================
+// POST /api/sensors/command/ack
+// body: { sensor_id, action, target, success: boolean, command_id?, error? }
 // =========================================
 router.post("/command/ack", async (req, res) => {
   try {
-    const { sensor_id, action, target, success = true } = req.body;
+    const {
+      sensor_id,
+      action,
+      target,
+      success = true,
+      command_id,
+      error,
+    } = req.body;
 
-    const doc = await PendingCommand.findOneAndUpdate(
-      { sensorId: sensor_id, action, target, status: "dequeued" },
-      {
-        $set: {
-          status: success ? "executed" : "dequeued",
-          executedAt: success ? new Date() : null,
-        },
-      },
-      { sort: { dequeuedAt: -1 }, new: true }
-    );
+    if (command_id && !mongoose.Types.ObjectId.isValid(command_id)) {
+      return res.status(400).json({ success: false, error: "Invalid command_id" });
+    }
+
+    // A late ack may arrive after the sweeper already re-queued the command,
+    // so accept any command that has been handed to the device at least once
+    const query = command_id
+      ? { _id: command_id, sensorId: sensor_id }
+      : { sensorId: sensor_id, action, target };
+    query.attempts = { $gt: 0 };
+
+    const now = new Date();
+    const doc = success
+      ? await PendingCommand.transition(
+          query,
+          ["dequeued", "queued"],
+          "executed",
+          "Acknowledged by device",
+          { executedAt: now }
+        )
+      : await PendingCommand.transition(
+          query,
+          ["dequeued", "queued"],
+          "failed",
+          error || "Device reported failure",
+          { failedAt: now, lastError: error || "Device reported failure" }
+        );
+
+    log.info("Command ack received", {
+      sensor_id,
+      action,
+      target,
+      success,
+      updated: !!doc,
+    });
 
-    return res.json({ success: true, updated: !!doc });
+    return res.json({
+      success: true,
+      updated: !!doc,
+      status: doc?.status,
+    });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message });
   }
 });
 
 // =========================================
-// GET /api/sensors/status/:sensorId
+// POST /api/sensors/command/:commandId/cancel
+// body: { cancelled_by?, reason? }
 // =========================================
-router.get("/status/:sensorId", async (req, res) => {
+router.post("/command/:commandId/cancel", async (req, res) => {
   try {
-    const { sensorId } = req.params;
+    const { commandId } = req.params;
+    const { cancelled_by, reason } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(commandId)) {
+      return res.status(400).json({ success: false, error: "Invalid command id" });
+    }
+
+    const existing = await PendingCommand.findById(commandId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Command not found" });
+    }
+
+    const doc = await PendingCommand.transition(
+      { _id: commandId },
+      ["queued", "dequeued"],
+      "cancelled",
+      reason || null,
+      { cancelledAt: new Date(), cancelledBy: auth.actorOf(req, cancelled_by || null) }
+    );
 
-    let tankConfig = await database.TankConfig.findOne({ sensorId });
-    
-    // Fallback: if no sensor mapping, but we only have one tank (main_tank), use it
-    if (!tankConfig) {
-      tankConfig = await database.TankConfig.findOne({ tankId: "main_tank" });
+    if (!doc) {
+      return res.status(409).json({
+        success: false,
+        error: `Command is already ${existing.status}`,
+        status: existing.status,
+      });
+    }
+
+    log.info("Command cancelled", {
+      commandId,
+      sensor_id: doc.sensorId,
+      wasDequeued: existing.status === "dequeued",
+    });
+
+    res.json({
+      success: true,
+      data: doc,
+      message:
+        existing.status === "dequeued"
+          ? "Command cancelled, but it was already delivered to the device"
+          : "Command cancelled",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =========================================
+// GET /api/sensors/commands/:sensorId
+// ?status=queued,failed&target&from&to&limit
+// Full command lifecycle history for a sensor
+// =========================================
+router.get("/commands/:sensorId", async (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    const { status, target, from, to } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const query = { sensorId };
+    if (status) query.status = { $in: String(status).split(",") };
+    if (target) query.target = target;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
     }
 
-    const zoneConfig = await database.ZoneConfig.findOne({
-      zoneId: HARD_ZONE_ID,
+    const commands = await PendingCommand.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const counts = await PendingCommand.aggregate([
+      { $match: { sensorId } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        sensorId,
+        counts: counts.reduce((acc, c) => {
+          acc[c._id] = c.count;
+          return acc;
+        }, {}),
+        commands: commands.map((c) => ({
+          id: c._id,
+          action: c.action,
+          target: c.target,
+          trigger: c.trigger,
+          value: c.value,
+          status: c.status,
+          attempts: c.attempts,
+          maxAttempts: c.maxAttempts,
+          createdAt: c.createdAt,
+          expiresAt: c.expiresAt,
+          dequeuedAt: c.dequeuedAt,
+          executedAt: c.executedAt,
+          failedAt: c.failedAt,
+          cancelledAt: c.cancelledAt,
+          lastError: c.lastError,
+          events: c.events || [],
+        })),
+      },
     });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =========================================
+// GET /api/sensors/status/:sensorId
+// =========================================
+router.get("/status/:sensorId", async (req, res) => {
+  try {
+    const { sensorId } = req.params;
 
-    let waterStatus = null;
-    let soilStatus = null;
+    const tankConfigs = await findTanksForStatus(sensorId);
 
-    if (tankConfig) {
+    const zoneConfigs = await database.ZoneConfig.find({
+      sensorId,
+      isActive: true,
+    }).sort({ sensorChannel: 1 });
+
+    const waterTanks = [];
+    for (const tankConfig of tankConfigs) {
       const latestWaterReading = await database.getLatestWaterReading(
         tankConfig.tankId
       );
-        waterStatus = {
-          tankId: tankConfig.tankId,
-          location: tankConfig.location,
-          tankHeightCm: tankConfig.tankHeightCm,
-          maxCapacityLiters: tankConfig.maxCapacityLiters,
-          automationEnabled: tankConfig.automationEnabled ?? true,
-          pumpOnDistanceCm: tankConfig.pumpOnDistanceCm ?? 250,
-          pumpOffDistanceCm: tankConfig.pumpOffDistanceCm ?? 50,
-          reportInterval: tankConfig.reportInterval ?? 1,
-          relayStatus: tankConfig.relayStatus || 'unknown',
-          latestReading: latestWaterReading,
-        };
+      waterTanks.push({
+        tankId: tankConfig.tankId,
+        location: tankConfig.location,
+        channel: normalizeChannel(tankConfig.sensorChannel),
+        shape: tankConfig.shape,
+        tankHeightCm: tankConfig.tankHeightCm,
+        maxCapacityLiters: tankConfig.maxCapacityLiters,
+        automationEnabled: tankConfig.automationEnabled ?? true,
+        pumpOnDistanceCm: tankConfig.pumpOnDistanceCm ?? 250,
+        pumpOffDistanceCm: tankConfig.pumpOffDistanceCm ?? 50,
+        reportInterval: tankConfig.reportInterval ?? 1,
+        relayStatus: tankConfig.relayStatus || 'unknown',
+        latestReading: latestWaterReading,
+      });
     }
+    const waterStatus = waterTanks[0] || null;
 
-    if (zoneConfig) {
+    const soilZones = [];
+    for (const zoneConfig of zoneConfigs) {
       const latestSoilReading =
         await database.SoilMoistureReading.getLatestByZone(zoneConfig.zoneId);
       
@@ -856,15 +1409,16 @@ router.get("/status/:sensorId", async (req, res) => {
         };
       }
 
-      soilStatus = {
+      soilZones.push({
         zoneId: zoneConfig.zoneId,
         zoneName: zoneConfig.name,
+        channel: normalizeChannel(zoneConfig.sensorChannel),
         automationEnabled: zoneConfig.automationEnabled ?? true,
         soilDryThresholdPct: targets.minMoisture,
         soilWetThresholdPct: targets.maxMoisture,
         relayStatus: zoneConfig.relayStatus || 'unknown',
         latestReading: latestSoilReading,
-      };
+      });
     }
 
     const queuedCount = await PendingCommand.countDocuments({
@@ -877,7 +1431,9 @@ router.get("/status/:sensorId", async (req, res) => {
       data: {
         sensorId,
         water: waterStatus,
-        soil: soilStatus,
+        waterTanks,
+        soil: soilZones[0] || null,
+        soilZones,
         hasPendingCommands: queuedCount > 0,
         config: {
           report_interval: (waterStatus?.reportInterval ?? 1) * 60,
@@ -898,13 +1454,13 @@ router.get("/status/:sensorId", async (req, res) => {
 router.get("/relay-status/:sensorId", async (req, res) => {
   try {
     const { sensorId } = req.params;
-    let tankConfig = await database.TankConfig.findOne({ sensorId });
-    if (!tankConfig) {
-      tankConfig = await database.TankConfig.findOne({ tankId: "main_tank" });
-    }
-    const zoneConfig = await database.ZoneConfig.findOne({
-      zoneId: HARD_ZONE_ID,
-    });
+    const tankConfigs = await findTanksForStatus(sensorId);
+    const tankConfig = tankConfigs[0];
+    const zoneConfigs = await database.ZoneConfig.find({
+      sensorId,
+      isActive: true,
+    }).sort({ sensorChannel: 1 });
+    const zoneConfig = zoneConfigs[0];
 
     res.json({
       success: true,
@@ -913,10 +1469,22 @@ router.get("/relay-status/:sensorId", async (req, res) => {
           relayStatus: tankConfig?.relayStatus || 'unknown',
           automationEnabled: tankConfig?.automationEnabled ?? true,
         },
+        waterTanks: tankConfigs.map((t) => ({
+          tankId: t.tankId,
+          channel: normalizeChannel(t.sensorChannel),
+          relayStatus: t.relayStatus || 'unknown',
+          automationEnabled: t.automationEnabled ?? true,
+        })),
         soil: {
           relayStatus: zoneConfig?.relayStatus || 'unknown',
           automationEnabled: zoneConfig?.automationEnabled ?? true,
-        }
+        },
+        soilZones: zoneConfigs.map((z) => ({
+          zoneId: z.zoneId,
+          channel: normalizeChannel(z.sensorChannel),
+          relayStatus: z.relayStatus || 'unknown',
+          automationEnabled: z.automationEnabled ?? true,
+        })),
       }
     });
   } catch (error) {
@@ -963,11 +1531,20 @@ router.get("/relay-logs/:sensorId", async (req, res) => {
 // GET /api/sensors/history/:sensorId
 // ?param=temperature|humidity|soil|water_level|water_distance|all
 // &from&to&agg=raw|min|max|avg&interval=15m|1h|2d|1w
+// &tank_id|channel (which tank, for gateways feeding several)
 // =========================================
 router.get("/history/:sensorId", async (req, res) => {
   const { sensorId } = req.params;
 
-  const { param = "all", from, to, agg = "raw", interval = "1h" } = req.query;
+  const {
+    param = "all",
+    from,
+    to,
+    agg = "raw",
+    interval = "1h",
+    tank_id,
+    channel,
+  } = req.query;
 
   const parseInterval = (s) => {
     const m = String(s || "1h")
@@ -1091,22 +1668,35 @@ router.get("/history/:sensorId", async (req, res) => {
     ];
   };
 
-  const tankConfigForSensor = async (sid) => {
-    try {
-      return await database.TankConfig.findOne({ sensorId: sid });
-    } catch {
-      return null;
+  // Tank series follow one tank: the one picked by tank_id or channel, or
+  // the sensor's only tank. Returns { tank } or { error }.
+  const historyTank = async () => {
+    const tanks = await findTanksForStatus(sensorId);
+    if (tank_id !== undefined) {
+      return { tank: tanks.find((t) => t.tankId === String(tank_id)) || null };
+    }
+    if (channel !== undefined) {
+      return {
+        tank: tanks.find((t) => String(t.sensorChannel ?? "") === String(channel)) || null,
+      };
     }
+    if (tanks.length > 1) {
+      return {
+        error: `Sensor ${sensorId} feeds several tanks (${tanks
+          .map((t) => t.tankId)
+          .join(", ")}); pass tank_id or channel`,
+      };
+    }
+    return { tank: tanks[0] || null };
   };
 
-  const fetchSeries = async (key) => {
+  const fetchSeries = async (key, tcfg) => {
     const spec = SERIES[key];
     if (!spec) throw new Error(`Unknown series: ${key}`);
     const Model = spec.collection();
 
     let match;
     if (spec.matchBy === "tank") {
-      const tcfg = await tankConfigForSensor(sensorId);
       if (!tcfg) return [];
       match = { tankId: tcfg.tankId, ...timeMatch };
     } else {
@@ -1117,16 +1707,25 @@ router.get("/history/:sensorId", async (req, res) => {
   };
 
   try {
+    let tank = null;
+    if (resolved === "all" || SERIES[resolved]?.matchBy === "tank") {
+      const picked = await historyTank();
+      if (picked.error) {
+        return res.status(400).json({ success: false, error: picked.error });
+      }
+      tank = picked.tank;
+    }
+
     let result;
     if (resolved === "all") {
       const keys = Object.keys(SERIES);
-      const data = await Promise.all(keys.map((k) => fetchSeries(k)));
+      const data = await Promise.all(keys.map((k) => fetchSeries(k, tank)));
       result = keys.reduce((acc, k, idx) => {
         acc[k] = data[idx];
         return acc;
       }, {});
     } else if (SERIES[resolved]) {
-      result = await fetchSeries(resolved);
+      result = await fetchSeries(resolved, tank);
     } else {
       return res.status(400).json({
         success: false,
@@ -1140,6 +1739,7 @@ router.get("/history/:sensorId", async (req, res) => {
       query: {
         sensorId,
         param: resolved,
+        tankId: tank?.tankId || null,
         from: start.toISOString(),
         to: end.toISOString(),
         agg: aggNorm,
@@ -2,8 +2,33 @@ const express = require("express");
 const router = express.Router();
 const database = require("../database");
 
-// In-memory store for pending commands (in production, use Redis)
-const pendingCommands = new Map();
+// Irrigation commands live in the same Mongo-backed queue as /api/sensors, so
+// they survive restarts and several commands per sensor can be pending
+const PendingCommand = database.PendingCommand;
+const IRRIGATION_COMMAND_FILTER = {
+  target: "irrigation",
+  action: { $in: ["start", "stop", "status", "config"] },
+};
+
+const queueIrrigationCommand = (sensorId, zoneId, action, trigger, priority) =>
+  PendingCommand.create({
+    sensorId,
+    zoneId,
+    action,
+    target: "irrigation",
+    trigger,
+    priority: Boolean(priority),
+    status: "queued",
+  });
+
+// Command shape the ESP32 firmware expects from the legacy soil endpoints
+const toIrrigationCommand = (cmd) => ({
+  action: cmd.action,
+  timestamp: cmd.createdAt,
+  zoneId: cmd.zoneId,
+  trigger: cmd.trigger,
+  ...(cmd.trigger === "direct_command" && { priority: cmd.priority }),
+});
 
 // Store for ESP32 connections (for real-time commands)
 const esp32Connections = new Map();
@@ -115,10 +140,11 @@ router.post("/reading", async (req, res) => {
     }
 
     // CHECK FOR PENDING MANUAL COMMANDS
-    let manualCommand = null;
-    if (pendingCommands.has(sensor_id)) {
-      manualCommand = pendingCommands.get(sensor_id);
-      pendingCommands.delete(sensor_id); // Remove after retrieving
+    const manualCommand = await PendingCommand.deliverNext(
+      sensor_id,
+      IRRIGATION_COMMAND_FILTER
+    );
+    if (manualCommand) {
       console.log(
         `Sending manual command to ${sensor_id}: ${manualCommand.action}`
       );
@@ -137,7 +163,7 @@ router.post("/reading", async (req, res) => {
     if (manualCommand) {
       response.manualCommand = {
         action: manualCommand.action,
-        timestamp: manualCommand.timestamp,
+        timestamp: manualCommand.createdAt,
         trigger: "manual_web_app",
       };
     }
@@ -405,14 +431,12 @@ router.post("/irrigation", async (req, res) => {
     let commandSent = false;
     if (zoneConfig.sensorId) {
       // Store command for ESP32 to pick up on next reading
-      const command = {
-        action: action,
-        timestamp: new Date(),
-        zoneId: zone_id,
-        trigger: force_manual ? "manual_override" : "manual",
-      };
-
-      pendingCommands.set(zoneConfig.sensorId, command);
+      await queueIrrigationCommand(
+        zoneConfig.sensorId,
+        zone_id,
+        action,
+        force_manual ? "manual_override" : "manual"
+      );
       commandSent = true;
 
       console.log(
@@ -486,14 +510,16 @@ router.get("/pending-commands/:sensorId", async (req, res) => {
   try {
     const { sensorId } = req.params;
 
-    if (pendingCommands.has(sensorId)) {
-      const command = pendingCommands.get(sensorId);
-      pendingCommands.delete(sensorId); // Remove after sending
+    const command = await PendingCommand.deliverNext(
+      sensorId,
+      IRRIGATION_COMMAND_FILTER
+    );
 
+    if (command) {
       res.json({
         success: true,
         hasCommand: true,
-        command: command,
+        command: toIrrigationCommand(command),
       });
     } else {
       res.json({
@@ -547,14 +573,12 @@ router.post("/irrigation/bulk", async (req, res) => {
         }
 
         // Queue command for ESP32
-        const command = {
-          action: action,
-          timestamp: new Date(),
-          zoneId: zoneId,
-          trigger: "bulk_operation",
-        };
-
-        pendingCommands.set(zoneConfig.sensorId, command);
+        await queueIrrigationCommand(
+          zoneConfig.sensorId,
+          zoneId,
+          action,
+          "bulk_operation"
+        );
 
         // Log the action
         const irrigationLog = new database.IrrigationLog({
@@ -649,7 +673,12 @@ router.get("/system/status", async (req, res) => {
     });
 
     // Get pending commands count
-    const pendingCommandsCount = pendingCommands.size;
+    const queuedCommands = await PendingCommand.find({
+      ...IRRIGATION_COMMAND_FILTER,
+      status: "queued",
+    })
+      .select("sensorId")
+      .lean();
 
     res.json({
       success: true,
@@ -664,8 +693,8 @@ router.get("/system/status", async (req, res) => {
           recentActivity: recentIrrigations,
         },
         commands: {
-          pending: pendingCommandsCount,
-          queuedSensors: Array.from(pendingCommands.keys()),
+          pending: queuedCommands.length,
+          queuedSensors: [...new Set(queuedCommands.map((c) => c.sensorId))],
         },
         system: {
           uptime: process.uptime(),
@@ -920,6 +949,7 @@ router.post("/zone", async (req, res) => {
       max_moisture,
       sensor_id,
       relay_id,
+      sensor_channel,
       irrigation_duration,
       cooldown_minutes,
       use_static_thresholds,
@@ -958,6 +988,10 @@ router.post("/zone", async (req, res) => {
         useStaticThresholds: use_static_thresholds || false,
       },
       sensorId: sensor_id || null,
+      sensorChannel:
+        sensor_channel !== undefined && sensor_channel !== null && sensor_channel !== ""
+          ? String(sensor_channel)
+          : null,
       relayId: relay_id || null,
     };
 
@@ -1078,6 +1112,7 @@ router.put("/zone/:zoneId", async (req, res) => {
       max_moisture,
       sensor_id,
       relay_id,
+      sensor_channel,
       irrigation_duration,
       cooldown_minutes,
       use_static_thresholds,
@@ -1109,6 +1144,10 @@ router.put("/zone/:zoneId", async (req, res) => {
       ...(crop_type && { cropType: crop_type }),
       ...(validPlantingDate && { plantingDate: validPlantingDate }),
       ...(sensor_id !== undefined && { sensorId: sensor_id || null }),
+      ...(sensor_channel !== undefined && {
+        sensorChannel:
+          sensor_channel === null || sensor_channel === "" ? null : String(sensor_channel),
+      }),
       ...(relay_id !== undefined && { relayId: relay_id || null }),
       ...(soil_dry_threshold_pct !== undefined && { soilDryThresholdPct: parseInt(soil_dry_threshold_pct) }),
       ...(soil_wet_threshold_pct !== undefined && { soilWetThresholdPct: parseInt(soil_wet_threshold_pct) }),
@@ -1420,23 +1459,36 @@ router.post("/command/direct", async (req, res) => {
       });
     }
 
-    const command = {
-      action,
-      timestamp: new Date(),
-      zoneId: zone.zoneId,
-      trigger: "direct_command",
-      priority: Boolean(priority),
-    };
+    const existing = await PendingCommand.countDocuments({
+      ...IRRIGATION_COMMAND_FILTER,
+      sensorId: sensor_id,
+      status: "queued",
+    });
 
     // If priority command, override any existing command
-    if (priority || !pendingCommands.has(sensor_id)) {
-      pendingCommands.set(sensor_id, command);
-    } else {
+    if (existing > 0 && !priority) {
       return res.status(409).json({
         error:
           "Command already queued for this sensor. Use priority=true to override.",
       });
     }
+    if (existing > 0) {
+      await PendingCommand.cancelMany(
+        { ...IRRIGATION_COMMAND_FILTER, sensorId: sensor_id, status: "queued" },
+        "direct_command",
+        "Superseded by priority direct command"
+      );
+    }
+
+    const command = toIrrigationCommand(
+      await queueIrrigationCommand(
+        sensor_id,
+        zone.zoneId,
+        action,
+        "direct_command",
+        priority
+      )
+    );
 
     res.json({
       success: true,
@@ -1461,14 +1513,18 @@ router.post("/command/direct", async (req, res) => {
 // NEW: GET /api/soil/commands/queue - View current command queue
 router.get("/commands/queue", async (req, res) => {
   try {
-    const queueArray = Array.from(pendingCommands.entries()).map(
-      ([sensorId, command]) => ({
-        sensorId,
-        ...command,
-        queuedFor:
-          ((Date.now() - command.timestamp.getTime()) / 1000).toFixed(1) + "s",
-      })
-    );
+    const queued = await PendingCommand.find({
+      ...IRRIGATION_COMMAND_FILTER,
+      status: "queued",
+    }).sort({ createdAt: 1 });
+
+    const queueArray = queued.map((command) => ({
+      id: command._id,
+      sensorId: command.sensorId,
+      ...toIrrigationCommand(command),
+      queuedFor:
+        ((Date.now() - command.createdAt.getTime()) / 1000).toFixed(1) + "s",
+    }));
 
     // Get zone info for each queued command
     const enrichedQueue = await Promise.all(
@@ -1480,7 +1536,7 @@ router.get("/commands/queue", async (req, res) => {
           return {
             ...item,
             zoneName: zone?.name || "Unknown",
-            zoneId: zone?.zoneId || "Unknown",
+            zoneId: item.zoneId || zone?.zoneId || "Unknown",
           };
         } catch (error) {
           return {
@@ -1495,7 +1551,7 @@ router.get("/commands/queue", async (req, res) => {
     res.json({
       success: true,
       data: {
-        queueSize: pendingCommands.size,
+        queueSize: queueArray.length,
         commands: enrichedQueue.sort((a, b) => a.timestamp - b.timestamp),
       },
     });
@@ -1514,21 +1570,28 @@ router.delete("/commands/clear", async (req, res) => {
     const { sensor_id } = req.query;
 
     if (sensor_id) {
-      // Clear specific sensor command
-      const hadCommand = pendingCommands.has(sensor_id);
-      pendingCommands.delete(sensor_id);
+      // Clear specific sensor commands
+      const clearedCount = await PendingCommand.cancelMany(
+        { ...IRRIGATION_COMMAND_FILTER, sensorId: sensor_id, status: "queued" },
+        "operator",
+        "Cleared from command queue"
+      );
 
       res.json({
         success: true,
-        message: hadCommand
-          ? `Command cleared for sensor ${sensor_id}`
-          : `No command found for sensor ${sensor_id}`,
-        cleared: hadCommand ? 1 : 0,
+        message:
+          clearedCount > 0
+            ? `Command cleared for sensor ${sensor_id}`
+            : `No command found for sensor ${sensor_id}`,
+        cleared: clearedCount,
       });
     } else {
       // Clear all commands
-      const clearedCount = pendingCommands.size;
-      pendingCommands.clear();
+      const clearedCount = await PendingCommand.cancelMany(
+        { ...IRRIGATION_COMMAND_FILTER, status: "queued" },
+        "operator",
+        "Cleared from command queue"
+      );
 
       res.json({
         success: true,
@@ -1549,6 +1612,12 @@ router.delete("/commands/clear", async (req, res) => {
 router.get("/health", async (req, res) => {
   try {
     const dbStatus = await database.ZoneConfig.findOne().limit(1);
+    const queuedCommands = await PendingCommand.find({
+      ...IRRIGATION_COMMAND_FILTER,
+      status: "queued",
+    })
+      .select("sensorId")
+      .lean();
 
     res.json({
       success: true,
@@ -1557,8 +1626,8 @@ router.get("/health", async (req, res) => {
         timestamp: new Date(),
         database: dbStatus ? "connected" : "disconnected",
         commandQueue: {
-          size: pendingCommands.size,
-          sensors: Array.from(pendingCommands.keys()),
+          size: queuedCommands.length,
+          sensors: [...new Set(queuedCommands.map((c) => c.sensorId))],
         },
         uptime: process.uptime(),
         memory: process.memoryUsage(),
@@ -0,0 +1,84 @@
+const express = require("express");
+const router = express.Router();
+const realtime = require("../services/realtime");
+
+const HEARTBEAT_MS = 25 * 1000;
+const EVENTS = ["reading", "relay", "command", "machine_status", "alert"];
+
+const list = (value) =>
+  String(value || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+// GET /api/stream - Server-Sent Events
+// Query:
+//   topics  - comma separated, e.g. "tank:main_tank,zone:*,building:<id>"
+//             (sensor/zone/tank/building/machine/camera; "kind:*" for all of
+//             a kind; omitted = everything)
+//   events  - comma separated subset of reading, relay, command,
+//             machine_status, alert (omitted = all)
+// Reconnecting clients resume from Last-Event-ID (or ?lastEventId) while the
+// missed events are still buffered.
+router.get("/", (req, res) => {
+  const topics = list(req.query.topics);
+  const events = list(req.query.events);
+  const unknown = events.filter((e) => !EVENTS.includes(e));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown events: ${unknown.join(", ")}`,
+      events: EVENTS,
+    });
+  }
+
+  const wanted = (message) =>
+    (events.length === 0 || events.includes(message.event)) &&
+    realtime.matchesTopics(message, topics);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // keep reverse proxies from buffering
+  });
+
+  const send = (message) => {
+    res.write(
+      `id: ${message.id}\nevent: ${message.event}\ndata: ${JSON.stringify({
+        topics: message.topics,
+        at: message.at,
+        data: message.data,
+      })}\n\n`
+    );
+  };
+
+  res.write(`retry: 5000\n: subscribed ${topics.join(",") || "*"}\n\n`);
+
+  const lastId = parseInt(req.get("Last-Event-ID") || req.query.lastEventId);
+  if (Number.isFinite(lastId)) {
+    realtime.since(lastId).filter(wanted).forEach(send);
+  }
+
+  const unsubscribe = realtime.subscribe((message) => {
+    if (wanted(message)) send(message);
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// GET /api/stream/info - Event names, topic kinds and connected clients
+router.get("/info", (req, res) => {
+  res.json({
+    success: true,
+    events: EVENTS,
+    topicKinds: ["sensor", "zone", "tank", "building", "machine", "camera"],
+    clients: realtime.clientCount(),
+  });
+});
+
+module.exports = router;
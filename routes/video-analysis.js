@@ -1,15 +1,26 @@
 // routes/video-analysis.js
 const express = require("express");
 const multer = require("multer");
-const OpenAI = require("openai");
 const fs = require("fs");
 const path = require("path");
+const mongoose = require("mongoose");
 const router = express.Router();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const ai = require("../services/aiProvider");
+const FrameAnalysis = require("../models/FrameAnalysis");
+const Camera = require("../models/Camera");
+const ThreatIncident = require("../models/ThreatIncident");
+const threatIncidents = require("../services/threatIncidents");
+const auth = require("../services/auth");
+const {
+  classifyThreat,
+  highestSeverity,
+  isArmed,
+  rulesForCamera,
+} = require("../services/threatRules");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const THREAT_LEVELS = ["none", "low", "medium", "high"];
 
 // Configure multer for video frame uploads
 const upload = multer({
@@ -30,6 +41,8 @@ const encodeImage = (imagePath) => {
   return imageBuffer.toString("base64");
 };
 
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
 // Helper function to cleanup files
 const cleanupFile = (filePath) => {
   if (fs.existsSync(filePath)) {
@@ -37,74 +50,10 @@ const cleanupFile = (filePath) => {
   }
 };
 
-// Threat classification system
-const classifyThreat = (detections) => {
-  const threats = [];
-
-  detections.forEach((detection) => {
-    const { class: objectClass, confidence } = detection;
-
-    // Define threat rules
-    const threatRules = {
-      person: {
-        type: "person",
-        description: "Person detected in restricted area",
-        baseSeverity:
-          confidence > 80 ? "high" : confidence > 60 ? "medium" : "low",
-      },
-      dog: {
-        type: "predator",
-        description: "Potential predator (dog) detected",
-        baseSeverity: confidence > 75 ? "high" : "medium",
-      },
-      cat: {
-        type: "predator",
-        description: "Potential predator (cat) detected",
-        baseSeverity: confidence > 75 ? "high" : "medium",
-      },
-      bird: {
-        type: "predator",
-        description: "Aerial predator (bird) detected",
-        baseSeverity: confidence > 80 ? "medium" : "low",
-      },
-      car: {
-        type: "vehicle",
-        description: "Unauthorized vehicle detected",
-        baseSeverity: confidence > 70 ? "medium" : "low",
-      },
-      truck: {
-        type: "vehicle",
-        description: "Large vehicle detected",
-        baseSeverity: confidence > 70 ? "medium" : "low",
-      },
-      motorcycle: {
-        type: "vehicle",
-        description: "Motorcycle detected",
-        baseSeverity: confidence > 70 ? "medium" : "low",
-      },
-    };
-
-    // Check if detection matches a threat
-    const normalizedClass = objectClass.toLowerCase();
-    const threatRule = threatRules[normalizedClass];
-
-    if (threatRule && confidence > 60) {
-      // Only consider high-confidence detections as threats
-      threats.push({
-        type: threatRule.type,
-        description: threatRule.description,
-        confidence: confidence,
-        severity: threatRule.baseSeverity,
-        detectedObject: objectClass,
-        bbox: detection.bbox,
-      });
-    }
-  });
-
-  return threats;
-};
-
-// Main frame analysis endpoint
+// Main frame analysis endpoint. Cameras send cameraId as a query parameter
+// (?cameraId=...) so the access check, which runs before the multipart body
+// is parsed, can match it against the device's signature or scoped key; a
+// cameraId form field is still read from browsers and older cameras.
 router.post("/analyze-frame", upload.single("frame"), async (req, res) => {
   try {
     if (!req.file) {
@@ -116,13 +65,47 @@ router.post("/analyze-frame", upload.single("frame"), async (req, res) => {
 
     const framePath = req.file.path;
     const timestamp = req.body.timestamp || new Date().toISOString();
+    const queryCameraId = req.query.cameraId ? String(req.query.cameraId) : null;
+    const bodyCameraId = req.body.cameraId ? String(req.body.cameraId) : null;
+    if (queryCameraId && bodyCameraId && queryCameraId !== bodyCameraId) {
+      cleanupFile(framePath);
+      return res.status(400).json({
+        success: false,
+        error: "cameraId in the query and the form name different cameras",
+      });
+    }
+    const requestedCameraId = queryCameraId || bodyCameraId;
+    // A signed camera can only report as itself
+    if (req.device && requestedCameraId && requestedCameraId !== req.device.deviceId) {
+      cleanupFile(framePath);
+      return res.status(403).json({
+        success: false,
+        error: `Request signed by ${req.device.deviceId} cannot report as ${requestedCameraId}`,
+      });
+    }
+    const cameraId = requestedCameraId || "default";
+
+    // A registered camera brings its own schedule and rule overrides
+    let camera = null;
+    if (requestedCameraId) {
+      camera = await Camera.findOne({ cameraId }).lean();
+      if (!camera) {
+        cleanupFile(framePath);
+        return res.status(404).json({
+          success: false,
+          error: `Camera ${cameraId} is not registered`,
+        });
+      }
+    }
+    const capturedAt = isNaN(new Date(timestamp).getTime())
+      ? new Date()
+      : new Date(timestamp);
     const base64Image = encodeImage(framePath);
 
     console.log(`Analyzing frame at ${timestamp}`);
 
-    // Analyze frame with OpenAI Vision
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    // Analyze frame with the configured vision model
+    const response = await ai.chat("frame_analysis", {
       messages: [
         {
           role: "user",
@@ -176,9 +159,6 @@ router.post("/analyze-frame", upload.single("frame"), async (req, res) => {
       temperature: 0.1,
     });
 
-    // Clean up uploaded file
-    cleanupFile(framePath);
-
     let analysis;
     try {
       const content = response.choices[0].message.content;
@@ -202,23 +182,25 @@ router.post("/analyze-frame", upload.single("frame"), async (req, res) => {
       };
     }
 
-    // Classify threats based on detections
-    const threats = classifyThreat(analysis.detections || []);
+    // Classify threats based on detections and the camera's rules
+    const armed = isArmed(camera, capturedAt);
+    const threats = classifyThreat(analysis.detections || [], {
+      camera,
+      at: capturedAt,
+    });
 
-    // Update threat level based on detected threats
+    // Update threat level based on detected threats; a disarmed camera or
+    // expected objects never raise the level
     if (threats.length > 0) {
-      const highestSeverity = threats.reduce((max, threat) => {
-        const severityLevels = { low: 1, medium: 2, high: 3 };
-        return severityLevels[threat.severity] > severityLevels[max]
-          ? threat.severity
-          : max;
-      }, "low");
-      analysis.threat_level = highestSeverity;
+      analysis.threat_level = highestSeverity(threats);
+    } else if (!armed || camera) {
+      analysis.threat_level = "none";
     }
 
     // Add threat information to analysis
     analysis.threats = threats;
     analysis.threat_count = threats.length;
+    analysis.armed = armed;
 
     // Log analysis results
     console.log(
@@ -227,37 +209,55 @@ router.post("/analyze-frame", upload.single("frame"), async (req, res) => {
       } threats`
     );
 
-    // Save analysis to log file (optional)
-    const logEntry = {
-      timestamp: timestamp,
-      detections: analysis.detections?.length || 0,
-      threats: threats.length,
-      threat_level: analysis.threat_level,
-    };
-
-    // Append to daily log file
-    const logFile = path.join(
-      "logs",
-      `analysis-${new Date().toISOString().split("T")[0]}.json`
-    );
+    // Persist the full analysis; a storage failure doesn't fail the request
     try {
-      const logDir = path.dirname(logFile);
-      if (!fs.existsSync(logDir)) {
-        fs.mkdirSync(logDir, { recursive: true });
-      }
+      const record = await FrameAnalysis.create({
+        cameraId,
+        timestamp: capturedAt,
+        armed,
+        detections: analysis.detections || [],
+        threats,
+        detectionCount: analysis.detections?.length || 0,
+        threatCount: threats.length,
+        threatLevel: THREAT_LEVELS.includes(analysis.threat_level)
+          ? analysis.threat_level
+          : "none",
+        sceneDescription: analysis.scene_description || "",
+        environment: analysis.environment || "unknown",
+        lighting: analysis.lighting || "unknown",
+        movementDetected: !!analysis.movement_detected,
+        model: response.model || ai.modelFor("frame_analysis"),
+      });
+      analysis.id = String(record._id);
+    } catch (saveError) {
+      console.error("Error saving frame analysis:", saveError);
+    }
+    analysis.cameraId = cameraId;
 
-      let existingLogs = [];
-      if (fs.existsSync(logFile)) {
-        const logData = fs.readFileSync(logFile, "utf8");
-        existingLogs = JSON.parse(logData);
+    // Group with the camera's ongoing incidents (the frame is kept only as
+    // an incident's representative image)
+    if (threats.length > 0) {
+      try {
+        const touched = await threatIncidents.recordFrameThreats({
+          cameraId,
+          analysisId: analysis.id || null,
+          at: capturedAt,
+          threats,
+          frameFile: req.file,
+        });
+        analysis.incidents = touched.map(({ incident, opened }) => ({
+          id: String(incident._id),
+          objectClass: incident.objectClass,
+          opened,
+        }));
+      } catch (incidentError) {
+        console.error("Error grouping threat incidents:", incidentError);
       }
-
-      existingLogs.push(logEntry);
-      fs.writeFileSync(logFile, JSON.stringify(existingLogs, null, 2));
-    } catch (logError) {
-      console.error("Error writing to log file:", logError);
     }
 
+    // Clean up uploaded file
+    cleanupFile(framePath);
+
     res.json({
       success: true,
       analysis: analysis,
@@ -285,32 +285,77 @@ router.post("/analyze-frame", upload.single("frame"), async (req, res) => {
   }
 });
 
+// Mongo filter for history/stats. Time window is either `date`
+// (YYYY-MM-DD, one UTC day) or `from`/`to` (default: the last 24 hours);
+// cameraId, threatType and threatLevel accept comma separated lists.
+function buildAnalysisQuery(query) {
+  let from;
+  let to;
+  if (query.date) {
+    from = new Date(`${query.date}T00:00:00.000Z`);
+    to = new Date(from.getTime() + DAY_MS);
+  } else {
+    to = query.to ? new Date(query.to) : new Date();
+    from = query.from ? new Date(query.from) : new Date(to.getTime() - DAY_MS);
+  }
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "Invalid date, from or to" };
+  }
+  if (from >= to) return { error: "from must be before to" };
+
+  const list = (v) =>
+    String(v)
+      .split(",")
+      .map((x) => x.trim())
+      .filter(Boolean);
+
+  const filter = { timestamp: { $gte: from, $lt: to } };
+  if (query.cameraId) filter.cameraId = { $in: list(query.cameraId) };
+  if (query.threatType) filter["threats.type"] = { $in: list(query.threatType) };
+  if (query.threatLevel) {
+    const levels = list(query.threatLevel);
+    const invalid = levels.filter((l) => !THREAT_LEVELS.includes(l));
+    if (invalid.length > 0) {
+      return { error: `Invalid threatLevel: ${invalid.join(", ")}` };
+    }
+    filter.threatLevel = { $in: levels };
+  }
+  return { filter, from, to, threatTypes: query.threatType ? list(query.threatType) : null };
+}
+
 // Get analysis history
+// Query: date | from & to, cameraId, threatType, threatLevel, limit, page,
+// full=true for complete analyses instead of per-frame summaries
 router.get("/analysis-history", async (req, res) => {
   try {
-    const { date, limit = 100 } = req.query;
-    const targetDate = date || new Date().toISOString().split("T")[0];
-    const logFile = path.join("logs", `analysis-${targetDate}.json`);
-
-    if (!fs.existsSync(logFile)) {
-      return res.json({
-        success: true,
-        data: [],
-        message: "No analysis data found for the specified date",
-      });
+    const q = buildAnalysisQuery(req.query);
+    if (q.error) {
+      return res.status(400).json({ success: false, error: q.error });
     }
-
-    const logData = fs.readFileSync(logFile, "utf8");
-    const logs = JSON.parse(logData);
-
-    // Return most recent entries up to limit
-    const recentLogs = logs.slice(-parseInt(limit)).reverse();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const full = req.query.full === "true";
+
+    const [rows, total] = await Promise.all([
+      FrameAnalysis.find(q.filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FrameAnalysis.countDocuments(q.filter),
+    ]);
 
     res.json({
       success: true,
-      data: recentLogs,
-      total: logs.length,
-      date: targetDate,
+      data: rows.map((r) =>
+        full ? FrameAnalysis.toApi(r) : FrameAnalysis.toSummary(r)
+      ),
+      total,
+      page,
+      limit,
+      from: q.from.toISOString(),
+      to: q.to.toISOString(),
+      ...(req.query.date && { date: req.query.date }),
     });
   } catch (error) {
     console.error("Error fetching analysis history:", error);
@@ -322,51 +367,151 @@ router.get("/analysis-history", async (req, res) => {
   }
 });
 
+// Get one stored analysis with its detections and threats
+router.get("/analysis/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+    const row = await FrameAnalysis.findById(req.params.id).lean();
+    if (!row) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Analysis not found" });
+    }
+    res.json({ success: true, analysis: FrameAnalysis.toApi(row) });
+  } catch (error) {
+    console.error("Error fetching analysis:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch analysis",
+      message: error.message,
+    });
+  }
+});
+
 // Get analysis statistics
+// Same filters as /analysis-history; interval=hour|day sets the timeline
+// bucket (default: hour for ranges up to two days)
 router.get("/analysis-stats", async (req, res) => {
   try {
-    const { date } = req.query;
-    const targetDate = date || new Date().toISOString().split("T")[0];
-    const logFile = path.join("logs", `analysis-${targetDate}.json`);
-
-    if (!fs.existsSync(logFile)) {
-      return res.json({
-        success: true,
-        stats: {
-          total_analyses: 0,
-          total_detections: 0,
-          total_threats: 0,
-          threat_levels: { none: 0, low: 0, medium: 0, high: 0 },
-          average_detections_per_frame: 0,
-        },
-      });
+    const q = buildAnalysisQuery(req.query);
+    if (q.error) {
+      return res.status(400).json({ success: false, error: q.error });
     }
+    const interval =
+      req.query.interval ||
+      (q.to.getTime() - q.from.getTime() <= 2 * DAY_MS ? "hour" : "day");
+    if (!["hour", "day"].includes(interval)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "interval must be hour or day" });
+    }
+    const bucketFormat = interval === "hour" ? "%Y-%m-%dT%H:00:00Z" : "%Y-%m-%d";
+
+    // With a threatType filter only the matching threats are counted by type
+    const threatMatch = q.threatTypes
+      ? [{ $match: { "threats.type": { $in: q.threatTypes } } }]
+      : [];
+
+    const [facets] = await FrameAnalysis.aggregate([
+      { $match: q.filter },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                analyses: { $sum: 1 },
+                detections: { $sum: "$detectionCount" },
+                threats: { $sum: "$threatCount" },
+              },
+            },
+          ],
+          levels: [{ $group: { _id: "$threatLevel", count: { $sum: 1 } } }],
+          cameras: [
+            {
+              $group: {
+                _id: "$cameraId",
+                analyses: { $sum: 1 },
+                detections: { $sum: "$detectionCount" },
+                threats: { $sum: "$threatCount" },
+                last_seen: { $max: "$timestamp" },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          threatTypes: [
+            { $unwind: "$threats" },
+            ...threatMatch,
+            {
+              $group: {
+                _id: "$threats.type",
+                count: { $sum: 1 },
+                high: {
+                  $sum: { $cond: [{ $eq: ["$threats.severity", "high"] }, 1, 0] },
+                },
+                max_confidence: { $max: "$threats.confidence" },
+                last_seen: { $max: "$timestamp" },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+          zones: [
+            { $unwind: "$threats" },
+            ...threatMatch,
+            { $match: { "threats.zone": { $ne: null } } },
+            {
+              $group: {
+                _id: { cameraId: "$cameraId", zone: "$threats.zone" },
+                count: { $sum: 1 },
+                last_seen: { $max: "$timestamp" },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+          timeline: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: { format: bucketFormat, date: "$timestamp" },
+                },
+                analyses: { $sum: 1 },
+                threats: { $sum: "$threatCount" },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]);
 
-    const logData = fs.readFileSync(logFile, "utf8");
-    const logs = JSON.parse(logData);
+    const totals = facets.totals[0] || { analyses: 0, detections: 0, threats: 0 };
+    const threatLevels = Object.fromEntries(THREAT_LEVELS.map((l) => [l, 0]));
+    for (const l of facets.levels) threatLevels[l._id] = l.count;
 
     const stats = {
-      total_analyses: logs.length,
-      total_detections: logs.reduce((sum, log) => sum + log.detections, 0),
-      total_threats: logs.reduce((sum, log) => sum + log.threats, 0),
-      threat_levels: { none: 0, low: 0, medium: 0, high: 0 },
-      average_detections_per_frame: 0,
+      total_analyses: totals.analyses,
+      total_detections: totals.detections,
+      total_threats: totals.threats,
+      threat_levels: threatLevels,
+      average_detections_per_frame:
+        totals.analyses > 0
+          ? (totals.detections / totals.analyses).toFixed(2)
+          : 0,
+      by_camera: facets.cameras.map(({ _id, ...c }) => ({ cameraId: _id, ...c })),
+      by_threat_type: facets.threatTypes.map(({ _id, ...t }) => ({ type: _id, ...t })),
+      by_zone: facets.zones.map(({ _id, ...z }) => ({ ..._id, ...z })),
+      timeline: facets.timeline.map(({ _id, ...b }) => ({ bucket: _id, ...b })),
     };
 
-    // Calculate threat level distribution
-    logs.forEach((log) => {
-      stats.threat_levels[log.threat_level] =
-        (stats.threat_levels[log.threat_level] || 0) + 1;
-    });
-
-    // Calculate average detections per frame
-    stats.average_detections_per_frame =
-      logs.length > 0 ? (stats.total_detections / logs.length).toFixed(2) : 0;
-
     res.json({
       success: true,
       stats: stats,
-      date: targetDate,
+      interval,
+      from: q.from.toISOString(),
+      to: q.to.toISOString(),
+      ...(req.query.date && { date: req.query.date }),
     });
   } catch (error) {
     console.error("Error calculating analysis statistics:", error);
@@ -378,6 +523,281 @@ router.get("/analysis-stats", async (req, res) => {
   }
 });
 
+// ---------- threat incidents ----------
+
+// List incidents
+// Query: status (comma separated), cameraId, threatType, active=true|false,
+// from & to (incidents overlapping the range), limit
+router.get("/incidents", async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      query.status = { $in: String(req.query.status).split(",") };
+    }
+    if (req.query.cameraId) query.cameraId = String(req.query.cameraId);
+    if (req.query.threatType) query.threatType = String(req.query.threatType);
+    if (req.query.active === "true") query.endedAt = null;
+    if (req.query.active === "false") query.endedAt = { $ne: null };
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : new Date(0);
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({ success: false, error: "Invalid from or to" });
+      }
+      query.startedAt = { $lte: to };
+      query.lastSeenAt = { $gte: from };
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const rows = await ThreatIncident.find(query)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ success: true, data: rows, gapSeconds: threatIncidents.GAP_SECONDS });
+  } catch (error) {
+    console.error("Error listing incidents:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list incidents",
+      message: error.message,
+    });
+  }
+});
+
+// Incident with the analysed frames it was built from
+router.get("/incidents/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+    const incident = await ThreatIncident.findById(req.params.id).lean();
+    if (!incident) {
+      return res.status(404).json({ success: false, error: "Incident not found" });
+    }
+    const frames = await FrameAnalysis.find({
+      cameraId: incident.cameraId,
+      timestamp: {
+        $gte: incident.startedAt,
+        $lte: incident.endedAt || incident.lastSeenAt,
+      },
+      "threats.detectedObject": new RegExp(
+        `^${escapeRegExp(incident.objectClass)}$`,
+        "i"
+      ),
+    })
+      .sort({ timestamp: 1 })
+      .limit(200)
+      .lean();
+    res.json({
+      success: true,
+      data: { ...incident, frames: frames.map((f) => FrameAnalysis.toSummary(f)) },
+    });
+  } catch (error) {
+    console.error("Error fetching incident:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch incident",
+      message: error.message,
+    });
+  }
+});
+
+// Body: { by?, note? }
+router.post("/incidents/:id/acknowledge", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+    const incident = await ThreatIncident.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ success: false, error: "Incident not found" });
+    }
+    if (incident.status !== "open") {
+      return res.status(409).json({
+        success: false,
+        error: `Incident is already ${incident.status}`,
+      });
+    }
+    incident.status = "acknowledged";
+    incident.acknowledgedAt = new Date();
+    incident.acknowledgedBy = auth.actorOf(req, req.body?.by || null);
+    if (req.body?.note) incident.note = req.body.note;
+    await incident.save();
+    res.json({ success: true, data: incident });
+  } catch (error) {
+    console.error("Error acknowledging incident:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to acknowledge incident",
+      message: error.message,
+    });
+  }
+});
+
+// Closing ends the incident; the next threat opens a new one
+// Body: { by?, note? }
+router.post("/incidents/:id/close", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+    const incident = await ThreatIncident.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ success: false, error: "Incident not found" });
+    }
+    if (incident.status === "closed") {
+      return res
+        .status(409)
+        .json({ success: false, error: "Incident is already closed" });
+    }
+    const now = new Date();
+    incident.status = "closed";
+    incident.closedAt = now;
+    incident.closedBy = auth.actorOf(req, req.body?.by || null);
+    if (!incident.endedAt) incident.endedAt = incident.lastSeenAt;
+    if (req.body?.note) incident.note = req.body.note;
+    await incident.save();
+    res.json({ success: true, data: incident });
+  } catch (error) {
+    console.error("Error closing incident:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to close incident",
+      message: error.message,
+    });
+  }
+});
+
+// ---------- camera registry ----------
+
+const CAMERA_FIELDS = [
+  "name",
+  "location",
+  "armed",
+  "armedSchedule",
+  "timezone",
+  "rules",
+  "zones",
+];
+
+function sendCameraWriteError(res, error, fallback) {
+  if (error?.name === "ValidationError" || error?.name === "CastError") {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error?.code === 11000) {
+    return res
+      .status(409)
+      .json({ success: false, error: "cameraId already registered" });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+}
+
+// List registered cameras with whether each is armed right now
+router.get("/cameras", async (req, res) => {
+  try {
+    const cameras = await Camera.find().sort({ cameraId: 1 }).lean();
+    const now = new Date();
+    res.json({
+      success: true,
+      data: cameras.map((c) => ({ ...c, armedNow: isArmed(c, now) })),
+    });
+  } catch (error) {
+    console.error("Error listing cameras:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list cameras",
+      message: error.message,
+    });
+  }
+});
+
+// Camera with its effective threat rules (defaults merged with overrides)
+router.get("/cameras/:cameraId", async (req, res) => {
+  try {
+    const camera = await Camera.findOne({ cameraId: req.params.cameraId }).lean();
+    if (!camera) {
+      return res.status(404).json({ success: false, error: "Camera not found" });
+    }
+    res.json({
+      success: true,
+      data: {
+        ...camera,
+        armedNow: isArmed(camera, new Date()),
+        effectiveRules: rulesForCamera(camera),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching camera:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch camera",
+      message: error.message,
+    });
+  }
+});
+
+// Body: { cameraId, name, location?, armed?, armedSchedule?, timezone?, rules?,
+//         zones?: [{ name, kind: "restricted"|"ignore", points: [{ x, y }] }] }
+router.post("/cameras", async (req, res) => {
+  try {
+    const { cameraId } = req.body || {};
+    if (!cameraId || !req.body.name) {
+      return res.status(400).json({
+        success: false,
+        error: "cameraId and name are required",
+      });
+    }
+    const fields = { cameraId: String(cameraId) };
+    for (const k of CAMERA_FIELDS) {
+      if (req.body[k] !== undefined) fields[k] = req.body[k];
+    }
+    const camera = await Camera.create(fields);
+    res.status(201).json({ success: true, data: camera });
+  } catch (error) {
+    sendCameraWriteError(res, error, "Failed to register camera");
+  }
+});
+
+// Partial update; arrays (armedSchedule, rules, zones) are replaced as a whole
+router.put("/cameras/:cameraId", async (req, res) => {
+  try {
+    const camera = await Camera.findOne({ cameraId: req.params.cameraId });
+    if (!camera) {
+      return res.status(404).json({ success: false, error: "Camera not found" });
+    }
+    for (const k of CAMERA_FIELDS) {
+      if (req.body?.[k] !== undefined) camera[k] = req.body[k];
+    }
+    await camera.save();
+    res.json({ success: true, data: camera });
+  } catch (error) {
+    sendCameraWriteError(res, error, "Failed to update camera");
+  }
+});
+
+// Stored analyses keep their cameraId
+router.delete("/cameras/:cameraId", async (req, res) => {
+  try {
+    const result = await Camera.deleteOne({ cameraId: req.params.cameraId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: "Camera not found" });
+    }
+    res.json({ success: true, message: `Camera ${req.params.cameraId} deleted` });
+  } catch (error) {
+    console.error("Error deleting camera:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete camera",
+      message: error.message,
+    });
+  }
+});
+
 // Test endpoint for system health
 router.get("/health", (req, res) => {
   const frameDir = path.join("uploads", "frames");
@@ -394,12 +814,16 @@ router.get("/health", (req, res) => {
   res.json({
     success: true,
     service: "Real-time Video Analysis Service",
-    model: "gpt-4o",
+    provider: ai.providerName(),
+    model: ai.modelFor("frame_analysis"),
     features: [
       "Real-time frame analysis",
       "Object detection",
       "Threat classification",
-      "Analysis logging",
+      "Per-camera rules and armed schedules",
+      "Region-of-interest zones",
+      "Threat incident grouping",
+      "Analysis history (MongoDB)",
       "Statistics tracking",
     ],
     directories: {
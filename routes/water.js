@@ -1,9 +1,45 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const database = require("../database");
-
-// In-memory store for pending pump commands (like irrigation system)
-const pendingPumpCommands = new Map();
+const tankAlerts = require("../services/tankAlerts");
+const waterAnalytics = require("../services/waterAnalytics");
+const localTime = require("../services/localTime");
+const tankLeaks = require("../services/tankLeaks");
+const tankForecast = require("../services/tankForecast");
+const pumpProtection = require("../services/pumpProtection");
+const auth = require("../services/auth");
+
+// Pump commands live in the same Mongo-backed queue as /api/sensors, so they
+// survive restarts and several commands per sensor can be pending
+const PendingCommand = database.PendingCommand;
+const PUMP_COMMAND_FILTER = {
+  target: "water_pump",
+  action: { $in: ["start", "stop"] },
+};
+
+// Addressed to the tank's gateway, plus its channel when the gateway drives
+// several pumps
+const queuePumpCommand = (tankConfig, action, trigger) =>
+  PendingCommand.create({
+    sensorId: tankConfig.sensorId,
+    tankId: tankConfig.tankId,
+    channel: tankConfig.sensorChannel || null,
+    action,
+    target: "water_pump",
+    trigger,
+    status: "queued",
+  });
+
+// Command shape the ESP32 firmware expects from the legacy water endpoints
+const toPumpCommand = (cmd) => ({
+  action: cmd.action,
+  timestamp: cmd.createdAt,
+  tankId: cmd.tankId,
+  ...(cmd.channel && { channel: cmd.channel }),
+  trigger: cmd.trigger,
+  commandType: "pump_control",
+});
 
 // Store for ESP32 connections (for real-time commands)
 const esp32Connections = new Map();
@@ -51,15 +87,28 @@ router.post("/reading", async (req, res) => {
     };
 
     const result = await database.insertWaterReading(readingData);
+    if (tankConfig) {
+      await tankAlerts.checkLowLevel(tankConfig, water_level_cm, result.data.timestamp);
+      await pumpProtection.checkReading(tankConfig, {
+        relayState: readingData.relayStatus,
+        waterLevelCm: water_level_cm,
+        distanceCm: readingData.distanceCm,
+        at: result.data.timestamp,
+      });
+    }
 
     // CHECK FOR PENDING MANUAL PUMP COMMANDS
     let manualCommand = null;
-    if (sensor_id && pendingPumpCommands.has(sensor_id)) {
-      manualCommand = pendingPumpCommands.get(sensor_id);
-      pendingPumpCommands.delete(sensor_id); // Remove after retrieving
-      console.log(
-        `Sending pump command to ${sensor_id}: ${manualCommand.action}`
+    if (sensor_id) {
+      manualCommand = await PendingCommand.deliverNext(
+        sensor_id,
+        PUMP_COMMAND_FILTER
       );
+      if (manualCommand) {
+        console.log(
+          `Sending pump command to ${sensor_id}: ${manualCommand.action}`
+        );
+      }
     }
 
     // Prepare response
@@ -73,7 +122,7 @@ router.post("/reading", async (req, res) => {
     if (manualCommand) {
       response.manualCommand = {
         action: manualCommand.action,
-        timestamp: manualCommand.timestamp,
+        timestamp: manualCommand.createdAt,
         trigger: "manual_web_app",
         pumpControl: true,
       };
@@ -115,15 +164,11 @@ router.post("/pump-control", async (req, res) => {
     let commandSent = false;
     if (tankConfig.sensorId) {
       // Store command for ESP32 to pick up on next reading
-      const command = {
-        action: action,
-        timestamp: new Date(),
-        tankId: tank_id,
-        trigger: force_manual ? "manual_override" : "manual",
-        commandType: "pump_control",
-      };
-
-      pendingPumpCommands.set(tankConfig.sensorId, command);
+      await queuePumpCommand(
+        tankConfig,
+        action,
+        force_manual ? "manual_override" : "manual"
+      );
       commandSent = true;
 
       console.log(
@@ -173,14 +218,16 @@ router.get("/pending-commands/:sensorId", async (req, res) => {
   try {
     const { sensorId } = req.params;
 
-    if (pendingPumpCommands.has(sensorId)) {
-      const command = pendingPumpCommands.get(sensorId);
-      pendingPumpCommands.delete(sensorId); // Remove after sending
+    const command = await PendingCommand.deliverNext(
+      sensorId,
+      PUMP_COMMAND_FILTER
+    );
 
+    if (command) {
       res.json({
         success: true,
         hasCommand: true,
-        command: command,
+        command: toPumpCommand(command),
       });
     } else {
       res.json({
@@ -234,15 +281,11 @@ router.post("/pump-control/bulk", async (req, res) => {
         }
 
         // Queue command for ESP32
-        const command = {
-          action: action,
-          timestamp: new Date(),
-          tankId: tankId,
-          trigger: "bulk_operation",
-          commandType: "pump_control",
-        };
-
-        pendingPumpCommands.set(tankConfig.sensorId, command);
+        await queuePumpCommand(
+          tankConfig,
+          action,
+          "bulk_operation"
+        );
 
         // Log the action using database.PumpLog
         const pumpLogData = {
@@ -390,8 +433,35 @@ router.get("/system/status", async (req, res) => {
       return !stopTime || startTime > stopTime;
     });
 
+    // Stored volume per tank from each tank's latest reading
+    const activeTanks = await database.TankConfig.find({ isActive: true });
+    const tankVolumes = [];
+    for (const tankConfig of activeTanks) {
+      const latest = database.WaterReading.withVolume(
+        await database.getLatestWaterReading(tankConfig.tankId),
+        tankConfig
+      );
+      tankVolumes.push({
+        tankId: tankConfig.tankId,
+        shape: tankConfig.shape,
+        capacityLiters: tankConfig.maxCapacityLiters,
+        waterLevelCm: latest?.waterLevelCm ?? null,
+        volumeLiters: latest?.volumeLiters ?? null,
+        percentFull: latest?.percentFull ?? null,
+        readingAt: latest?.timestamp || null,
+      });
+    }
+    const reporting = tankVolumes.filter((t) => t.volumeLiters !== null);
+    const storedLiters = reporting.reduce((sum, t) => sum + t.volumeLiters, 0);
+    const reportingCapacity = reporting.reduce((sum, t) => sum + (t.capacityLiters || 0), 0);
+
     // Get pending commands count
-    const pendingCommandsCount = pendingPumpCommands.size;
+    const queuedCommands = await PendingCommand.find({
+      ...PUMP_COMMAND_FILTER,
+      status: "queued",
+    })
+      .select("sensorId")
+      .lean();
 
     res.json({
       success: true,
@@ -401,13 +471,22 @@ router.get("/system/status", async (req, res) => {
           withSensors: tanksWithSensors,
           withoutSensors: totalTanks - tanksWithSensors,
         },
+        volume: {
+          storedLiters: Math.round(storedLiters),
+          capacityLiters: tankVolumes.reduce((sum, t) => sum + (t.capacityLiters || 0), 0),
+          percentFull:
+            reportingCapacity > 0
+              ? Math.round((storedLiters / reportingCapacity) * 1000) / 10
+              : null,
+          tanks: tankVolumes,
+        },
         pumps: {
           activePumps: activePumps.length,
           recentActivity: recentPumpActions,
         },
         commands: {
-          pending: pendingCommandsCount,
-          queuedSensors: Array.from(pendingPumpCommands.keys()),
+          pending: queuedCommands.length,
+          queuedSensors: [...new Set(queuedCommands.map((c) => c.sensorId))],
         },
         system: {
           uptime: process.uptime(),
@@ -427,14 +506,18 @@ router.get("/system/status", async (req, res) => {
 // GET /api/water/commands/queue - View current pump command queue
 router.get("/commands/queue", async (req, res) => {
   try {
-    const queueArray = Array.from(pendingPumpCommands.entries()).map(
-      ([sensorId, command]) => ({
-        sensorId,
-        ...command,
-        queuedFor:
-          ((Date.now() - command.timestamp.getTime()) / 1000).toFixed(1) + "s",
-      })
-    );
+    const queued = await PendingCommand.find({
+      ...PUMP_COMMAND_FILTER,
+      status: "queued",
+    }).sort({ createdAt: 1 });
+
+    const queueArray = queued.map((command) => ({
+      id: command._id,
+      sensorId: command.sensorId,
+      ...toPumpCommand(command),
+      queuedFor:
+        ((Date.now() - command.createdAt.getTime()) / 1000).toFixed(1) + "s",
+    }));
 
     // Get tank info for each queued command
     const enrichedQueue = await Promise.all(
@@ -446,7 +529,7 @@ router.get("/commands/queue", async (req, res) => {
           return {
             ...item,
             tankLocation: tank?.location || "Unknown",
-            tankId: tank?.tankId || "Unknown",
+            tankId: item.tankId || tank?.tankId || "Unknown",
           };
         } catch (error) {
           return {
@@ -461,7 +544,7 @@ router.get("/commands/queue", async (req, res) => {
     res.json({
       success: true,
       data: {
-        queueSize: pendingPumpCommands.size,
+        queueSize: queueArray.length,
         commands: enrichedQueue.sort((a, b) => a.timestamp - b.timestamp),
       },
     });
@@ -505,15 +588,11 @@ router.post("/relay", async (req, res) => {
 
     // Use the existing pump control logic
     if (tankConfig.sensorId) {
-      const command = {
-        action: pumpAction,
-        timestamp: new Date(),
-        tankId: tank_id,
-        trigger: "relay_control",
-        commandType: "pump_control",
-      };
-
-      pendingPumpCommands.set(tankConfig.sensorId, command);
+      await queuePumpCommand(
+        tankConfig,
+        pumpAction,
+        "relay_control"
+      );
 
       console.log(
         `Relay control: Queued ${pumpAction} pump command for ESP32 ${tankConfig.sensorId}`
@@ -581,10 +660,15 @@ router.get("/latest", async (req, res) => {
         tankId,
       });
     }
+    const tankConfig = await database.getTankConfig(tankId);
 
     res.json({
       success: true,
-      data: reading,
+      data: {
+        ...database.WaterReading.withVolume(reading, tankConfig),
+        shape: tankConfig?.shape || null,
+        capacityLiters: tankConfig?.maxCapacityLiters ?? null,
+      },
     });
   } catch (error) {
     console.error("Error getting latest reading:", error);
@@ -646,14 +730,23 @@ router.put("/tank-config", async (req, res) => {
   try {
     const {
       tank_id,
+      shape,
       tank_height_cm,
       tank_radius_cm,
+      length_cm,
+      width_cm,
+      cone_height_cm,
+      outlet_radius_cm,
+      strapping_table,
+      irrigation_zone_ids,
+      pump_protection,
       max_capacity_liters,
       min_threshold_cm,
       pump_on_distance_cm,
       pump_off_distance_cm,
       location,
       sensor_id,
+      sensor_channel,
     } = req.body;
 
     if (!tank_id) {
@@ -663,8 +756,42 @@ router.put("/tank-config", async (req, res) => {
     }
 
     const updateData = {};
+    if (shape !== undefined) updateData.shape = shape;
     if (tank_height_cm !== undefined) updateData.tankHeightCm = tank_height_cm;
     if (tank_radius_cm !== undefined) updateData.tankRadiusCm = tank_radius_cm;
+    if (length_cm !== undefined) updateData.lengthCm = length_cm;
+    if (width_cm !== undefined) updateData.widthCm = width_cm;
+    if (cone_height_cm !== undefined) updateData.coneHeightCm = cone_height_cm;
+    if (outlet_radius_cm !== undefined) updateData.outletRadiusCm = outlet_radius_cm;
+    if (strapping_table !== undefined) {
+      if (!Array.isArray(strapping_table)) {
+        return res.status(400).json({
+          error: "strapping_table must be an array of { level_cm, liters }",
+        });
+      }
+      updateData.strappingTable = strapping_table.map((p) => ({
+        levelCm: p.level_cm ?? p.levelCm,
+        liters: p.liters,
+      }));
+    }
+    if (irrigation_zone_ids !== undefined) {
+      if (!Array.isArray(irrigation_zone_ids)) {
+        return res.status(400).json({ error: "irrigation_zone_ids must be an array" });
+      }
+      updateData.irrigationZoneIds = irrigation_zone_ids.map(String);
+    }
+    // Partial updates; null turns a limit off
+    if (pump_protection !== undefined) {
+      if (!pump_protection || typeof pump_protection !== "object") {
+        return res.status(400).json({ error: "pump_protection must be an object" });
+      }
+      for (const [field, path] of Object.entries(PUMP_PROTECTION_FIELDS)) {
+        if (pump_protection[field] !== undefined) {
+          updateData[`pumpProtection.${path}`] = pump_protection[field];
+        }
+      }
+    }
+    // Only kept when the shape cannot compute a capacity
     if (max_capacity_liters !== undefined)
       updateData.maxCapacityLiters = max_capacity_liters;
     if (min_threshold_cm !== undefined)
@@ -678,6 +805,10 @@ router.put("/tank-config", async (req, res) => {
       updateData.sensorId = sensor_id;
       updateData.sensorAssignedAt = sensor_id ? new Date() : null;
     }
+    if (sensor_channel !== undefined) {
+      updateData.sensorChannel =
+        sensor_channel === null || sensor_channel === "" ? null : String(sensor_channel);
+    }
 
     const updatedConfig = await database.updateTankConfig(tank_id, updateData);
 
@@ -687,6 +818,12 @@ router.put("/tank-config", async (req, res) => {
       message: "Tank configuration updated successfully",
     });
   } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid tank configuration",
+        message: error.message,
+      });
+    }
     console.error("Error updating tank config:", error);
     res.status(500).json({
       error: "Failed to update tank configuration",
@@ -698,7 +835,7 @@ router.put("/tank-config", async (req, res) => {
 // POST /api/water/assign-sensor - Assign sensor to tank
 router.post("/assign-sensor", async (req, res) => {
   try {
-    const { tank_id, sensor_id } = req.body;
+    const { tank_id, sensor_id, sensor_channel } = req.body;
 
     if (!tank_id || !sensor_id) {
       return res.status(400).json({
@@ -706,23 +843,38 @@ router.post("/assign-sensor", async (req, res) => {
       });
     }
 
-    // Check if sensor is already assigned to another tank
+    // A gateway with several ultrasonic sensors maps one tank per channel
+    const sensorChannel =
+      sensor_channel === undefined || sensor_channel === null || sensor_channel === ""
+        ? null
+        : String(sensor_channel);
+
+    // Check if sensor (channel) is already assigned to another tank
     const existingAssignment = await database.TankConfig.findOne({
       sensorId: sensor_id,
+      sensorChannel,
       tankId: { $ne: tank_id },
     });
 
     if (existingAssignment) {
       return res.status(400).json({
-        error: `Sensor ${sensor_id} is already assigned to tank ${existingAssignment.tankId}`,
+        error: sensorChannel
+          ? `Sensor ${sensor_id} channel ${sensorChannel} is already assigned to tank ${existingAssignment.tankId}`
+          : `Sensor ${sensor_id} is already assigned to tank ${existingAssignment.tankId}`,
       });
     }
 
-    // Update tank with sensor assignment
-    const updatedConfig = await database.updateTankConfig(tank_id, {
-      sensorId: sensor_id,
-      sensorAssignedAt: new Date(),
-    });
+    // Update tank with sensor assignment; the tank must be configured first
+    // through /tank-config
+    const updatedConfig = await database.updateTankConfig(
+      tank_id,
+      {
+        sensorId: sensor_id,
+        sensorChannel,
+        sensorAssignedAt: new Date(),
+      },
+      { upsert: false }
+    );
 
     if (!updatedConfig) {
       return res.status(404).json({
@@ -736,6 +888,12 @@ router.post("/assign-sensor", async (req, res) => {
       message: `Sensor ${sensor_id} assigned to tank ${tank_id} successfully`,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        error: "Invalid tank configuration",
+        message: error.message,
+      });
+    }
     console.error("Error assigning sensor:", error);
     res.status(500).json({
       error: "Failed to assign sensor",
@@ -770,6 +928,7 @@ router.delete("/unassign-sensor", async (req, res) => {
     // Remove sensor assignment
     const updatedConfig = await database.updateTankConfig(tankConfig.tankId, {
       sensorId: null,
+      sensorChannel: null,
       sensorAssignedAt: null,
     });
 
@@ -792,7 +951,7 @@ router.get("/sensor-assignments", async (req, res) => {
   try {
     const assignments = await database.TankConfig.find({
       sensorId: { $ne: null },
-    }).select("tankId sensorId sensorAssignedAt location");
+    }).select("tankId sensorId sensorChannel sensorAssignedAt location");
 
     res.json({
       success: true,
@@ -866,27 +1025,450 @@ router.get("/stats", async (req, res) => {
   }
 });
 
+const DEFAULT_USAGE_RANGE_MS = {
+  hour: 24 * 3600000,
+  day: 30 * 24 * 3600000,
+  week: 12 * 7 * 24 * 3600000,
+};
+const MAX_USAGE_BUCKETS = 2000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/water/analytics/usage - Consumption, pumped inflow and refills
+// Query: tank_id (csv, default all active tanks), interval (hour|day|week,
+// default day), from, to, timezone (default FARM_TIMEZONE). Plain dates are
+// whole local days: from=2026-10-18&to=2026-10-18 is that one day.
+router.get("/analytics/usage", async (req, res) => {
+  try {
+    const interval = req.query.interval || "day";
+    if (!localTime.BUCKET_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        error: `interval must be one of ${localTime.BUCKET_INTERVALS.join(", ")}`,
+      });
+    }
+    const timeZone = req.query.timezone || localTime.DEFAULT_TIMEZONE;
+    if (!localTime.isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Unknown timezone ${timeZone}` });
+    }
+
+    const parse = (value, endOfDay) => {
+      if (!DATE_ONLY.test(value)) return new Date(value);
+      return localTime.fromLocal(value, endOfDay ? 24 * 60 : 0, timeZone);
+    };
+    const to = req.query.to ? parse(String(req.query.to), true) : new Date();
+    const from = req.query.from
+      ? parse(String(req.query.from), false)
+      : new Date(to.getTime() - DEFAULT_USAGE_RANGE_MS[interval]);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: "Invalid from/to range" });
+    }
+    const bucketMs = { hour: 3600000, day: 86400000, week: 7 * 86400000 }[interval];
+    if ((to - from) / bucketMs > MAX_USAGE_BUCKETS) {
+      return res.status(400).json({
+        error: `Range too long for interval ${interval} (max ${MAX_USAGE_BUCKETS} buckets)`,
+      });
+    }
+    const start = localTime.bucketStart(from, interval, timeZone);
+
+    const tankIds = req.query.tank_id ? String(req.query.tank_id).split(",") : null;
+    const tanks = await database.TankConfig.find(
+      tankIds ? { tankId: { $in: tankIds } } : { isActive: true }
+    ).sort({ tankId: 1 });
+    if (tankIds && tanks.length === 0) {
+      return res.status(404).json({ error: "Tank configuration not found", tankIds });
+    }
+
+    const results = [];
+    for (const tankConfig of tanks) {
+      results.push(
+        await waterAnalytics.tankUsage(tankConfig, { from: start, to, interval, timeZone })
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        interval,
+        timezone: timeZone,
+        from: start,
+        to,
+        tanks: results,
+        farm: waterAnalytics.farmTotals(results),
+      },
+    });
+  } catch (error) {
+    console.error("Error computing water usage:", error);
+    res.status(500).json({
+      error: "Failed to compute water usage",
+      message: error.message,
+    });
+  }
+});
+
+const MAX_FORECAST_HORIZON_HOURS = 168;
+
+// pump_protection body fields -> TankConfig.pumpProtection
+const PUMP_PROTECTION_FIELDS = {
+  enabled: "enabled",
+  max_runtime_minutes: "maxRuntimeMinutes",
+  min_off_minutes: "minOffMinutes",
+  min_fill_rate_cm_per_hour: "minFillRateCmPerHour",
+  fill_check_minutes: "fillCheckMinutes",
+  max_starts_per_hour: "maxStartsPerHour",
+};
+
+// GET /api/water/forecast - Time to empty / low / full per tank with bounds
+// Query: tank_id (csv, default all active tanks), horizon_hours (default
+// FORECAST_HORIZON_HOURS), timezone, until (HH:MM = next local occurrence, or
+// a timestamp) to ask whether the tank lasts until then, e.g. until=06:00
+router.get("/forecast", async (req, res) => {
+  try {
+    const timeZone = req.query.timezone || localTime.DEFAULT_TIMEZONE;
+    if (!localTime.isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Unknown timezone ${timeZone}` });
+    }
+    const horizonHours =
+      req.query.horizon_hours !== undefined
+        ? Number(req.query.horizon_hours)
+        : tankForecast.HORIZON_HOURS;
+    if (!(horizonHours > 0 && horizonHours <= MAX_FORECAST_HORIZON_HOURS)) {
+      return res.status(400).json({
+        error: `horizon_hours must be between 0 and ${MAX_FORECAST_HORIZON_HOURS}`,
+      });
+    }
+
+    const now = new Date();
+    let until = null;
+    if (req.query.until) {
+      const minutes = localTime.parseHHMM(req.query.until);
+      if (minutes !== null) {
+        const { date } = localTime.localParts(now, timeZone);
+        until = localTime.fromLocal(date, minutes, timeZone);
+        if (until <= now) {
+          const tomorrow = localTime.localParts(new Date(now.getTime() + 86400000), timeZone);
+          until = localTime.fromLocal(tomorrow.date, minutes, timeZone);
+        }
+      } else {
+        until = new Date(String(req.query.until));
+      }
+      if (isNaN(until.getTime()) || until <= now) {
+        return res.status(400).json({ error: "until must be HH:MM or a future timestamp" });
+      }
+      if (until - now > MAX_FORECAST_HORIZON_HOURS * 3600000) {
+        return res.status(400).json({
+          error: `until must be within ${MAX_FORECAST_HORIZON_HOURS} hours`,
+        });
+      }
+    }
+
+    const tankIds = req.query.tank_id ? String(req.query.tank_id).split(",") : null;
+    const tanks = await database.TankConfig.find(
+      tankIds ? { tankId: { $in: tankIds } } : { isActive: true }
+    ).sort({ tankId: 1 });
+    if (tankIds && tanks.length === 0) {
+      return res.status(404).json({ error: "Tank configuration not found", tankIds });
+    }
+
+    const results = [];
+    for (const tankConfig of tanks) {
+      results.push(
+        await tankForecast.forecastTank(tankConfig, { now, horizonHours, timeZone, until })
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        generatedAt: now,
+        timezone: timeZone,
+        horizonHours,
+        tanks: results,
+      },
+    });
+  } catch (error) {
+    console.error("Error forecasting tank levels:", error);
+    res.status(500).json({
+      error: "Failed to forecast tank levels",
+      message: error.message,
+    });
+  }
+});
+
+// GET /api/water/alerts - Leak / abnormal drawdown alerts (active by default)
+router.get("/alerts", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const { tank_id, severity, alert_type } = req.query;
+    const status = req.query.status || "active";
+
+    if (!["active", "resolved", "all"].includes(status)) {
+      return res.status(400).json({
+        error: "Invalid status. Use active, resolved, or all",
+      });
+    }
+
+    const query = {};
+    if (status === "active") query.isResolved = false;
+    if (status === "resolved") query.isResolved = true;
+    if (tank_id) query.tankId = tank_id;
+    if (severity) query.severity = severity;
+    if (alert_type) query.alertType = alert_type;
+    if (req.query.acknowledged !== undefined) {
+      query.isAcknowledged = req.query.acknowledged === "true";
+    }
+
+    const alerts = await database.TankAlert.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: alerts,
+    });
+  } catch (error) {
+    console.error("Error getting tank alerts:", error);
+    res.status(500).json({
+      error: "Failed to retrieve tank alerts",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/water/alerts/:alertId/acknowledge - Acknowledge a tank alert
+router.post("/alerts/:alertId/acknowledge", async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const { acknowledged_by } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    const alert = await database.TankAlert.findByIdAndUpdate(
+      alertId,
+      {
+        $set: {
+          isAcknowledged: true,
+          acknowledgedAt: new Date(),
+          acknowledgedBy: auth.actorOf(req, acknowledged_by || null),
+        },
+      },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    res.json({
+      success: true,
+      data: alert,
+      message: "Alert acknowledged",
+    });
+  } catch (error) {
+    console.error("Error acknowledging tank alert:", error);
+    res.status(500).json({
+      error: "Failed to acknowledge alert",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/water/alerts/:alertId/resolve - Manually resolve a tank alert
+router.post("/alerts/:alertId/resolve", async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const { resolved_by } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    const alert = await database.TankAlert.findById(alertId);
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    if (alert.isResolved) {
+      return res.status(409).json({
+        error: "Alert is already resolved",
+        data: alert,
+      });
+    }
+
+    alert.isResolved = true;
+    alert.resolvedAt = new Date();
+    alert.resolvedBy = auth.actorOf(req, resolved_by || "manual");
+    await alert.save();
+
+    res.json({
+      success: true,
+      data: alert,
+      message: "Alert resolved",
+    });
+  } catch (error) {
+    console.error("Error resolving tank alert:", error);
+    res.status(500).json({
+      error: "Failed to resolve alert",
+      message: error.message,
+    });
+  }
+});
+
+// GET /api/water/drawdown-profile?tank_id= - Learned normal drawdown
+router.get("/drawdown-profile", async (req, res) => {
+  try {
+    const tankId = req.query.tank_id || "main_tank";
+    const tankConfig = await database.getTankConfig(tankId);
+    if (!tankConfig) {
+      return res.status(404).json({ error: "Tank configuration not found", tankId });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tankId,
+        irrigationZoneIds: tankConfig.irrigationZoneIds,
+        expectedRateLphNow: tankLeaks.expectedRateLph(tankConfig.drawdownProfile, new Date()),
+        profile: tankConfig.drawdownProfile,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting drawdown profile:", error);
+    res.status(500).json({
+      error: "Failed to retrieve drawdown profile",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/water/drawdown-profile/relearn - Body: { tank_id }
+// Relearns the profile now instead of at the next daily refresh
+router.post("/drawdown-profile/relearn", async (req, res) => {
+  try {
+    const tankId = req.body?.tank_id || "main_tank";
+    const tankConfig = await database.getTankConfig(tankId);
+    if (!tankConfig) {
+      return res.status(404).json({ error: "Tank configuration not found", tankId });
+    }
+
+    const profile = await tankLeaks.learnProfile(tankConfig);
+    res.json({ success: true, data: { tankId, profile } });
+  } catch (error) {
+    console.error("Error relearning drawdown profile:", error);
+    res.status(500).json({
+      error: "Failed to relearn drawdown profile",
+      message: error.message,
+    });
+  }
+});
+
+// GET /api/water/pump-protection?tank_id= - Limits, current run and lockout
+router.get("/pump-protection", async (req, res) => {
+  try {
+    const tankId = req.query.tank_id || "main_tank";
+    const tankConfig = await database.getTankConfig(tankId);
+    if (!tankConfig) {
+      return res.status(404).json({ error: "Tank configuration not found", tankId });
+    }
+
+    const recentTrips = await database.PumpLog.find({ tankId, trigger: "pump_protection" })
+      .sort({ timestamp: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      data: {
+        tankId,
+        automationEnabled: tankConfig.automationEnabled,
+        limits: tankConfig.pumpProtection,
+        run: tankConfig.pumpRun,
+        lockout: tankConfig.pumpLockout,
+        startBlockedReason: pumpProtection.startBlockedReason(tankConfig),
+        recentTrips,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting pump protection:", error);
+    res.status(500).json({
+      error: "Failed to retrieve pump protection",
+      message: error.message,
+    });
+  }
+});
+
+// POST /api/water/pump-protection/reset - Body: { tank_id, resume_automation? }
+// Lifts a protection lockout. resume_automation (default true) also turns
+// automation back on, on the server and on the device.
+router.post("/pump-protection/reset", async (req, res) => {
+  try {
+    const { tank_id, resume_automation = true, reset_by } = req.body || {};
+    if (!tank_id) {
+      return res.status(400).json({ error: "Missing required field: tank_id" });
+    }
+
+    const tankConfig = await database.TankConfig.findOne({ tankId: tank_id });
+    if (!tankConfig) {
+      return res.status(404).json({ error: "Tank not found" });
+    }
+
+    const updated = await pumpProtection.resetLockout(tankConfig, {
+      by: auth.actorOf(req, reset_by || null),
+      resumeAutomation: resume_automation !== false,
+    });
+    if (!updated) {
+      return res.status(409).json({
+        error: "Tank is not locked out",
+        data: tankConfig.pumpLockout,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tankId: tank_id,
+        automationEnabled: updated.automationEnabled,
+        lockout: updated.pumpLockout,
+      },
+      message: "Pump protection lockout reset",
+    });
+  } catch (error) {
+    console.error("Error resetting pump protection:", error);
+    res.status(500).json({
+      error: "Failed to reset pump protection",
+      message: error.message,
+    });
+  }
+});
+
 // DELETE /api/water/commands/clear - Clear pump command queue
 router.delete("/commands/clear", async (req, res) => {
   try {
     const { sensor_id } = req.query;
 
     if (sensor_id) {
-      // Clear specific sensor command
-      const hadCommand = pendingPumpCommands.has(sensor_id);
-      pendingPumpCommands.delete(sensor_id);
+      // Clear specific sensor commands
+      const clearedCount = await PendingCommand.cancelMany(
+        { ...PUMP_COMMAND_FILTER, sensorId: sensor_id, status: "queued" },
+        "operator",
+        "Cleared from command queue"
+      );
 
       res.json({
         success: true,
-        message: hadCommand
-          ? `Pump command cleared for sensor ${sensor_id}`
-          : `No pump command found for sensor ${sensor_id}`,
-        cleared: hadCommand ? 1 : 0,
+        message:
+          clearedCount > 0
+            ? `Pump command cleared for sensor ${sensor_id}`
+            : `No pump command found for sensor ${sensor_id}`,
+        cleared: clearedCount,
       });
     } else {
       // Clear all commands
-      const clearedCount = pendingPumpCommands.size;
-      pendingPumpCommands.clear();
+      const clearedCount = await PendingCommand.cancelMany(
+        { ...PUMP_COMMAND_FILTER, status: "queued" },
+        "operator",
+        "Cleared from command queue"
+      );
 
       res.json({
         success: true,
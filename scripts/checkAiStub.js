@@ -0,0 +1,107 @@
+// Offline check of the AI provider running on the stub backend: every chat
+// task answers with the JSON fields its route reads, answers are
+// deterministic, embeddings keep related texts close, and usage is counted.
+// Needs no API key or network; exits non-zero if any check fails.
+//   node scripts/checkAiStub.js     (also `npm test`)
+process.env.AI_PROVIDER = "stub";
+
+const assert = require("assert/strict");
+const ai = require("../services/aiProvider");
+const { EMBEDDING_DIMENSIONS } = require("../services/aiStubProvider");
+const { check, run } = require("./checks");
+
+// Fields each route reads from the parsed chat answer
+const CHAT_FIELDS = {
+  plant_check: ["isPlant", "confidence", "reason", "plantType", "category"],
+  plant_health: ["health", "confidence", "issues", "recommendations", "overallScore"],
+  pest_identification: ["pestDetected", "confidence", "severity", "treatmentOptions"],
+  weekly_comment: ["comment", "trend", "keyInsight", "encouragement"],
+  crop_advice: ["immediateActions", "fertilization", "irrigation", "nextSteps"],
+  frame_analysis: ["timestamp", "detections", "threat_level", "movement_detected"],
+  rag_answer: ["answer", "sources", "voiceScript", "nextSteps"],
+};
+
+const messagesFor = (task) => [
+  { role: "system", content: `Check for ${task}` },
+  {
+    role: "user",
+    content: [
+      { type: "text", text: 'Frame {"timestamp": "2024-05-01T10:00:00Z"}' },
+      { type: "image_url", image_url: { url: "data:image/jpeg;base64,AAAA" } },
+    ],
+  },
+];
+
+const contentOf = (response) => response.choices[0].message.content;
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+};
+
+check("provider is the stub", () => {
+  assert.equal(ai.providerName(), "stub");
+  assert.equal(ai.isAvailable(), true);
+});
+
+for (const [task, fields] of Object.entries(CHAT_FIELDS)) {
+  check(`chat ${task} returns its JSON fields`, async () => {
+    const response = await ai.chat(task, { messages: messagesFor(task) });
+    assert.equal(response.model, ai.modelFor(task));
+    const parsed = JSON.parse(contentOf(response));
+    for (const field of fields) {
+      assert.ok(field in parsed, `${task} answer is missing ${field}`);
+    }
+  });
+}
+
+check("chat is deterministic", async () => {
+  const first = await ai.chat("plant_health", { messages: messagesFor("a") });
+  const again = await ai.chat("plant_health", { messages: messagesFor("a") });
+  assert.equal(contentOf(again), contentOf(first));
+});
+
+check("frame_analysis echoes the frame timestamp", async () => {
+  const response = await ai.chat("frame_analysis", { messages: messagesFor("frame") });
+  assert.equal(JSON.parse(contentOf(response)).timestamp, "2024-05-01T10:00:00Z");
+});
+
+check("embeddings keep related texts closer than unrelated ones", async () => {
+  const { data } = await ai.embed([
+    "tomato irrigation schedule for dry weeks",
+    "irrigation schedule for tomato in dry weeks",
+    "careers in mechanical engineering",
+  ]);
+  assert.equal(data.length, 3);
+  for (const { embedding } of data) assert.equal(embedding.length, EMBEDDING_DIMENSIONS);
+  const [a, b, c] = data.map((d) => d.embedding);
+  assert.ok(cosine(a, b) > cosine(a, c), "related texts should be more similar");
+});
+
+check("transcribe and speech work offline", async () => {
+  const { text } = await ai.transcribe(__filename);
+  assert.match(text, /stub transcription/);
+  const audio = await ai.speech("Hello", { voice: "alloy" });
+  assert.ok(Buffer.isBuffer(audio) && audio.length > 0);
+});
+
+check("usage is counted per task at zero cost", async () => {
+  ai.resetUsage();
+  await ai.chat("weekly_comment", { messages: messagesFor("usage") });
+  await ai.embed("usage");
+  const usage = ai.getUsage();
+  assert.equal(usage.provider, "stub");
+  assert.equal(usage.byTask.weekly_comment.requests, 1);
+  assert.equal(usage.byTask.embedding.requests, 1);
+  assert.ok(usage.totals.totalTokens > 0);
+  assert.equal(usage.totals.costUsd, 0);
+});
+
+run();
@@ -0,0 +1,98 @@
+// Offline check of services/localTime: overnight windows, and hour/day/week
+// buckets across both DST changes (Europe/Berlin, 2026-03-29 and 2026-10-25).
+//   node scripts/checkLocalTime.js     (part of `npm test`)
+const assert = require("assert/strict");
+const localTime = require("../services/localTime");
+const { check, run } = require("./checks");
+
+const TZ = "Europe/Berlin";
+const at = (iso) => new Date(iso);
+const HOUR = 3600000;
+
+// Consecutive bucket starts from `from`
+function buckets(from, interval, count) {
+  const starts = [localTime.bucketStart(at(from), interval, TZ)];
+  while (starts.length < count) {
+    starts.push(localTime.nextBucketStart(starts[starts.length - 1], interval, TZ));
+  }
+  return starts;
+}
+
+check("daytime window on listed days only", () => {
+  const window = { start: "07:00", end: "17:00", days: [1, 2, 3, 4, 5] };
+  // Wednesday 2026-10-21 09:00 and 18:00 local (CEST, UTC+2)
+  assert.equal(localTime.inWindow(window, at("2026-10-21T07:00:00Z"), TZ), true);
+  assert.equal(localTime.inWindow(window, at("2026-10-21T16:00:00Z"), TZ), false);
+  // Saturday 09:00
+  assert.equal(localTime.inWindow(window, at("2026-10-24T07:00:00Z"), TZ), false);
+  // end is exclusive
+  assert.equal(localTime.inWindow(window, at("2026-10-21T15:00:00Z"), TZ), false);
+});
+
+check("overnight window belongs to the day it starts on", () => {
+  const fridayNight = { start: "22:00", end: "06:00", days: [5] };
+  // Friday 2026-10-23 23:00 local, and 02:00 on Saturday morning
+  assert.equal(localTime.inWindow(fridayNight, at("2026-10-23T21:00:00Z"), TZ), true);
+  assert.equal(localTime.inWindow(fridayNight, at("2026-10-24T00:00:00Z"), TZ), true);
+  // Friday 02:00 is Thursday night's window; Saturday 23:00 is Saturday's
+  assert.equal(localTime.inWindow(fridayNight, at("2026-10-23T00:00:00Z"), TZ), false);
+  assert.equal(localTime.inWindow(fridayNight, at("2026-10-24T21:00:00Z"), TZ), false);
+  // Saturday 06:00 is past the end
+  assert.equal(localTime.inWindow(fridayNight, at("2026-10-24T04:00:00Z"), TZ), false);
+});
+
+check("overnight window across the autumn DST change", () => {
+  const night = { start: "22:00", end: "06:00" };
+  // 2026-10-25 02:30 local happens twice (CEST then CET); both are inside
+  assert.equal(localTime.inWindow(night, at("2026-10-25T00:30:00Z"), TZ), true);
+  assert.equal(localTime.inWindow(night, at("2026-10-25T01:30:00Z"), TZ), true);
+  // 06:00 CET is 05:00Z
+  assert.equal(localTime.inWindow(night, at("2026-10-25T04:59:00Z"), TZ), true);
+  assert.equal(localTime.inWindow(night, at("2026-10-25T05:00:00Z"), TZ), false);
+});
+
+check("malformed windows never match", () => {
+  assert.equal(localTime.inWindow({ start: "7:00", end: "17:00" }, new Date(), TZ), false);
+  assert.equal(localTime.inWindow({ start: "24:00", end: "06:00" }, new Date(), TZ), false);
+});
+
+check("day buckets are 23h and 25h on DST days", () => {
+  const [, spring, afterSpring] = buckets("2026-03-28T12:00:00Z", "day", 3);
+  assert.equal(spring.toISOString(), "2026-03-28T23:00:00.000Z");
+  assert.equal(afterSpring - spring, 23 * HOUR);
+
+  const [, autumn, afterAutumn] = buckets("2026-10-24T12:00:00Z", "day", 3);
+  assert.equal(autumn.toISOString(), "2026-10-24T22:00:00.000Z");
+  assert.equal(afterAutumn - autumn, 25 * HOUR);
+});
+
+check("hour buckets stay one hour apart through both DST changes", () => {
+  for (const from of ["2026-03-28T22:00:00Z", "2026-10-24T22:00:00Z"]) {
+    const starts = buckets(from, "hour", 8);
+    for (let i = 1; i < starts.length; i++) {
+      assert.equal(starts[i] - starts[i - 1], HOUR, `gap after ${starts[i - 1].toISOString()}`);
+    }
+  }
+});
+
+check("the repeated autumn hour is two buckets", () => {
+  const first = localTime.bucketStart(at("2026-10-25T00:30:00Z"), "hour", TZ);
+  const second = localTime.bucketStart(at("2026-10-25T01:30:00Z"), "hour", TZ);
+  assert.equal(first.toISOString(), "2026-10-25T00:00:00.000Z");
+  assert.equal(second.toISOString(), "2026-10-25T01:00:00.000Z");
+  assert.equal(localTime.bucketLabel(first, "hour", TZ), "2026-10-25 02:00");
+  assert.equal(localTime.bucketLabel(second, "hour", TZ), "2026-10-25 02:00");
+});
+
+check("half-hour offsets bucket on local hours", () => {
+  const start = localTime.bucketStart(at("2026-10-24T22:10:00Z"), "hour", "Asia/Kolkata");
+  assert.equal(start.toISOString(), "2026-10-24T21:30:00.000Z");
+});
+
+check("week buckets start on local Monday midnight across DST", () => {
+  const [week, next] = buckets("2026-10-21T12:00:00Z", "week", 2);
+  assert.equal(week.toISOString(), "2026-10-18T22:00:00.000Z");
+  assert.equal(next.toISOString(), "2026-10-25T23:00:00.000Z");
+});
+
+run();
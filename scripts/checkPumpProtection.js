@@ -0,0 +1,188 @@
+// Offline check of services/pumpProtection: restarts inside the minimum
+// off-time and too many starts per hour trip protection, automation holds
+// back such starts, and nothing trips while protection is off. The model
+// calls are replaced in-process, so no database is needed.
+//   node scripts/checkPumpProtection.js     (part of `npm test`)
+const assert = require("assert/strict");
+const { TankConfig, WaterReading, PumpLog } = require("../models/water");
+const PendingCommand = require("../models/PendingCommand");
+const notifications = require("../services/notifications");
+const { check, run } = require("./checks");
+
+// What the service wrote, reset per check
+let writes;
+const reset = () => {
+  writes = { updates: [], commands: [], cancelled: [], pumpLogs: [], notified: [] };
+};
+
+TankConfig.updateOne = async (filter, update) => {
+  writes.updates.push(update.$set);
+  return { acknowledged: true };
+};
+PendingCommand.create = async (doc) => writes.commands.push(doc);
+PendingCommand.cancelMany = async (filter) => writes.cancelled.push(filter);
+PumpLog.create = async (doc) => writes.pumpLogs.push(doc);
+notifications.notify = (event) => writes.notified.push(event);
+// No level history: the fill-rate rule has nothing to judge
+WaterReading.find = () => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: async () => [],
+  };
+  return query;
+};
+
+const pumpProtection = require("../services/pumpProtection");
+
+const T0 = Date.parse("2026-10-19T08:00:00Z");
+const minute = (m) => new Date(T0 + m * 60000);
+
+const tank = (limits = {}) => ({
+  tankId: "t1",
+  sensorId: "s1",
+  pumpProtection: {
+    enabled: true,
+    maxRuntimeMinutes: 240,
+    minOffMinutes: 5,
+    minFillRateCmPerHour: 2,
+    fillCheckMinutes: 20,
+    maxStartsPerHour: 6,
+    ...limits,
+  },
+  pumpRun: { relayStatus: "off" },
+  pumpLockout: { active: false },
+});
+
+// Feeds relay reports [[minute, "on"|"off"], ...]; returns the trips by minute
+async function feed(tankConfig, reports) {
+  const trips = [];
+  for (const [m, relayState] of reports) {
+    const tripped = await pumpProtection.checkReading(tankConfig, {
+      relayState,
+      waterLevelCm: 60,
+      at: minute(m),
+    });
+    if (tripped) trips.push([m, tripped.rule]);
+  }
+  return trips;
+}
+
+check("restart inside the minimum off-time trips min_off_time", async () => {
+  reset();
+  const config = tank();
+  const trips = await feed(config, [
+    [0, "on"],
+    [3, "off"],
+    [5, "on"],
+  ]);
+  assert.deepEqual(trips, [[5, "min_off_time"]]);
+  assert.equal(config.pumpLockout.active, true);
+  assert.equal(config.pumpLockout.rule, "min_off_time");
+  assert.deepEqual(
+    writes.commands.map((c) => [c.action, c.value ?? null]),
+    [
+      ["stop", null],
+      ["set_automation", "off"],
+    ]
+  );
+  assert.equal(writes.cancelled[0].action, "start");
+  assert.equal(writes.pumpLogs[0].protectionRule, "min_off_time");
+  assert.equal(writes.notified[0].type, "pump_protection");
+});
+
+check("restart after the minimum off-time does not trip", async () => {
+  reset();
+  const config = tank();
+  assert.deepEqual(
+    await feed(config, [
+      [0, "on"],
+      [3, "off"],
+      [8, "on"],
+    ]),
+    []
+  );
+  assert.equal(writes.commands.length, 0);
+});
+
+check("one start over maxStartsPerHour trips max_starts_per_hour", async () => {
+  reset();
+  const config = tank({ minOffMinutes: 0 });
+  const reports = [];
+  for (let i = 0; i < 7; i++) reports.push([i * 8, "on"], [i * 8 + 4, "off"]);
+  assert.deepEqual(await feed(config, reports), [[48, "max_starts_per_hour"]]);
+  assert.match(config.pumpLockout.message, /7 times in the last hour \(maximum 6\)/);
+});
+
+check("starts older than an hour are not counted", async () => {
+  reset();
+  const config = tank({ minOffMinutes: 0 });
+  const reports = [];
+  for (let i = 0; i < 7; i++) reports.push([i * 12, "on"], [i * 12 + 4, "off"]);
+  assert.deepEqual(await feed(config, reports), []);
+  // Minute 72 counts the starts from minute 24 on; minute 12 is exactly an hour old
+  assert.equal(config.pumpRun.recentStarts.length, 5);
+});
+
+check("a run trips once while the stop is pending", async () => {
+  reset();
+  const config = tank();
+  const trips = await feed(config, [
+    [0, "on"],
+    [3, "off"],
+    [5, "on"],
+    [6, "on"],
+    [7, "on"],
+  ]);
+  assert.deepEqual(trips, [[5, "min_off_time"]]);
+  assert.equal(writes.pumpLogs.length, 1);
+});
+
+check("disabled protection tracks the run but never trips", async () => {
+  reset();
+  const config = tank({ enabled: false, minOffMinutes: 5, maxStartsPerHour: 1 });
+  assert.deepEqual(
+    await feed(config, [
+      [0, "on"],
+      [1, "off"],
+      [2, "on"],
+    ]),
+    []
+  );
+  assert.equal(config.pumpRun.relayStatus, "on");
+  assert.equal(config.pumpRun.recentStarts.length, 2);
+  assert.equal(writes.commands.length + writes.pumpLogs.length + writes.notified.length, 0);
+  assert.equal(pumpProtection.startBlockedReason(config, minute(3)), null);
+});
+
+check("the run is written under pumpRun and relayStatus is left alone", async () => {
+  reset();
+  await feed(tank(), [
+    [0, "on"],
+    [3, "off"],
+    [5, "on"],
+  ]);
+  for (const $set of writes.updates) {
+    for (const key of Object.keys($set)) {
+      assert.ok(key.startsWith("pumpRun.") || key.startsWith("pumpLockout."), key);
+    }
+    assert.ok(!("relayStatus" in $set));
+  }
+});
+
+check("automation holds back starts that would trip", () => {
+  const config = tank({ minOffMinutes: 10, maxStartsPerHour: 2 });
+  config.pumpRun = { relayStatus: "off", stoppedAt: minute(0), recentStarts: [minute(-20)] };
+  assert.match(pumpProtection.startBlockedReason(config, minute(5)), /minimum off-time/);
+  assert.equal(pumpProtection.startBlockedReason(config, minute(11)), null);
+
+  config.pumpRun.recentStarts.push(minute(-5));
+  assert.match(pumpProtection.startBlockedReason(config, minute(11)), /2 starts in the last hour/);
+  // The first start has aged out by then
+  assert.equal(pumpProtection.startBlockedReason(config, minute(41)), null);
+
+  config.pumpLockout = { active: true };
+  assert.equal(pumpProtection.startBlockedReason(config, minute(41)), "pump protection lockout");
+});
+
+run();
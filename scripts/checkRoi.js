@@ -0,0 +1,118 @@
+// Offline check of services/roi: which zone a detection's bbox lands in, with
+// ignore zones, partial overlaps, and bboxes sent as strings or not at all.
+//   node scripts/checkRoi.js     (part of `npm test`)
+const assert = require("assert/strict");
+const roi = require("../services/roi");
+const { check, run } = require("./checks");
+
+const square = (x, y, size) => [
+  { x, y },
+  { x: x + size, y },
+  { x: x + size, y: y + size },
+  { x, y: y + size },
+];
+
+const gate = { name: "gate", kind: "restricted", points: square(10, 10, 20) };
+const shed = { name: "shed", kind: "restricted", points: square(60, 60, 30) };
+const road = { name: "road", kind: "ignore", points: square(0, 80, 100) };
+// Triangle pointing down into the middle of the frame
+const drive = {
+  name: "drive",
+  kind: "restricted",
+  points: [
+    { x: 40, y: 0 },
+    { x: 60, y: 0 },
+    { x: 50, y: 50 },
+  ],
+};
+
+const box = (x, y, width, height) => ({ x, y, width, height });
+
+check("bbox inside a restricted zone counts for that zone", () => {
+  assert.deepEqual(roi.locateDetection(box(15, 15, 5, 5), [gate, shed]), {
+    counts: true,
+    zone: "gate",
+  });
+  assert.deepEqual(roi.locateDetection(box(70, 65, 5, 5), [gate, shed]), {
+    counts: true,
+    zone: "shed",
+  });
+});
+
+check("bbox outside every restricted zone does not count", () => {
+  assert.deepEqual(roi.locateDetection(box(40, 40, 5, 5), [gate, shed]), {
+    counts: false,
+    zone: null,
+  });
+});
+
+check("bbox partly over a zone edge counts", () => {
+  // Straddles the gate's right edge; no corner of the gate is inside it
+  assert.deepEqual(roi.locateDetection(box(25, 15, 10, 5), [gate]), {
+    counts: true,
+    zone: "gate",
+  });
+  // Covers the whole gate
+  assert.deepEqual(roi.locateDetection(box(5, 5, 40, 40), [gate]), {
+    counts: true,
+    zone: "gate",
+  });
+});
+
+check("bbox crossing a zone with no corner inside either counts", () => {
+  // A wide, flat box across the triangle: edges cross, corners are all outside
+  assert.equal(roi.bboxIntersectsPolygon(box(30, 20, 40, 2), drive.points), true);
+  assert.deepEqual(roi.locateDetection(box(30, 20, 40, 2), [drive]), {
+    counts: true,
+    zone: "drive",
+  });
+  // Beside the triangle's tip, inside its bounding box but not the triangle
+  assert.equal(roi.bboxIntersectsPolygon(box(40, 40, 3, 3), drive.points), false);
+});
+
+check("bbox centred in an ignore zone never counts", () => {
+  const zones = [road, { ...shed, points: square(60, 60, 40) }];
+  // Overlaps the shed, but its centre is on the road
+  assert.deepEqual(roi.locateDetection(box(70, 78, 10, 10), zones), {
+    counts: false,
+    zone: null,
+  });
+  // Centre above the road: counts for the shed
+  assert.deepEqual(roi.locateDetection(box(70, 70, 10, 10), zones), {
+    counts: true,
+    zone: "shed",
+  });
+});
+
+check("without restricted zones everything outside ignore zones counts", () => {
+  assert.deepEqual(roi.locateDetection(box(40, 40, 5, 5), []), { counts: true, zone: null });
+  assert.deepEqual(roi.locateDetection(box(40, 40, 5, 5)), { counts: true, zone: null });
+  assert.deepEqual(roi.locateDetection(box(40, 85, 5, 5), [road]), {
+    counts: false,
+    zone: null,
+  });
+});
+
+check("numeric strings are accepted", () => {
+  assert.deepEqual(
+    roi.locateDetection({ x: "15", y: "15", width: "5", height: "5" }, [gate]),
+    { counts: true, zone: "gate" }
+  );
+});
+
+check("missing or unusable bbox only counts without restricted zones", () => {
+  for (const bad of [null, undefined, box(15, 15, 0, 5), { x: "a", y: 1, width: 1, height: 1 }]) {
+    assert.deepEqual(roi.locateDetection(bad, [gate]), { counts: false, zone: null });
+    assert.deepEqual(roi.locateDetection(bad, [road]), { counts: true, zone: null });
+  }
+});
+
+check("polygons with fewer than three points never match", () => {
+  const line = { name: "line", kind: "restricted", points: square(10, 10, 20).slice(0, 2) };
+  assert.deepEqual(roi.locateDetection(box(0, 0, 100, 100), [line]), {
+    counts: false,
+    zone: null,
+  });
+});
+
+run();
@@ -0,0 +1,110 @@
+// Offline check of services/tankGeometry: volume per shape against the
+// textbook formulas, clamping, capacity, and shape validation.
+//   node scripts/checkTankGeometry.js     (part of `npm test`)
+const assert = require("assert/strict");
+const tankGeometry = require("../services/tankGeometry");
+const { check, run } = require("./checks");
+
+const near = (actual, expected, tolerance = 0.11) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ~${expected}, got ${actual}`
+  );
+
+const liters = (cm3) => cm3 / 1000;
+
+check("vertical cylinder: pi r^2 h", () => {
+  const tank = { shape: "vertical_cylinder", tankRadiusCm: 50, tankHeightCm: 200 };
+  near(tankGeometry.volumeLiters(tank, 100), liters(Math.PI * 50 ** 2 * 100));
+  near(tankGeometry.capacityLiters(tank), liters(Math.PI * 50 ** 2 * 200));
+});
+
+check("shape defaults to vertical cylinder", () => {
+  const tank = { tankRadiusCm: 50, tankHeightCm: 200 };
+  near(tankGeometry.volumeLiters(tank, 100), liters(Math.PI * 50 ** 2 * 100));
+});
+
+check("horizontal cylinder: half full at r, full at 2r", () => {
+  const tank = { shape: "horizontal_cylinder", tankRadiusCm: 60, lengthCm: 300 };
+  const full = liters(Math.PI * 60 ** 2 * 300);
+  near(tankGeometry.volumeLiters(tank, 60), full / 2);
+  near(tankGeometry.volumeLiters(tank, 120), full);
+  assert.equal(tankGeometry.maxLevelCm(tank), 120);
+  // A quarter of the diameter holds less than a quarter of the volume
+  assert.ok(tankGeometry.volumeLiters(tank, 30) < full / 4);
+});
+
+check("rectangular: l w h", () => {
+  const tank = { shape: "rectangular", lengthCm: 200, widthCm: 100, tankHeightCm: 150 };
+  near(tankGeometry.volumeLiters(tank, 75), liters(200 * 100 * 75));
+});
+
+check("cone bottom: cone then cylinder above it", () => {
+  const tank = {
+    shape: "cone_bottom",
+    tankRadiusCm: 50,
+    coneHeightCm: 30,
+    outletRadiusCm: 0,
+    tankHeightCm: 130,
+  };
+  const cone = liters((Math.PI * 50 ** 2 * 30) / 3);
+  near(tankGeometry.volumeLiters(tank, 30), cone);
+  near(tankGeometry.volumeLiters(tank, 80), cone + liters(Math.PI * 50 ** 2 * 50));
+  // Half the cone height holds an eighth of the cone
+  near(tankGeometry.volumeLiters(tank, 15), cone / 8);
+});
+
+check("custom: strapping table is interpolated and sorted", () => {
+  const tank = {
+    shape: "custom",
+    strappingTable: [
+      { levelCm: 100, liters: 1500 },
+      { levelCm: 0, liters: 0 },
+      { levelCm: 50, liters: 500 },
+    ],
+  };
+  near(tankGeometry.volumeLiters(tank, 25), 250);
+  near(tankGeometry.volumeLiters(tank, 75), 1000);
+  assert.equal(tankGeometry.maxLevelCm(tank), 100);
+});
+
+check("levels are clamped to the tank", () => {
+  const tank = { shape: "rectangular", lengthCm: 100, widthCm: 100, tankHeightCm: 100 };
+  assert.equal(tankGeometry.volumeLiters(tank, -10), 0);
+  near(tankGeometry.volumeLiters(tank, 500), 1000);
+});
+
+check("incomplete or inconsistent geometry gives null and an error", () => {
+  const noRadius = { shape: "vertical_cylinder", tankHeightCm: 200 };
+  assert.equal(tankGeometry.volumeLiters(noRadius, 50), null);
+  assert.match(tankGeometry.validate(noRadius), /tankRadiusCm/);
+  assert.match(
+    tankGeometry.validate({
+      shape: "cone_bottom",
+      tankRadiusCm: 50,
+      coneHeightCm: 300,
+      tankHeightCm: 100,
+    }),
+    /coneHeightCm/
+  );
+  assert.match(
+    tankGeometry.validate({
+      shape: "custom",
+      strappingTable: [
+        { levelCm: 0, liters: 100 },
+        { levelCm: 10, liters: 50 },
+      ],
+    }),
+    /must not decrease/
+  );
+  assert.equal(tankGeometry.volumeLiters({ shape: "rectangular" }, NaN), null);
+});
+
+check("fillAt gives percent of capacity", () => {
+  const tank = { shape: "rectangular", lengthCm: 100, widthCm: 100, tankHeightCm: 100 };
+  const { volumeLiters, percentFull } = tankGeometry.fillAt(tank, 25);
+  near(volumeLiters, 250);
+  near(percentFull, 25);
+});
+
+run();
@@ -0,0 +1,23 @@
+// Tiny runner for the offline check scripts (scripts/check*.js, `npm test`):
+// register with check(name, fn), then run() prints ok/FAIL per check and
+// sets a non-zero exit code when any failed.
+const checks = [];
+
+const check = (name, fn) => checks.push({ name, fn });
+
+async function run() {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok   ${name}`);
+    } catch (err) {
+      failed += 1;
+      console.log(`FAIL ${name}\n     ${err.message}`);
+    }
+  }
+  console.log(`${checks.length - failed}/${checks.length} checks passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+module.exports = { check, run };
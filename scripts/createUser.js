@@ -0,0 +1,38 @@
+// Creates a user, or resets the password/role of an existing one. Used to
+// bootstrap the first admin once authentication is on.
+//   node scripts/createUser.js <email> <password> [role]
+// role defaults to admin.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+
+async function run() {
+  const [email, password, role = "admin"] = process.argv.slice(2);
+  if (!email || !password) {
+    console.log("Usage: node scripts/createUser.js <email> <password> [role]");
+    process.exitCode = 1;
+    return;
+  }
+  if (!User.ROLES.includes(role)) {
+    console.log(`Unknown role ${role}; expected one of ${User.ROLES.join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const existing = await User.findOne({ email: email.toLowerCase() });
+  const user = existing || new User({ email });
+  user.role = role;
+  user.active = true;
+  await user.setPassword(password);
+  if (existing) user.tokenVersion += 1;
+  await user.save();
+  console.log(`${existing ? "Updated" : "Created"} ${role} ${user.email}`);
+
+  await mongoose.disconnect();
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// One-shot index migration for pending commands: drops the old 24h TTL on
+// createdAt, which purged command history after a day, and applies the
+// closedAt retention TTL (COMMAND_RETENTION_DAYS). Other indexes on the
+// collection are left alone. Safe to re-run.
+//   node scripts/migratePendingCommandIndexes.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const PendingCommand = require("../models/PendingCommand");
+
+const OLD_TTL_INDEX = "createdAt_1";
+const RETENTION_INDEX = "closedAt_1";
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const collection = PendingCommand.collection;
+  const existing = await collection.indexes().catch((e) => {
+    // The collection does not exist yet; createIndexes below creates it
+    if (e.codeName === "NamespaceNotFound") return [];
+    throw e;
+  });
+
+  const oldTtl = existing.find((i) => i.name === OLD_TTL_INDEX);
+  if (oldTtl && oldTtl.expireAfterSeconds !== undefined) {
+    await collection.dropIndex(OLD_TTL_INDEX);
+    console.log(`Dropped ${OLD_TTL_INDEX} (TTL ${oldTtl.expireAfterSeconds}s)`);
+  }
+
+  // A changed retention period only needs the TTL updated in place
+  const [, retentionOptions] = PendingCommand.schema
+    .indexes()
+    .find(([fields]) => Object.keys(fields).join() === "closedAt");
+  const retention = existing.find((i) => i.name === RETENTION_INDEX);
+  if (retention && retention.expireAfterSeconds !== retentionOptions.expireAfterSeconds) {
+    await mongoose.connection.db.command({
+      collMod: collection.collectionName,
+      index: { name: RETENTION_INDEX, expireAfterSeconds: retentionOptions.expireAfterSeconds },
+    });
+    console.log(
+      `Retention TTL ${retention.expireAfterSeconds}s -> ${retentionOptions.expireAfterSeconds}s`
+    );
+  }
+
+  // Adds any schema index that is missing; never drops one
+  await PendingCommand.createIndexes();
+  console.log("Pending command indexes up to date");
+
+  await mongoose.disconnect();
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
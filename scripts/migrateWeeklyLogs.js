@@ -0,0 +1,64 @@
+// One-shot import of data/weekly-logs.json into the WeeklyLog collection.
+// Safe to re-run: entries are upserted by their log id.
+//   node scripts/migrateWeeklyLogs.js [--archive]
+// --archive renames the JSON file afterwards so it is not imported again.
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const WeeklyLog = require("../models/WeeklyLog");
+
+const LOGS_FILE = path.join(__dirname, "..", "data", "weekly-logs.json");
+
+async function run() {
+  if (!fs.existsSync(LOGS_FILE)) {
+    console.log(`Nothing to migrate: ${LOGS_FILE} not found`);
+    return;
+  }
+
+  const entries = JSON.parse(fs.readFileSync(LOGS_FILE, "utf8"));
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let imported = 0;
+  let skipped = 0;
+  for (const entry of entries) {
+    const fieldId = parseInt(entry.fieldId, 10);
+    if (!entry.id || !Number.isFinite(fieldId)) {
+      console.warn("Skipping entry without id/fieldId:", entry.id);
+      skipped += 1;
+      continue;
+    }
+
+    const existing = await WeeklyLog.findOne({ logId: entry.id });
+    const doc = existing || new WeeklyLog({ logId: entry.id });
+    doc.set({
+      fieldId,
+      week: parseInt(entry.week, 10) || 1,
+      date: entry.date ? new Date(entry.date) : new Date(entry.createdAt || Date.now()),
+      imagePath: entry.imagePath || null,
+      imageUrl: entry.imageUrl || null,
+      notes: entry.notes || "",
+      analysis: entry.analysis || null,
+      plantIdentification: entry.plantIdentification,
+      aiComment: entry.aiComment || null,
+    });
+    if (!existing && entry.createdAt) doc.createdAt = new Date(entry.createdAt);
+    await doc.save();
+    imported += 1;
+  }
+
+  console.log(`Weekly logs migrated: ${imported} imported, ${skipped} skipped`);
+
+  if (process.argv.includes("--archive")) {
+    const archived = LOGS_FILE.replace(/\.json$/, `.migrated-${Date.now()}.json`);
+    fs.renameSync(LOGS_FILE, archived);
+    console.log(`Archived ${LOGS_FILE} -> ${archived}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+// Local stand-in for the notification endpoints: an HTTP server that accepts
+// webhook and SMS-gateway posts and a bare SMTP server that accepts mail,
+// printing whatever arrives. Point the backend at it with e.g.
+//   SMTP_HOST=127.0.0.1 SMTP_PORT=2525 SMS_GATEWAY_URL=http://127.0.0.1:4010/sms
+// and use http://127.0.0.1:4010/webhook as a webhook target (webhooks to
+// local addresses also need NOTIFY_WEBHOOK_ALLOW_PRIVATE=true).
+//   node scripts/notificationSink.js [--http-port 4010] [--smtp-port 2525] [--fail-http]
+// --fail-http answers every HTTP post with 500 to exercise retries/failures.
+const http = require("http");
+const net = require("net");
+
+const arg = (name, fallback) => {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : fallback;
+};
+const HTTP_PORT = Number(arg("--http-port", 4010));
+const SMTP_PORT = Number(arg("--smtp-port", 2525));
+const FAIL_HTTP = process.argv.includes("--fail-http");
+
+http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      console.log(`[http] ${req.method} ${req.url}`);
+      if (req.headers["x-signature"]) console.log(`  signature: ${req.headers["x-signature"]}`);
+      if (req.headers.authorization) console.log(`  authorization: ${req.headers.authorization}`);
+      console.log(`  ${body}`);
+      res.writeHead(FAIL_HTTP ? 500 : 200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: !FAIL_HTTP }));
+    });
+  })
+  .listen(HTTP_PORT, () => console.log(`HTTP sink on :${HTTP_PORT}`));
+
+// Just enough SMTP for nodemailer without TLS or auth
+net
+  .createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    let message = "";
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply("220 notification-sink ESMTP");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let idx;
+      while ((idx = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            console.log(`[smtp] message:\n${message}`);
+            message = "";
+            reply("250 OK: queued");
+          } else {
+            message += `${line.startsWith("..") ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === "EHLO") {
+          reply("250-notification-sink");
+          reply("250 8BITMIME");
+        } else if (cmd === "HELO") reply("250 notification-sink");
+        else if (cmd === "MAIL" || cmd === "RCPT") {
+          console.log(`[smtp] ${line}`);
+          reply("250 OK");
+        } else if (cmd === "DATA") {
+          inData = true;
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (cmd === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else if (cmd === "RSET" || cmd === "NOOP") reply("250 OK");
+        else reply("502 Command not implemented");
+      }
+    });
+    socket.on("error", () => {});
+  })
+  .listen(SMTP_PORT, () => console.log(`SMTP sink on :${SMTP_PORT}`));
@@ -12,6 +12,11 @@ const environmentalRoutes = require("./routes/environmental");
 const sensorsRoutes = require("./routes/sensors");
 const machineRoutes = require("./routes/machines");
 const ragRoutes = require("./routes/rag");
+const notificationRoutes = require("./routes/notifications");
+const streamRoutes = require("./routes/stream");
+const authRoutes = require("./routes/auth");
+const deviceRoutes = require("./routes/devices");
+const { authorize } = require("./services/accessPolicy");
 
 require("dotenv").config();
 
@@ -25,6 +30,7 @@ const ensureDirectoriesExist = () => {
     "uploads/frames",
     "uploads/audio",
     "uploads/weekly-logs",
+    "uploads/threat-incidents",
     "data",
     "logs",
   ];
@@ -56,12 +62,25 @@ app.use(
     ],
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "X-API-Key",
+      "X-Device-Id",
+      "X-Timestamp",
+      "X-Nonce",
+      "X-Signature",
+    ],
   })
 );
 
-app.use(bodyParser.json({ limit: "50mb" })); // Increased for image uploads
-app.use(bodyParser.urlencoded({ extended: true, limit: "50mb" }));
+// rawBody is kept for verifying signed device requests (services/deviceSignature.js)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(bodyParser.json({ limit: "50mb", verify: keepRawBody })); // Increased for image uploads
+app.use(bodyParser.urlencoded({ extended: true, limit: "50mb", verify: keepRawBody }));
 
 // Serve static files for uploaded images
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -71,7 +90,16 @@ database.init();
 
 const { startMachineSweeper } = require("./services/machineSweeper");
 startMachineSweeper();
-// Routes
+const { startCommandSweeper } = require("./services/commandSweeper");
+startCommandSweeper();
+const { startThreatIncidentSweeper } = require("./services/threatIncidentSweeper");
+startThreatIncidentSweeper();
+const { startTankLeakSweeper } = require("./services/tankLeakSweeper");
+startTankLeakSweeper();
+// Routes (every /api route is checked against services/accessPolicy.js)
+app.use("/api", authorize);
+app.use("/api/auth", authRoutes);
+app.use("/api/devices", deviceRoutes);
 app.use("/api/water", waterRoutes);
 app.use("/api/soil", soilmoistureRoutes);
 app.use("/api/ai", aiRoutes);
@@ -80,6 +108,8 @@ app.use("/api/environmental", environmentalRoutes);
 app.use("/api/sensors", sensorsRoutes);
 app.use("/api/machines", machineRoutes);
 app.use("/api/rag", ragRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/stream", streamRoutes);
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({
@@ -112,11 +142,24 @@ app.get("/", (req, res) => {
       "GET /health - Health check",
       "GET /api/health - Detailed system health",
 
+      // Accounts
+      "POST /api/auth/login - Sign in and get a session token",
+      "GET /api/auth/me - Current user and permissions",
+      "GET /api/auth/users - Manage user accounts (admin)",
+      "POST /api/auth/device-keys - Issue a device API key (admin)",
+      "POST /api/devices/credentials - Enroll a device for signed requests",
+      "POST /api/devices/credentials/:deviceId/rotate - Rotate a device secret",
+
       // Water Management
       "POST /api/water/reading - Submit water level reading",
       "GET /api/water/readings - Get all readings",
       "GET /api/water/latest - Get latest reading",
       "POST /api/water/relay - Control relay",
+      "GET /api/water/analytics/usage - Consumption, inflow and refills per tank",
+      "GET /api/water/forecast - Time to empty / full per tank with bounds",
+      "GET /api/water/alerts - Leak and abnormal drawdown alerts",
+      "GET /api/water/pump-protection - Pump limits, current run and lockout",
+      "POST /api/water/pump-protection/reset - Lift a pump protection lockout",
 
       // Soil Management
       "GET /api/soil/* - Soil moisture endpoints",
@@ -134,6 +177,7 @@ app.get("/", (req, res) => {
       "POST /api/video/analyze-frame - Analyze video frame for threats",
       "GET /api/video/analysis-history - Get analysis history",
       "GET /api/video/analysis-stats - Get analysis statistics",
+      "GET /api/video/incidents - List grouped threat incidents",
       "GET /api/video/health - Video analysis service health",
       "POST /api/video/cleanup - Clean up old frame files",
     ],
@@ -0,0 +1,213 @@
+// Per-route access rules for everything under /api, checked by authorize()
+// before the routers run. Rules are matched in order on method and path
+// (relative to /api), case-insensitively like Express routes; the first match
+// wins. Unlisted routes under a mounted router need "read" for GET and
+// "config" (admin) for anything that writes; any other path is refused.
+const auth = require("./auth");
+const deviceSignature = require("./deviceSignature");
+
+const PUBLIC = { public: true };
+const SELF = { self: true }; // any signed-in user; routes scope data to them
+const DENY = { deny: true };
+// Device-facing routes name the reporting device in one body field, a
+// ":param" or a "?query" parameter (multipart routes, whose body is not
+// parsed yet); signatures and scoped API keys are checked against that id
+const device = (idField) => ({ device: true, idField });
+const deviceOr = (idField, permission) => ({ device: true, idField, permission });
+const allow = (permission) => ({ permission });
+
+const POLICY = [
+  // ---- public ----
+  ["GET", "/health", PUBLIC],
+  ["GET", "/ai/health", PUBLIC],
+  ["GET", "/video/health", PUBLIC],
+  ["GET", "/sensors/health", PUBLIC],
+  ["GET", "/soil/health", PUBLIC],
+  ["POST", "/auth/login", PUBLIC],
+
+  // ---- accounts ----
+  ["*", "/auth/users*", allow("users")],
+  ["*", "/auth/device-keys*", allow("users")],
+  ["*", "/auth/*", SELF],
+  ["*", "/notifications/*", SELF],
+  ["*", "/devices/*", allow("config")],
+
+  // ---- device-facing (signed requests or X-API-Key) ----
+  ["POST", "/sensors/reading", device("sensor_id")],
+  ["POST", "/sensors/command/ack", device("sensor_id")],
+  ["POST", "/water/reading", device("sensor_id")],
+  ["POST", "/soil/reading", device("sensor_id")],
+  ["POST", "/environmental/reading", device("sensor_id")],
+  ["POST", "/machines/ingest", device("device_id")],
+  // Polling hands the queued commands over, so only the device itself may
+  ["GET", "/sensors/pending-commands/:sensorId", device(":sensorId")],
+  ["GET", "/water/pending-commands/:sensorId", device(":sensorId")],
+  ["GET", "/soil/pending-commands/:sensorId", device(":sensorId")],
+  ["POST", "/video/analyze-frame", deviceOr("?cameraId", "control")],
+
+  // ---- pumps, irrigation and command queues ----
+  ["POST", "/sensors/command", allow("control")],
+  ["POST", "/sensors/command/:commandId/cancel", allow("control")],
+  ["POST", "/sensors/automation", allow("control")],
+  ["POST", "/sensors/interval", allow("control")],
+  ["POST", "/water/pump-control", allow("control")],
+  ["POST", "/water/pump-control/bulk", allow("control")],
+  ["POST", "/water/relay", allow("control")],
+  ["POST", "/water/pump-protection/reset", allow("control")],
+  ["DELETE", "/water/commands/clear", allow("control")],
+  ["POST", "/soil/irrigation", allow("control")],
+  ["POST", "/soil/irrigation/bulk", allow("control")],
+  ["POST", "/soil/command/direct", allow("control")],
+  ["DELETE", "/soil/commands/clear", allow("control")],
+
+  // ---- alerts and incidents ----
+  ["POST", "/environmental/alerts/:alertId/acknowledge", allow("alerts")],
+  ["POST", "/environmental/alerts/:alertId/resolve", allow("alerts")],
+  ["POST", "/water/alerts/:alertId/acknowledge", allow("alerts")],
+  ["POST", "/water/alerts/:alertId/resolve", allow("alerts")],
+  ["POST", "/video/incidents/:id/acknowledge", allow("alerts")],
+  ["POST", "/video/incidents/:id/close", allow("alerts")],
+
+  // ---- agronomy ----
+  ["POST", "/ai/plant-health", allow("agronomy")],
+  ["POST", "/ai/pest-identification", allow("agronomy")],
+  ["POST", "/ai/crop-advice", allow("agronomy")],
+  ["POST", "/ai/weekly-log", allow("agronomy")],
+  ["PUT", "/ai/weekly-log/:logId", allow("agronomy")],
+  ["DELETE", "/ai/weekly-log/:logId", allow("agronomy")],
+  ["POST", "/ai/weekly-log/:logId/comment", allow("agronomy")],
+  ["POST", "/soil/crop-profile", allow("agronomy")],
+  ["POST", "/soil/zone", allow("agronomy")],
+  ["PUT", "/soil/zone/:zoneId", allow("agronomy")],
+
+  // Question answering only reads
+  ["POST", "/rag/careers", allow("read")],
+];
+
+// "/water/pending-commands/:sensorId" -> /^\/water\/pending-commands\/(?<sensorId>[^/]+)\/?$/
+function compile(pattern) {
+  const source = pattern
+    .split("/")
+    .map((part) => {
+      if (part.startsWith(":")) return `(?<${part.slice(1)}>[^/]+)`;
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    })
+    .join("/");
+  return new RegExp(`^${source}/?$`, "i");
+}
+
+// Routers mounted under /api in server.js
+const MOUNTED_ROUTERS = [
+  "auth",
+  "devices",
+  "water",
+  "soil",
+  "ai",
+  "video",
+  "environmental",
+  "sensors",
+  "machines",
+  "rag",
+  "notifications",
+  "stream",
+];
+const MOUNTED = new RegExp(`^/(${MOUNTED_ROUTERS.join("|")})(/|$)`, "i");
+
+const COMPILED = POLICY.map(([method, pattern, rule]) => ({
+  method,
+  regex: compile(pattern),
+  rule,
+}));
+
+function ruleFor(method, path) {
+  for (const entry of COMPILED) {
+    if (entry.method !== "*" && entry.method !== method) continue;
+    const m = entry.regex.exec(path);
+    if (m) return { rule: entry.rule, params: m.groups || {} };
+  }
+  if (!MOUNTED.test(path)) return { rule: DENY, params: {} };
+  return {
+    rule: allow(method === "GET" || method === "HEAD" ? "read" : "config"),
+    params: {},
+  };
+}
+
+const deny = (res, status, error) => res.status(status).json({ success: false, error });
+
+const bodyId = (body, field) =>
+  body?.[field] !== undefined && body[field] !== null && body[field] !== ""
+    ? String(body[field])
+    : null;
+
+// The device a request reports as, from the field its route names
+function claimedDevice(rule, req, params) {
+  if (rule.idField.startsWith(":")) return params[rule.idField.slice(1)] || null;
+  if (rule.idField.startsWith("?")) return bodyId(req.query, rule.idField.slice(1));
+  return bodyId(req.body, rule.idField);
+}
+
+const describeIdField = (field) =>
+  field.startsWith("?") ? `the ${field.slice(1)} query parameter` : field.replace(/^:/, "");
+
+// Express middleware mounted on /api. Sets req.user (signed-in user),
+// req.device (verified signed device request, see services/deviceSignature.js)
+// or req.deviceKey (device API key) for the routes. Devices enrolled for
+// signing cannot fall back to an API key.
+async function authorize(req, res, next) {
+  if (auth.AUTH_DISABLED || req.method === "OPTIONS") return next();
+
+  try {
+    const { rule, params } = ruleFor(req.method, req.path);
+    if (rule.public) return next();
+    if (rule.deny) return deny(res, 403, "No access rule for this route");
+
+    if (rule.device) {
+      const sensorId = bodyId(req.body, "sensor_id");
+      const bodyDeviceId = bodyId(req.body, "device_id");
+      if (sensorId && bodyDeviceId && sensorId !== bodyDeviceId) {
+        return deny(res, 400, "sensor_id and device_id name different devices");
+      }
+      const deviceId = claimedDevice(rule, req, params);
+      if (deviceSignature.isSigned(req)) {
+        req.device = await deviceSignature.verifyRequest(req, deviceId);
+        return next();
+      }
+      const mustSign =
+        deviceSignature.REQUIRED || (deviceId && (await deviceSignature.isEnrolled(deviceId)));
+      const key = mustSign ? null : await auth.deviceKeyFromRequest(req);
+      if (key) {
+        // A scoped key only works for requests that name one of its devices
+        if (key.deviceIds.length > 0 && !key.deviceIds.includes(deviceId)) {
+          return deny(
+            res,
+            403,
+            deviceId
+              ? `API key is not valid for device ${deviceId}`
+              : `API key is scoped to devices; send ${describeIdField(rule.idField)}`
+          );
+        }
+        req.deviceKey = key;
+        return next();
+      }
+      if (!rule.permission) {
+        return deny(
+          res,
+          401,
+          mustSign ? "Signed device request required" : "Device API key required (X-API-Key)"
+        );
+      }
+    }
+
+    const user = await auth.userFromRequest(req);
+    if (!user) return deny(res, 401, "Authentication required");
+    req.user = user;
+
+    if (rule.self || auth.can(user.role, rule.permission)) return next();
+    return deny(res, 403, `Role ${user.role} lacks the ${rule.permission} permission`);
+  } catch (err) {
+    if (err.status === 401 || err.status === 403) return deny(res, err.status, err.message);
+    return next(err);
+  }
+}
+
+module.exports = { authorize, ruleFor, POLICY };
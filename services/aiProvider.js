@@ -0,0 +1,277 @@
+// Shared AI provider for routes/ai.js, routes/video-analysis.js and
+// routes/rag.js. Every call names a task; the task picks the model, timeout
+// and usage bucket. AI_PROVIDER selects the backend:
+//   openai - the OpenAI API (default when OPENAI_API_KEY is set)
+//   stub   - deterministic local responses, no network
+// With neither configured, calls fail with a 503-style error.
+const fs = require("fs");
+const OpenAI = require("openai");
+const stub = require("./aiStubProvider");
+
+const TASKS = {
+  plant_check: { model: "gpt-4o", kind: "chat" },
+  plant_health: { model: "gpt-4o", kind: "chat" },
+  pest_identification: { model: "gpt-4o", kind: "chat" },
+  weekly_comment: { model: "gpt-4o", kind: "chat" },
+  crop_advice: { model: "gpt-4o", kind: "chat" },
+  frame_analysis: { model: "gpt-4o", kind: "chat" },
+  rag_answer: { model: "gpt-4o-mini", kind: "chat" },
+  embedding: { model: "text-embedding-3-small", kind: "embedding" },
+  transcription: { model: "whisper-1", kind: "transcription", timeoutMs: 120000 },
+  speech: { model: "gpt-4o-mini-tts", kind: "speech" },
+};
+
+// USD per 1M tokens; override with AI_PRICING_JSON='{"gpt-4o":{"input":2.5,"output":10}}'
+const DEFAULT_PRICING = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "text-embedding-3-small": { input: 0.02, output: 0 },
+};
+
+const numberFromEnv = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+};
+
+const TIMEOUT_MS = numberFromEnv("AI_TIMEOUT_MS", 60000);
+const MAX_RETRIES = numberFromEnv("AI_MAX_RETRIES", 2);
+const RETRY_BASE_MS = numberFromEnv("AI_RETRY_BASE_MS", 500);
+const RETRY_MAX_MS = 8000;
+
+function loadPricing() {
+  if (!process.env.AI_PRICING_JSON) return DEFAULT_PRICING;
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_PRICING_JSON) };
+  } catch (err) {
+    console.warn("Ignoring invalid AI_PRICING_JSON:", err.message);
+    return DEFAULT_PRICING;
+  }
+}
+const PRICING = loadPricing();
+
+function providerName() {
+  const configured = (process.env.AI_PROVIDER || "").toLowerCase();
+  if (configured === "stub" || configured === "openai") return configured;
+  return process.env.OPENAI_API_KEY ? "openai" : "none";
+}
+
+const isAvailable = () => providerName() !== "none";
+
+// AI_MODEL_<TASK> (e.g. AI_MODEL_FRAME_ANALYSIS=gpt-4o-mini) overrides the default
+function modelFor(task) {
+  const def = TASKS[task];
+  if (!def) throw new Error(`Unknown AI task: ${task}`);
+  return process.env[`AI_MODEL_${task.toUpperCase()}`] || def.model;
+}
+
+let client = null;
+function openaiClient() {
+  if (!client) {
+    // Retries are handled here so they are counted per task
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  }
+  return client;
+}
+
+// ---------- usage accounting ----------
+const emptyBucket = () => ({
+  requests: 0,
+  failures: 0,
+  retries: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  costUsd: 0,
+});
+
+let usage = { since: new Date(), byTask: {}, byModel: {} };
+
+// Stub calls are counted but free
+function costOf(model, promptTokens, completionTokens) {
+  const price = PRICING[model];
+  if (!price || providerName() === "stub") return 0;
+  return (
+    (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) /
+    1e6
+  );
+}
+
+function record(task, model, { tokens, retries = 0, failed = false }) {
+  const promptTokens = tokens?.prompt_tokens || 0;
+  const completionTokens = tokens?.completion_tokens || 0;
+  const totalTokens = tokens?.total_tokens || promptTokens + completionTokens;
+  const cost = costOf(model, promptTokens, completionTokens);
+
+  for (const [map, key] of [
+    [usage.byTask, task],
+    [usage.byModel, model],
+  ]) {
+    const b = (map[key] = map[key] || emptyBucket());
+    b.requests += 1;
+    b.retries += retries;
+    if (failed) b.failures += 1;
+    b.promptTokens += promptTokens;
+    b.completionTokens += completionTokens;
+    b.totalTokens += totalTokens;
+    b.costUsd += cost;
+  }
+}
+
+function getUsage() {
+  const round = (b) => ({ ...b, costUsd: Math.round(b.costUsd * 1e6) / 1e6 });
+  const totals = emptyBucket();
+  for (const b of Object.values(usage.byTask)) {
+    for (const k of Object.keys(totals)) totals[k] += b[k];
+  }
+  return {
+    provider: providerName(),
+    since: usage.since,
+    totals: round(totals),
+    byTask: Object.fromEntries(
+      Object.entries(usage.byTask).map(([k, b]) => [k, round(b)])
+    ),
+    byModel: Object.fromEntries(
+      Object.entries(usage.byModel).map(([k, b]) => [k, round(b)])
+    ),
+  };
+}
+
+function resetUsage() {
+  usage = { since: new Date(), byTask: {}, byModel: {} };
+}
+
+// ---------- retries ----------
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(err) {
+  const status = err?.status;
+  if (status === 408 || status === 409 || status === 429) return true;
+  if (typeof status === "number" && status >= 500) return true;
+  return (
+    err?.name === "APIConnectionError" ||
+    err?.name === "APIConnectionTimeoutError" ||
+    ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "EAI_AGAIN"].includes(err?.code)
+  );
+}
+
+function backoffMs(attempt, err) {
+  const retryAfter = Number(err?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+  }
+  const exp = RETRY_BASE_MS * 2 ** attempt;
+  return Math.min(exp + Math.random() * RETRY_BASE_MS, RETRY_MAX_MS);
+}
+
+function unavailableError() {
+  const err = new Error(
+    "AI provider not configured. Set OPENAI_API_KEY or AI_PROVIDER=stub."
+  );
+  err.status = 503;
+  return err;
+}
+
+// Runs one provider call with timeout + retries and records its usage.
+// `fn(model, options)` performs the call; `tokensOf(result)` extracts usage.
+async function run(task, fn, tokensOf = (r) => r?.usage) {
+  if (!isAvailable()) throw unavailableError();
+  const model = modelFor(task);
+  const timeout = TASKS[task].timeoutMs || TIMEOUT_MS;
+
+  let retries = 0;
+  for (;;) {
+    try {
+      const result = await fn(model, { timeout, maxRetries: 0 });
+      record(task, model, { tokens: tokensOf(result), retries });
+      return result;
+    } catch (err) {
+      if (retries < MAX_RETRIES && isRetryable(err)) {
+        const wait = backoffMs(retries, err);
+        retries += 1;
+        console.warn(
+          `AI ${task} attempt ${retries} failed (${err.status || err.code || err.message}); retrying in ${Math.round(wait)}ms`
+        );
+        await sleep(wait);
+        continue;
+      }
+      record(task, model, { tokens: null, retries, failed: true });
+      throw err;
+    }
+  }
+}
+
+// ---------- public API ----------
+
+// Chat completion. `body` is an OpenAI chat.completions body without `model`;
+// the result keeps the OpenAI response shape (choices[0].message.content).
+function chat(task, body) {
+  return run(task, (model, options) =>
+    providerName() === "stub"
+      ? stub.chat(task, { ...body, model })
+      : openaiClient().chat.completions.create({ ...body, model }, options)
+  );
+}
+
+// Embeddings for a string or array of strings -> { data: [{ embedding }] }
+function embed(input, task = "embedding") {
+  return run(task, (model, options) =>
+    providerName() === "stub"
+      ? stub.embed({ input, model })
+      : openaiClient().embeddings.create({ model, input }, options)
+  );
+}
+
+// Speech-to-text for an audio file on disk -> { text }
+function transcribe(filePath, { language } = {}, task = "transcription") {
+  return run(
+    task,
+    (model, options) =>
+      providerName() === "stub"
+        ? stub.transcribe({ filePath, language, model })
+        : openaiClient().audio.transcriptions.create(
+            { file: fs.createReadStream(filePath), model, language },
+            options
+          ),
+    () => null
+  );
+}
+
+// Text-to-speech -> Buffer with the encoded audio
+function speech(input, { voice = "alloy" } = {}, task = "speech") {
+  return run(
+    task,
+    async (model, options) => {
+      if (providerName() === "stub") return stub.speech({ input, voice, model });
+      const response = await openaiClient().audio.speech.create(
+        { model, voice, input },
+        options
+      );
+      return Buffer.from(await response.arrayBuffer());
+    },
+    () => null
+  );
+}
+
+// Model per task, for health endpoints
+function describe() {
+  return {
+    provider: providerName(),
+    timeoutMs: TIMEOUT_MS,
+    maxRetries: MAX_RETRIES,
+    models: Object.fromEntries(Object.keys(TASKS).map((t) => [t, modelFor(t)])),
+  };
+}
+
+module.exports = {
+  TASKS,
+  chat,
+  embed,
+  transcribe,
+  speech,
+  modelFor,
+  providerName,
+  isAvailable,
+  describe,
+  getUsage,
+  resetUsage,
+};
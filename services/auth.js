@@ -0,0 +1,100 @@
+// Identity for API requests: JWT sessions for users, API keys for devices,
+// and the role -> permission matrix. services/accessPolicy.js decides which
+// of them a route needs.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const DeviceApiKey = require("../models/DeviceApiKey");
+
+// read     - dashboards, history, status
+// control  - pumps, irrigation, relays, command queues
+// alerts   - acknowledge/resolve alerts and threat incidents
+// agronomy - zones, crop profiles, weekly logs, AI plant analysis
+// config   - tanks, machines, buildings, cameras, sensors, calibration
+// users    - user accounts and device API keys
+const PERMISSIONS = {
+  viewer: ["read"],
+  operator: ["read", "control", "alerts"],
+  agronomist: ["read", "alerts", "agronomy"],
+  admin: ["read", "control", "alerts", "agronomy", "config", "users"],
+};
+
+// AUTH_DISABLED=true turns every check off (local development only)
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret && !AUTH_DISABLED) {
+  jwtSecret = crypto.randomBytes(32).toString("hex");
+  console.warn("JWT_SECRET is not set; sessions will not survive a restart");
+}
+
+const can = (role, permission) => (PERMISSIONS[role] || []).includes(permission);
+
+function signToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), role: user.role, tv: user.tokenVersion || 0 },
+    jwtSecret,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+const authError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+// "Authorization: Bearer <jwt>"; GET requests may pass ?access_token= since
+// EventSource cannot set headers
+function tokenFrom(req) {
+  const header = req.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  if (req.method === "GET" && req.query?.access_token) return String(req.query.access_token);
+  return null;
+}
+
+// Signed-in user for the request, or null without a token. Throws a 401
+// error for bad/expired tokens and disabled or logged-out accounts.
+async function userFromRequest(req) {
+  const token = tokenFrom(req);
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret);
+  } catch (err) {
+    throw authError(401, err.name === "TokenExpiredError" ? "Session expired" : "Invalid token");
+  }
+  const user = await User.findById(payload.sub);
+  if (!user || !user.active || (user.tokenVersion || 0) !== payload.tv) {
+    throw authError(401, "Session is no longer valid");
+  }
+  return user;
+}
+
+const KEY_TOUCH_MS = 60 * 1000;
+
+// Active device key from "X-API-Key", or null
+async function deviceKeyFromRequest(req) {
+  const key = req.get("X-API-Key");
+  if (!key) return null;
+  const doc = await DeviceApiKey.findActiveByKey(key);
+  if (doc && (!doc.lastUsedAt || Date.now() - doc.lastUsedAt.getTime() > KEY_TOUCH_MS)) {
+    DeviceApiKey.updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date() } }).catch(
+      (err) => console.error("Error touching device key:", err.message)
+    );
+  }
+  return doc;
+}
+
+// Name recorded as the actor of an action (acknowledgements, cancellations)
+const actorOf = (req, fallback = null) => req.user?.email || fallback;
+
+module.exports = {
+  PERMISSIONS,
+  ROLES: Object.keys(PERMISSIONS),
+  AUTH_DISABLED,
+  can,
+  signToken,
+  userFromRequest,
+  deviceKeyFromRequest,
+  actorOf,
+};
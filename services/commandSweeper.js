@@ -0,0 +1,54 @@
+const PendingCommand = require("../models/PendingCommand");
+
+const ACK_TIMEOUT_MINUTES = Number(process.env.COMMAND_ACK_TIMEOUT_MINUTES || 5);
+
+async function sweepCommands() {
+  try {
+    const now = new Date();
+    const ackCutoff = new Date(now.getTime() - ACK_TIMEOUT_MINUTES * 60 * 1000);
+    const transition = PendingCommand.transitionUpdate;
+
+    // Queued or un-acked commands past their expiry are dropped for good
+    await PendingCommand.updateMany(
+      {
+        status: { $in: ["queued", "dequeued"] },
+        expiresAt: { $ne: null, $lte: now },
+      },
+      transition("expired", "Expired before the device acknowledged it")
+    );
+
+    // Un-acked commands that used up their attempts have failed
+    await PendingCommand.updateMany(
+      {
+        status: "dequeued",
+        dequeuedAt: { $lt: ackCutoff },
+        $expr: { $gte: ["$attempts", "$maxAttempts"] },
+      },
+      transition("failed", "No acknowledgement from device", {
+        failedAt: now,
+        lastError: `No acknowledgement after ${ACK_TIMEOUT_MINUTES} minutes`,
+      })
+    );
+
+    // Everything else that timed out goes back on the queue for another try
+    await PendingCommand.updateMany(
+      {
+        status: "dequeued",
+        dequeuedAt: { $lt: ackCutoff },
+        $expr: { $lt: ["$attempts", "$maxAttempts"] },
+      },
+      transition("queued", "Re-queued after acknowledgement timeout")
+    );
+  } catch (e) {
+    console.error("sweepCommands error", e);
+  }
+}
+
+function startCommandSweeper() {
+  // run every 30s
+  setInterval(() => {
+    sweepCommands();
+  }, 30 * 1000);
+}
+
+module.exports = { startCommandSweeper, sweepCommands };
@@ -0,0 +1,173 @@
+// Signed requests from enrolled devices (ESP32 / nRF9160 gateways, machine
+// monitors). A device enrolled in DeviceCredential sends:
+//
+//   X-Device-Id:  its sensor_id / device_id
+//   X-Timestamp:  unix time in seconds
+//   X-Nonce:      8-128 chars [A-Za-z0-9_-], never reused
+//   X-Signature:  hex HMAC-SHA256(secret,
+//                   `${timestamp}\n${nonce}\n${METHOD}\n${originalUrl}\n${rawBody}`)
+//
+// originalUrl is the full request path with any query string, e.g.
+// "/api/sensors/reading"; rawBody is the exact JSON/form body sent ("" for
+// GET and multipart uploads, which name the device in the query string
+// instead, e.g. /api/video/analyze-frame?cameraId=gate-cam). Failed verifications are counted per device and source address: after
+// DEVICE_QUARANTINE_AFTER_FAILURES from one address within
+// DEVICE_FAILURE_WINDOW_MINUTES that address is refused for the device until
+// the window passes. Only when they come from the address the device last
+// verified from (the device itself is signing wrongly) is the device
+// quarantined (all its requests refused) until an admin releases it, so
+// forged requests naming a device cannot take it offline.
+const crypto = require("crypto");
+const DeviceCredential = require("../models/DeviceCredential");
+const DeviceNonce = require("../models/DeviceNonce");
+const notifications = require("./notifications");
+
+const MAX_SKEW_SECONDS = Number(process.env.DEVICE_SIGNATURE_MAX_SKEW_SECONDS || 300);
+const QUARANTINE_AFTER_FAILURES = Number(process.env.DEVICE_QUARANTINE_AFTER_FAILURES || 5);
+const FAILURE_WINDOW_MINUTES = Number(process.env.DEVICE_FAILURE_WINDOW_MINUTES || 15);
+// DEVICE_SIGNATURES_REQUIRED=true refuses device API keys; every device must sign
+const REQUIRED = process.env.DEVICE_SIGNATURES_REQUIRED === "true";
+
+const NONCE = /^[A-Za-z0-9_-]{8,128}$/;
+
+const signatureError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+const isSigned = (req) => !!req.get("X-Signature");
+
+async function isEnrolled(deviceId) {
+  return !!(await DeviceCredential.exists({ deviceId: String(deviceId) }));
+}
+
+function sign(secret, { timestamp, nonce, method, url, body }) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}\n${nonce}\n${method}\n${url}\n${body}`)
+    .digest("hex");
+}
+
+function safeEqualHex(a, b) {
+  const x = Buffer.from(String(a), "utf8");
+  const y = Buffer.from(String(b), "utf8");
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Failed verifications for the device from `ip` within the window
+const failuresFrom = (cred, ip, now = Date.now()) =>
+  (cred.recentFailures || []).filter(
+    (f) => f.ip === (ip || null) && now - f.at < FAILURE_WINDOW_MINUTES * 60000
+  ).length;
+
+// Counts a failed verification; quarantines the device when the failures come
+// from the address it last verified from
+async function fail(cred, reason, req) {
+  const ip = req.ip || null;
+  const updated = await DeviceCredential.recordFailure(cred._id, {
+    at: new Date(),
+    reason,
+    ip,
+  });
+  const fromIp = updated ? failuresFrom(updated, ip) : 0;
+  if (ip && ip === updated?.lastVerifiedIp && fromIp >= QUARANTINE_AFTER_FAILURES) {
+    const quarantined = await DeviceCredential.quarantine(
+      cred._id,
+      `${fromIp} failed signature checks from ${ip} (last: ${reason})`
+    );
+    if (quarantined) {
+      console.warn(`Device ${cred.deviceId} quarantined: ${quarantined.quarantineReason}`);
+      notifications.notify({
+        type: "device_quarantined",
+        severity: "high",
+        title: `Device ${cred.deviceId} quarantined`,
+        message: `${quarantined.quarantineReason}. Its requests are refused until an admin releases it.`,
+        source: cred.deviceId,
+        data: { deviceId: cred.deviceId, ip: req.ip || null },
+      });
+    }
+  }
+  return signatureError(401, `Invalid device signature: ${reason}`);
+}
+
+// Verifies a signed request and returns the device's credential. claimedId is
+// the sensor_id / device_id the request reports as, if any. Throws an error
+// with status 401 (bad signature) or 403 (quarantined / wrong device).
+async function verifyRequest(req, claimedId = null) {
+  const deviceId = req.get("X-Device-Id");
+  if (!deviceId) throw signatureError(401, "X-Device-Id is required on signed requests");
+
+  const cred = await DeviceCredential.findOne({ deviceId }).select(
+    "+secret +previousSecret"
+  );
+  if (!cred) throw signatureError(401, `Device ${deviceId} is not enrolled for signing`);
+  if (cred.quarantined) {
+    throw signatureError(403, `Device ${deviceId} is quarantined; contact an administrator`);
+  }
+  if (failuresFrom(cred, req.ip) >= QUARANTINE_AFTER_FAILURES) {
+    throw signatureError(
+      403,
+      `Too many failed signatures for ${deviceId} from this address; try again later`
+    );
+  }
+
+  const timestamp = req.get("X-Timestamp") || "";
+  const nonce = req.get("X-Nonce") || "";
+  const signature = String(req.get("X-Signature")).toLowerCase();
+
+  const ts = Number(timestamp);
+  if (!/^\d+$/.test(timestamp) || !Number.isFinite(ts)) {
+    throw await fail(cred, "missing or malformed X-Timestamp", req);
+  }
+  if (Math.abs(Date.now() / 1000 - ts) > MAX_SKEW_SECONDS) {
+    throw await fail(cred, `timestamp outside ±${MAX_SKEW_SECONDS}s`, req);
+  }
+  if (!NONCE.test(nonce)) throw await fail(cred, "missing or malformed X-Nonce", req);
+
+  const now = new Date();
+  const message = {
+    timestamp,
+    nonce,
+    method: req.method,
+    url: req.originalUrl,
+    body: req.rawBody ? req.rawBody.toString("utf8") : "",
+  };
+  const secrets = cred.validSecrets(now);
+  const matched = secrets.findIndex((s) => safeEqualHex(sign(s, message), signature));
+  if (matched === -1) throw await fail(cred, "signature mismatch", req);
+
+  // Only a correctly signed request may consume a nonce
+  try {
+    await DeviceNonce.create({
+      deviceId,
+      nonce,
+      expiresAt: new Date((ts + MAX_SKEW_SECONDS) * 1000),
+    });
+  } catch (err) {
+    if (err.code === 11000) throw await fail(cred, "nonce already used (replay)", req);
+    throw err;
+  }
+
+  if (claimedId && String(claimedId) !== deviceId) {
+    throw signatureError(403, `Request signed by ${deviceId} cannot report as ${claimedId}`);
+  }
+
+  const $set = { lastVerifiedAt: now, lastVerifiedIp: req.ip || null, failureCount: 0 };
+  // The device has picked up the rotated secret; retire the old one
+  if (matched === 0 && cred.previousSecret) {
+    Object.assign($set, { previousSecret: null, previousSecretExpiresAt: null });
+  }
+  await DeviceCredential.updateOne({ _id: cred._id }, { $set });
+  cred.secret = undefined;
+  cred.previousSecret = undefined;
+  return cred;
+}
+
+module.exports = {
+  REQUIRED,
+  MAX_SKEW_SECONDS,
+  QUARANTINE_AFTER_FAILURES,
+  FAILURE_WINDOW_MINUTES,
+  isSigned,
+  isEnrolled,
+  sign,
+  verifyRequest,
+};
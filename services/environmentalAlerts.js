@@ -0,0 +1,195 @@
+const {
+  EnvironmentalSensorConfig,
+  EnvironmentalAlert,
+} = require("../models/environmental");
+const notifications = require("./notifications");
+
+// Defaults mirror environmentalSensorConfigSchema.alertThresholds so sensors
+// that were never configured still get evaluated.
+const DEFAULT_THRESHOLDS = {
+  minTemperature: 5,
+  maxTemperature: 40,
+  minHumidity: 20,
+  maxHumidity: 85,
+  maxUvIndex: 8,
+};
+
+// How far past the threshold a value has to be for each severity step
+// (low is anything below the "medium" step).
+const SEVERITY_STEPS = {
+  temperature: { medium: 2, high: 5, critical: 10 },
+  humidity: { medium: 5, high: 10, critical: 20 },
+  uv: { medium: 1, high: 2, critical: 3 },
+};
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+const RULES = [
+  {
+    alertType: "temperature_high",
+    metric: "temperature",
+    field: "temperatureCelsius",
+    thresholdKey: "maxTemperature",
+    direction: "above",
+    unit: "°C",
+    label: "Temperature",
+  },
+  {
+    alertType: "temperature_low",
+    metric: "temperature",
+    field: "temperatureCelsius",
+    thresholdKey: "minTemperature",
+    direction: "below",
+    unit: "°C",
+    label: "Temperature",
+  },
+  {
+    alertType: "humidity_high",
+    metric: "humidity",
+    field: "humidityPercent",
+    thresholdKey: "maxHumidity",
+    direction: "above",
+    unit: "%",
+    label: "Humidity",
+  },
+  {
+    alertType: "humidity_low",
+    metric: "humidity",
+    field: "humidityPercent",
+    thresholdKey: "minHumidity",
+    direction: "below",
+    unit: "%",
+    label: "Humidity",
+  },
+  {
+    alertType: "uv_high",
+    metric: "uv",
+    field: "uvIndex",
+    thresholdKey: "maxUvIndex",
+    direction: "above",
+    unit: "",
+    label: "UV index",
+  },
+];
+
+function computeSeverity(metric, excess) {
+  const steps = SEVERITY_STEPS[metric];
+  if (excess >= steps.critical) return "critical";
+  if (excess >= steps.high) return "high";
+  if (excess >= steps.medium) return "medium";
+  return "low";
+}
+
+function buildMessage(rule, value, threshold, location) {
+  const where = location ? ` at ${location}` : "";
+  const verb = rule.direction === "above" ? "above" : "below";
+  return `${rule.label} ${value}${rule.unit} is ${verb} the ${threshold}${rule.unit} threshold${where}`;
+}
+
+async function getThresholds(sensorId) {
+  const config = await EnvironmentalSensorConfig.findOne({ sensorId }).lean();
+  return {
+    ...DEFAULT_THRESHOLDS,
+    ...(config?.alertThresholds || {}),
+  };
+}
+
+// Evaluate one saved EnvironmentalReading against its sensor's thresholds.
+// Opens a new alert per breached rule, refreshes the open alert while the
+// breach persists, and auto-resolves open alerts once the value is back in
+// range. Metrics missing from the reading are left untouched.
+async function evaluateReading(reading) {
+  const result = { opened: [], updated: [], resolved: [] };
+  if (!reading?.sensorId) return result;
+
+  const thresholds = await getThresholds(reading.sensorId);
+  const at = reading.timestamp || new Date();
+
+  for (const rule of RULES) {
+    const value = reading[rule.field];
+    const threshold = thresholds[rule.thresholdKey];
+    if (!Number.isFinite(value) || !Number.isFinite(threshold)) continue;
+
+    const breached =
+      rule.direction === "above" ? value > threshold : value < threshold;
+
+    const open = await EnvironmentalAlert.findOne({
+      sensorId: reading.sensorId,
+      alertType: rule.alertType,
+      isResolved: false,
+    });
+
+    if (!breached) {
+      if (open) {
+        open.isResolved = true;
+        open.resolvedAt = at;
+        open.resolvedBy = "auto";
+        await open.save();
+        result.resolved.push(open);
+      }
+      continue;
+    }
+
+    const severity = computeSeverity(rule.metric, Math.abs(value - threshold));
+    const message = buildMessage(rule, value, threshold, reading.location);
+
+    if (!open) {
+      const alert = await EnvironmentalAlert.create({
+        sensorId: reading.sensorId,
+        alertType: rule.alertType,
+        severity,
+        value,
+        threshold,
+        message,
+        peakValue: value,
+        lastTriggeredAt: at,
+        timestamp: at,
+      });
+      result.opened.push(alert);
+      notifications.notify({
+        type: "environmental_alert",
+        severity,
+        title: `${rule.label} alert on sensor ${reading.sensorId}`,
+        message,
+        source: reading.sensorId,
+        data: { alertId: String(alert._id), alertType: rule.alertType, value, threshold },
+        at,
+      });
+      continue;
+    }
+
+    // Same condition still active: refresh instead of raising a duplicate
+    const isWorse =
+      rule.direction === "above" ? value > open.peakValue : value < open.peakValue;
+    open.value = value;
+    open.threshold = threshold;
+    open.message = message;
+    open.lastTriggeredAt = at;
+    if (open.peakValue === null || isWorse) open.peakValue = value;
+    if (SEVERITY_RANK[severity] > SEVERITY_RANK[open.severity]) {
+      open.severity = severity;
+    }
+    await open.save();
+    result.updated.push(open);
+  }
+
+  return result;
+}
+
+// Compact summary suitable for embedding in ingest responses
+function summarize(result) {
+  return {
+    opened: result.opened.map((a) => ({
+      id: a._id,
+      alertType: a.alertType,
+      severity: a.severity,
+    })),
+    active: result.updated.length,
+    resolved: result.resolved.map((a) => ({
+      id: a._id,
+      alertType: a.alertType,
+    })),
+  };
+}
+
+module.exports = { evaluateReading, summarize, computeSeverity };
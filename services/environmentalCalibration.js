@@ -0,0 +1,132 @@
+const {
+  EnvironmentalReading,
+  EnvironmentalSensorConfig,
+} = require("../models/environmental");
+
+// Reading field -> calibration offset key, with the physical bounds the
+// corrected value is clamped to
+const FIELDS = [
+  {
+    field: "temperatureCelsius",
+    offsetKey: "temperatureOffset",
+    min: -50,
+    max: 80,
+  },
+  { field: "humidityPercent", offsetKey: "humidityOffset", min: 0, max: 100 },
+  { field: "uvIndex", offsetKey: "uvOffset", min: 0, max: 15 },
+];
+
+// UV index -> EnvironmentalReading.uvRiskLevel
+function getUVRiskLevel(uvIndex) {
+  if (uvIndex < 3) return "Low";
+  else if (uvIndex < 6) return "Moderate";
+  else if (uvIndex < 8) return "High";
+  else if (uvIndex < 11) return "Very High";
+  else return "Extreme";
+}
+
+const round = (v) => Math.round(v * 100) / 100;
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+function offsetsOf(calibration) {
+  return {
+    temperatureOffset: calibration?.temperatureOffset || 0,
+    humidityOffset: calibration?.humidityOffset || 0,
+    uvOffset: calibration?.uvOffset || 0,
+  };
+}
+
+// Returns a copy of readingData with calibrated values in the top-level
+// fields and the device values preserved under `raw`.
+function applyOffsets(readingData, calibration) {
+  const offsets = offsetsOf(calibration);
+  const raw = {};
+  const corrected = {};
+
+  for (const { field, offsetKey, min, max } of FIELDS) {
+    const value = readingData[field];
+    raw[field] = isNumber(value) ? value : null;
+    if (isNumber(value)) {
+      corrected[field] = round(clamp(value + offsets[offsetKey], min, max));
+    }
+  }
+
+  return {
+    ...readingData,
+    ...corrected,
+    raw,
+    calibrationApplied: { ...offsets, appliedAt: new Date() },
+  };
+}
+
+// Ingest-time hook: looks up the sensor's offsets and applies them
+async function calibrateReading(readingData) {
+  const config = await EnvironmentalSensorConfig.findOne({
+    sensorId: readingData.sensorId,
+  }).lean();
+  return applyOffsets(readingData, config?.calibration);
+}
+
+// Device value of a stored reading, falling back to the top-level field for
+// readings saved before raw values were kept
+function rawValueOf(reading, field) {
+  const raw = reading.raw?.[field];
+  return isNumber(raw) ? raw : reading[field];
+}
+
+// Offsets that would make `observed` (raw device reading) match `reference`.
+// Only metrics present in the reference are returned.
+function computeOffsets(reference, observed) {
+  const offsets = {};
+  for (const { field, offsetKey } of FIELDS) {
+    const ref = reference[field];
+    const obs = rawValueOf(observed, field);
+    if (isNumber(ref) && isNumber(obs)) {
+      offsets[offsetKey] = round(ref - obs);
+    }
+  }
+  return offsets;
+}
+
+// Re-apply the given calibration to every stored reading of a sensor in the
+// time range, starting from the raw device values. The UV risk level follows
+// the corrected UV index.
+async function recalibrateRange(sensorId, startDate, endDate, calibration) {
+  const readings = await EnvironmentalReading.find({
+    sensorId,
+    timestamp: { $gte: startDate, $lte: endDate },
+  }).lean();
+
+  const ops = readings.map((reading) => {
+    const rawData = {};
+    for (const { field } of FIELDS) rawData[field] = rawValueOf(reading, field);
+    const calibrated = applyOffsets(rawData, calibration);
+
+    const $set = {
+      raw: calibrated.raw,
+      calibrationApplied: calibrated.calibrationApplied,
+    };
+    for (const { field } of FIELDS) {
+      if (isNumber(calibrated[field])) $set[field] = calibrated[field];
+    }
+    if (isNumber(calibrated.uvIndex)) {
+      $set.uvRiskLevel = getUVRiskLevel(calibrated.uvIndex);
+    }
+    return { updateOne: { filter: { _id: reading._id }, update: { $set } } };
+  });
+
+  if (ops.length > 0) {
+    await EnvironmentalReading.bulkWrite(ops, { ordered: false });
+  }
+
+  return { matched: readings.length, updated: ops.length };
+}
+
+module.exports = {
+  applyOffsets,
+  calibrateReading,
+  computeOffsets,
+  getUVRiskLevel,
+  recalibrateRange,
+};
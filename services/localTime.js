@@ -0,0 +1,141 @@
+// Wall-clock helpers for schedules expressed in farm local time
+// ("07:00-17:00 on weekdays"). FARM_TIMEZONE overrides the default zone.
+const DEFAULT_TIMEZONE = process.env.FARM_TIMEZONE || "Africa/Johannesburg";
+
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// { weekday (0 = Sunday), minutes since local midnight, date "YYYY-MM-DD" }
+function localParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+// "HH:MM" -> minutes since midnight, or null
+function parseHHMM(value) {
+  const m = HHMM.exec(String(value || ""));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// Whether `date` falls inside a { days, start, end } window. Windows with
+// end <= start run overnight and belong to the day they start on; no days
+// means every day.
+function inWindow(window, date, timeZone = DEFAULT_TIMEZONE) {
+  const start = parseHHMM(window.start);
+  const end = parseHHMM(window.end);
+  if (start === null || end === null) return false;
+
+  const { weekday, minutes } = localParts(date, timeZone);
+  const days = window.days && window.days.length > 0 ? window.days : null;
+  const onDay = (d) => !days || days.includes(d);
+
+  if (start < end) return onDay(weekday) && minutes >= start && minutes < end;
+  // Overnight: evening part today, morning part belongs to yesterday's window
+  if (minutes >= start) return onDay(weekday);
+  return minutes < end && onDay((weekday + 6) % 7);
+}
+
+const inAnyWindow = (windows, date, timeZone) =>
+  (windows || []).some((w) => inWindow(w, date, timeZone));
+
+// Minutes the zone is ahead of UTC at `date`
+function offsetMinutes(date, timeZone = DEFAULT_TIMEZONE) {
+  const { date: ymd, minutes } = localParts(date, timeZone);
+  const [y, m, d] = ymd.split("-").map(Number);
+  const asUtc = Date.UTC(y, m - 1, d) + minutes * 60000;
+  return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+// Instant of a local wall-clock time: "YYYY-MM-DD" plus minutes since midnight
+// (may overflow into following days)
+function fromLocal(ymd, minutes, timeZone = DEFAULT_TIMEZONE) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d) + minutes * 60000;
+  // Second pass settles wall times next to a DST change
+  const first = wall - offsetMinutes(new Date(wall), timeZone) * 60000;
+  return new Date(wall - offsetMinutes(new Date(first), timeZone) * 60000);
+}
+
+const BUCKET_INTERVALS = ["hour", "day", "week"];
+
+// Start of the local hour, day or week (weeks start on Monday) holding `date`
+function bucketStart(date, interval, timeZone = DEFAULT_TIMEZONE) {
+  const { date: ymd, minutes, weekday } = localParts(date, timeZone);
+  // Counted back from the instant itself: the repeated hour when clocks go
+  // back is two buckets, which a wall-clock lookup cannot tell apart
+  if (interval === "hour") {
+    return new Date(Math.floor(date.getTime() / 60000) * 60000 - (minutes % 60) * 60000);
+  }
+  if (interval === "day") return fromLocal(ymd, 0, timeZone);
+  const [y, m, d] = ymd.split("-").map(Number);
+  const monday = new Date(Date.UTC(y, m - 1, d - ((weekday + 6) % 7)));
+  return fromLocal(monday.toISOString().slice(0, 10), 0, timeZone);
+}
+
+// Start of the bucket after the one starting at `start`. Steps past the end
+// of the current bucket first, so 23h and 25h DST days come out right.
+function nextBucketStart(start, interval, timeZone = DEFAULT_TIMEZONE) {
+  const HOUR = 3600000;
+  const step = { hour: 1.5 * HOUR, day: 25 * HOUR, week: 7 * 24 * HOUR + 2 * HOUR }[interval];
+  return bucketStart(new Date(start.getTime() + step), interval, timeZone);
+}
+
+// "2026-03-02" / "2026-03-02 14:00" label of a bucket in local time
+function bucketLabel(start, interval, timeZone = DEFAULT_TIMEZONE) {
+  const { date, minutes } = localParts(start, timeZone);
+  if (interval !== "hour") return date;
+  return `${date} ${String(Math.floor(minutes / 60)).padStart(2, "0")}:00`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  HHMM,
+  isValidTimeZone,
+  localParts,
+  parseHHMM,
+  inWindow,
+  inAnyWindow,
+  offsetMinutes,
+  fromLocal,
+  BUCKET_INTERVALS,
+  bucketStart,
+  nextBucketStart,
+  bucketLabel,
+};
@@ -0,0 +1,156 @@
+const Building = require("../models/Building");
+const Machine = require("../models/Machine");
+const { moveMachine } = require("./machineIncidents");
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF/LF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+// Accepted header spellings -> canonical column
+const COLUMNS = {
+  building: "building",
+  building_name: "building",
+  latitude: "latitude",
+  lat: "latitude",
+  longitude: "longitude",
+  lng: "longitude",
+  lon: "longitude",
+  name: "name",
+  machine: "name",
+  machine_name: "name",
+  device_id: "deviceId",
+  deviceid: "deviceId",
+};
+
+const REQUIRED = ["building", "name", "deviceId"];
+
+// Imports machines from CSV with columns building, latitude, longitude, name,
+// device_id. Buildings are matched by name (created when coordinates are
+// given), machines are upserted by device id. With dryRun nothing is written.
+async function importMachinesCsv(text, { dryRun = false } = {}) {
+  const [header, ...lines] = parseCsv(String(text || ""));
+  if (!header) return { error: "CSV is empty" };
+
+  const columns = header.map(
+    (h) => COLUMNS[h.trim().toLowerCase().replace(/[\s-]+/g, "_")] || null
+  );
+  const missing = REQUIRED.filter((c) => !columns.includes(c));
+  if (missing.length > 0) {
+    return { error: `Missing CSV columns: ${missing.join(", ")}` };
+  }
+
+  const result = {
+    dryRun,
+    rows: lines.length,
+    buildingsCreated: 0,
+    machinesCreated: 0,
+    machinesUpdated: 0,
+    errors: [],
+  };
+  const buildings = new Map();
+  const seenDevices = new Set();
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = i + 2; // 1-based, after the header
+    const rec = {};
+    columns.forEach((col, idx) => {
+      if (col) rec[col] = (lines[i][idx] || "").trim();
+    });
+
+    const missingValues = REQUIRED.filter((c) => !rec[c]);
+    if (missingValues.length > 0) {
+      result.errors.push({ line, error: `Missing ${missingValues.join(", ")}` });
+      continue;
+    }
+    if (seenDevices.has(rec.deviceId)) {
+      result.errors.push({ line, error: `Duplicate device_id ${rec.deviceId}` });
+      continue;
+    }
+    seenDevices.add(rec.deviceId);
+
+    try {
+      let building = buildings.get(rec.building);
+      if (!building) {
+        building = await Building.findOne({ name: rec.building });
+        if (!building) {
+          const latitude = rec.latitude ? Number(rec.latitude) : NaN;
+          const longitude = rec.longitude ? Number(rec.longitude) : NaN;
+          if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            result.errors.push({
+              line,
+              error: `Building "${rec.building}" does not exist and has no valid latitude/longitude`,
+            });
+            continue;
+          }
+          building = dryRun
+            ? { _id: null, name: rec.building }
+            : await Building.create({ name: rec.building, latitude, longitude });
+          result.buildingsCreated += 1;
+        }
+        buildings.set(rec.building, building);
+      }
+
+      const existing = await Machine.findOne({ deviceId: rec.deviceId });
+      if (existing) {
+        if (!dryRun) {
+          existing.name = rec.name;
+          // Open incidents follow the machine to its new building
+          if (building._id) await moveMachine(existing, building._id);
+          else await existing.save();
+        }
+        result.machinesUpdated += 1;
+      } else {
+        if (!dryRun) {
+          await Machine.create({
+            name: rec.name,
+            deviceId: rec.deviceId,
+            buildingId: building._id,
+          });
+        }
+        result.machinesCreated += 1;
+      }
+    } catch (err) {
+      result.errors.push({ line, error: err.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = { parseCsv, importMachinesCsv };
@@ -0,0 +1,207 @@
+const Machine = require("../models/Machine");
+const History = require("../models/MachineStatusHistory");
+const Incident = require("../models/MachineIncident");
+
+const DOWN_STATUSES = new Set(["critical", "offline"]);
+const SEVERITY = { critical: 1, offline: 2 };
+
+const minutesBetween = (from, to) =>
+  Math.round(((to.getTime() - from.getTime()) / 60000) * 10) / 10;
+
+// Called after every recorded status (ingest and offline sweeper). Opens an
+// incident on critical/offline, escalates its peak while it stays down and
+// closes it once the machine is operational again. A warning neither opens
+// nor closes an incident.
+async function recordStatus(machine, status, at = new Date()) {
+  const open = await Incident.findOne({
+    machineId: machine._id,
+    status: "open",
+  });
+
+  if (DOWN_STATUSES.has(status)) {
+    if (!open) {
+      return Incident.create({
+        machineId: machine._id,
+        buildingId: machine.buildingId,
+        openingStatus: status,
+        peakStatus: status,
+        startedAt: at,
+      });
+    }
+    if (SEVERITY[status] > SEVERITY[open.peakStatus]) {
+      open.peakStatus = status;
+      await open.save();
+    }
+    return open;
+  }
+
+  if (status === "operational" && open) {
+    open.status = "closed";
+    open.endedAt = at;
+    open.durationMinutes = minutesBetween(open.startedAt, at);
+    await open.save();
+    return open;
+  }
+
+  return null;
+}
+
+// Replays MachineStatusHistory to (re)create the incidents of one machine,
+// e.g. for history recorded before incidents were tracked
+async function rebuildForMachine(machine) {
+  await Incident.deleteMany({ machineId: machine._id });
+  const entries = await History.find({ machineId: machine._id })
+    .sort({ at: 1 })
+    .select("status at")
+    .lean();
+
+  let open = null;
+  const docs = [];
+  for (const e of entries) {
+    if (DOWN_STATUSES.has(e.status)) {
+      if (!open) {
+        open = {
+          machineId: machine._id,
+          buildingId: machine.buildingId,
+          status: "open",
+          openingStatus: e.status,
+          peakStatus: e.status,
+          startedAt: e.at,
+        };
+        docs.push(open);
+      } else if (SEVERITY[e.status] > SEVERITY[open.peakStatus]) {
+        open.peakStatus = e.status;
+      }
+    } else if (e.status === "operational" && open) {
+      open.status = "closed";
+      open.endedAt = e.at;
+      open.durationMinutes = minutesBetween(open.startedAt, e.at);
+      open = null;
+    }
+  }
+
+  if (docs.length > 0) await Incident.insertMany(docs);
+  return docs.length;
+}
+
+async function rebuildAll(filter = {}) {
+  const machines = await Machine.find(filter).lean();
+  let incidents = 0;
+  for (const m of machines) incidents += await rebuildForMachine(m);
+  return { machines: machines.length, incidents };
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Reliability figures over [from, to] for a set of incidents. Incidents that
+// started before `from` or are still open only count for the part of the
+// outage inside the window; MTTR uses incidents that closed in the window.
+function summarize(incidents, from, to, machineCount = 1) {
+  const windowMs = Math.max(to.getTime() - from.getTime(), 0);
+  let downtimeMs = 0;
+  let longestMs = 0;
+  let failures = 0;
+  let repairMs = 0;
+  let repairs = 0;
+
+  for (const inc of incidents) {
+    const start = new Date(inc.startedAt);
+    const end = inc.endedAt ? new Date(inc.endedAt) : to;
+    const overlap =
+      Math.min(end.getTime(), to.getTime()) -
+      Math.max(start.getTime(), from.getTime());
+    if (overlap > 0) downtimeMs += overlap;
+    longestMs = Math.max(longestMs, end.getTime() - start.getTime());
+
+    if (start >= from && start <= to) failures += 1;
+    if (inc.endedAt && end >= from && end <= to) {
+      repairMs += end.getTime() - start.getTime();
+      repairs += 1;
+    }
+  }
+
+  const uptimeMs = Math.max(windowMs * machineCount - downtimeMs, 0);
+  return {
+    incidentCount: failures,
+    openIncidents: incidents.filter((i) => !i.endedAt).length,
+    downtimeMinutes: round1(downtimeMs / 60000),
+    longestOutageMinutes: round1(longestMs / 60000),
+    mttrMinutes: repairs > 0 ? round1(repairMs / repairs / 60000) : null,
+    mtbfHours: failures > 0 ? round1(uptimeMs / failures / 3600000) : null,
+  };
+}
+
+// Incidents overlapping [from, to], grouped into per-machine and per-building
+// reliability reports
+async function reliabilityReport({ from, to, buildingId, machineId }) {
+  const machineFilter = {};
+  if (buildingId) machineFilter.buildingId = buildingId;
+  if (machineId) machineFilter._id = machineId;
+  const machines = await Machine.find(machineFilter).sort({ _id: 1 }).lean();
+
+  const incidents = await Incident.find({
+    machineId: { $in: machines.map((m) => m._id) },
+    startedAt: { $lte: to },
+    $or: [{ endedAt: null }, { endedAt: { $gte: from } }],
+  }).lean();
+
+  const byMachine = new Map();
+  for (const inc of incidents) {
+    const key = String(inc.machineId);
+    if (!byMachine.has(key)) byMachine.set(key, []);
+    byMachine.get(key).push(inc);
+  }
+
+  const machineReports = machines.map((m) => ({
+    machineId: String(m._id),
+    name: m.name,
+    buildingId: String(m.buildingId),
+    ...summarize(byMachine.get(String(m._id)) || [], from, to),
+  }));
+
+  const buildingGroups = new Map();
+  for (const m of machines) {
+    const key = String(m.buildingId);
+    if (!buildingGroups.has(key)) buildingGroups.set(key, []);
+    buildingGroups.get(key).push(m);
+  }
+  const buildingReports = [...buildingGroups.entries()].map(([id, ms]) => ({
+    buildingId: id,
+    machineCount: ms.length,
+    ...summarize(
+      ms.flatMap((m) => byMachine.get(String(m._id)) || []),
+      from,
+      to,
+      ms.length
+    ),
+  }));
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    machines: machineReports,
+    buildings: buildingReports,
+  };
+}
+
+// Saves the machine (with any other pending changes) in `buildingId` and
+// moves its open incidents along. Returns the building it came from.
+async function moveMachine(machine, buildingId) {
+  const fromBuildingId = String(machine.buildingId);
+  machine.buildingId = buildingId;
+  await machine.save();
+  await Incident.updateMany(
+    { machineId: machine._id, status: "open" },
+    { $set: { buildingId: machine.buildingId } }
+  );
+  return fromBuildingId;
+}
+
+module.exports = {
+  moveMachine,
+  recordStatus,
+  rebuildAll,
+  rebuildForMachine,
+  reliabilityReport,
+  summarize,
+};
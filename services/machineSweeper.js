@@ -1,5 +1,7 @@
 const Machine = require("../models/Machine");
 const History = require("../models/MachineStatusHistory");
+const incidents = require("./machineIncidents");
+const notifications = require("./notifications");
 
 const OFFLINE_MINUTES = Number(process.env.HEARTBEAT_OFFLINE_MINUTES || 5);
 
@@ -32,6 +34,15 @@ async function sweepOffline() {
         plcOn: false,
         status: "offline",
       });
+      await incidents.recordStatus(m, "offline");
+      await notifications.notify({
+        type: "machine_offline",
+        severity: "high",
+        title: `Machine ${m.name} is offline`,
+        message: `No heartbeat from ${m.name} (${m.deviceId}) for over ${OFFLINE_MINUTES} minutes`,
+        source: m.deviceId,
+        data: { machineId: String(m._id), buildingId: String(m.buildingId) },
+      });
     }
   } catch (e) {
     console.error("sweepOffline error", e);
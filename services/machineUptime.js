@@ -0,0 +1,153 @@
+const Machine = require("../models/Machine");
+const History = require("../models/MachineStatusHistory");
+
+const STATUSES = ["operational", "warning", "critical", "offline"];
+
+// Bucket size and count per supported range
+const RANGES = {
+  "24h": { stepMs: 30 * 60 * 1000, buckets: 48 }, // 30m
+  "7d": { stepMs: 6 * 60 * 60 * 1000, buckets: 28 }, // 6h
+  "30d": { stepMs: 24 * 60 * 60 * 1000, buckets: 30 }, // 1d
+};
+
+// A machine counts as available while it is running, even degraded
+const AVAILABLE_STATUSES = new Set(["operational", "warning"]);
+
+const emptyDurations = () =>
+  Object.fromEntries(STATUSES.map((s) => [s, 0]));
+
+// Status of each machine just before `start` (its latest history entry)
+async function statusAt(machineIds, start) {
+  const rows = await History.aggregate([
+    { $match: { machineId: { $in: machineIds }, at: { $lt: start } } },
+    { $sort: { at: -1 } },
+    { $group: { _id: "$machineId", status: { $first: "$status" } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.status]));
+}
+
+// Turns a machine's history into contiguous [from, to) status segments
+// covering [start, end]. Time before the first known status is left out.
+function toSegments(initialStatus, entries, start, end) {
+  const segments = [];
+  let status = initialStatus || null;
+  let from = start;
+
+  for (const e of entries) {
+    const at = new Date(e.at);
+    if (e.status === status) continue;
+    if (status && at > from) segments.push({ from, to: at, status });
+    status = e.status;
+    from = at;
+  }
+  if (status && end > from) segments.push({ from, to: end, status });
+  return segments;
+}
+
+// Time spent in each status within [from, to)
+function durationsWithin(segments, from, to) {
+  const durations = emptyDurations();
+  for (const seg of segments) {
+    const overlap =
+      Math.min(seg.to.getTime(), to.getTime()) -
+      Math.max(seg.from.getTime(), from.getTime());
+    if (overlap > 0) durations[seg.status] += overlap;
+  }
+  return durations;
+}
+
+// Status a machine spent most of the bucket in, or null if it was not tracked
+function dominantStatus(durations) {
+  let best = null;
+  for (const s of STATUSES) {
+    if (durations[s] > 0 && (best === null || durations[s] > durations[best])) {
+      best = s;
+    }
+  }
+  return best;
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Builds the reliability series from MachineStatusHistory: per bucket, how
+// many machines were (mostly) in each status, plus each machine's
+// availability over the whole range.
+async function buildUptimeSeries({ range = "24h", buildingId, machineId, now = new Date() } = {}) {
+  const { stepMs, buckets } = RANGES[range] || RANGES["24h"];
+  const end = now;
+  const start = new Date(end.getTime() - buckets * stepMs);
+
+  const filter = {};
+  if (buildingId) filter.buildingId = buildingId;
+  if (machineId) filter._id = machineId;
+  const machines = await Machine.find(filter).sort({ _id: 1 }).lean();
+  const machineIds = machines.map((m) => m._id);
+
+  const [initial, entries] = await Promise.all([
+    statusAt(machineIds, start),
+    History.find({ machineId: { $in: machineIds }, at: { $gte: start, $lte: end } })
+      .sort({ at: 1 })
+      .select("machineId status at")
+      .lean(),
+  ]);
+
+  const entriesByMachine = new Map();
+  for (const e of entries) {
+    const key = String(e.machineId);
+    if (!entriesByMachine.has(key)) entriesByMachine.set(key, []);
+    entriesByMachine.get(key).push(e);
+  }
+
+  const timelines = machines.map((m) => ({
+    machine: m,
+    segments: toSegments(
+      initial.get(String(m._id)),
+      entriesByMachine.get(String(m._id)) || [],
+      start,
+      end
+    ),
+  }));
+
+  const series = [];
+  for (let i = 0; i < buckets; i++) {
+    const from = new Date(start.getTime() + i * stepMs);
+    const to = new Date(from.getTime() + stepMs);
+    const point = { ts: from.toISOString(), ...emptyDurations() };
+    for (const { segments } of timelines) {
+      const st = dominantStatus(durationsWithin(segments, from, to));
+      if (st) point[st] += 1;
+    }
+    series.push(point);
+  }
+
+  const availability = timelines.map(({ machine, segments }) => {
+    const durations = durationsWithin(segments, start, end);
+    const trackedMs = STATUSES.reduce((sum, s) => sum + durations[s], 0);
+    const availableMs = STATUSES.filter((s) => AVAILABLE_STATUSES.has(s)).reduce(
+      (sum, s) => sum + durations[s],
+      0
+    );
+    return {
+      machineId: String(machine._id),
+      name: machine.name,
+      buildingId: String(machine.buildingId),
+      status: machine.status,
+      trackedMinutes: Math.round(trackedMs / 60000),
+      availabilityPct: trackedMs > 0 ? round1((availableMs / trackedMs) * 100) : null,
+      minutesByStatus: Object.fromEntries(
+        STATUSES.map((s) => [s, Math.round(durations[s] / 60000)])
+      ),
+    };
+  });
+
+  return {
+    range: RANGES[range] ? range : "24h",
+    bucketMinutes: stepMs / 60000,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    series,
+    machines: availability,
+  };
+}
+
+module.exports = { buildUptimeSeries, toSegments, RANGES, STATUSES };
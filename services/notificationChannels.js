@@ -0,0 +1,246 @@
+// Delivery channels for services/notifications.js. A channel plugin is
+// { validateTarget(target) -> error string | null, isConfigured() -> bool,
+//   send(target, notification) -> Promise }. Register more with
+// registerChannel(name, plugin).
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const nodemailer = require("nodemailer");
+
+const TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS || 10000);
+// Webhooks may only reach public addresses unless this is set (e.g. a
+// receiver on the farm LAN)
+const WEBHOOK_ALLOW_PRIVATE = process.env.NOTIFY_WEBHOOK_ALLOW_PRIVATE === "true";
+
+// POSTs JSON and fails on non-2xx responses. Redirects are not followed and
+// response bodies are never read back into errors.
+async function postJson(url, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: payload,
+    redirect: "manual",
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return { status: response.status };
+}
+
+// Loopback, private, link-local (incl. 169.254.169.254 metadata), CGNAT,
+// multicast and reserved ranges
+const NON_PUBLIC = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, "ipv6");
+}
+
+function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, "");
+
+// dns.lookup that refuses hosts resolving to a non-public address; used at
+// connect time so a re-resolving (rebinding) host cannot slip through
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!WEBHOOK_ALLOW_PRIVATE && addresses.some((a) => !isPublicAddress(a.address))) {
+      return callback(new Error(`${hostname} resolves to a non-public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// postJson for user-supplied URLs: public addresses only
+function postJsonToPublicHost(target, body, headers = {}) {
+  const url = new URL(target);
+  const host = hostOf(url);
+  if (!WEBHOOK_ALLOW_PRIVATE && net.isIP(host) && !isPublicAddress(host)) {
+    return Promise.reject(new Error(`${host} is not a public address`));
+  }
+  const payload = JSON.stringify(body);
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+          ...headers,
+        },
+        lookup: publicLookup,
+        timeout: TIMEOUT_MS,
+      },
+      (res) => {
+        res.resume();
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ status: res.statusCode });
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}`));
+        }
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Request timed out")));
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+function validateWebhookTarget(target) {
+  if (!isHttpUrl(target)) return "target must be an http(s) URL";
+  const host = hostOf(new URL(target)).toLowerCase();
+  const local = host === "localhost" || host.endsWith(".localhost");
+  if (!WEBHOOK_ALLOW_PRIVATE && (local || (net.isIP(host) && !isPublicAddress(host)))) {
+    return "target must not be a loopback, link-local or private address";
+  }
+  return null;
+}
+
+// ---------- webhook ----------
+// Body is the notification itself. With NOTIFY_WEBHOOK_SECRET set, the body
+// is signed: X-Signature: sha256=<hex hmac of the raw body>. Only public
+// addresses are reached (NOTIFY_WEBHOOK_ALLOW_PRIVATE lifts that).
+const webhook = {
+  isConfigured: () => true,
+  validateTarget: validateWebhookTarget,
+  send(target, notification) {
+    const headers = {};
+    const secret = process.env.NOTIFY_WEBHOOK_SECRET;
+    if (secret) {
+      const signature = crypto
+        .createHmac("sha256", secret)
+        .update(JSON.stringify(notification))
+        .digest("hex");
+      headers["X-Signature"] = `sha256=${signature}`;
+    }
+    return postJsonToPublicHost(target, notification, headers);
+  },
+};
+
+// ---------- email (SMTP) ----------
+// SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for implicit TLS),
+// SMTP_USER / SMTP_PASS (optional), SMTP_FROM
+let transporter = null;
+function smtpTransport() {
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT || 587);
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      connectionTimeout: TIMEOUT_MS,
+      greetingTimeout: TIMEOUT_MS,
+      socketTimeout: TIMEOUT_MS,
+    });
+  }
+  return transporter;
+}
+
+const email = {
+  isConfigured: () => !!process.env.SMTP_HOST,
+  validateTarget: (target) =>
+    /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target) ? null : "target must be an email address",
+  async send(target, notification) {
+    const info = await smtpTransport().sendMail({
+      from: process.env.SMTP_FROM || "smart-farm@localhost",
+      to: target,
+      subject: `[${notification.severity.toUpperCase()}] ${notification.title}`,
+      text: [
+        notification.message,
+        "",
+        `Event: ${notification.type}`,
+        notification.source ? `Source: ${notification.source}` : null,
+        `Time: ${new Date(notification.at).toISOString()}`,
+      ]
+        .filter((line) => line !== null)
+        .join("\n"),
+    });
+    return { messageId: info.messageId };
+  },
+};
+
+// ---------- SMS via HTTP gateway ----------
+// SMS_GATEWAY_URL receives { to, from, message } as JSON, with
+// "Authorization: Bearer SMS_GATEWAY_TOKEN" when a token is set
+const SMS_MAX_LENGTH = 320;
+
+const sms = {
+  isConfigured: () => !!process.env.SMS_GATEWAY_URL,
+  validateTarget: (target) =>
+    /^\+?[0-9]{7,15}$/.test(target) ? null : "target must be a phone number",
+  send(target, notification) {
+    const text = `${notification.title}: ${notification.message}`;
+    return postJson(
+      process.env.SMS_GATEWAY_URL,
+      {
+        to: target,
+        from: process.env.SMS_GATEWAY_FROM || undefined,
+        message: text.length > SMS_MAX_LENGTH ? `${text.slice(0, SMS_MAX_LENGTH - 1)}…` : text,
+      },
+      process.env.SMS_GATEWAY_TOKEN
+        ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` }
+        : {}
+    );
+  },
+};
+
+const channels = new Map([
+  ["webhook", webhook],
+  ["email", email],
+  ["sms", sms],
+]);
+
+function registerChannel(name, plugin) {
+  channels.set(name, plugin);
+}
+
+const getChannel = (name) => channels.get(name) || null;
+
+function describeChannels() {
+  return [...channels.entries()].map(([name, plugin]) => ({
+    name,
+    configured: plugin.isConfigured(),
+  }));
+}
+
+module.exports = { registerChannel, getChannel, describeChannels };
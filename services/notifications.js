@@ -0,0 +1,164 @@
+// Outbound notifications. Producers (threat incidents, machine sweeper, tank
+// and environmental alerts) call notify(event); every enabled subscription
+// that matches gets one delivery attempt on its channel, subject to quiet
+// hours and its hourly rate limit. Every outcome is written to
+// NotificationDelivery, and the event is streamed as an "alert" on
+// GET /api/stream. notify() never throws so producers can fire and forget.
+const {
+  NotificationSubscription,
+  NotificationDelivery,
+} = require("../models/notification");
+const { getChannel } = require("./notificationChannels");
+const { inWindow } = require("./localTime");
+const realtime = require("./realtime");
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+const MAX_RETRIES = Number(process.env.NOTIFY_MAX_RETRIES || 1);
+const RETRY_DELAY_MS = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// Test sends per subscription per hour, on top of its own maxPerHour
+const TEST_MAX_PER_HOUR = Number(process.env.NOTIFY_TEST_MAX_PER_HOUR || 5);
+
+// Stream topic of each event type's source
+const SOURCE_TOPIC = {
+  threat: "camera",
+  machine_offline: "machine",
+  tank_low: "tank",
+  environmental_alert: "sensor",
+  device_quarantined: "device",
+  tank_leak: "tank",
+  pump_protection: "tank",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function matches(sub, event) {
+  if (sub.events?.length > 0 && !sub.events.includes(event.type)) return false;
+  if (sub.sources?.length > 0 && !sub.sources.includes(event.source)) return false;
+  return SEVERITY_RANK[event.severity] >= SEVERITY_RANK[sub.minSeverity || "low"];
+}
+
+function inQuietHours(sub, event) {
+  const q = sub.quietHours;
+  if (!q?.start || !q?.end) return false;
+  if (SEVERITY_RANK[event.severity] >= SEVERITY_RANK[q.bypassSeverity || "critical"]) {
+    return false;
+  }
+  return inWindow(q, new Date(), q.timezone);
+}
+
+async function overRateLimit(sub) {
+  if (!sub.maxPerHour) return false;
+  const sent = await NotificationDelivery.countDocuments({
+    subscriptionId: sub._id,
+    status: "sent",
+    createdAt: { $gte: new Date(Date.now() - HOUR_MS) },
+  });
+  return sent >= sub.maxPerHour;
+}
+
+async function overTestLimit(sub) {
+  const tests = await NotificationDelivery.countDocuments({
+    subscriptionId: sub._id,
+    eventType: "test",
+    status: { $in: ["sent", "failed"] },
+    createdAt: { $gte: new Date(Date.now() - HOUR_MS) },
+  });
+  return tests >= TEST_MAX_PER_HOUR;
+}
+
+// Sends one event to one subscription and logs the outcome. `test` sends
+// skip quiet hours but still count against the rate limit, and are capped at
+// TEST_MAX_PER_HOUR themselves.
+async function deliver(sub, event, { test = false } = {}) {
+  const entry = {
+    subscriptionId: sub._id,
+    userId: sub.userId,
+    channel: sub.channel,
+    target: sub.target,
+    eventType: event.type,
+    severity: event.severity,
+    source: event.source,
+    title: event.title,
+    message: event.message,
+    data: event.data,
+  };
+
+  if (!test && inQuietHours(sub, event)) {
+    return NotificationDelivery.create({ ...entry, status: "suppressed_quiet_hours" });
+  }
+  if ((await overRateLimit(sub)) || (test && (await overTestLimit(sub)))) {
+    return NotificationDelivery.create({ ...entry, status: "suppressed_rate_limit" });
+  }
+
+  const channel = getChannel(sub.channel);
+  if (!channel) {
+    return NotificationDelivery.create({
+      ...entry,
+      status: "failed",
+      error: `Unknown channel ${sub.channel}`,
+    });
+  }
+
+  const started = Date.now();
+  let attempts = 0;
+  let lastError = null;
+  while (attempts <= MAX_RETRIES) {
+    attempts += 1;
+    try {
+      await channel.send(sub.target, event);
+      lastError = null;
+      break;
+    } catch (err) {
+      lastError = err;
+      if (attempts <= MAX_RETRIES) await sleep(RETRY_DELAY_MS);
+    }
+  }
+
+  if (lastError) {
+    console.error(
+      `Notification via ${sub.channel} to ${sub.target} failed:`,
+      lastError.message
+    );
+  }
+  return NotificationDelivery.create({
+    ...entry,
+    status: lastError ? "failed" : "sent",
+    error: lastError ? lastError.message : null,
+    attempts,
+    durationMs: Date.now() - started,
+  });
+}
+
+// event: { type, severity, title, message, source?, data?, at? }
+async function notify(event) {
+  try {
+    const e = {
+      ...event,
+      severity: SEVERITY_RANK[event.severity] ? event.severity : "medium",
+      source: event.source ?? null,
+      data: event.data ?? null,
+      at: event.at || new Date(),
+    };
+    realtime.publish("alert", e, [
+      e.source && SOURCE_TOPIC[e.type] && `${SOURCE_TOPIC[e.type]}:${e.source}`,
+      e.data?.buildingId && `building:${e.data.buildingId}`,
+      e.data?.zoneId && `zone:${e.data.zoneId}`,
+    ]);
+    const subs = await NotificationSubscription.find({
+      enabled: true,
+      $or: [{ events: { $size: 0 } }, { events: e.type }],
+    }).lean();
+
+    const deliveries = [];
+    for (const sub of subs.filter((s) => matches(s, e))) {
+      deliveries.push(await deliver(sub, e));
+    }
+    return deliveries;
+  } catch (err) {
+    console.error("notify error", err);
+    return [];
+  }
+}
+
+module.exports = { notify, deliver, matches, SEVERITY_RANK };
@@ -0,0 +1,257 @@
+// Pump protection for tanks. Every reading that reports the pump relay
+// updates the tank's pumpRun (when the run started, the level then, starts in
+// the last hour) and checks the limits in tankConfig.pumpProtection:
+//
+//   max_runtime          pump on longer than maxRuntimeMinutes
+//   min_fill_rate        pump on but the level rose less than
+//                        minFillRateCmPerHour over the last fillCheckMinutes
+//                        (dry borehole, burst pipe, lost prime)
+//   min_off_time         pump restarted within minOffMinutes of stopping
+//   max_starts_per_hour  more than maxStartsPerHour starts in the last hour
+//
+// Protection is opt-in per tank (pumpProtection.enabled); the run is tracked
+// either way. A violation cancels queued starts, queues a stop and automation
+// off for the device, logs a PumpLog stop with trigger "pump_protection" and
+// locks the tank out of server-side automation until an operator resets it.
+// Automation also holds back starts that would break min_off_time or
+// max_starts_per_hour.
+const { TankConfig, WaterReading, PumpLog } = require("../models/water");
+const PendingCommand = require("../models/PendingCommand");
+const notifications = require("./notifications");
+const { slopeLph } = require("./waterAnalytics");
+
+const MINUTE_MS = 60000;
+const HOUR_MS = 3600000;
+
+const round = (v) => Math.round(v * 10) / 10;
+const limitOf = (v) => (Number.isFinite(v) && v > 0 ? v : null);
+
+const startsInLastHour = (run, at) =>
+  (run?.recentStarts || []).filter((d) => at - new Date(d) < HOUR_MS);
+
+const pumpCommand = (tankConfig, action, extra = {}) =>
+  PendingCommand.create({
+    sensorId: tankConfig.sensorId,
+    tankId: tankConfig.tankId,
+    channel: tankConfig.sensorChannel || null,
+    action,
+    target: "water_pump",
+    trigger: "pump_protection",
+    status: "queued",
+    ...extra,
+  });
+
+// Level rise over the last `windowMs` in cm/h, or null without enough data
+async function fillRateCmPerHour(tankId, at, windowMs) {
+  const points = (
+    await WaterReading.find({
+      tankId,
+      timestamp: { $gte: new Date(at - windowMs), $lte: at },
+      waterLevelCm: { $ne: null },
+    })
+      .sort({ timestamp: 1 })
+      .select("timestamp waterLevelCm")
+      .lean()
+  ).map((r) => ({ t: r.timestamp.getTime(), v: r.waterLevelCm }));
+  if (points.length < 3 || points[points.length - 1].t - points[0].t < windowMs / 2) {
+    return null;
+  }
+  return slopeLph(points);
+}
+
+// Queues the stop, logs it and locks the tank out of automation
+async function trip(tankConfig, violations, { waterLevelCm, distanceCm, at, runMinutes }) {
+  const [rule] = violations[0];
+  const message = violations.map(([, text]) => text).join("; ");
+
+  if (tankConfig.sensorId) {
+    await PendingCommand.cancelMany(
+      {
+        sensorId: tankConfig.sensorId,
+        tankId: tankConfig.tankId,
+        target: "water_pump",
+        action: "start",
+        status: "queued",
+      },
+      "pump_protection",
+      `Superseded by pump protection (${rule})`
+    );
+    await pumpCommand(tankConfig, "stop");
+    // Keeps the device's own automation from restarting the pump
+    await pumpCommand(tankConfig, "set_automation", { value: "off" });
+  }
+
+  await PumpLog.create({
+    tankId: tankConfig.tankId,
+    sensorId: tankConfig.sensorId,
+    action: "stop",
+    trigger: "pump_protection",
+    protectionRule: rule,
+    notes: message,
+    waterLevelCm: Number.isFinite(waterLevelCm) ? waterLevelCm : null,
+    distanceCm: Number.isFinite(distanceCm) ? distanceCm : null,
+    duration: runMinutes,
+    timestamp: at,
+  });
+
+  // relayStatus is left to the device's next report; the pump is still
+  // running until it picks up the stop
+  const $set = { "pumpRun.stopQueuedAt": at };
+  const newLockout = !tankConfig.pumpLockout?.active;
+  if (newLockout) {
+    Object.assign($set, {
+      "pumpLockout.active": true,
+      "pumpLockout.rule": rule,
+      "pumpLockout.message": message,
+      "pumpLockout.lockedAt": at,
+      "pumpLockout.resetAt": null,
+      "pumpLockout.resetBy": null,
+    });
+  }
+  await TankConfig.updateOne({ tankId: tankConfig.tankId }, { $set });
+  tankConfig.pumpRun.stopQueuedAt = at;
+  if (newLockout) {
+    tankConfig.pumpLockout = { active: true, rule, message, lockedAt: at };
+  }
+
+  notifications.notify({
+    type: "pump_protection",
+    severity: rule === "min_fill_rate" || rule === "max_runtime" ? "critical" : "high",
+    title: `Pump on tank ${tankConfig.tankId} stopped by protection`,
+    message: `${message}. Automation is locked out until an operator resets it.`,
+    source: tankConfig.tankId,
+    data: { rule, runMinutes, waterLevelCm },
+    at,
+  });
+  return { rule, message, lockedOut: true };
+}
+
+// Tracks the pump run from a reading's reported relay state and enforces the
+// tank's limits. Returns the trip ({ rule, message, lockedOut }) or null.
+async function checkReading(
+  tankConfig,
+  { relayState, waterLevelCm, distanceCm = null, at = new Date() }
+) {
+  if (relayState !== "on" && relayState !== "off") return null;
+
+  const limits = tankConfig.pumpProtection || {};
+  const prev = tankConfig.pumpRun || {};
+  const run = {
+    relayStatus: relayState,
+    startedAt: prev.startedAt || null,
+    startLevelCm: prev.startLevelCm ?? null,
+    stoppedAt: prev.stoppedAt || null,
+    stopQueuedAt: prev.stopQueuedAt || null,
+    recentStarts: startsInLastHour(prev, at),
+  };
+  const violations = [];
+
+  if (relayState === "on" && prev.relayStatus !== "on") {
+    const minOff = limitOf(limits.minOffMinutes);
+    if (minOff && run.stoppedAt && at - run.stoppedAt < minOff * MINUTE_MS) {
+      const offMinutes = round((at - run.stoppedAt) / MINUTE_MS);
+      violations.push([
+        "min_off_time",
+        `Pump restarted ${offMinutes} min after stopping (minimum off-time ${minOff} min)`,
+      ]);
+    }
+    run.recentStarts.push(at);
+    const maxStarts = limitOf(limits.maxStartsPerHour);
+    if (maxStarts && run.recentStarts.length > maxStarts) {
+      violations.push([
+        "max_starts_per_hour",
+        `Pump started ${run.recentStarts.length} times in the last hour (maximum ${maxStarts})`,
+      ]);
+    }
+    Object.assign(run, {
+      startedAt: at,
+      startLevelCm: Number.isFinite(waterLevelCm) ? waterLevelCm : null,
+      stopQueuedAt: null,
+    });
+  } else if (relayState === "off" && prev.relayStatus === "on") {
+    run.stoppedAt = at;
+  }
+
+  const runMs = relayState === "on" && run.startedAt ? at - run.startedAt : 0;
+  if (runMs > 0) {
+    const maxRuntime = limitOf(limits.maxRuntimeMinutes);
+    if (maxRuntime && runMs > maxRuntime * MINUTE_MS) {
+      violations.push([
+        "max_runtime",
+        `Pump has run ${Math.round(runMs / MINUTE_MS)} min (maximum ${maxRuntime} min)`,
+      ]);
+    }
+    const minRate = limitOf(limits.minFillRateCmPerHour);
+    const windowMs = (limitOf(limits.fillCheckMinutes) || 20) * MINUTE_MS;
+    if (minRate && runMs >= windowMs) {
+      const rate = await fillRateCmPerHour(tankConfig.tankId, at, windowMs);
+      if (rate !== null && rate < minRate) {
+        violations.push([
+          "min_fill_rate",
+          `Level rose ${round(rate)}cm/h over the last ${windowMs / MINUTE_MS} min of ` +
+            `pumping (expected at least ${minRate}cm/h); check for a dry source or a burst pipe`,
+        ]);
+      }
+    }
+  }
+
+  await TankConfig.updateOne(
+    { tankId: tankConfig.tankId },
+    {
+      $set: Object.fromEntries(Object.entries(run).map(([k, v]) => [`pumpRun.${k}`, v])),
+    }
+  );
+  tankConfig.pumpRun = run;
+
+  // One protection stop per run; the pump may still report on until it
+  // picks the command up
+  const alreadyStopping =
+    run.stopQueuedAt && run.startedAt && run.stopQueuedAt >= run.startedAt;
+  if (violations.length === 0 || !limits.enabled || alreadyStopping) return null;
+
+  return trip(tankConfig, violations, {
+    waterLevelCm,
+    distanceCm,
+    at,
+    runMinutes: Math.round(runMs / MINUTE_MS),
+  });
+}
+
+// Why server-side automation must not start the pump now, or null
+function startBlockedReason(tankConfig, at = new Date()) {
+  if (tankConfig.pumpLockout?.active) return "pump protection lockout";
+  const limits = tankConfig.pumpProtection || {};
+  if (!limits.enabled) return null;
+
+  const run = tankConfig.pumpRun || {};
+  const minOff = limitOf(limits.minOffMinutes);
+  if (minOff && run.stoppedAt && at - run.stoppedAt < minOff * MINUTE_MS) {
+    return `minimum off-time (${minOff} min) not reached`;
+  }
+  const maxStarts = limitOf(limits.maxStartsPerHour);
+  if (maxStarts && startsInLastHour(run, at).length >= maxStarts) {
+    return `${maxStarts} starts in the last hour`;
+  }
+  return null;
+}
+
+// Lifts a lockout; with resumeAutomation the device's automation is turned
+// back on as well. Returns the updated config, or null if it was not locked.
+async function resetLockout(tankConfig, { by = null, resumeAutomation = true } = {}) {
+  if (!tankConfig.pumpLockout?.active) return null;
+
+  const $set = {
+    "pumpLockout.active": false,
+    "pumpLockout.resetAt": new Date(),
+    "pumpLockout.resetBy": by,
+  };
+  if (resumeAutomation) {
+    $set.automationEnabled = true;
+    if (tankConfig.sensorId) {
+      await pumpCommand(tankConfig, "set_automation", { value: "on" });
+    }
+  }
+  return TankConfig.findOneAndUpdate({ tankId: tankConfig.tankId }, { $set }, { new: true });
+}
+
+module.exports = { checkReading, startBlockedReason, resetLockout };
@@ -0,0 +1,67 @@
+// In-process event bus behind GET /api/stream. Producers publish an event
+// name, payload and the topics it concerns ("tank:main_tank",
+// "sensor:<sensorId>", "zone:<zoneId>", "building:<buildingId>",
+// "machine:<deviceId>", "camera:<cameraId>"); stream clients receive the
+// events whose topics match their subscription. Recent events are kept so a
+// reconnecting client can resume from its Last-Event-ID.
+const EventEmitter = require("events");
+
+const HISTORY_SIZE = Number(process.env.STREAM_HISTORY_SIZE || 500);
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let nextId = 1;
+const history = [];
+
+function publish(event, data, topics = []) {
+  const message = {
+    id: nextId++,
+    event,
+    topics: topics.filter(Boolean),
+    data,
+    at: new Date().toISOString(),
+  };
+  history.push(message);
+  if (history.length > HISTORY_SIZE) history.shift();
+  bus.emit("message", message);
+  return message;
+}
+
+// Publishing must never break the write that triggered it
+function safePublish(event, data, topics) {
+  try {
+    publish(event, data, topics);
+  } catch (err) {
+    console.error("realtime publish error", err);
+  }
+}
+
+function subscribe(listener) {
+  bus.on("message", listener);
+  return () => bus.off("message", listener);
+}
+
+// Events after `lastId` still in the buffer, oldest first
+const since = (lastId) => history.filter((m) => m.id > lastId);
+
+// Topic patterns are exact ("tank:main_tank") or per kind ("tank:*"); no
+// patterns means every topic
+function matchesTopics(message, patterns) {
+  if (!patterns || patterns.length === 0) return true;
+  return message.topics.some((topic) =>
+    patterns.some((p) =>
+      p.endsWith(":*") ? topic.startsWith(p.slice(0, -1)) : topic === p
+    )
+  );
+}
+
+const clientCount = () => bus.listenerCount("message");
+
+module.exports = {
+  publish: safePublish,
+  subscribe,
+  since,
+  matchesTopics,
+  clientCount,
+};
@@ -0,0 +1,105 @@
+// Mongoose middleware that feeds services/realtime from the models, so every
+// write path (ingest routes, automation, sweepers) is streamed without each
+// call site publishing by hand.
+const realtime = require("./realtime");
+
+// Most documents an updateMany snapshots for per-document events
+const SNAPSHOT_LIMIT = Number(process.env.REALTIME_SNAPSHOT_LIMIT || 100);
+
+const touches = (update, field) =>
+  !!update &&
+  !Array.isArray(update) &&
+  (update[field] !== undefined || update.$set?.[field] !== undefined);
+
+const valueOf = (update, field) => update.$set?.[field] ?? update[field];
+
+// The field's value when a query filter pins it to one value, else null
+function pinnedValue(filter, field) {
+  const v = filter[field];
+  return v !== null && typeof v === "object" ? null : (v ?? null);
+}
+
+// Publishes `event` for every newly created document
+function publishOnCreate(schema, { event, topicsOf, payloadOf = (doc) => doc.toObject() }) {
+  schema.pre("save", function (next) {
+    this.$locals.wasNew = this.isNew;
+    next();
+  });
+  schema.post("save", function (doc) {
+    if (doc.$locals.wasNew) realtime.publish(event, payloadOf(doc), topicsOf(doc));
+  });
+}
+
+// Publishes `event` when `field` changes, whether through document save()
+// or a query update (updateOne/updateMany/findOneAndUpdate). `select` lists
+// the fields topicsOf/payloadOf need. payloadOf(doc, previousValue).
+function publishOnChange(
+  schema,
+  { field, event, topicsOf, payloadOf, select, onCreate = false }
+) {
+  const projection = `${select} ${field}`;
+
+  schema.post("init", function () {
+    this.$locals.previous = this.get(field);
+  });
+  schema.pre("save", function (next) {
+    this.$locals.wasNew = this.isNew;
+    this.$locals.changed = !this.isNew && this.isModified(field);
+    next();
+  });
+  schema.post("save", function (doc) {
+    if (doc.$locals.changed || (onCreate && doc.$locals.wasNew)) {
+      const previous = doc.$locals.wasNew ? null : doc.$locals.previous;
+      realtime.publish(event, payloadOf(doc.toObject(), previous), topicsOf(doc));
+    }
+    doc.$locals.previous = doc.get(field);
+  });
+
+  // findOneAndUpdate: no extra queries. The returned document is either the
+  // old one (new value taken from the update) or the new one (previous value
+  // taken from the filter when it pins the field, e.g. status: "queued").
+  schema.post("findOneAndUpdate", function (res) {
+    const update = this.getUpdate();
+    if (!res || !touches(update, field)) return;
+    const options = this.getOptions();
+    const returnedNew = options.new === true || options.returnDocument === "after";
+    const doc = typeof res.toObject === "function" ? res.toObject() : res;
+    const prev = returnedNew ? pinnedValue(this.getFilter(), field) : doc[field];
+    const current = returnedNew ? doc : { ...doc, [field]: valueOf(update, field) };
+    if (current[field] !== prev) {
+      realtime.publish(event, payloadOf(current, prev), topicsOf(current));
+    }
+  });
+
+  // updateOne/updateMany: one capped snapshot of the matching documents; the
+  // new value comes from the update itself. Bulk updates beyond the cap are
+  // not streamed per document.
+  schema.pre(["updateOne", "updateMany"], async function () {
+    this._realtimeBefore = null;
+    if (!touches(this.getUpdate(), field)) return;
+    const limit = this.op === "updateOne" ? 1 : SNAPSHOT_LIMIT + 1;
+    try {
+      const before = await this.model
+        .find(this.getFilter())
+        .select(projection)
+        .limit(limit)
+        .lean();
+      this._realtimeBefore = before.length > SNAPSHOT_LIMIT ? null : before;
+    } catch (err) {
+      console.error("realtime snapshot error", err.message);
+    }
+  });
+  schema.post(["updateOne", "updateMany"], function (result) {
+    const before = this._realtimeBefore;
+    if (!before || before.length === 0 || result?.modifiedCount === 0) return;
+    const value = valueOf(this.getUpdate(), field);
+    for (const doc of before) {
+      if (doc[field] !== value) {
+        const current = { ...doc, [field]: value };
+        realtime.publish(event, payloadOf(current, doc[field]), topicsOf(current));
+      }
+    }
+  });
+}
+
+module.exports = { publishOnCreate, publishOnChange };
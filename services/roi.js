@@ -0,0 +1,106 @@
+// Region-of-interest geometry for camera frames. Points and bboxes use the
+// vision prompt's coordinates: percentages (0-100) of the frame, origin top-left.
+
+// Ray casting; points on the boundary may go either way
+function pointInPolygon({ x, y }, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+// Proper crossing of segments p1-p2 and p3-p4 (touching ends don't count)
+function segmentsCross(p1, p2, p3, p4) {
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+function bboxCorners({ x, y, width, height }) {
+  return [
+    { x, y },
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height },
+  ];
+}
+
+const toNumber = (v) => (v === null || v === undefined || v === "" ? NaN : Number(v));
+
+// Numeric copy of a bbox (detectors may send numeric strings), or null when
+// it is not usable
+function toBbox(b) {
+  if (!b) return null;
+  const box = {
+    x: toNumber(b.x),
+    y: toNumber(b.y),
+    width: toNumber(b.width),
+    height: toNumber(b.height),
+  };
+  const usable =
+    Object.values(box).every(Number.isFinite) && box.width > 0 && box.height > 0;
+  return usable ? box : null;
+}
+
+// Whether the bbox and polygon overlap: a corner of one inside the other, or
+// crossing edges
+function bboxIntersectsPolygon(rawBbox, points) {
+  const bbox = toBbox(rawBbox);
+  if (!bbox || !points || points.length < 3) return false;
+  const corners = bboxCorners(bbox);
+  if (corners.some((c) => pointInPolygon(c, points))) return true;
+
+  const inBox = (p) =>
+    p.x > bbox.x && p.x < bbox.x + bbox.width && p.y > bbox.y && p.y < bbox.y + bbox.height;
+  if (points.some(inBox)) return true;
+
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    for (let k = 0; k < 4; k++) {
+      if (segmentsCross(a, b, corners[k], corners[(k + 1) % 4])) return true;
+    }
+  }
+  return false;
+}
+
+const bboxCenter = (b) => ({ x: b.x + b.width / 2, y: b.y + b.height / 2 });
+
+// Where a detection falls among a camera's zones:
+//   { counts: false }              - centred in an ignore zone, or outside
+//                                    every restricted zone
+//   { counts: true, zone: name }   - first restricted zone its bbox touches
+//   { counts: true, zone: null }   - camera has no restricted zones
+// Without a usable bbox a detection only counts when there are no
+// restricted zones.
+function locateDetection(rawBbox, zones = []) {
+  const restricted = zones.filter((z) => z.kind === "restricted");
+  const ignore = zones.filter((z) => z.kind === "ignore");
+
+  const bbox = toBbox(rawBbox);
+  if (!bbox) return { counts: restricted.length === 0, zone: null };
+
+  const center = bboxCenter(bbox);
+  if (ignore.some((z) => pointInPolygon(center, z.points))) {
+    return { counts: false, zone: null };
+  }
+  if (restricted.length === 0) return { counts: true, zone: null };
+
+  const hit = restricted.find((z) => bboxIntersectsPolygon(bbox, z.points));
+  return hit ? { counts: true, zone: hit.name } : { counts: false, zone: null };
+}
+
+module.exports = {
+  pointInPolygon,
+  bboxIntersectsPolygon,
+  locateDetection,
+};
@@ -0,0 +1,48 @@
+const { TankConfig } = require("../models/water");
+const notifications = require("./notifications");
+
+// Level has to climb this far above minThresholdCm before the tank counts as
+// recovered, so a level hovering at the threshold notifies only once
+const RECOVERY_MARGIN_CM = Number(process.env.TANK_LOW_RECOVERY_MARGIN_CM || 5);
+
+// Tracks the low-level condition of a tank from a new reading and notifies
+// when the level first drops below minThresholdCm. Returns "low",
+// "recovered" or null when nothing changed.
+async function checkLowLevel(tankConfig, waterLevelCm, at = new Date()) {
+  const min = tankConfig?.minThresholdCm;
+  if (!Number.isFinite(waterLevelCm) || !Number.isFinite(min)) return null;
+
+  if (waterLevelCm < min) {
+    if (tankConfig.lowLevelSince) return null;
+    // Conditional update so concurrent readings only notify once
+    const result = await TankConfig.updateOne(
+      { tankId: tankConfig.tankId, lowLevelSince: null },
+      { $set: { lowLevelSince: at } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    notifications.notify({
+      type: "tank_low",
+      severity: waterLevelCm < min / 2 ? "critical" : "high",
+      title: `Tank ${tankConfig.tankId} is low`,
+      message: `Water level ${Math.round(waterLevelCm * 10) / 10}cm is below the ${min}cm minimum${
+        tankConfig.location ? ` at ${tankConfig.location}` : ""
+      }`,
+      source: tankConfig.tankId,
+      data: { waterLevelCm, minThresholdCm: min },
+      at,
+    });
+    return "low";
+  }
+
+  if (tankConfig.lowLevelSince && waterLevelCm >= min + RECOVERY_MARGIN_CM) {
+    await TankConfig.updateOne(
+      { tankId: tankConfig.tankId },
+      { $set: { lowLevelSince: null } }
+    );
+    return "recovered";
+  }
+  return null;
+}
+
+module.exports = { checkLowLevel };
@@ -0,0 +1,334 @@
+// Time-to-empty / time-to-full projections per tank.
+//
+// Consumption is modelled by local hour of day from the last
+// FORECAST_HISTORY_DAYS of hourly usage (services/waterAnalytics): p10, median
+// and p90 liters per hour for each hour with enough samples, the whole
+// history otherwise. The profile is then scaled by how the tank has behaved
+// over the last FORECAST_RECENT_HOURS compared with what the profile expected
+// for those hours, and stepped forward from the latest reading:
+//
+//   time to empty / low  the hourly consumption drains the current volume to
+//                        0 L / to minThresholdCm
+//   time to full         the pump rate (measured now if pumping, otherwise
+//                        learned from past runs) minus the hourly consumption
+//                        fills the tank to the pump-off level
+//
+// Bounds use the p90 / p10 consumption (and slow / fast pump rates), so
+// "earliest" empty is the heavy-use case. Projections that do not land within
+// the horizon are null.
+const { WaterReading } = require("../models/water");
+const waterAnalytics = require("./waterAnalytics");
+const { percentile, slopeLph } = waterAnalytics;
+const tankGeometry = require("./tankGeometry");
+const { DEFAULT_TIMEZONE, localParts } = require("./localTime");
+
+const HOUR_MS = 3600000;
+const HISTORY_DAYS = Number(process.env.FORECAST_HISTORY_DAYS || 14);
+const RECENT_HOURS = Number(process.env.FORECAST_RECENT_HOURS || 3);
+const HORIZON_HOURS = Number(process.env.FORECAST_HORIZON_HOURS || 72);
+// An hour of day needs this many samples before it gets its own rates
+const MIN_HOUR_SAMPLES = 3;
+// Limits on how far recent behaviour may rescale the learned profile
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 4;
+// Spread applied to a flat recent rate when there is no history yet
+const NO_HISTORY_SPREAD = 0.5;
+// Hours with less pumping than this are too short to measure the pump rate
+const MIN_PUMP_SAMPLE_MINUTES = 15;
+// A measured pump rate needs readings over at least this long
+const MIN_PUMP_MEASURE_MINUTES = 10;
+const STALE_READING_MINUTES = 30;
+const STEP_MS = 15 * 60000;
+
+const round = (v) => Math.round(v * 10) / 10;
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+const bands = (values) => ({
+  low: percentile(values, 10),
+  expected: percentile(values, 50),
+  high: percentile(values, 90),
+});
+
+const roundBands = (b) =>
+  b ? { low: round(b.low), expected: round(b.expected), high: round(b.high) } : null;
+
+// Consumption bands by local hour and pump rate bands from hourly usage
+function learnRates(buckets, timeZone) {
+  const byHour = Array.from({ length: 24 }, () => []);
+  const pumpRates = [];
+  for (const b of buckets) {
+    if (b.end - b.start !== HOUR_MS || b.readingCount === 0 || b.gapMinutes > 0) continue;
+    byHour[Math.floor(localParts(b.start, timeZone).minutes / 60)].push(b.consumptionLiters);
+    if (b.pumpRunMinutes >= MIN_PUMP_SAMPLE_MINUTES) {
+      pumpRates.push((b.pumpedInflowLiters * 60) / b.pumpRunMinutes);
+    }
+  }
+
+  const all = byHour.flat();
+  const overall = all.length > 0 ? bands(all) : null;
+  return {
+    samples: all.length,
+    overall,
+    hourly: byHour.map((samples) =>
+      samples.length >= MIN_HOUR_SAMPLES ? bands(samples) : overall
+    ),
+    pump: pumpRates.length > 0 ? bands(pumpRates) : null,
+  };
+}
+
+// Steps the volume forward from `start` with rateAt(t) (net L/h) until it
+// reaches `target` or `until`. Returns the time the target is reached (or
+// null) and the volume at `at`, if given.
+function simulate({ volume, start, until, target, rateAt, at = null }) {
+  const rising = target > volume;
+  let v = volume;
+  let t = start;
+  let volumeAt = at !== null && at <= start ? v : null;
+  while (t < until) {
+    const dt = Math.min(STEP_MS, until - t);
+    const next = v + (rateAt(t) * dt) / HOUR_MS;
+    if (volumeAt === null && at !== null && at <= t + dt) {
+      volumeAt = v + ((next - v) * (at - t)) / dt;
+    }
+    if (rising ? next >= target : next <= target) {
+      const hitAt = next === v ? t : t + (dt * (target - v)) / (next - v);
+      return { hitAt, volumeAt: volumeAt ?? (at !== null ? target : null) };
+    }
+    v = next;
+    t += dt;
+  }
+  return { hitAt: null, volumeAt };
+}
+
+const eta = (hitAt, now) =>
+  hitAt === null
+    ? null
+    : { hours: round(Math.max(0, hitAt - now) / HOUR_MS), at: new Date(Math.max(hitAt, now)) };
+
+// Forecast for one tank. `until` (Date, optional) adds whether the tank is
+// projected to last until then.
+async function forecastTank(
+  tankConfig,
+  { now = new Date(), horizonHours = HORIZON_HOURS, timeZone = DEFAULT_TIMEZONE, until = null } = {}
+) {
+  const capacity = tankConfig.maxCapacityLiters || tankGeometry.capacityLiters(tankConfig);
+  if (!capacity || tankGeometry.validate(tankConfig)) {
+    return { tankId: tankConfig.tankId, status: "no_geometry" };
+  }
+
+  const latest = WaterReading.withVolume(
+    await WaterReading.findOne({ tankId: tankConfig.tankId, timestamp: { $lte: now } })
+      .sort({ timestamp: -1 })
+      .lean(),
+    tankConfig
+  );
+  if (!latest || latest.volumeLiters == null) {
+    return { tankId: tankConfig.tankId, status: "no_readings" };
+  }
+
+  const usage = await waterAnalytics.tankUsage(tankConfig, {
+    from: new Date(now.getTime() - HISTORY_DAYS * 24 * HOUR_MS),
+    to: now,
+    interval: "hour",
+    timeZone,
+  });
+  const rates = learnRates(usage.buckets, timeZone);
+  const hourOf = (t) => Math.floor(localParts(new Date(t), timeZone).minutes / 60);
+
+  // Recent consumption against what the profile expected for the same hours
+  const recentFrom = now.getTime() - RECENT_HOURS * HOUR_MS;
+  let recentLiters = 0;
+  let recentExpected = 0;
+  let recentMs = 0;
+  for (const b of usage.buckets) {
+    const t0 = Math.max(b.start.getTime(), recentFrom);
+    const t1 = Math.min(b.end.getTime(), now.getTime());
+    if (t1 <= t0 || b.readingCount === 0) continue;
+    const share = (t1 - t0) / (b.end - b.start);
+    const covered = Math.max(0, t1 - t0 - b.gapMinutes * 60000 * share);
+    recentLiters += b.consumptionLiters * share;
+    recentMs += covered;
+    const hourBands = rates.hourly[hourOf(b.start.getTime())];
+    if (hourBands) recentExpected += (hourBands.expected * covered) / HOUR_MS;
+  }
+  const recentLph = recentMs > 0 ? (recentLiters * HOUR_MS) / recentMs : null;
+  const scale =
+    recentLph !== null && recentExpected > 0
+      ? clamp(recentLiters / recentExpected, MIN_SCALE, MAX_SCALE)
+      : 1;
+
+  // Consumption bands (L/h) at time t
+  const flat =
+    recentLph !== null
+      ? {
+          low: recentLph * (1 - NO_HISTORY_SPREAD),
+          expected: recentLph,
+          high: recentLph * (1 + NO_HISTORY_SPREAD),
+        }
+      : null;
+  const useAt = (t) => {
+    const b = rates.overall ? rates.hourly[hourOf(t)] : flat;
+    if (!b) return null;
+    return rates.overall
+      ? { low: b.low * scale, expected: b.expected * scale, high: b.high * scale }
+      : b;
+  };
+
+  // Pump state and rate: measured from the current run when there is one
+  const start = latest.timestamp.getTime();
+  const periods = await waterAnalytics.pumpPeriods(
+    tankConfig.tankId,
+    new Date(start - HOUR_MS),
+    new Date(start + 1)
+  );
+  const run = periods.find(([, e]) => e > start);
+  const pumping = latest.relayStatus === "on" || !!run;
+  let measuredPumpLph = null;
+  if (pumping) {
+    const since = Math.max(run ? run[0] : start - HOUR_MS, start - HOUR_MS);
+    const points = (
+      await WaterReading.find({
+        tankId: tankConfig.tankId,
+        timestamp: { $gte: new Date(since), $lte: latest.timestamp },
+      })
+        .sort({ timestamp: 1 })
+        .lean()
+    )
+      .map((r) => WaterReading.withVolume(r, tankConfig))
+      .filter((r) => r.volumeLiters != null && (run || r.relayStatus === "on"))
+      .map((r) => ({ t: r.timestamp.getTime(), v: r.volumeLiters }));
+    const use = useAt(start);
+    if (points.length >= 3 && start - points[0].t >= MIN_PUMP_MEASURE_MINUTES * 60000) {
+      measuredPumpLph = Math.max(0, slopeLph(points) + (use ? use.expected : 0));
+    }
+  }
+  let pump = rates.pump;
+  if (measuredPumpLph !== null) {
+    // Scale the historical band onto the measured rate; without a usable
+    // historical median the measured rate stands alone
+    pump =
+      rates.pump?.expected > 0
+        ? {
+            low: (measuredPumpLph * rates.pump.low) / rates.pump.expected,
+            expected: measuredPumpLph,
+            high: (measuredPumpLph * rates.pump.high) / rates.pump.expected,
+          }
+        : { low: measuredPumpLph, expected: measuredPumpLph, high: measuredPumpLph };
+  }
+
+  const nowMs = now.getTime();
+  const horizonEnd = nowMs + horizonHours * HOUR_MS;
+  const untilMs = until ? until.getTime() : null;
+  const maxLevel = tankGeometry.maxLevelCm(tankConfig);
+  const litersAtLevel = (levelCm) => tankGeometry.volumeLiters(tankConfig, levelCm);
+  const lowLiters =
+    tankConfig.minThresholdCm != null ? litersAtLevel(tankConfig.minThresholdCm) : null;
+  // Automation stops the pump at pumpOffDistanceCm below the sensor
+  const fullLiters =
+    tankConfig.automationEnabled && tankConfig.pumpOffDistanceCm != null
+      ? litersAtLevel(Math.min(maxLevel, tankConfig.tankHeightCm - tankConfig.pumpOffDistanceCm))
+      : capacity;
+
+  const drain = (target, band, end = horizonEnd) =>
+    simulate({
+      volume: latest.volumeLiters,
+      start,
+      until: end,
+      target,
+      at: untilMs,
+      rateAt: (t) => -(useAt(t)?.[band] ?? 0),
+    });
+  const fill = (pumpBand, useBand) =>
+    simulate({
+      volume: latest.volumeLiters,
+      start,
+      until: horizonEnd,
+      target: fullLiters,
+      rateAt: (t) => pump[pumpBand] - (useAt(t)?.[useBand] ?? 0),
+    });
+
+  const projection = (target) => {
+    if (target === null) return null;
+    if (latest.volumeLiters <= target) {
+      return { targetLiters: round(target), reached: true };
+    }
+    if (!useAt(start)) return { targetLiters: round(target), reached: false, expected: null };
+    const expected = drain(target, "expected");
+    return {
+      targetLiters: round(target),
+      reached: false,
+      expected: eta(expected.hitAt, nowMs),
+      earliest: eta(drain(target, "high").hitAt, nowMs),
+      latest: eta(drain(target, "low").hitAt, nowMs),
+    };
+  };
+
+  const timeToEmpty = projection(0);
+  const timeToLow = projection(lowLiters);
+
+  let timeToFull = null;
+  if (pump && latest.volumeLiters < fullLiters) {
+    timeToFull = {
+      targetLiters: round(fullLiters),
+      reached: false,
+      expected: eta(fill("expected", "expected").hitAt, nowMs),
+      earliest: eta(fill("high", "low").hitAt, nowMs),
+      latest: eta(fill("low", "high").hitAt, nowMs),
+    };
+  } else if (latest.volumeLiters >= fullLiters) {
+    timeToFull = { targetLiters: round(fullLiters), reached: true };
+  }
+
+  // Whether the tank lasts until `until` without pumping; simulated all the
+  // way to `until` even when that is past the horizon
+  let lastsUntil = null;
+  if (untilMs !== null && useAt(start)) {
+    const end = Math.max(horizonEnd, untilMs);
+    const expected = drain(0, "expected", end);
+    const heavy = drain(0, "high", end);
+    const light = drain(0, "low", end);
+    const lasts = (r) => r.hitAt === null || r.hitAt > untilMs;
+    lastsUntil = {
+      at: until,
+      expected: lasts(expected),
+      worstCase: lasts(heavy),
+      projectedLiters: {
+        low: heavy.volumeAt === null ? null : round(heavy.volumeAt),
+        expected: expected.volumeAt === null ? null : round(expected.volumeAt),
+        high: light.volumeAt === null ? null : round(light.volumeAt),
+      },
+    };
+  }
+
+  const ageMinutes = Math.round((nowMs - start) / 60000);
+  return {
+    tankId: tankConfig.tankId,
+    status: "ok",
+    generatedAt: now,
+    horizonHours,
+    capacityLiters: round(capacity),
+    current: {
+      at: latest.timestamp,
+      ageMinutes,
+      stale: ageMinutes > STALE_READING_MINUTES,
+      waterLevelCm: latest.waterLevelCm,
+      volumeLiters: latest.volumeLiters,
+      percentFull: latest.percentFull,
+      pumping,
+    },
+    consumption: {
+      recentLph: recentLph === null ? null : round(recentLph),
+      nowLph: roundBands(useAt(nowMs)),
+      profileScale: Math.round(scale * 100) / 100,
+      historySamples: rates.samples,
+    },
+    pumpRateLph: roundBands(pump),
+    pumpRateMeasured: measuredPumpLph !== null,
+    timeToEmpty,
+    timeToLow,
+    timeToFull,
+    lastsUntil,
+  };
+}
+
+module.exports = { HORIZON_HOURS, forecastTank };
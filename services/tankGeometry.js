@@ -0,0 +1,181 @@
+// Level -> volume conversion for the tank shapes a TankConfig can describe.
+// Levels are cm of water above the lowest point of the tank; volumes are
+// liters. tankHeightCm stays the sensor reference (distance from the
+// ultrasonic sensor to the tank bottom) used to turn distance into level.
+//
+//   vertical_cylinder    tankRadiusCm, tankHeightCm
+//   horizontal_cylinder  tankRadiusCm, lengthCm (level runs 0..2r)
+//   rectangular          lengthCm, widthCm, tankHeightCm
+//   cone_bottom          tankRadiusCm, coneHeightCm, outletRadiusCm (default
+//                        0), tankHeightCm (cone + cylinder above it)
+//   custom               strappingTable: [{ levelCm, liters }], interpolated
+
+const SHAPES = [
+  "vertical_cylinder",
+  "horizontal_cylinder",
+  "rectangular",
+  "cone_bottom",
+  "custom",
+];
+
+// TankConfig fields that describe the geometry
+const GEOMETRY_FIELDS = [
+  "shape",
+  "tankHeightCm",
+  "tankRadiusCm",
+  "lengthCm",
+  "widthCm",
+  "coneHeightCm",
+  "outletRadiusCm",
+  "strappingTable",
+];
+
+const CM3_PER_LITER = 1000;
+
+const positive = (v) => Number.isFinite(v) && v > 0;
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+const round = (v, places = 1) => {
+  const f = 10 ** places;
+  return Math.round(v * f) / f;
+};
+
+// Strapping table sorted by level; callers validate it first
+const sortedTable = (table) =>
+  [...(table || [])]
+    .map((p) => ({ levelCm: Number(p.levelCm), liters: Number(p.liters) }))
+    .sort((a, b) => a.levelCm - b.levelCm);
+
+// Returns an error message when the fields needed by the shape are missing
+// or inconsistent, otherwise null
+function validate(tank) {
+  const shape = tank.shape || "vertical_cylinder";
+  if (!SHAPES.includes(shape)) return `Unknown tank shape ${shape}`;
+
+  const need = (fields) => {
+    const missing = fields.filter((f) => !positive(tank[f]));
+    return missing.length > 0 ? `${shape} tanks need ${missing.join(", ")} > 0` : null;
+  };
+
+  switch (shape) {
+    case "vertical_cylinder":
+      return need(["tankHeightCm", "tankRadiusCm"]);
+    case "horizontal_cylinder":
+      return need(["tankRadiusCm", "lengthCm"]);
+    case "rectangular":
+      return need(["tankHeightCm", "lengthCm", "widthCm"]);
+    case "cone_bottom": {
+      const missing = need(["tankHeightCm", "tankRadiusCm", "coneHeightCm"]);
+      if (missing) return missing;
+      if (tank.coneHeightCm > tank.tankHeightCm) {
+        return "coneHeightCm cannot exceed tankHeightCm";
+      }
+      const outlet = tank.outletRadiusCm || 0;
+      if (outlet < 0 || outlet >= tank.tankRadiusCm) {
+        return "outletRadiusCm must be between 0 and tankRadiusCm";
+      }
+      return null;
+    }
+    case "custom": {
+      const table = sortedTable(tank.strappingTable);
+      if (table.length < 2) return "custom tanks need a strapping table with at least 2 points";
+      for (let i = 0; i < table.length; i++) {
+        const { levelCm, liters } = table[i];
+        if (!Number.isFinite(levelCm) || !Number.isFinite(liters) || levelCm < 0 || liters < 0) {
+          return "strapping table points need levelCm >= 0 and liters >= 0";
+        }
+        if (i > 0 && levelCm === table[i - 1].levelCm) {
+          return `strapping table has two points at ${levelCm} cm`;
+        }
+        if (i > 0 && liters < table[i - 1].liters) {
+          return "strapping table liters must not decrease as the level rises";
+        }
+      }
+      return null;
+    }
+  }
+  return null;
+}
+
+// Highest level the shape can hold, in cm
+function maxLevelCm(tank) {
+  switch (tank.shape || "vertical_cylinder") {
+    case "horizontal_cylinder":
+      return 2 * tank.tankRadiusCm;
+    case "custom": {
+      const table = sortedTable(tank.strappingTable);
+      return table[table.length - 1].levelCm;
+    }
+    default:
+      return tank.tankHeightCm;
+  }
+}
+
+// Liters held at levelCm, or null if the geometry is incomplete
+function volumeLiters(tank, levelCm) {
+  if (!Number.isFinite(levelCm) || validate(tank)) return null;
+  const h = clamp(levelCm, 0, maxLevelCm(tank));
+
+  let cm3;
+  switch (tank.shape || "vertical_cylinder") {
+    case "vertical_cylinder":
+      cm3 = Math.PI * tank.tankRadiusCm ** 2 * h;
+      break;
+    case "horizontal_cylinder": {
+      // Circular segment area of depth h, times the length
+      const r = tank.tankRadiusCm;
+      const area = r * r * Math.acos((r - h) / r) - (r - h) * Math.sqrt(2 * r * h - h * h);
+      cm3 = area * tank.lengthCm;
+      break;
+    }
+    case "rectangular":
+      cm3 = tank.lengthCm * tank.widthCm * h;
+      break;
+    case "cone_bottom": {
+      // Frustum from the outlet up to the water line while inside the cone,
+      // then the full cone plus a cylinder above it
+      const R = tank.tankRadiusCm;
+      const r0 = tank.outletRadiusCm || 0;
+      const coneH = tank.coneHeightCm;
+      const frustum = (depth) => {
+        const r = r0 + ((R - r0) * depth) / coneH;
+        return (Math.PI * depth * (r0 * r0 + r0 * r + r * r)) / 3;
+      };
+      cm3 = h <= coneH ? frustum(h) : frustum(coneH) + Math.PI * R * R * (h - coneH);
+      break;
+    }
+    case "custom": {
+      const table = sortedTable(tank.strappingTable);
+      if (h <= table[0].levelCm) return round(table[0].liters);
+      const i = table.findIndex((p) => p.levelCm >= h);
+      const a = table[i - 1];
+      const b = table[i];
+      return round(a.liters + ((b.liters - a.liters) * (h - a.levelCm)) / (b.levelCm - a.levelCm));
+    }
+  }
+  return round(cm3 / CM3_PER_LITER);
+}
+
+function capacityLiters(tank) {
+  if (validate(tank)) return null;
+  return volumeLiters(tank, maxLevelCm(tank));
+}
+
+// { volumeLiters, percentFull } for a level, nulls if it cannot be computed
+function fillAt(tank, levelCm) {
+  const volume = volumeLiters(tank, levelCm);
+  const capacity = capacityLiters(tank);
+  return {
+    volumeLiters: volume,
+    percentFull: volume !== null && capacity > 0 ? round((volume / capacity) * 100) : null,
+  };
+}
+
+module.exports = {
+  SHAPES,
+  GEOMETRY_FIELDS,
+  validate,
+  maxLevelCm,
+  volumeLiters,
+  capacityLiters,
+  fillAt,
+};
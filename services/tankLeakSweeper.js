@@ -0,0 +1,19 @@
+const { evaluateAllTanks } = require("./tankLeaks");
+
+const CHECK_MINUTES = Number(process.env.LEAK_CHECK_MINUTES || 5);
+
+async function sweepTankLeaks() {
+  try {
+    await evaluateAllTanks(new Date());
+  } catch (e) {
+    console.error("sweepTankLeaks error", e);
+  }
+}
+
+function startTankLeakSweeper() {
+  setInterval(() => {
+    sweepTankLeaks();
+  }, CHECK_MINUTES * 60 * 1000);
+}
+
+module.exports = { startTankLeakSweeper, sweepTankLeaks };
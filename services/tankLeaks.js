@@ -0,0 +1,328 @@
+// Abnormal drawdown (leak / stuck valve) detection for tanks.
+//
+// Each tank learns its normal drawdown from WaterReading history: hourly
+// usage over the last LEAK_PROFILE_DAYS, keeping only hours with the pump off,
+// no irrigation on the zones the tank feeds, no refill and no open leak alert,
+// grouped by local hour of day. The sweeper then fits the drop rate over the
+// last LEAK_WINDOW_MINUTES; when the pump is off, nothing is irrigating and
+// the rate beats LEAK_RATE_FACTOR x the learned p95 for that hour (and the
+// LEAK_MIN_RATE_PERCENT_PER_HOUR floor), a TankAlert is opened and
+// subscribers get a "tank_leak" notification. The alert resolves itself once
+// a window looks normal again.
+const { TankConfig, TankAlert, WaterReading } = require("../models/water");
+const { IrrigationLog, SoilMoistureReading } = require("../models/soilMoisture");
+const waterAnalytics = require("./waterAnalytics");
+const { percentile, slopeLph } = waterAnalytics;
+const tankGeometry = require("./tankGeometry");
+const notifications = require("./notifications");
+const { DEFAULT_TIMEZONE, localParts } = require("./localTime");
+
+const HOUR_MS = 3600000;
+const PROFILE_DAYS = Number(process.env.LEAK_PROFILE_DAYS || 14);
+const PROFILE_MAX_AGE_HOURS = 24;
+const WINDOW_MINUTES = Number(process.env.LEAK_WINDOW_MINUTES || 30);
+const RATE_FACTOR = Number(process.env.LEAK_RATE_FACTOR || 2);
+const MIN_RATE_PERCENT_PER_HOUR = Number(process.env.LEAK_MIN_RATE_PERCENT_PER_HOUR || 1);
+const MIN_DROP_CM = Number(process.env.LEAK_MIN_DROP_CM || 2);
+// Irrigation that stopped this long before a drop points at a stuck valve
+const IRRIGATION_CORRELATION_MINUTES = Number(
+  process.env.LEAK_IRRIGATION_CORRELATION_MINUTES || 60
+);
+// An hour of day needs this many clean samples before it gets its own rate
+const MIN_HOUR_SAMPLES = 3;
+// Newest reading must be this fresh for a window to be judged
+const MAX_READING_AGE_MINUTES = 15;
+
+const round = (v) => Math.round(v * 10) / 10;
+
+const zoneFilter = (tankConfig) =>
+  tankConfig.irrigationZoneIds?.length > 0
+    ? { zoneId: { $in: tankConfig.irrigationZoneIds } }
+    : {};
+
+// Irrigation on the tank's zones during [from, to): periods from IrrigationLog
+// start/stop, soil readings that reported the valve on, and the stops seen
+async function irrigationActivity(tankConfig, from, to) {
+  const zones = zoneFilter(tankConfig);
+  const logs = await IrrigationLog.find({ ...zones, timestamp: { $gte: from, $lt: to } })
+    .sort({ timestamp: 1 })
+    .select("zoneId action timestamp")
+    .lean();
+  const before = await IrrigationLog.aggregate([
+    { $match: { ...zones, timestamp: { $lt: from } } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: "$zoneId", action: { $first: "$action" } } },
+  ]);
+
+  const onSince = new Map(before.filter((b) => b.action === "start").map((b) => [b._id, from]));
+  const periods = [];
+  const stops = [];
+  for (const log of logs) {
+    if (log.action === "start" && !onSince.has(log.zoneId)) {
+      onSince.set(log.zoneId, log.timestamp);
+    }
+    if (log.action === "stop") {
+      stops.push({ zoneId: log.zoneId, stoppedAt: log.timestamp });
+      if (onSince.has(log.zoneId)) {
+        periods.push([onSince.get(log.zoneId).getTime(), log.timestamp.getTime()]);
+        onSince.delete(log.zoneId);
+      }
+    }
+  }
+  for (const start of onSince.values()) periods.push([start.getTime(), to.getTime()]);
+
+  const onReadings = await SoilMoistureReading.find({
+    ...zones,
+    relayStatus: "on",
+    timestamp: { $gte: from, $lt: to },
+  })
+    .select("timestamp")
+    .lean();
+
+  return { periods, stops, onTimes: onReadings.map((r) => r.timestamp.getTime()) };
+}
+
+const irrigatingDuring = (activity, t0, t1) =>
+  waterAnalytics.overlapMs(activity.periods, t0, t1) > 0 ||
+  activity.onTimes.some((t) => t >= t0 && t < t1);
+
+// Learns and stores the tank's normal drawdown profile
+async function learnProfile(tankConfig, now = new Date()) {
+  const from = new Date(now.getTime() - PROFILE_DAYS * 24 * HOUR_MS);
+  const timeZone = DEFAULT_TIMEZONE;
+  const usage = await waterAnalytics.tankUsage(tankConfig, {
+    from,
+    to: now,
+    interval: "hour",
+    timeZone,
+  });
+  const irrigation = await irrigationActivity(tankConfig, from, now);
+  const alerts = await TankAlert.find({
+    tankId: tankConfig.tankId,
+    startedAt: { $lt: now },
+    $or: [{ resolvedAt: null }, { resolvedAt: { $gte: from } }],
+  })
+    .select("startedAt resolvedAt")
+    .lean();
+  const alertPeriods = alerts.map((a) => [
+    a.startedAt.getTime(),
+    (a.resolvedAt || now).getTime(),
+  ]);
+
+  const byHour = Array.from({ length: 24 }, () => []);
+  for (const b of usage.buckets) {
+    const t0 = b.start.getTime();
+    const t1 = Math.min(b.end.getTime(), now.getTime());
+    const clean =
+      t1 - t0 === HOUR_MS &&
+      b.readingCount > 0 &&
+      b.gapMinutes === 0 &&
+      b.pumpRunMinutes === 0 &&
+      b.pumpedInflowLiters === 0 &&
+      b.otherInflowLiters === 0 &&
+      !irrigatingDuring(irrigation, t0, t1) &&
+      waterAnalytics.overlapMs(alertPeriods, t0, t1) === 0;
+    if (!clean) continue;
+    const hour = Math.floor(localParts(b.start, timeZone).minutes / 60);
+    byHour[hour].push(b.consumptionLiters);
+  }
+
+  const all = byHour.flat();
+  const profile = {
+    learnedAt: now,
+    days: PROFILE_DAYS,
+    samples: all.length,
+    medianLph: all.length > 0 ? round(percentile(all, 50)) : null,
+    p95Lph: all.length > 0 ? round(percentile(all, 95)) : null,
+    hourly: byHour
+      .map((samples, hour) => ({
+        hour,
+        samples: samples.length,
+        medianLph: samples.length > 0 ? round(percentile(samples, 50)) : null,
+        p95Lph: samples.length > 0 ? round(percentile(samples, 95)) : null,
+      }))
+      .filter((h) => h.samples > 0),
+  };
+  await TankConfig.updateOne({ _id: tankConfig._id }, { $set: { drawdownProfile: profile } });
+  tankConfig.drawdownProfile = profile;
+  return profile;
+}
+
+// Expected (p95) pump-off drawdown for the local hour of `at`, or null
+function expectedRateLph(profile, at) {
+  if (!profile?.learnedAt) return null;
+  const hour = Math.floor(localParts(at, DEFAULT_TIMEZONE).minutes / 60);
+  const h = (profile.hourly || []).find((x) => x.hour === hour);
+  if (h && h.samples >= MIN_HOUR_SAMPLES) return h.p95Lph;
+  return profile.p95Lph ?? null;
+}
+
+function severityFor(rateLph, expected, hoursToEmpty) {
+  if (hoursToEmpty !== null && hoursToEmpty < 6) return "critical";
+  if ((hoursToEmpty !== null && hoursToEmpty < 24) || (expected > 0 && rateLph >= 4 * expected)) {
+    return "high";
+  }
+  return "medium";
+}
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Judges the last window of one tank and opens, refreshes or resolves its
+// abnormal_drawdown alert. Returns { status, ... } describing the outcome.
+async function evaluateTank(tankConfig, now = new Date()) {
+  const profile = tankConfig.drawdownProfile;
+  if (
+    !profile?.learnedAt ||
+    now - new Date(profile.learnedAt) > PROFILE_MAX_AGE_HOURS * HOUR_MS
+  ) {
+    await learnProfile(tankConfig, now);
+  }
+
+  const capacity = tankConfig.maxCapacityLiters || tankGeometry.capacityLiters(tankConfig);
+  if (!capacity) return { status: "no_geometry" };
+
+  const from = new Date(now.getTime() - WINDOW_MINUTES * 60000);
+  const points = (
+    await WaterReading.find({ tankId: tankConfig.tankId, timestamp: { $gte: from, $lte: now } })
+      .sort({ timestamp: 1 })
+      .lean()
+  )
+    .map((r) => WaterReading.withVolume(r, tankConfig))
+    .filter((r) => r.volumeLiters != null)
+    .map((r) => ({ t: r.timestamp.getTime(), v: r.volumeLiters, relayOn: r.relayStatus === "on" }));
+
+  if (
+    points.length < 4 ||
+    points[0].t > from.getTime() + (WINDOW_MINUTES * 60000) / 4 ||
+    now - points[points.length - 1].t > MAX_READING_AGE_MINUTES * 60000
+  ) {
+    return { status: "insufficient_data" };
+  }
+
+  // The pump or irrigation explains level changes; leave open alerts as-is
+  const t0 = points[0].t;
+  const t1 = points[points.length - 1].t;
+  const pumps = await waterAnalytics.pumpPeriods(tankConfig.tankId, new Date(t0), new Date(t1));
+  if (points.some((p) => p.relayOn) || waterAnalytics.overlapMs(pumps, t0, t1) > 0) {
+    return { status: "pumping" };
+  }
+  const lookback = new Date(t0 - IRRIGATION_CORRELATION_MINUTES * 60000);
+  const irrigation = await irrigationActivity(tankConfig, lookback, now);
+  if (irrigatingDuring(irrigation, t0, t1 + 1)) return { status: "irrigating" };
+
+  const rateLph = -slopeLph(points);
+  const expected = expectedRateLph(tankConfig.drawdownProfile, new Date(t1));
+  const thresholdLph = Math.max(
+    (expected || 0) * RATE_FACTOR,
+    (capacity * MIN_RATE_PERCENT_PER_HOUR) / 100
+  );
+  const maxLevel = tankGeometry.validate(tankConfig) ? null : tankGeometry.maxLevelCm(tankConfig);
+  const minDropLiters = maxLevel ? (capacity * MIN_DROP_CM) / maxLevel : 0;
+  const fittedDrop = (rateLph * (t1 - t0)) / HOUR_MS;
+  const abnormal = rateLph > thresholdLph && fittedDrop >= minDropLiters;
+
+  const current = points[points.length - 1].v;
+  const open = await TankAlert.findOne({
+    tankId: tankConfig.tankId,
+    alertType: "abnormal_drawdown",
+    isResolved: false,
+  });
+  const at = new Date(t1);
+
+  if (!abnormal) {
+    if (open) {
+      open.isResolved = true;
+      open.resolvedAt = at;
+      open.resolvedBy = "auto";
+      open.currentLiters = round(current);
+      await open.save();
+      return { status: "resolved", alert: open };
+    }
+    return { status: "normal", rateLph: round(rateLph), thresholdLph: round(thresholdLph) };
+  }
+
+  const hoursToEmpty = rateLph > 0 ? round(current / rateLph) : null;
+  const severity = severityFor(rateLph, expected, hoursToEmpty);
+  const where = tankConfig.location ? ` at ${tankConfig.location}` : "";
+
+  if (open) {
+    open.currentLiters = round(current);
+    open.droppedLiters = round(Math.max(0, (open.startLiters ?? current) - current));
+    open.rateLph = round(rateLph);
+    open.peakRateLph = round(Math.max(open.peakRateLph || 0, rateLph));
+    open.expectedRateLph = expected;
+    open.hoursToEmpty = hoursToEmpty;
+    open.lastTriggeredAt = at;
+    open.message =
+      `Tank ${tankConfig.tankId}${where} has lost ${open.droppedLiters}L since ` +
+      `${open.startedAt.toISOString()} with the pump off and no irrigation (${open.rateLph}L/h)`;
+    if (SEVERITY_RANK[severity] > SEVERITY_RANK[open.severity]) open.severity = severity;
+    await open.save();
+    return { status: "ongoing", alert: open };
+  }
+
+  const startedAt = new Date(t0);
+  const recentIrrigation = irrigation.stops.filter(
+    (s) => s.stoppedAt.getTime() <= t1 && s.stoppedAt.getTime() >= lookback.getTime()
+  );
+  const suspectedCause = recentIrrigation.length > 0 ? "irrigation_valve" : "leak";
+  const droppedLiters = round(Math.max(0, points[0].v - current));
+  const zones = recentIrrigation.map((s) => s.zoneId).join(", ");
+  const message =
+    `Tank ${tankConfig.tankId}${where} is dropping ${round(rateLph)}L/h ` +
+    "with the pump off and no irrigation" +
+    (expected !== null ? ` (normal is up to ${expected}L/h)` : "") +
+    (suspectedCause === "irrigation_valve"
+      ? `; irrigation on ${zones} stopped just before, check for a stuck valve`
+      : "; check for a leak or a stuck float valve");
+
+  const alert = await TankAlert.create({
+    tankId: tankConfig.tankId,
+    alertType: "abnormal_drawdown",
+    suspectedCause,
+    severity,
+    message,
+    startedAt,
+    startLiters: round(points[0].v),
+    currentLiters: round(current),
+    droppedLiters,
+    rateLph: round(rateLph),
+    peakRateLph: round(rateLph),
+    expectedRateLph: expected,
+    hoursToEmpty,
+    recentIrrigation,
+    lastTriggeredAt: at,
+    timestamp: at,
+  });
+  notifications.notify({
+    type: "tank_leak",
+    severity,
+    title: `Abnormal drawdown on tank ${tankConfig.tankId}`,
+    message,
+    source: tankConfig.tankId,
+    data: {
+      alertId: String(alert._id),
+      suspectedCause,
+      rateLph: alert.rateLph,
+      expectedRateLph: expected,
+      hoursToEmpty,
+    },
+    at,
+  });
+  return { status: "opened", alert };
+}
+
+async function evaluateAllTanks(now = new Date()) {
+  const tanks = await TankConfig.find({ isActive: true });
+  const results = [];
+  for (const tank of tanks) {
+    try {
+      results.push({ tankId: tank.tankId, ...(await evaluateTank(tank, now)) });
+    } catch (err) {
+      console.error(`Leak check failed for tank ${tank.tankId}:`, err.message);
+    }
+  }
+  return results;
+}
+
+module.exports = { learnProfile, expectedRateLph, evaluateTank, evaluateAllTanks };
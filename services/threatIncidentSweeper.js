@@ -0,0 +1,18 @@
+const { endQuietIncidents } = require("./threatIncidents");
+
+async function sweepThreatIncidents() {
+  try {
+    await endQuietIncidents(new Date());
+  } catch (e) {
+    console.error("sweepThreatIncidents error", e);
+  }
+}
+
+function startThreatIncidentSweeper() {
+  // run every 30s
+  setInterval(() => {
+    sweepThreatIncidents();
+  }, 30 * 1000);
+}
+
+module.exports = { startThreatIncidentSweeper, sweepThreatIncidents };
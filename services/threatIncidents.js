@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const ThreatIncident = require("../models/ThreatIncident");
+const { SEVERITY_RANK } = require("./threatRules");
+const notifications = require("./notifications");
+
+// Frames of the same camera and class closer together than this belong to
+// one incident
+const GAP_SECONDS = Number(process.env.THREAT_INCIDENT_GAP_SECONDS || 60);
+const FRAME_DIR = path.join("uploads", "threat-incidents");
+
+// Whether threat `a` makes a better representative frame than `b`
+const stronger = (a, b) =>
+  !b ||
+  SEVERITY_RANK[a.severity] > SEVERITY_RANK[b.severity] ||
+  (SEVERITY_RANK[a.severity] === SEVERITY_RANK[b.severity] &&
+    (a.confidence || 0) > (b.confidence || 0));
+
+// Strongest threat and all zones per object class in one frame
+function groupByClass(threats) {
+  const groups = new Map();
+  for (const t of threats) {
+    const cls = String(t.detectedObject || t.type).toLowerCase();
+    const g = groups.get(cls) || { threat: null, zones: new Set() };
+    if (stronger(t, g.threat)) g.threat = t;
+    if (t.zone) g.zones.add(t.zone);
+    groups.set(cls, g);
+  }
+  return groups;
+}
+
+// Keeps a copy of the frame as the incident's representative image; the
+// uploaded frame itself is deleted after analysis
+function saveFrame(incidentId, frameFile) {
+  if (!frameFile?.path || !fs.existsSync(frameFile.path)) return null;
+  try {
+    fs.mkdirSync(FRAME_DIR, { recursive: true });
+    const ext = path.extname(frameFile.originalname || "") || ".jpg";
+    const fileName = `${incidentId}${ext}`;
+    fs.copyFileSync(frameFile.path, path.join(FRAME_DIR, fileName));
+    return `/uploads/threat-incidents/${fileName}`;
+  } catch (err) {
+    console.error("Error saving incident frame:", err.message);
+    return null;
+  }
+}
+
+// Folds one analysed frame's threats into incidents. Returns
+// [{ incident, opened }] for every incident the frame touched.
+async function recordFrameThreats({ cameraId, analysisId = null, at, threats, frameFile }) {
+  const touched = [];
+  const cutoff = new Date(at.getTime() - GAP_SECONDS * 1000);
+
+  for (const [objectClass, { threat, zones }] of groupByClass(threats)) {
+    let incident = await ThreatIncident.findOne({
+      cameraId,
+      objectClass,
+      endedAt: null,
+      status: { $ne: "closed" },
+      lastSeenAt: { $gte: cutoff },
+    }).sort({ lastSeenAt: -1 });
+
+    const opened = !incident;
+    if (opened) {
+      incident = new ThreatIncident({
+        cameraId,
+        objectClass,
+        threatType: threat.type,
+        startedAt: at,
+        lastSeenAt: at,
+        frameCount: 0,
+        peakSeverity: threat.severity,
+      });
+    }
+
+    incident.frameCount += 1;
+    if (at > incident.lastSeenAt) incident.lastSeenAt = at;
+    if (at < incident.startedAt) incident.startedAt = at;
+    for (const z of zones) {
+      if (!incident.zones.includes(z)) incident.zones.push(z);
+    }
+
+    const current = incident.representative?.severity
+      ? incident.representative
+      : null;
+    if (opened || stronger(threat, current)) {
+      incident.peakSeverity = threat.severity;
+      incident.peakConfidence = threat.confidence ?? null;
+      incident.representative = {
+        analysisId,
+        timestamp: at,
+        severity: threat.severity,
+        confidence: threat.confidence,
+        bbox: threat.bbox,
+        imageUrl: saveFrame(incident._id, frameFile) || current?.imageUrl || null,
+      };
+    }
+
+    await incident.save();
+    touched.push({ incident, opened });
+
+    // Notify once per incident, not per frame
+    if (opened) {
+      notifications.notify({
+        type: "threat",
+        severity: incident.peakSeverity,
+        title: `${threat.type} detected on camera ${cameraId}`,
+        message: `${threat.description} (${threat.confidence}% confidence)${
+          zones.size > 0 ? ` in ${[...zones].join(", ")}` : ""
+        }`,
+        source: cameraId,
+        data: {
+          incidentId: String(incident._id),
+          objectClass,
+          imageUrl: incident.representative?.imageUrl || null,
+        },
+        at,
+      });
+    }
+  }
+  return touched;
+}
+
+// Marks incidents whose object has not been seen for the gap as ended
+async function endQuietIncidents(now = new Date()) {
+  const cutoff = new Date(now.getTime() - GAP_SECONDS * 1000);
+  const result = await ThreatIncident.updateMany(
+    { endedAt: null, lastSeenAt: { $lt: cutoff } },
+    [{ $set: { endedAt: "$lastSeenAt" } }]
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  GAP_SECONDS,
+  recordFrameThreats,
+  endQuietIncidents,
+};
@@ -0,0 +1,144 @@
+const { inAnyWindow, DEFAULT_TIMEZONE } = require("./localTime");
+const { locateDetection } = require("./roi");
+
+// Default threat rules per detected class. A detection becomes a threat when
+// its confidence is above minConfidence; severity is the first level whose
+// `above` it exceeds, else `otherwise`.
+const DEFAULT_RULES = {
+  person: {
+    type: "person",
+    description: "Person detected in restricted area",
+    minConfidence: 60,
+    levels: [{ above: 80, severity: "high" }, { above: 60, severity: "medium" }],
+    otherwise: "low",
+  },
+  dog: {
+    type: "predator",
+    description: "Potential predator (dog) detected",
+    minConfidence: 60,
+    levels: [{ above: 75, severity: "high" }],
+    otherwise: "medium",
+  },
+  cat: {
+    type: "predator",
+    description: "Potential predator (cat) detected",
+    minConfidence: 60,
+    levels: [{ above: 75, severity: "high" }],
+    otherwise: "medium",
+  },
+  bird: {
+    type: "predator",
+    description: "Aerial predator (bird) detected",
+    minConfidence: 60,
+    levels: [{ above: 80, severity: "medium" }],
+    otherwise: "low",
+  },
+  car: {
+    type: "vehicle",
+    description: "Unauthorized vehicle detected",
+    minConfidence: 60,
+    levels: [{ above: 70, severity: "medium" }],
+    otherwise: "low",
+  },
+  truck: {
+    type: "vehicle",
+    description: "Large vehicle detected",
+    minConfidence: 60,
+    levels: [{ above: 70, severity: "medium" }],
+    otherwise: "low",
+  },
+  motorcycle: {
+    type: "vehicle",
+    description: "Motorcycle detected",
+    minConfidence: 60,
+    levels: [{ above: 70, severity: "medium" }],
+    otherwise: "low",
+  },
+};
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Default rules with the camera's overrides applied, keyed by class
+function rulesForCamera(camera) {
+  const rules = {};
+  for (const [cls, rule] of Object.entries(DEFAULT_RULES)) {
+    rules[cls] = { ...rule, expectedWindows: [], source: "default" };
+  }
+  for (const o of camera?.rules || []) {
+    const base = rules[o.objectClass];
+    rules[o.objectClass] = {
+      type: o.type || base?.type || "other",
+      description:
+        o.description || base?.description || `${o.objectClass} detected`,
+      minConfidence: o.minConfidence ?? base?.minConfidence ?? 60,
+      levels: o.severity ? [] : base?.levels || [],
+      otherwise: o.severity || base?.otherwise || "medium",
+      expectedWindows: o.expectedWindows || [],
+      enabled: o.enabled !== false,
+      source: "camera",
+    };
+  }
+  return rules;
+}
+
+// Whether the camera raises threats at `at`: armed, and inside its armed
+// schedule if it has one. Frames without a registered camera are always armed.
+function isArmed(camera, at = new Date()) {
+  if (!camera) return true;
+  if (camera.armed === false) return false;
+  if (!camera.armedSchedule || camera.armedSchedule.length === 0) return true;
+  return inAnyWindow(camera.armedSchedule, at, camera.timezone || DEFAULT_TIMEZONE);
+}
+
+// Threats among a frame's detections under the camera's rules and zones at
+// time `at`. Each threat carries the restricted zone it was seen in.
+function classifyThreat(detections, { camera = null, at = new Date() } = {}) {
+  if (!isArmed(camera, at)) return [];
+  const rules = rulesForCamera(camera);
+  const timeZone = camera?.timezone || DEFAULT_TIMEZONE;
+  const threats = [];
+
+  detections.forEach((detection) => {
+    const { class: objectClass, confidence } = detection;
+    const rule = rules[String(objectClass || "").toLowerCase()];
+    if (!rule || rule.enabled === false) return;
+    if (!(confidence > rule.minConfidence)) return;
+    // Expected at this time of day on this camera (e.g. staff at the gate)
+    if (inAnyWindow(rule.expectedWindows, at, timeZone)) return;
+    const place = locateDetection(detection.bbox, camera?.zones);
+    if (!place.counts) return;
+
+    const level = rule.levels.find((l) => confidence > l.above);
+    threats.push({
+      type: rule.type,
+      description: rule.description,
+      confidence: confidence,
+      severity: level ? level.severity : rule.otherwise,
+      detectedObject: objectClass,
+      bbox: detection.bbox,
+      zone: place.zone,
+    });
+  });
+
+  return threats;
+}
+
+// Highest severity among threats, or null
+function highestSeverity(threats) {
+  return threats.reduce(
+    (max, t) =>
+      max === null || SEVERITY_RANK[t.severity] > SEVERITY_RANK[max]
+        ? t.severity
+        : max,
+    null
+  );
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  SEVERITY_RANK,
+  rulesForCamera,
+  isArmed,
+  classifyThreat,
+  highestSeverity,
+};
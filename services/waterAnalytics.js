@@ -0,0 +1,294 @@
+// Consumption / inflow analytics per tank, bucketed by local hour, day or
+// week. Volume changes between readings are booked once they exceed the
+// sensor noise (hysteresis, so slow draws still add up while jitter does not),
+// then split by whether the pump was running:
+//
+//   pump off, level falls   -> consumption
+//   pump off, level rises   -> otherInflowLiters (rain, tanker, manual fill)
+//   pump on                 -> pumpedInflowLiters = rise + the usage expected
+//                              meanwhile (recent pump-off usage rate), and
+//                              that expected usage is booked as consumption
+//
+// The pump counts as running inside PumpLog start/stop periods and while the
+// device reports relayStatus "on". Runs of rising level form refill events.
+const { WaterReading, PumpLog } = require("../models/water");
+const tankGeometry = require("./tankGeometry");
+const { bucketStart, nextBucketStart, bucketLabel } = require("./localTime");
+
+const HOUR_MS = 3600000;
+// Level change (cm) treated as sensor noise
+const NOISE_CM = Number(process.env.WATER_LEVEL_NOISE_CM || 1);
+// Readings further apart than this are reported as a data gap
+const GAP_MINUTES = Number(process.env.WATER_ANALYTICS_GAP_MINUTES || 30);
+// A rise must add this share of the tank's capacity to count as a refill
+const REFILL_MIN_PERCENT = Number(process.env.WATER_REFILL_MIN_PERCENT || 2);
+// Time constant of the pump-off usage rate used while pumping
+const BASELINE_HOURS = 6;
+
+const round = (v) => Math.round(v * 10) / 10;
+
+const emptyTotals = () => ({
+  consumptionLiters: 0,
+  pumpedInflowLiters: 0,
+  otherInflowLiters: 0,
+  netChangeLiters: 0,
+  pumpRunMinutes: 0,
+  refillEvents: 0,
+  gapMinutes: 0,
+  readingCount: 0,
+});
+
+const TOTAL_FIELDS = Object.keys(emptyTotals());
+
+function roundTotals(t) {
+  for (const k of TOTAL_FIELDS) t[k] = round(t[k]);
+  return t;
+}
+
+// Buckets covering [from, to), keyed by start time
+function makeBuckets(from, to, interval, timeZone) {
+  const buckets = [];
+  let start = bucketStart(from, interval, timeZone);
+  while (start < to) {
+    const end = nextBucketStart(start, interval, timeZone);
+    buckets.push({ start, end, label: bucketLabel(start, interval, timeZone), ...emptyTotals() });
+    start = end;
+  }
+  return buckets;
+}
+
+// Adds fields of `amounts` to the buckets overlapping [t0, t1), in proportion
+// to the overlap. Instants (t0 === t1) go to the bucket holding them.
+function spread(buckets, t0, t1, amounts) {
+  // First bucket ending after t0 (buckets are sorted and contiguous)
+  let lo = 0;
+  let hi = buckets.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (buckets[mid].end <= t0) lo = mid + 1;
+    else hi = mid;
+  }
+  for (let i = lo; i < buckets.length && buckets[i].start <= t1; i++) {
+    const b = buckets[i];
+    const share =
+      t1 > t0
+        ? (Math.min(b.end, t1) - Math.max(b.start, t0)) / (t1 - t0)
+        : b.start <= t0
+          ? 1
+          : 0;
+    if (share <= 0) continue;
+    for (const [k, v] of Object.entries(amounts)) b[k] += v * share;
+    if (t1 === t0) break;
+  }
+}
+
+// Pump-on periods from PumpLog overlapping [from, to)
+async function pumpPeriods(tankId, from, to) {
+  const before = await PumpLog.findOne({ tankId, timestamp: { $lt: from } })
+    .sort({ timestamp: -1 })
+    .select("action timestamp")
+    .lean();
+  const events = await PumpLog.find({ tankId, timestamp: { $gte: from, $lt: to } })
+    .sort({ timestamp: 1 })
+    .select("action timestamp")
+    .lean();
+
+  const periods = [];
+  let onSince = before?.action === "start" ? from : null;
+  for (const e of events) {
+    if (e.action === "start" && onSince === null) onSince = e.timestamp;
+    if (e.action === "stop" && onSince !== null) {
+      periods.push([onSince.getTime(), e.timestamp.getTime()]);
+      onSince = null;
+    }
+  }
+  if (onSince !== null) periods.push([onSince.getTime(), to.getTime()]);
+  return periods;
+}
+
+const overlapMs = (periods, t0, t1) =>
+  periods.reduce((ms, [s, e]) => ms + Math.max(0, Math.min(e, t1) - Math.max(s, t0)), 0);
+
+// Nearest-rank percentile of an unsorted list
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Least-squares slope of points { t (ms), v }, in v per hour (liters per hour
+// for volumes)
+function slopeLph(points) {
+  const n = points.length;
+  const mt = points.reduce((s, p) => s + p.t, 0) / n;
+  const mv = points.reduce((s, p) => s + p.v, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    num += (p.t - mt) * (p.v - mv);
+    den += (p.t - mt) ** 2;
+  }
+  return den > 0 ? (num / den) * HOUR_MS : 0;
+}
+
+// Usage analytics for one tank over [from, to)
+async function tankUsage(tankConfig, { from, to, interval, timeZone }) {
+  const capacity = tankConfig.maxCapacityLiters || tankGeometry.capacityLiters(tankConfig) || 0;
+  const maxLevel = tankGeometry.validate(tankConfig) ? null : tankGeometry.maxLevelCm(tankConfig);
+  const noiseLiters = maxLevel ? (capacity * NOISE_CM) / maxLevel : 0;
+  const refillMinLiters = (capacity * REFILL_MIN_PERCENT) / 100;
+
+  const buckets = makeBuckets(from, to, interval, timeZone);
+  const refills = [];
+
+  let ref = null; // last booked point { t, v }
+  let prev = null; // previous reading { t, v, relayOn }
+  let pendingPumpMs = 0; // pump time since ref
+  let segmentPumping = null; // pump state of the intervals since ref
+  let baselineRate = null; // L/h of usage while the pump is off
+  let refill = null;
+
+  const closeRefill = () => {
+    if (refill && refill.addedLiters >= refillMinLiters) {
+      refills.push({
+        start: new Date(refill.start),
+        end: new Date(refill.end),
+        durationMinutes: Math.round((refill.end - refill.start) / 60000),
+        startLiters: round(refill.startLiters),
+        endLiters: round(refill.endLiters),
+        addedLiters: round(refill.addedLiters),
+        source: refill.pumped ? "pump" : "other",
+      });
+      spread(buckets, refill.start, refill.start, { refillEvents: 1 });
+    }
+    refill = null;
+  };
+
+  // Books the change from ref to point p
+  const book = (p) => {
+    const dt = p.t - ref.t;
+    const dv = p.v - ref.v;
+    const pumping = dt > 0 && pendingPumpMs >= dt / 2;
+    const amounts = { netChangeLiters: dv };
+
+    if (pumping) {
+      const expectedUse = ((baselineRate || 0) * dt) / HOUR_MS;
+      const inflow = Math.max(0, dv + expectedUse);
+      amounts.pumpedInflowLiters = inflow;
+      amounts.consumptionLiters = inflow - dv;
+    } else if (dv < 0) {
+      amounts.consumptionLiters = -dv;
+      if (dt > 0) {
+        const rate = (-dv * HOUR_MS) / dt;
+        const alpha = Math.min(1, dt / (BASELINE_HOURS * HOUR_MS));
+        baselineRate = baselineRate === null ? rate : baselineRate + alpha * (rate - baselineRate);
+      }
+    } else {
+      amounts.otherInflowLiters = dv;
+    }
+    spread(buckets, ref.t, p.t, amounts);
+
+    if (dv > 0 || (pumping && refill)) {
+      if (!refill) refill = { start: ref.t, startLiters: ref.v, addedLiters: 0, pumped: false };
+      refill.end = p.t;
+      refill.endLiters = p.v;
+      refill.addedLiters += dv;
+      refill.pumped = refill.pumped || pumping;
+    } else {
+      closeRefill();
+    }
+
+    ref = { t: p.t, v: p.v };
+    pendingPumpMs = 0;
+    segmentPumping = null;
+  };
+
+  // Starts from the last reading before the window so the first bucket is whole
+  const first = await WaterReading.findOne({ tankId: tankConfig.tankId, timestamp: { $lt: from } })
+    .sort({ timestamp: -1 })
+    .lean();
+  const periods = await pumpPeriods(tankConfig.tankId, first ? first.timestamp : from, to);
+  const cursor = WaterReading.find({
+    tankId: tankConfig.tankId,
+    timestamp: { $gte: from, $lt: to },
+  })
+    .sort({ timestamp: 1 })
+    .select("timestamp waterLevelCm volumeLiters percentFull relayStatus")
+    .lean()
+    .cursor();
+
+  const visit = (reading) => {
+    const r = WaterReading.withVolume(reading, tankConfig);
+    if (r.volumeLiters == null) return;
+    const p = { t: r.timestamp.getTime(), v: r.volumeLiters, relayOn: r.relayStatus === "on" };
+    spread(buckets, p.t, p.t, { readingCount: 1 });
+    if (!prev) {
+      ref = { t: p.t, v: p.v };
+      prev = p;
+      return;
+    }
+
+    const dt = p.t - prev.t;
+    const pumpMs = prev.relayOn ? dt : Math.min(dt, overlapMs(periods, prev.t, p.t));
+    spread(buckets, prev.t, p.t, { pumpRunMinutes: pumpMs / 60000 });
+    if (dt > GAP_MINUTES * 60000) spread(buckets, prev.t, p.t, { gapMinutes: dt / 60000 });
+
+    // Close the segment when the pump turns on or off so pumped and unpumped
+    // periods are not mixed, then book once the change beats the noise
+    const pumpingNow = dt > 0 && pumpMs >= dt / 2;
+    if (segmentPumping !== null && pumpingNow !== segmentPumping && prev.t > ref.t) book(prev);
+    pendingPumpMs += pumpMs;
+    segmentPumping = pumpingNow;
+    if (Math.abs(p.v - ref.v) >= noiseLiters) book(p);
+    prev = p;
+  };
+
+  if (first) visit(first);
+  for await (const reading of cursor) visit(reading);
+  if (prev && ref && prev.t > ref.t) book(prev);
+  closeRefill();
+
+  const totals = emptyTotals();
+  for (const b of buckets) {
+    for (const k of TOTAL_FIELDS) totals[k] += b[k];
+  }
+  // The lead-in reading is only context; keep refills that reach the window
+  const inWindow = refills.filter((e) => e.end >= from);
+
+  return {
+    tankId: tankConfig.tankId,
+    shape: tankConfig.shape,
+    capacityLiters: capacity || null,
+    baselineUsageLitersPerHour: baselineRate === null ? null : round(baselineRate),
+    totals: roundTotals(totals),
+    buckets: buckets.map((b) => roundTotals({ ...b })),
+    refillEvents: inWindow,
+  };
+}
+
+// Sums per-tank results bucket by bucket
+function farmTotals(tanks) {
+  if (tanks.length === 0) return { totals: emptyTotals(), buckets: [] };
+  const buckets = tanks[0].buckets.map((b) => ({
+    start: b.start,
+    end: b.end,
+    label: b.label,
+    ...emptyTotals(),
+  }));
+  const totals = emptyTotals();
+  for (const t of tanks) {
+    t.buckets.forEach((b, i) => {
+      for (const k of TOTAL_FIELDS) buckets[i][k] += b[k];
+    });
+    for (const k of TOTAL_FIELDS) totals[k] += t.totals[k];
+  }
+  return { totals: roundTotals(totals), buckets: buckets.map(roundTotals) };
+}
+
+module.exports = {
+  tankUsage,
+  farmTotals,
+  pumpPeriods,
+  overlapMs,
+  percentile,
+  slopeLph,
+};
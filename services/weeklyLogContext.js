@@ -0,0 +1,213 @@
+const {
+  ZoneConfig,
+  CropProfile,
+  SoilMoistureReading,
+  IrrigationLog,
+} = require("../models/soilMoisture");
+const { EnvironmentalReading } = require("../models/environmental");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round1 = (v) => (Number.isFinite(v) ? Math.round(v * 10) / 10 : null);
+
+// Crop stage the zone was in `daysSincePlanting` days after planting; past
+// the last stage the crop stays in it
+function stageForDay(cropProfile, daysSincePlanting) {
+  const stages = cropProfile?.stages || [];
+  if (stages.length === 0 || daysSincePlanting < 0) return null;
+  const stage =
+    stages.find((s) => daysSincePlanting >= s.startDay && daysSincePlanting <= s.endDay) ||
+    stages[stages.length - 1];
+  return {
+    name: stage.name,
+    startDay: stage.startDay,
+    endDay: stage.endDay,
+    dayInStage: Math.max(1, daysSincePlanting - stage.startDay + 1),
+    minMoisture: stage.minMoisture,
+    maxMoisture: stage.maxMoisture,
+  };
+}
+
+// Moisture band the zone was held to: manual thresholds win, as in
+// ZoneConfig.getCurrentMoistureTargets, then the crop stage, then the static band
+function targetsFor(zone, stage) {
+  if (zone.soilDryThresholdPct !== undefined && zone.soilDryThresholdPct !== null) {
+    return {
+      minMoisture: zone.soilDryThresholdPct,
+      maxMoisture: zone.soilWetThresholdPct || zone.soilDryThresholdPct + 20,
+      source: "custom_thresholds",
+    };
+  }
+  if (stage && !zone.irrigationSettings?.useStaticThresholds) {
+    return {
+      minMoisture: stage.minMoisture,
+      maxMoisture: stage.maxMoisture,
+      source: "crop_profile",
+    };
+  }
+  return {
+    minMoisture: zone.moistureThresholds?.minMoisture,
+    maxMoisture: zone.moistureThresholds?.maxMoisture,
+    source: "static",
+  };
+}
+
+// Crop week (1-based) and growth stage of a zone at `date`
+async function resolveZone(zoneId, date = new Date()) {
+  const zone = await ZoneConfig.findOne({ zoneId });
+  if (!zone) return null;
+
+  const cropProfile = await CropProfile.findOne({ cropType: zone.cropType }).lean();
+  const planted = zone.plantingDate;
+  const daysSincePlanting =
+    planted && !isNaN(planted.getTime())
+      ? Math.floor((date.getTime() - planted.getTime()) / DAY_MS)
+      : null;
+
+  const stage =
+    daysSincePlanting !== null ? stageForDay(cropProfile, daysSincePlanting) : null;
+
+  return {
+    zone,
+    cropProfile,
+    daysSincePlanting,
+    week:
+      daysSincePlanting !== null && daysSincePlanting >= 0
+        ? Math.floor(daysSincePlanting / 7) + 1
+        : null,
+    stage,
+    targets: targetsFor(zone, stage),
+  };
+}
+
+// Number of separate runs of consecutive readings matching `predicate`
+function countEpisodes(readings, predicate) {
+  let episodes = 0;
+  let inEpisode = false;
+  for (const r of readings) {
+    const hit = predicate(r.moisturePercentage);
+    if (hit && !inEpisode) episodes += 1;
+    inEpisode = hit;
+  }
+  return episodes;
+}
+
+function statsOf(values) {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return null;
+  const sum = finite.reduce((a, b) => a + b, 0);
+  return {
+    avg: round1(sum / finite.length),
+    min: round1(Math.min(...finite)),
+    max: round1(Math.max(...finite)),
+  };
+}
+
+// Soil, irrigation and environmental summary for the 7 days up to `date`
+async function collectConditions(ctx, date = new Date()) {
+  const { zone, targets } = ctx;
+  const from = new Date(date.getTime() - 7 * DAY_MS);
+  const window = { $gte: from, $lte: date };
+
+  const [soilReadings, irrigationStarts, envReadings] = await Promise.all([
+    SoilMoistureReading.find({ zoneId: zone.zoneId, timestamp: window })
+      .sort({ timestamp: 1 })
+      .select("moisturePercentage timestamp")
+      .lean(),
+    IrrigationLog.countDocuments({
+      zoneId: zone.zoneId,
+      action: "start",
+      timestamp: window,
+    }),
+    zone.sensorId
+      ? EnvironmentalReading.find({ sensorId: zone.sensorId, timestamp: window })
+          .select("temperatureCelsius humidityPercent")
+          .lean()
+      : [],
+  ]);
+
+  const min = targets?.minMoisture;
+  const max = targets?.maxMoisture;
+  const moisture = statsOf(soilReadings.map((r) => r.moisturePercentage));
+
+  return {
+    from,
+    to: date,
+    soil: {
+      readings: soilReadings.length,
+      ...(moisture && {
+        avgMoisture: moisture.avg,
+        minMoisture: moisture.min,
+        maxMoisture: moisture.max,
+      }),
+      targetMin: min ?? null,
+      targetMax: max ?? null,
+      belowTargetEpisodes: Number.isFinite(min)
+        ? countEpisodes(soilReadings, (v) => v < min)
+        : 0,
+      aboveTargetEpisodes: Number.isFinite(max)
+        ? countEpisodes(soilReadings, (v) => v > max)
+        : 0,
+    },
+    irrigationEvents: irrigationStarts,
+    environment:
+      envReadings.length > 0
+        ? {
+            readings: envReadings.length,
+            temperature: statsOf(envReadings.map((r) => r.temperatureCelsius)),
+            humidity: statsOf(envReadings.map((r) => r.humidityPercent)),
+          }
+        : null,
+  };
+}
+
+// Prompt lines describing the week's conditions for generateWeeklyLogComment
+function describeConditions(ctx, conditions) {
+  if (!ctx) return "";
+  const lines = [];
+  const stageName = ctx.stage?.name;
+
+  if (ctx.cropProfile) lines.push(`Crop profile: ${ctx.cropProfile.name}`);
+  if (ctx.daysSincePlanting !== null) {
+    lines.push(`Days since planting: ${ctx.daysSincePlanting} (week ${ctx.week})`);
+  }
+  if (stageName) {
+    lines.push(`Growth stage: ${stageName} (day ${ctx.stage.dayInStage} of stage)`);
+  }
+
+  const soil = conditions?.soil;
+  if (soil && soil.readings > 0) {
+    lines.push(
+      `Soil moisture this week: avg ${soil.avgMoisture}%, min ${soil.minMoisture}%, max ${soil.maxMoisture}% over ${soil.readings} readings`
+    );
+    if (soil.targetMin !== null) {
+      const label = stageName ? `${stageName} target` : "target";
+      lines.push(
+        `Moisture ${label}: ${soil.targetMin}-${soil.targetMax}%. Dipped below it ${soil.belowTargetEpisodes} time(s), went above it ${soil.aboveTargetEpisodes} time(s)`
+      );
+    }
+  } else if (soil) {
+    lines.push("No soil moisture readings recorded this week");
+  }
+  if (conditions) lines.push(`Irrigation runs this week: ${conditions.irrigationEvents}`);
+
+  const env = conditions?.environment;
+  if (env?.temperature) {
+    lines.push(
+      `Temperature: avg ${env.temperature.avg}°C (min ${env.temperature.min}, max ${env.temperature.max})`
+    );
+  }
+  if (env?.humidity) {
+    lines.push(
+      `Humidity: avg ${env.humidity.avg}% (min ${env.humidity.min}, max ${env.humidity.max})`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  resolveZone,
+  collectConditions,
+  describeConditions,
+  stageForDay,
+};